@@ -1,11 +1,12 @@
-import React, { useState, createContext, useContext } from 'react';
+import React, { useState, useEffect, createContext, useContext } from 'react';
 import { StatusBar } from 'expo-status-bar';
-import { View, Text, StyleSheet } from 'react-native';
+import { View, Text, StyleSheet, ActivityIndicator, TouchableOpacity } from 'react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { Provider as PaperProvider } from 'react-native-paper';
-import { AuthProvider } from './utils/AuthContext';
+import { AuthProvider, useAuth } from './utils/AuthContext';
+import globalState from './utils/globalState';
 import DashboardScreen from './screens/DashboardScreen';
 import QuoteFormScreen from './screens/QuoteFormScreen';
 import OnboardingScreen from './screens/OnboardingScreen';
@@ -13,8 +14,15 @@ import LoginScreen from './screens/LoginScreen';
 import ReportsScreen from './screens/ReportsScreen';
 import SettingsScreen from './screens/SettingsScreen';
 import TeamScreen from './screens/TeamScreen';
-import BottomNavBar from './components/BottomNavBar';
+import CatalogueScreen from './screens/CatalogueScreen';
+import ClientsScreen from './screens/ClientsScreen';
+import CalendarScreen from './screens/CalendarScreen';
+import ClientDetailScreen from './screens/ClientDetailScreen';
+import SyncConflictsScreen from './screens/SyncConflictsScreen';
+import BottomNavBar, { canOpenTab } from './components/BottomNavBar';
 import SupabaseTest from './components/SupabaseTest';
+import { startAutoSync } from './utils/syncService';
+import { migrateStorage } from './utils/storageSchema';
 
 // Create a context for app-wide connection status
 export const ConnectionContext = createContext({
@@ -29,18 +37,27 @@ const MainStack = createNativeStackNavigator();
 // Main tabs screen with bottom navigation
 const MainScreen = ({ navigation, route }) => {
   const [activeScreen, setActiveScreen] = useState('dashboard');
+  const { permissions } = useAuth();
+
+  // Sync quotes with Supabase while the main screens are open
+  useEffect(() => startAutoSync(), []);
 
   // Pass any parameters from Main to the DashboardScreen
   const dashboardParams = route.params || {};
 
   const renderScreen = () => {
     console.log("Current active screen:", activeScreen);
-    switch (activeScreen) {
+    // Fall back to the dashboard if the user has lost access to the open tab
+    switch (canOpenTab(activeScreen, permissions) ? activeScreen : 'dashboard') {
       case 'dashboard':
         return <DashboardScreen navigation={navigation} route={{...route, params: dashboardParams}} />;
       case 'report':
         console.log("Rendering ReportsScreen");
         return <ReportsScreen navigation={navigation} />;
+      case 'calendar':
+        return <CalendarScreen navigation={navigation} />;
+      case 'clients':
+        return <ClientsScreen navigation={navigation} />;
       case 'team':
         return <TeamScreen navigation={navigation} />;
       case 'settings':
@@ -78,12 +95,62 @@ export default function App() {
   // State to determine if we should show the connection test
   const [showConnectionTest, setShowConnectionTest] = useState(false);
 
+  // Set once saved quotes are upgraded to the current storage schema
+  const [isStorageReady, setIsStorageReady] = useState(false);
+
+  // Set if the upgrade failed; the app stays closed so it never runs on an
+  // empty store while the saved quotes are left behind under the old key
+  const [storageError, setStorageError] = useState(null);
+
+  // Load the saved business details used on quotes and invoices
+  useEffect(() => {
+    globalState.init();
+  }, []);
+
+  // Upgrade saved quotes before any screen loads them
+  const upgradeStorage = () => {
+    setStorageError(null);
+    migrateStorage()
+      .then(() => setIsStorageReady(true))
+      .catch(error => {
+        console.error('Error upgrading saved quotes:', error);
+        setStorageError(error);
+      });
+  };
+
+  useEffect(() => {
+    upgradeStorage();
+  }, []);
+
   // Connection context value
   const connectionContextValue = {
     showConnectionTest,
     setShowConnectionTest,
   };
 
+  if (storageError) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.errorTitle}>Your saved quotes could not be loaded</Text>
+        <Text style={styles.errorText}>
+          They are still saved on this device. Please try again;
+          if this keeps happening, restart the app or contact support.
+        </Text>
+        <TouchableOpacity style={styles.retryButton} onPress={upgradeStorage}>
+          <Text style={styles.retryButtonText}>Try Again</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (!isStorageReady) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2563EB" />
+      </View>
+    );
+  }
+
   return (
     <ConnectionContext.Provider value={connectionContextValue}>
     <AuthProvider>
@@ -121,6 +188,42 @@ export default function App() {
                   headerLeft: () => null
                 }}
               />
+              <Stack.Screen 
+                name="Catalogue" 
+                component={CatalogueScreen} 
+                options={{ 
+                  title: "Price Book",
+                  headerStyle: {
+                    backgroundColor: '#2563EB',
+                  },
+                  headerTintColor: '#fff',
+                  headerShown: true
+                }}
+              />
+              <Stack.Screen 
+                name="ClientDetail" 
+                component={ClientDetailScreen} 
+                options={{ 
+                  title: "Client",
+                  headerStyle: {
+                    backgroundColor: '#2563EB',
+                  },
+                  headerTintColor: '#fff',
+                  headerShown: true
+                }}
+              />
+              <Stack.Screen 
+                name="SyncConflicts" 
+                component={SyncConflictsScreen} 
+                options={{ 
+                  title: "Sync Conflicts",
+                  headerStyle: {
+                    backgroundColor: '#2563EB',
+                  },
+                  headerTintColor: '#fff',
+                  headerShown: true
+                }}
+              />
             </Stack.Navigator>
           </NavigationContainer>
         </SafeAreaProvider>
@@ -134,5 +237,36 @@ const styles = StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: '#F9FAFB', // gray-50
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#F9FAFB', // gray-50
+    padding: 24,
+  },
+  errorTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#111827', // gray-900
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#4B5563', // gray-600
+    textAlign: 'center',
+    marginBottom: 24,
+  },
+  retryButton: {
+    backgroundColor: '#2563EB', // blue-600
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    borderRadius: 8,
+  },
+  retryButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    fontSize: 16,
   }
 });
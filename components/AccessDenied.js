@@ -0,0 +1,37 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+
+const AccessDenied = ({ message }) => {
+  return (
+    <View style={styles.container}>
+      <MaterialIcons name="lock" size={40} color="#9CA3AF" />
+      <Text style={styles.title}>No Access</Text>
+      <Text style={styles.message}>{message}</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 32,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937', // gray-800
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  message: {
+    fontSize: 14,
+    color: '#6B7280', // gray-500
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+});
+
+export default AccessDenied;
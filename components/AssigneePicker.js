@@ -0,0 +1,54 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+
+const AssigneePicker = ({ members, value, onChange }) => {
+  const options = [{ id: null, name: 'Unassigned' }, ...members];
+
+  return (
+    <View style={styles.chips}>
+      {options.map(member => {
+        const isSelected = (value || null) === member.id;
+        return (
+          <TouchableOpacity
+            key={member.id || 'unassigned'}
+            style={[styles.chip, isSelected && styles.chipSelected]}
+            onPress={() => onChange(member.id)}
+          >
+            <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>
+              {member.name || member.email}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB', // gray-300
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipSelected: {
+    backgroundColor: '#3B82F6', // blue-500
+    borderColor: '#3B82F6', // blue-500
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#4B5563', // gray-600
+  },
+  chipTextSelected: {
+    color: 'white',
+  },
+});
+
+export default AssigneePicker;
@@ -1,14 +1,33 @@
 import React from 'react';
 import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
 import { MaterialIcons } from '@expo/vector-icons';
+import { useAuth } from '../utils/AuthContext';
+import { PERMISSIONS } from '../utils/team';
+
+// Tabs in the bar; tabs with a permission are hidden from users without it
+export const NAV_TABS = [
+  { id: 'dashboard', label: 'Dashboard', icon: 'dashboard' },
+  { id: 'calendar', label: 'Calendar', icon: 'event' },
+  { id: 'report', label: 'Report', icon: 'bar-chart', permission: PERMISSIONS.REPORTS },
+  { id: 'clients', label: 'Clients', icon: 'contacts' },
+  { id: 'team', label: 'Team', icon: 'group', permission: PERMISSIONS.TEAM },
+  { id: 'settings', label: 'Settings', icon: 'settings' }
+];
+
+/**
+ * Checks whether the signed-in user may open a tab
+ * @param {string} tabId - The tab's id
+ * @param {Object} permissions - Permissions from the auth context
+ * @returns {boolean} - True if the tab is shown
+ */
+export const canOpenTab = (tabId, permissions) => {
+  const tab = NAV_TABS.find(item => item.id === tabId);
+  return !!tab && (!tab.permission || !!permissions[tab.permission]);
+};
 
 const BottomNavBar = ({ activeTab, onTabChange }) => {
-  const tabs = [
-    { id: 'dashboard', label: 'Dashboard', icon: 'dashboard' },
-    { id: 'report', label: 'Report', icon: 'bar-chart' },
-    { id: 'team', label: 'Team', icon: 'group' },
-    { id: 'settings', label: 'Settings', icon: 'settings' }
-  ];
+  const { permissions } = useAuth();
+  const tabs = NAV_TABS.filter(tab => canOpenTab(tab.id, permissions));
 
   return (
     <View style={styles.container}>
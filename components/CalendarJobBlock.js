@@ -0,0 +1,116 @@
+import React, { useRef } from 'react';
+import { Text, Animated, PanResponder, StyleSheet } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { formatTime, getJobStart, getJobEnd } from '../utils/schedule';
+
+// Movement under this many pixels counts as a tap rather than a drag
+const TAP_DISTANCE = 6;
+
+const CalendarJobBlock = ({
+  job,
+  assigneeName,
+  style,
+  dayWidth,
+  slotHeight,
+  isDoubleBooked,
+  onPress,
+  onMove,
+  onDragStart,
+  onDragEnd
+}) => {
+  const offset = useRef(new Animated.ValueXY()).current;
+
+  // The responder is created once, so it reads the latest props from here
+  const latest = useRef({});
+  latest.current = { job, dayWidth, slotHeight, onPress, onMove, onDragStart, onDragEnd };
+
+  const resetDrag = () => {
+    offset.setValue({ x: 0, y: 0 });
+    latest.current.onDragEnd();
+  };
+
+  const panResponder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: () => latest.current.onDragStart(),
+    onPanResponderMove: Animated.event(
+      [null, { dx: offset.x, dy: offset.y }],
+      { useNativeDriver: false }
+    ),
+    onPanResponderRelease: (event, { dx, dy }) => {
+      resetDrag();
+      const current = latest.current;
+
+      if (Math.abs(dx) < TAP_DISTANCE && Math.abs(dy) < TAP_DISTANCE) {
+        current.onPress(current.job);
+        return;
+      }
+
+      // Snap to whole days across and whole slots down
+      const days = current.dayWidth ? Math.round(dx / current.dayWidth) : 0;
+      const slots = Math.round(dy / current.slotHeight);
+      if (days !== 0 || slots !== 0) {
+        current.onMove(current.job, days, slots);
+      }
+    },
+    onPanResponderTerminate: resetDrag,
+  })).current;
+
+  return (
+    <Animated.View
+      {...panResponder.panHandlers}
+      style={[
+        styles.block,
+        isDoubleBooked && styles.doubleBookedBlock,
+        style,
+        { transform: offset.getTranslateTransform() }
+      ]}
+    >
+      {isDoubleBooked && (
+        <MaterialIcons name="warning" size={12} color="#DC2626" style={styles.warningIcon} />
+      )}
+      <Text style={styles.customerName} numberOfLines={1}>{job.customerName}</Text>
+      <Text style={styles.time} numberOfLines={1}>
+        {formatTime(getJobStart(job))}–{formatTime(getJobEnd(job))}
+      </Text>
+      {job.service ? <Text style={styles.service} numberOfLines={1}>{job.service}</Text> : null}
+      {assigneeName ? <Text style={styles.service} numberOfLines={1}>{assigneeName}</Text> : null}
+    </Animated.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  block: {
+    position: 'absolute',
+    backgroundColor: '#DBEAFE', // blue-100
+    borderLeftWidth: 3,
+    borderLeftColor: '#3B82F6', // blue-500
+    borderRadius: 4,
+    padding: 4,
+    overflow: 'hidden',
+  },
+  doubleBookedBlock: {
+    backgroundColor: '#FEE2E2', // red-100
+    borderLeftColor: '#DC2626', // red-600
+  },
+  warningIcon: {
+    position: 'absolute',
+    top: 2,
+    right: 2,
+  },
+  customerName: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#1F2937', // gray-800
+  },
+  time: {
+    fontSize: 11,
+    color: '#4B5563', // gray-600
+  },
+  service: {
+    fontSize: 11,
+    color: '#6B7280', // gray-500
+  },
+});
+
+export default CalendarJobBlock;
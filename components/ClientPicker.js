@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, Modal, ScrollView, StyleSheet } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { formatContact, getContactFor, CONTACT_PURPOSES } from '../utils/contacts';
+import { loadClients, searchClients } from '../utils/clients';
+
+const ClientPicker = ({ visible, onSelectClient, onCancel }) => {
+  const [clients, setClients] = useState([]);
+  const [search, setSearch] = useState('');
+
+  // Reload the directory each time the picker opens
+  useEffect(() => {
+    if (!visible) return;
+
+    const loadItems = async () => {
+      try {
+        setClients(await loadClients());
+      } catch (error) {
+        console.error('Error loading clients:', error);
+      }
+    };
+
+    setSearch('');
+    loadItems();
+  }, [visible]);
+
+  const visibleClients = searchClients(clients, search);
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onCancel}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <Text style={styles.title}>Choose Client</Text>
+
+          <TextInput
+            style={styles.searchInput}
+            placeholder="Search by name or contact details"
+            value={search}
+            onChangeText={setSearch}
+          />
+
+          <ScrollView style={styles.clientList} keyboardShouldPersistTaps="handled">
+            {visibleClients.length === 0 ? (
+              <Text style={styles.emptyText}>
+                {clients.length === 0 ? 'No clients saved yet.' : 'No clients match your search.'}
+              </Text>
+            ) : (
+              visibleClients.map(client => (
+                <TouchableOpacity
+                  key={client.id}
+                  style={styles.option}
+                  onPress={() => onSelectClient(client)}
+                >
+                  <MaterialIcons name="person" size={20} color="#3B82F6" />
+                  <View style={styles.clientInfo}>
+                    <Text style={styles.optionText}>{client.name}</Text>
+                    <Text style={styles.clientDetails}>
+                      {formatContact(getContactFor(client, CONTACT_PURPOSES.SITE))}
+                    </Text>
+                  </View>
+                </TouchableOpacity>
+              ))
+            )}
+          </ScrollView>
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  container: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 20,
+    maxHeight: '80%',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937', // gray-800
+    marginBottom: 8,
+  },
+  searchInput: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB', // gray-300
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 15,
+    marginBottom: 8,
+  },
+  clientList: {
+    flexGrow: 0,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6B7280', // gray-500
+    paddingVertical: 10,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#F3F4F6', // gray-100
+  },
+  clientInfo: {
+    flex: 1,
+  },
+  optionText: {
+    fontSize: 15,
+    color: '#374151', // gray-700
+    marginLeft: 8,
+  },
+  clientDetails: {
+    fontSize: 12,
+    color: '#9CA3AF', // gray-400
+    marginLeft: 8,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+  cancelButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 6,
+    backgroundColor: '#F3F4F6', // gray-100
+  },
+  cancelButtonText: {
+    color: '#374151', // gray-700
+    fontWeight: '500',
+  },
+});
+
+export default ClientPicker;
@@ -0,0 +1,172 @@
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import {
+  createContact,
+  CONTACT_TYPES,
+  CONTACT_TYPE_LABELS,
+  CONTACT_PURPOSES,
+  CONTACT_PURPOSE_LABELS
+} from '../utils/contacts';
+
+// Contact types in the order a contact cycles through them
+const CONTACT_TYPE_CYCLE = [CONTACT_TYPES.MOBILE, CONTACT_TYPES.WHATSAPP, CONTACT_TYPES.EMAIL];
+
+// Icons shown for each contact type
+const CONTACT_TYPE_ICONS = {
+  [CONTACT_TYPES.MOBILE]: 'phone',
+  [CONTACT_TYPES.WHATSAPP]: 'chat',
+  [CONTACT_TYPES.EMAIL]: 'email'
+};
+
+const ContactsEditor = ({ contacts, onChange }) => {
+  // Update one field of a contact
+  const updateContact = (id, field, value) => {
+    onChange(contacts.map(contact =>
+      contact.id === id ? { ...contact, [field]: value } : contact
+    ));
+  };
+
+  // Move a contact on to the next type
+  const cycleType = (contact) => {
+    const nextIndex = (CONTACT_TYPE_CYCLE.indexOf(contact.type) + 1) % CONTACT_TYPE_CYCLE.length;
+    updateContact(contact.id, 'type', CONTACT_TYPE_CYCLE[nextIndex]);
+  };
+
+  // Switch a contact between site and billing
+  const togglePurpose = (contact) => {
+    updateContact(
+      contact.id,
+      'purpose',
+      contact.purpose === CONTACT_PURPOSES.BILLING ? CONTACT_PURPOSES.SITE : CONTACT_PURPOSES.BILLING
+    );
+  };
+
+  const removeContact = (id) => {
+    onChange(contacts.filter(contact => contact.id !== id));
+  };
+
+  // New contacts are billing contacts once there is a site contact
+  const addContact = () => {
+    const hasSiteContact = contacts.some(contact => contact.purpose === CONTACT_PURPOSES.SITE);
+    onChange([
+      ...contacts,
+      createContact(CONTACT_TYPES.EMAIL, hasSiteContact ? CONTACT_PURPOSES.BILLING : CONTACT_PURPOSES.SITE)
+    ]);
+  };
+
+  return (
+    <View>
+      {contacts.map(contact => (
+        <View key={contact.id} style={styles.contact}>
+          <View style={styles.contactHeader}>
+            <TouchableOpacity style={styles.badge} onPress={() => cycleType(contact)}>
+              <MaterialIcons name={CONTACT_TYPE_ICONS[contact.type]} size={14} color="#3B82F6" />
+              <Text style={styles.badgeText}>{CONTACT_TYPE_LABELS[contact.type]}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.badge, contact.purpose === CONTACT_PURPOSES.BILLING && styles.billingBadge]}
+              onPress={() => togglePurpose(contact)}
+            >
+              <Text style={[styles.badgeText, contact.purpose === CONTACT_PURPOSES.BILLING && styles.billingBadgeText]}>
+                {CONTACT_PURPOSE_LABELS[contact.purpose]}
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.removeButton} onPress={() => removeContact(contact.id)}>
+              <MaterialIcons name="close" size={20} color="#EF4444" />
+            </TouchableOpacity>
+          </View>
+          <TextInput
+            style={styles.input}
+            value={contact.value}
+            onChangeText={(value) => updateContact(contact.id, 'value', value)}
+            placeholder={contact.type === CONTACT_TYPES.EMAIL ? "Enter email address" : "Enter phone number"}
+            keyboardType={contact.type === CONTACT_TYPES.EMAIL ? "email-address" : "phone-pad"}
+            autoCapitalize="none"
+          />
+          <TextInput
+            style={[styles.input, styles.nameInput]}
+            value={contact.name}
+            onChangeText={(value) => updateContact(contact.id, 'name', value)}
+            placeholder="Contact person (optional)"
+          />
+        </View>
+      ))}
+
+      <TouchableOpacity style={styles.addButton} onPress={addContact}>
+        <MaterialIcons name="add" size={16} color="#3B82F6" />
+        <Text style={styles.addButtonText}>Add Contact</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  contact: {
+    borderWidth: 1,
+    borderColor: '#E5E7EB', // gray-200
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+  },
+  contactHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#EFF6FF', // blue-50
+    borderRadius: 12,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    marginRight: 8,
+  },
+  badgeText: {
+    color: '#3B82F6', // blue-500
+    fontSize: 12,
+    fontWeight: '500',
+    marginLeft: 2,
+  },
+  billingBadge: {
+    backgroundColor: '#FEF3C7', // amber-100
+  },
+  billingBadgeText: {
+    color: '#B45309', // amber-700
+  },
+  removeButton: {
+    marginLeft: 'auto',
+    padding: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB', // gray-300
+    borderRadius: 6,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#FFFFFF',
+  },
+  nameInput: {
+    marginTop: 8,
+    fontSize: 14,
+    padding: 10,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    borderWidth: 1,
+    borderColor: '#3B82F6', // blue-500
+    borderRadius: 6,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  addButtonText: {
+    color: '#3B82F6', // blue-500
+    fontWeight: '500',
+    marginLeft: 4,
+  },
+});
+
+export default ContactsEditor;
@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, Modal, StyleSheet } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { LOST_REASONS } from '../utils/quoteStore';
+
+const OTHER_REASON = 'Other';
+
+const LostReasonModal = ({ visible, title, confirmLabel, onConfirm, onCancel }) => {
+  const [selectedReason, setSelectedReason] = useState(null);
+  const [customReason, setCustomReason] = useState('');
+
+  // Start with a clean selection each time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setSelectedReason(null);
+      setCustomReason('');
+    }
+  }, [visible]);
+
+  const reason = selectedReason === OTHER_REASON ? customReason.trim() : selectedReason;
+
+  const handleConfirm = () => {
+    if (reason) {
+      onConfirm(reason);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onCancel}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <Text style={styles.title}>{title}</Text>
+          <Text style={styles.subtitle}>Why was this work lost?</Text>
+
+          {[...LOST_REASONS, OTHER_REASON].map(option => (
+            <TouchableOpacity
+              key={option}
+              style={styles.option}
+              onPress={() => setSelectedReason(option)}
+            >
+              <MaterialIcons
+                name={selectedReason === option ? 'radio-button-checked' : 'radio-button-unchecked'}
+                size={20}
+                color={selectedReason === option ? '#3B82F6' : '#9CA3AF'}
+              />
+              <Text style={styles.optionText}>{option}</Text>
+            </TouchableOpacity>
+          ))}
+
+          {selectedReason === OTHER_REASON && (
+            <TextInput
+              style={styles.input}
+              value={customReason}
+              onChangeText={setCustomReason}
+              placeholder="Enter the reason"
+              autoFocus
+            />
+          )}
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onCancel}>
+              <Text style={styles.cancelButtonText}>Back</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.confirmButton, !reason && styles.disabledButton]}
+              onPress={handleConfirm}
+              disabled={!reason}
+            >
+              <Text style={styles.confirmButtonText}>{confirmLabel}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  container: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937', // gray-800
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6B7280', // gray-500
+    marginBottom: 12,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  optionText: {
+    fontSize: 15,
+    color: '#374151', // gray-700
+    marginLeft: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB', // gray-300
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 15,
+    marginTop: 8,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 20,
+    gap: 8,
+  },
+  button: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 6,
+  },
+  cancelButton: {
+    backgroundColor: '#F3F4F6', // gray-100
+  },
+  cancelButtonText: {
+    color: '#374151', // gray-700
+    fontWeight: '500',
+  },
+  confirmButton: {
+    backgroundColor: '#EF4444', // red-500
+  },
+  confirmButtonText: {
+    color: 'white',
+    fontWeight: '500',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+});
+
+export default LostReasonModal;
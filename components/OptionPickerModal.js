@@ -0,0 +1,117 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, Modal, ScrollView, StyleSheet } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { calculateOptionTotals, getQuoteOptions, formatCents } from '../utils/pricing';
+
+const OptionPickerModal = ({ visible, quote, onSelectOption, onCancel }) => {
+  const options = quote ? getQuoteOptions(quote) : [];
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onCancel}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <Text style={styles.title}>Accept Quote</Text>
+          <Text style={styles.subtitle}>Which option did the client choose?</Text>
+
+          <ScrollView style={styles.optionList}>
+            {options.map(option => {
+              const { total, depositAmount } = calculateOptionTotals(quote, option);
+              return (
+                <TouchableOpacity
+                  key={option.id}
+                  style={styles.option}
+                  onPress={() => onSelectOption(option)}
+                >
+                  <MaterialIcons name="check-circle-outline" size={20} color="#3B82F6" />
+                  <View style={styles.optionInfo}>
+                    <Text style={styles.optionText}>{option.name}</Text>
+                    <Text style={styles.optionDetails}>
+                      R{formatCents(total)} · Deposit R{formatCents(depositAmount)}
+                    </Text>
+                  </View>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  container: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 20,
+    maxHeight: '80%',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937', // gray-800
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6B7280', // gray-500
+    marginBottom: 8,
+  },
+  optionList: {
+    flexGrow: 0,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#F3F4F6', // gray-100
+  },
+  optionInfo: {
+    flex: 1,
+  },
+  optionText: {
+    fontSize: 15,
+    color: '#374151', // gray-700
+    marginLeft: 8,
+  },
+  optionDetails: {
+    fontSize: 12,
+    color: '#9CA3AF', // gray-400
+    marginLeft: 8,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+  cancelButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 6,
+    backgroundColor: '#F3F4F6', // gray-100
+  },
+  cancelButtonText: {
+    color: '#374151', // gray-700
+    fontWeight: '500',
+  },
+});
+
+export default OptionPickerModal;
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, Image, StyleSheet, Alert, ActivityIndicator } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { pickQuotePhotos } from '../utils/photos';
+
+const PhotoAttachments = ({ photos, onChange }) => {
+  const [isAdding, setIsAdding] = useState(false);
+
+  // Choose photos from the camera roll and attach them
+  const addPhotos = async () => {
+    setIsAdding(true);
+    try {
+      const newPhotos = await pickQuotePhotos();
+      if (newPhotos.length > 0) {
+        onChange([...photos, ...newPhotos]);
+      }
+    } catch (error) {
+      console.error('Error adding photos:', error);
+      Alert.alert("Photos", error.message, [{ text: "OK" }]);
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  const updateCaption = (id, caption) => {
+    onChange(photos.map(photo =>
+      photo.id === id ? { ...photo, caption } : photo
+    ));
+  };
+
+  // The file is deleted once the quote is saved without it, unless a sent
+  // revision still shows it
+  const removePhoto = (id) => {
+    onChange(photos.filter(photo => photo.id !== id));
+  };
+
+  return (
+    <View>
+      {photos.map(photo => (
+        <View key={photo.id} style={styles.photo}>
+          <Image source={{ uri: photo.uri }} style={styles.thumbnail} />
+          <TextInput
+            style={styles.captionInput}
+            value={photo.caption}
+            onChangeText={(caption) => updateCaption(photo.id, caption)}
+            placeholder="Caption, e.g. Leak under the sink"
+            multiline
+          />
+          <TouchableOpacity style={styles.removeButton} onPress={() => removePhoto(photo.id)}>
+            <MaterialIcons name="close" size={20} color="#EF4444" />
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      <TouchableOpacity style={styles.addButton} onPress={addPhotos} disabled={isAdding}>
+        {isAdding ? (
+          <ActivityIndicator size="small" color="#3B82F6" />
+        ) : (
+          <MaterialIcons name="add-a-photo" size={16} color="#3B82F6" />
+        )}
+        <Text style={styles.addButtonText}>{isAdding ? 'Adding Photos...' : 'Add Photos'}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  photo: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    borderWidth: 1,
+    borderColor: '#E5E7EB', // gray-200
+    borderRadius: 8,
+    padding: 8,
+    marginBottom: 12,
+  },
+  thumbnail: {
+    width: 72,
+    height: 72,
+    borderRadius: 6,
+    backgroundColor: '#F3F4F6', // gray-100
+  },
+  captionInput: {
+    flex: 1,
+    minHeight: 72,
+    borderWidth: 1,
+    borderColor: '#D1D5DB', // gray-300
+    borderRadius: 6,
+    padding: 8,
+    marginLeft: 8,
+    fontSize: 14,
+    textAlignVertical: 'top',
+  },
+  removeButton: {
+    padding: 4,
+    marginLeft: 4,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    borderWidth: 1,
+    borderColor: '#3B82F6', // blue-500
+    borderRadius: 6,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  addButtonText: {
+    color: '#3B82F6', // blue-500
+    fontWeight: '500',
+    marginLeft: 4,
+  },
+});
+
+export default PhotoAttachments;
@@ -1,17 +1,36 @@
 import React, { useState } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
 import { MaterialIcons } from '@expo/vector-icons';
+import {
+  calculateQuoteTotals,
+  calculateOptionTotals,
+  getQuoteOptions,
+  getSelectedOption,
+  formatCents,
+  toCents
+} from '../utils/pricing';
+import { compareRevisions } from '../utils/revisions';
+import { formatContact, getContactFor, CONTACT_PURPOSES } from '../utils/contacts';
+import { getQuoteSite, getSiteLabel } from '../utils/sites';
+import { describeBooking } from '../utils/schedule';
 
 const QuoteCard = ({ 
   quote, 
   tabType, 
+  assigneeName,
   onDelete, 
   onEdit, 
   onResend, 
+  onRevise,
   onDownloadPDF,
+  onDownloadRevision,
   onAccept, 
+  onDecline,
+  onCancel,
   onDepositPaid,
   onWorkComplete,
+  onBookJob,
+  onDownloadJobCard,
   onFinalPayment,
   onDownloadInvoice
 }) => {
@@ -22,14 +41,24 @@ const QuoteCard = ({
     
     if (action === 'Resend Quote' && onResend) {
       onResend(quote.id);
+    } else if (action === 'Revise Quote' && onRevise) {
+      onRevise(quote.id);
     } else if (action === 'Download PDF' && onDownloadPDF) {
       onDownloadPDF(quote.id);
     } else if (action === 'Accept Quote' && onAccept) {
       onAccept(quote.id);
+    } else if (action === 'Decline Quote' && onDecline) {
+      onDecline(quote.id);
+    } else if (action === 'Cancel Quote' && onCancel) {
+      onCancel(quote.id);
     } else if (action === 'Mark Deposit Paid' && onDepositPaid) {
       onDepositPaid(quote.id);
     } else if (action === 'Mark Work Complete' && onWorkComplete) {
       onWorkComplete(quote.id);
+    } else if (action === 'Book Job' && onBookJob) {
+      onBookJob(quote.id);
+    } else if (action === 'Download Job Card' && onDownloadJobCard) {
+      onDownloadJobCard(quote.id);
     } else if (action === 'Mark Payment Received' && onFinalPayment) {
       onFinalPayment(quote.id);
     } else if (action === 'Download Invoice' && onDownloadInvoice) {
@@ -56,14 +85,9 @@ const QuoteCard = ({
     setShowHistory(!showHistory);
   };
 
-  // Get contact info display text
+  // Get contact info display text. Sent and accepted quotes are followed up with the site contact
   const getContactInfo = () => {
-    if (quote.contactType === 'email' && quote.email) {
-      return `Email: ${quote.email}`;
-    } else if (quote.contactType === 'phone' && quote.phoneNumber) {
-      return `Phone: ${quote.phoneNumber}`;
-    }
-    return '';
+    return formatContact(getContactFor(quote, CONTACT_PURPOSES.SITE));
   };
 
   // Get latest activity status with date
@@ -154,6 +178,20 @@ const QuoteCard = ({
       }
     }
 
+    // Lost outcomes - show when the quote was closed
+    if (['Declined', 'Expired', 'Cancelled'].includes(tabType) && quote.lostDate) {
+      return (
+        <TouchableOpacity onPress={toggleHistory} style={styles.activityContainer}>
+          <Text style={styles.date}>{tabType}: {quote.lostDate}</Text>
+          <MaterialIcons 
+            name={showHistory ? "keyboard-arrow-up" : "keyboard-arrow-down"} 
+            size={16} 
+            color="#6B7280" 
+          />
+        </TouchableOpacity>
+      );
+    }
+
     // Draft section or fallback - just show the date if available
     if (quote.date) {
       return <Text style={styles.date}>{quote.date}</Text>;
@@ -162,6 +200,12 @@ const QuoteCard = ({
     return null;
   };
 
+  // Get who moved the quote into a status, from its status history
+  const getTransitionActor = (status) => {
+    const entry = (quote.statusHistory || []).filter(item => item.to === status).pop();
+    return entry && entry.by && entry.by.email ? ` (${entry.by.email})` : '';
+  };
+
   // Render timeline dates section (expanded history)
   const renderTimelineDates = () => {
     if (!showHistory || !quote.date) return null;
@@ -204,6 +248,11 @@ const QuoteCard = ({
       allDates.push({ type: 'finalPayment', date: quote.finalPaymentDate });
     }
     
+    // Declined, expired or cancelled date
+    if (quote.lostDate) {
+      allDates.push({ type: 'lost', date: quote.lostDate });
+    }
+    
     // Sort by date (newest first)
     allDates.sort((a, b) => new Date(b.date) - new Date(a.date));
     
@@ -217,7 +266,7 @@ const QuoteCard = ({
       switch (item.type) {
         case 'sent':
           elements.push(
-            <Text key="sent" style={styles.historyDate}>Sent: {item.date}</Text>
+            <Text key="sent" style={styles.historyDate}>Sent: {item.date}{getTransitionActor('Sent')}</Text>
           );
           break;
         case 'resent':
@@ -230,21 +279,21 @@ const QuoteCard = ({
         case 'accepted':
           elements.push(
             <Text key="accepted" style={styles.historyDate}>
-              Accepted: {item.date}
+              Accepted: {item.date}{getTransitionActor('Accepted')}
             </Text>
           );
           break;
         case 'deposit':
           elements.push(
             <Text key="deposit" style={styles.historyDate}>
-              Deposit: {item.date}
+              Deposit: {item.date}{getTransitionActor('Scheduled Work')}
             </Text>
           );
           break;
         case 'completed':
           elements.push(
             <Text key="completed" style={styles.historyDate}>
-              Work Complete: {item.date}
+              Work Complete: {item.date}{getTransitionActor('Complete')}
             </Text>
           );
           break;
@@ -255,6 +304,13 @@ const QuoteCard = ({
             </Text>
           );
           break;
+        case 'lost':
+          elements.push(
+            <Text key="lost" style={styles.historyDate}>
+              {quote.status}: {item.date}{getTransitionActor(quote.status)}
+            </Text>
+          );
+          break;
       }
     });
     
@@ -265,17 +321,116 @@ const QuoteCard = ({
     );
   };
 
+  // Describe a line item for the revision history
+  const describeLineItem = (item) => {
+    return `${item.description || 'Item'}: ${item.quantity} × R${formatCents(toCents(item.price))}`;
+  };
+
+  // Name the option a changed line item belongs to, if the quote has options
+  const describeOption = (change) => change.option ? `${change.option}: ` : '';
+
+  // Render each sent revision with what changed since the one before it
+  const renderRevisionHistory = () => {
+    const revisions = quote.revisions || [];
+    if (!showHistory || revisions.length === 0) return null;
+
+    return (
+      <View style={styles.historyContainer}>
+        {[...revisions].reverse().map(revision => {
+          const previous = revisions.find(item => item.version === revision.version - 1);
+          const changes = previous ? compareRevisions(previous.snapshot, revision.snapshot) : null;
+          const sentBy = revision.sentBy && revision.sentBy.email ? ` (${revision.sentBy.email})` : '';
+
+          return (
+            <View key={revision.version} style={styles.revisionContainer}>
+              <View style={styles.revisionHeader}>
+                <Text style={styles.revisionTitle}>
+                  v{revision.version} sent {revision.sentAt.split('T')[0]}{sentBy}
+                </Text>
+                {onDownloadRevision && (
+                  <TouchableOpacity onPress={() => onDownloadRevision(quote.id, revision.version)}>
+                    <Text style={styles.revisionLinkText}>PDF</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+              {changes && changes.lineItems.map((item, index) => (
+                <Text key={`item-${index}`} style={styles.historyDate}>
+                  {describeOption(item)}
+                  {item.change === 'added' && `+ ${describeLineItem(item.after)}`}
+                  {item.change === 'removed' && `− ${describeLineItem(item.before)}`}
+                  {item.change === 'changed' && `${describeLineItem(item.before)} → ${describeLineItem(item.after)}`}
+                </Text>
+              ))}
+              {changes && changes.totals.map(item => (
+                <Text key={item.label} style={styles.historyDate}>
+                  {item.label}: R{formatCents(item.before)} → R{formatCents(item.after)}
+                </Text>
+              ))}
+              {changes && changes.lineItems.length === 0 && changes.totals.length === 0 && (
+                <Text style={styles.historyDate}>No changes from v{previous.version}</Text>
+              )}
+            </View>
+          );
+        })}
+      </View>
+    );
+  };
+
+  // Show the quote, invoice and credit note numbers issued for this job
+  const renderDocumentNumbers = () => {
+    const numbers = [
+      quote.quoteNumber,
+      quote.invoiceNumber || (quote.invoiceNumberPending && 'Invoice not yet numbered'),
+      quote.creditNoteNumber || (quote.creditNoteNumberPending && 'Credit note not yet numbered')
+    ].filter(Boolean);
+    if (numbers.length === 0) return null;
+
+    return (
+      <Text style={styles.documentNumbers}>{numbers.join(' · ')}</Text>
+    );
+  };
+
+  // Show the option the client chose, or how many options are on offer
+  const renderOptionSummary = () => {
+    const options = getQuoteOptions(quote);
+    if (options.length === 0) return null;
+
+    return (
+      <Text style={styles.documentNumbers}>
+        {quote.selectedOptionId
+          ? `Option: ${getSelectedOption(quote).name}`
+          : `${options.length} options`}
+      </Text>
+    );
+  };
+
+  // Until an option is chosen, show the lowest option total as a starting price
+  const getAmountText = () => {
+    const options = getQuoteOptions(quote);
+    if (options.length > 1 && !quote.selectedOptionId) {
+      const lowestTotal = Math.min(...options.map(option => calculateOptionTotals(quote, option).total));
+      return `From R${formatCents(lowestTotal)}`;
+    }
+    return `R${formatCents(calculateQuoteTotals(quote).total)}`;
+  };
+
   return (
     <View style={styles.container}>
       <View style={styles.header}>
         <View style={styles.headerInfo}>
           <Text style={styles.customerName}>{quote.customerName}</Text>
+          {renderDocumentNumbers()}
+          {assigneeName ? (
+            <Text style={styles.documentNumbers}>Assigned to {assigneeName}</Text>
+          ) : null}
+          {renderOptionSummary()}
           {getLatestActivity()}
           {renderTimelineDates()}
+          {renderRevisionHistory()}
         </View>
         <View style={styles.amountContainer}>
           <Text style={styles.amount}>
-            R{quote.amount.toFixed(2)}
+            {getAmountText()}
           </Text>
         </View>
       </View>
@@ -316,6 +471,16 @@ const QuoteCard = ({
             {getContactInfo() ? (
               <Text style={styles.contactInfo}>{getContactInfo()}</Text>
             ) : null}
+            {quote.validUntil ? (
+              <Text style={styles.contactInfo}>Valid until: {quote.validUntil}</Text>
+            ) : null}
+            {onRevise && (
+              <TouchableOpacity onPress={() => handleButtonPress('Revise Quote')}>
+                <Text style={styles.reviseLinkText}>
+                  Revise quote{quote.revision ? ` (currently v${quote.revision})` : ''}
+                </Text>
+              </TouchableOpacity>
+            )}
           </View>
           <View style={styles.verticalButtonContainer}>
             <TouchableOpacity
@@ -337,6 +502,12 @@ const QuoteCard = ({
             >
               <Text style={styles.acceptButtonText}>Accept</Text>
             </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => handleButtonPress('Decline Quote')}
+              style={[styles.deleteButton, styles.fullWidthButton]}
+            >
+              <Text style={styles.deleteButtonText}>Decline</Text>
+            </TouchableOpacity>
           </View>
         </View>
       )}
@@ -353,6 +524,11 @@ const QuoteCard = ({
             {getContactInfo() ? (
               <Text style={styles.contactInfo}>{getContactInfo()}</Text>
             ) : null}
+            {onCancel && (
+              <TouchableOpacity onPress={() => handleButtonPress('Cancel Quote')}>
+                <Text style={styles.cancelLinkText}>Cancel job</Text>
+              </TouchableOpacity>
+            )}
           </View>
           <TouchableOpacity
             onPress={() => handleButtonPress('Mark Deposit Paid')}
@@ -366,12 +542,30 @@ const QuoteCard = ({
       {tabType === 'Scheduled Work' && (
         <View style={styles.serviceContainer}>
           <View style={styles.serviceInfo}>
-            <Text style={styles.statusText}>
-              Deposit paid, work scheduled
+            <Text style={quote.scheduledStart ? styles.statusText : styles.unpaidStatusText}>
+              {quote.scheduledStart ? describeBooking(quote) : 'Deposit paid, not booked yet'}
             </Text>
             <Text style={styles.serviceText}>
               {quote.service}
             </Text>
+            {getQuoteSite(quote) ? (
+              <Text style={styles.contactInfo}>Site: {getSiteLabel(getQuoteSite(quote))}</Text>
+            ) : null}
+            {onBookJob && (
+              <TouchableOpacity onPress={() => handleButtonPress('Book Job')}>
+                <Text style={styles.reviseLinkText}>{quote.scheduledStart ? 'Reschedule' : 'Book job'}</Text>
+              </TouchableOpacity>
+            )}
+            {onDownloadJobCard && (
+              <TouchableOpacity onPress={() => handleButtonPress('Download Job Card')}>
+                <Text style={styles.reviseLinkText}>Job card</Text>
+              </TouchableOpacity>
+            )}
+            {onCancel && (
+              <TouchableOpacity onPress={() => handleButtonPress('Cancel Quote')}>
+                <Text style={styles.cancelLinkText}>Cancel job</Text>
+              </TouchableOpacity>
+            )}
           </View>
           <TouchableOpacity
             onPress={() => handleButtonPress('Mark Work Complete')}
@@ -411,6 +605,22 @@ const QuoteCard = ({
           )}
         </View>
       )}
+      
+      {['Declined', 'Expired', 'Cancelled'].includes(tabType) && (
+        <View style={styles.serviceContainer}>
+          <View style={styles.serviceInfo}>
+            <Text style={styles.unpaidStatusText}>
+              {tabType}
+            </Text>
+            <Text style={styles.serviceText}>
+              {quote.service}
+            </Text>
+            {quote.lostReason ? (
+              <Text style={styles.contactInfo}>Reason: {quote.lostReason}</Text>
+            ) : null}
+          </View>
+        </View>
+      )}
     </View>
   );
 };
@@ -445,6 +655,11 @@ const styles = StyleSheet.create({
     color: '#1F2937', // gray-800
     marginBottom: 2,
   },
+  documentNumbers: {
+    fontSize: 12,
+    color: '#6B7280', // gray-500
+    marginBottom: 2,
+  },
   activityContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -600,12 +815,42 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     fontWeight: '500',
   },
+  cancelLinkText: {
+    fontSize: 12,
+    color: '#EF4444', // red-500
+    fontWeight: '500',
+    marginTop: 4,
+  },
+  reviseLinkText: {
+    fontSize: 12,
+    color: '#3B82F6', // blue-500
+    fontWeight: '500',
+    marginTop: 4,
+  },
+  revisionContainer: {
+    marginBottom: 4,
+  },
+  revisionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  revisionTitle: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: '#6B7280', // gray-500
+    marginRight: 8,
+  },
+  revisionLinkText: {
+    fontSize: 12,
+    color: '#3B82F6', // blue-500
+    fontWeight: '500',
+  },
   buttonIcon: {
     marginRight: 4,
   },
   sentServiceContainer: {
     alignItems: 'flex-start',
-    minHeight: 130, // Provide enough space for the buttons
+    minHeight: 170, // Provide enough space for the buttons
   },
 });
 
@@ -0,0 +1,252 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, Modal, StyleSheet, Alert } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import AssigneePicker from './AssigneePicker';
+import {
+  DEFAULT_JOB_DURATION,
+  parseBooking,
+  findConflicts,
+  describeBooking,
+  getJobStart,
+  toDateKey,
+  formatTime
+} from '../utils/schedule';
+
+const ScheduleJobModal = ({ visible, quote, quotes, members = [], onConfirm, onSkip, onCancel }) => {
+  const [date, setDate] = useState('');
+  const [time, setTime] = useState('');
+  const [hours, setHours] = useState('');
+  const [assignedTo, setAssignedTo] = useState(null);
+
+  // Start from the job's current booking, or 08:00 tomorrow for a new one
+  useEffect(() => {
+    if (visible && quote) {
+      const start = getJobStart(quote) || new Date(
+        new Date().getFullYear(), new Date().getMonth(), new Date().getDate() + 1, 8
+      );
+      setDate(toDateKey(start));
+      setTime(formatTime(start));
+      setHours(`${(quote.estimatedDuration || DEFAULT_JOB_DURATION) / 60}`);
+      setAssignedTo(quote.assignedTo || null);
+    }
+  }, [visible, quote]);
+
+  // Read the entered booking, including who the job is assigned to
+  const getBooking = () => ({ ...parseBooking(date, time, hours), assignedTo });
+
+  // Jobs the same person is already booked for at the entered time, if it is valid yet
+  let conflicts = [];
+  try {
+    conflicts = quote ? findConflicts(quotes, getBooking(), quote.id) : [];
+  } catch (error) {
+    conflicts = [];
+  }
+
+  const handleConfirm = () => {
+    let booking;
+    try {
+      booking = getBooking();
+    } catch (error) {
+      Alert.alert("Book Job", error.message, [{ text: "OK" }]);
+      return;
+    }
+
+    if (conflicts.length > 0) {
+      Alert.alert(
+        "Double Booking",
+        `This job overlaps ${conflicts.length === 1 ? 'another booked job' : `${conflicts.length} booked jobs`}. Book it anyway?`,
+        [
+          { text: "Cancel", style: "cancel" },
+          { text: "Book Anyway", onPress: () => onConfirm(booking) }
+        ]
+      );
+      return;
+    }
+
+    onConfirm(booking);
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onCancel}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <Text style={styles.title}>Book Job</Text>
+          {quote ? (
+            <Text style={styles.subtitle}>{quote.customerName}{quote.service ? ` - ${quote.service}` : ''}</Text>
+          ) : null}
+
+          <View style={styles.row}>
+            <View style={styles.dateField}>
+              <Text style={styles.label}>Date</Text>
+              <TextInput
+                style={styles.input}
+                value={date}
+                onChangeText={setDate}
+                placeholder="YYYY-MM-DD"
+              />
+            </View>
+            <View style={styles.field}>
+              <Text style={styles.label}>Start</Text>
+              <TextInput
+                style={styles.input}
+                value={time}
+                onChangeText={setTime}
+                placeholder="08:00"
+              />
+            </View>
+            <View style={styles.field}>
+              <Text style={styles.label}>Hours</Text>
+              <TextInput
+                style={styles.input}
+                value={hours}
+                onChangeText={setHours}
+                placeholder="2"
+                keyboardType="decimal-pad"
+              />
+            </View>
+          </View>
+
+          {members.length > 0 && (
+            <View style={styles.assignee}>
+              <Text style={styles.label}>Assigned To</Text>
+              <AssigneePicker members={members} value={assignedTo} onChange={setAssignedTo} />
+            </View>
+          )}
+
+          {conflicts.length > 0 && (
+            <View style={styles.warning}>
+              <MaterialIcons name="warning" size={16} color="#B45309" />
+              <View style={styles.warningContent}>
+                <Text style={styles.warningTitle}>Double booking</Text>
+                {conflicts.map(job => (
+                  <Text key={job.id} style={styles.warningText}>
+                    {job.customerName}: {describeBooking(job)}
+                  </Text>
+                ))}
+              </View>
+            </View>
+          )}
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onCancel}>
+              <Text style={styles.cancelButtonText}>Back</Text>
+            </TouchableOpacity>
+            {onSkip && (
+              <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onSkip}>
+                <Text style={styles.cancelButtonText}>Book Later</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={[styles.button, styles.confirmButton]} onPress={handleConfirm}>
+              <Text style={styles.confirmButtonText}>Book</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  container: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937', // gray-800
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6B7280', // gray-500
+    marginBottom: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  dateField: {
+    flex: 2,
+  },
+  field: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: '#374151', // gray-700
+    marginBottom: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB', // gray-300
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 15,
+  },
+  assignee: {
+    marginTop: 12,
+  },
+  warning: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#FEF3C7', // amber-100
+    borderRadius: 6,
+    padding: 10,
+    marginTop: 12,
+  },
+  warningContent: {
+    flex: 1,
+    marginLeft: 6,
+  },
+  warningTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#B45309', // amber-700
+    marginBottom: 2,
+  },
+  warningText: {
+    fontSize: 13,
+    color: '#92400E', // amber-800
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 20,
+    gap: 8,
+  },
+  button: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 6,
+  },
+  cancelButton: {
+    backgroundColor: '#F3F4F6', // gray-100
+  },
+  cancelButtonText: {
+    color: '#374151', // gray-700
+    fontWeight: '500',
+  },
+  confirmButton: {
+    backgroundColor: '#10B981', // green-500
+  },
+  confirmButtonText: {
+    color: 'white',
+    fontWeight: '500',
+  },
+});
+
+export default ScheduleJobModal;
@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, TextInput, TouchableOpacity, Modal, StyleSheet, Alert } from 'react-native';
+import { WebView } from 'react-native-webview';
+import { createSignature } from '../utils/signatures';
+
+// Signature pad page hosted in the WebView. It posts the drawing back as a PNG
+// data URI when asked, or an empty string if nothing was drawn.
+const SIGNATURE_PAD_HTML = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta name="viewport" content="width=device-width, initial-scale=1, maximum-scale=1, user-scalable=no">
+  <style>
+    html, body { margin: 0; height: 100%; overflow: hidden; background: #fff; }
+    canvas { width: 100%; height: 100%; touch-action: none; }
+  </style>
+</head>
+<body>
+  <canvas id="pad"></canvas>
+  <script>
+    var canvas = document.getElementById('pad');
+    var context = canvas.getContext('2d');
+    var drawing = false;
+    var isEmpty = true;
+
+    function resize() {
+      var ratio = window.devicePixelRatio || 1;
+      canvas.width = canvas.offsetWidth * ratio;
+      canvas.height = canvas.offsetHeight * ratio;
+      context.scale(ratio, ratio);
+      context.lineWidth = 2;
+      context.lineCap = 'round';
+      context.lineJoin = 'round';
+      context.strokeStyle = '#111827';
+    }
+
+    function point(event) {
+      var rect = canvas.getBoundingClientRect();
+      return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    canvas.addEventListener('pointerdown', function (event) {
+      drawing = true;
+      var p = point(event);
+      context.beginPath();
+      context.moveTo(p.x, p.y);
+    });
+    canvas.addEventListener('pointermove', function (event) {
+      if (!drawing) return;
+      var p = point(event);
+      context.lineTo(p.x, p.y);
+      context.stroke();
+      isEmpty = false;
+    });
+    canvas.addEventListener('pointerup', function () { drawing = false; });
+    canvas.addEventListener('pointerleave', function () { drawing = false; });
+
+    window.clearSignature = function () {
+      context.clearRect(0, 0, canvas.width, canvas.height);
+      isEmpty = true;
+    };
+    window.sendSignature = function () {
+      window.ReactNativeWebView.postMessage(isEmpty ? '' : canvas.toDataURL('image/png'));
+    };
+
+    resize();
+  </script>
+</body>
+</html>
+`;
+
+const SignatureModal = ({ visible, title, subtitle, defaultName, onConfirm, onSkip, onCancel }) => {
+  const [name, setName] = useState('');
+  const webViewRef = useRef(null);
+
+  // Start with the customer's name each time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setName(defaultName || '');
+    }
+  }, [visible, defaultName]);
+
+  // Ask the pad for the drawing; it answers through handleMessage
+  const handleConfirm = () => {
+    webViewRef.current?.injectJavaScript('window.sendSignature(); true;');
+  };
+
+  const handleMessage = (event) => {
+    try {
+      onConfirm(createSignature(name, event.nativeEvent.data));
+    } catch (error) {
+      Alert.alert("Signature", error.message, [{ text: "OK" }]);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onCancel}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <Text style={styles.title}>{title}</Text>
+          {subtitle ? <Text style={styles.subtitle}>{subtitle}</Text> : null}
+
+          <TextInput
+            style={styles.input}
+            value={name}
+            onChangeText={setName}
+            placeholder="Name of the person signing"
+          />
+
+          <View style={styles.pad}>
+            <WebView
+              ref={webViewRef}
+              originWhitelist={['*']}
+              source={{ html: SIGNATURE_PAD_HTML }}
+              onMessage={handleMessage}
+              scrollEnabled={false}
+              bounces={false}
+            />
+          </View>
+          <View style={styles.padFooter}>
+            <Text style={styles.padHint}>Sign above</Text>
+            <TouchableOpacity onPress={() => webViewRef.current?.injectJavaScript('window.clearSignature(); true;')}>
+              <Text style={styles.clearText}>Clear</Text>
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onCancel}>
+              <Text style={styles.cancelButtonText}>Back</Text>
+            </TouchableOpacity>
+            {onSkip && (
+              <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onSkip}>
+                <Text style={styles.cancelButtonText}>No Signature</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={[styles.button, styles.confirmButton]} onPress={handleConfirm}>
+              <Text style={styles.confirmButtonText}>Confirm</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  container: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937', // gray-800
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6B7280', // gray-500
+    marginBottom: 12,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB', // gray-300
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 15,
+    marginBottom: 12,
+  },
+  pad: {
+    height: 180,
+    borderWidth: 1,
+    borderColor: '#D1D5DB', // gray-300
+    borderRadius: 6,
+    overflow: 'hidden',
+  },
+  padFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 6,
+  },
+  padHint: {
+    fontSize: 12,
+    color: '#9CA3AF', // gray-400
+  },
+  clearText: {
+    fontSize: 14,
+    color: '#3B82F6', // blue-500
+    fontWeight: '500',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 20,
+    gap: 8,
+  },
+  button: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 6,
+  },
+  cancelButton: {
+    backgroundColor: '#F3F4F6', // gray-100
+  },
+  cancelButtonText: {
+    color: '#374151', // gray-700
+    fontWeight: '500',
+  },
+  confirmButton: {
+    backgroundColor: '#10B981', // green-500
+  },
+  confirmButtonText: {
+    color: 'white',
+    fontWeight: '500',
+  },
+});
+
+export default SignatureModal;
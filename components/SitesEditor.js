@@ -0,0 +1,113 @@
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { createSite } from '../utils/sites';
+
+const SitesEditor = ({ sites, onChange }) => {
+  // Update one field of a site
+  const updateSite = (id, field, value) => {
+    onChange(sites.map(site =>
+      site.id === id ? { ...site, [field]: value } : site
+    ));
+  };
+
+  const removeSite = (id) => {
+    onChange(sites.filter(site => site.id !== id));
+  };
+
+  return (
+    <View>
+      {sites.map(site => (
+        <View key={site.id} style={styles.site}>
+          <View style={styles.siteHeader}>
+            <TextInput
+              style={[styles.input, styles.nameInput]}
+              value={site.name}
+              onChangeText={(value) => updateSite(site.id, 'name', value)}
+              placeholder="Site name, e.g. Unit 4"
+            />
+            <TouchableOpacity style={styles.removeButton} onPress={() => removeSite(site.id)}>
+              <MaterialIcons name="close" size={20} color="#EF4444" />
+            </TouchableOpacity>
+          </View>
+          <TextInput
+            style={[styles.input, styles.multilineInput]}
+            value={site.address}
+            onChangeText={(value) => updateSite(site.id, 'address', value)}
+            placeholder="Site address"
+            multiline
+          />
+          <TextInput
+            style={[styles.input, styles.multilineInput, styles.notesInput]}
+            value={site.accessNotes}
+            onChangeText={(value) => updateSite(site.id, 'accessNotes', value)}
+            placeholder="Access notes, e.g. gate code, who holds the key"
+            multiline
+          />
+        </View>
+      ))}
+
+      <TouchableOpacity style={styles.addButton} onPress={() => onChange([...sites, createSite()])}>
+        <MaterialIcons name="add-location" size={16} color="#3B82F6" />
+        <Text style={styles.addButtonText}>Add Site</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  site: {
+    borderWidth: 1,
+    borderColor: '#E5E7EB', // gray-200
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+  },
+  siteHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB', // gray-300
+    borderRadius: 6,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#FFFFFF',
+  },
+  nameInput: {
+    flex: 1,
+    fontSize: 14,
+    padding: 10,
+  },
+  multilineInput: {
+    minHeight: 60,
+    textAlignVertical: 'top',
+  },
+  notesInput: {
+    marginTop: 8,
+    fontSize: 14,
+  },
+  removeButton: {
+    padding: 4,
+    marginLeft: 8,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    borderWidth: 1,
+    borderColor: '#3B82F6', // blue-500
+    borderRadius: 6,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  addButtonText: {
+    color: '#3B82F6', // blue-500
+    fontWeight: '500',
+    marginLeft: 4,
+  },
+});
+
+export default SitesEditor;
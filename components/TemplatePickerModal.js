@@ -0,0 +1,130 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, Modal, ScrollView, StyleSheet } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+
+const TemplatePickerModal = ({ visible, templates, onSelectBlank, onSelectTemplate, onDeleteTemplate, onCancel }) => {
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onCancel}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <Text style={styles.title}>New Quote</Text>
+
+          <TouchableOpacity style={styles.option} onPress={onSelectBlank}>
+            <MaterialIcons name="note-add" size={20} color="#3B82F6" />
+            <Text style={styles.optionText}>Blank quote</Text>
+          </TouchableOpacity>
+
+          <Text style={styles.subtitle}>Start from template</Text>
+
+          <ScrollView style={styles.templateList}>
+            {templates.map(template => (
+              <View key={template.id} style={styles.templateRow}>
+                <TouchableOpacity style={styles.option} onPress={() => onSelectTemplate(template)}>
+                  <MaterialIcons name="bookmark" size={20} color="#3B82F6" />
+                  <View style={styles.templateInfo}>
+                    <Text style={styles.optionText}>{template.name}</Text>
+                    <Text style={styles.templateDetails}>
+                      {template.options?.length > 0
+                        ? `${template.options.length} options`
+                        : `${template.lineItems.length} ${template.lineItems.length === 1 ? 'item' : 'items'}`}
+                    </Text>
+                  </View>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.deleteButton} onPress={() => onDeleteTemplate(template)}>
+                  <MaterialIcons name="delete" size={20} color="#EF4444" />
+                </TouchableOpacity>
+              </View>
+            ))}
+          </ScrollView>
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  container: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 20,
+    maxHeight: '80%',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937', // gray-800
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#6B7280', // gray-500
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  templateList: {
+    flexGrow: 0,
+  },
+  templateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderTopWidth: 1,
+    borderTopColor: '#F3F4F6', // gray-100
+  },
+  option: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  templateInfo: {
+    flex: 1,
+  },
+  optionText: {
+    fontSize: 15,
+    color: '#374151', // gray-700
+    marginLeft: 8,
+  },
+  templateDetails: {
+    fontSize: 12,
+    color: '#9CA3AF', // gray-400
+    marginLeft: 8,
+  },
+  deleteButton: {
+    padding: 8,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+  cancelButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 6,
+    backgroundColor: '#F3F4F6', // gray-100
+  },
+  cancelButtonText: {
+    color: '#374151', // gray-700
+    fontWeight: '500',
+  },
+});
+
+export default TemplatePickerModal;
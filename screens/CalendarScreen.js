@@ -0,0 +1,451 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  SafeAreaView,
+  Alert
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+import AppHeader from '../components/AppHeader';
+import TabSelector from '../components/TabSelector';
+import CalendarJobBlock from '../components/CalendarJobBlock';
+import ScheduleJobModal from '../components/ScheduleJobModal';
+import { QUOTE_STATUS, queryQuotes, saveQuoteRecords } from '../utils/quoteStore';
+import { subscribeToQuoteChanges } from '../utils/syncService';
+import { useAuth } from '../utils/AuthContext';
+import { canSeeQuote, canAssignJobs, getMemberName } from '../utils/team';
+import {
+  SLOT_MINUTES,
+  getScheduledJobs,
+  getCalendarDays,
+  getCalendarHours,
+  getJobsOnDay,
+  getJobStart,
+  getJobEnd,
+  findConflicts,
+  findDoubleBookings,
+  moveBooking,
+  describeBooking,
+  toDateKey
+} from '../utils/schedule';
+
+// Height of one hour on the timeline, in pixels
+const HOUR_HEIGHT = 56;
+
+// Width of the hour labels down the left of the timeline
+const GUTTER_WIDTH = 44;
+
+const VIEWS = ['Day', 'Week'];
+
+/**
+ * Spreads overlapping jobs on the same day into side-by-side lanes
+ * @param {Array} jobs - Booked jobs on one day, sorted by start
+ * @returns {Object} - Lane index for each job ID, and the number of lanes
+ */
+const getLanes = (jobs) => {
+  const laneEnds = [];
+  const lanes = {};
+
+  jobs.forEach(job => {
+    let lane = laneEnds.findIndex(end => end <= getJobStart(job));
+    if (lane === -1) {
+      lane = laneEnds.length;
+    }
+    laneEnds[lane] = getJobEnd(job);
+    lanes[job.id] = lane;
+  });
+
+  return { lanes, count: Math.max(laneEnds.length, 1) };
+};
+
+const CalendarScreen = () => {
+  const [quotes, setQuotes] = useState([]);
+  const [view, setView] = useState('Day');
+  const [date, setDate] = useState(new Date());
+  const [gridWidth, setGridWidth] = useState(0);
+  const [isDragging, setIsDragging] = useState(false);
+  // Job being booked or rescheduled in the modal
+  const [editingJob, setEditingJob] = useState(null);
+  const { permissions, teamMembers } = useAuth();
+  // Bumped to load the jobs again after they change elsewhere
+  const [reloadCount, setReloadCount] = useState(0);
+  // Bookings still being saved, waited for before loading
+  const writesRef = useRef(Promise.resolve());
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    const loadItems = async () => {
+      try {
+        await writesRef.current;
+        const scheduledQuotes = await queryQuotes({ statuses: [QUOTE_STATUS.SCHEDULED] });
+        if (isCurrent) setQuotes(scheduledQuotes);
+      } catch (error) {
+        console.error('Error loading quotes:', error);
+      }
+    };
+
+    loadItems();
+    return () => {
+      isCurrent = false;
+    };
+  }, [reloadCount]);
+
+  // Load the jobs again when a sync brings in changes from other devices
+  useEffect(() => subscribeToQuoteChanges(() => setReloadCount(count => count + 1)), []);
+
+  // Load the jobs again on returning from screens that book or move jobs
+  useFocusEffect(
+    React.useCallback(() => {
+      setReloadCount(count => count + 1);
+    }, [])
+  );
+
+  const { booked, unbooked } = getScheduledJobs(quotes.filter(quote => canSeeQuote(quote, permissions)));
+  const days = getCalendarDays(date, view.toLowerCase());
+  const dayWidth = gridWidth / days.length;
+  const slotHeight = HOUR_HEIGHT * SLOT_MINUTES / 60;
+  const doubleBooked = findDoubleBookings(booked);
+  const shownJobs = days.flatMap(day => getJobsOnDay(booked, day));
+  const doubleBookedShown = shownJobs.filter(job => doubleBooked.has(job.id));
+  const { startHour, endHour } = getCalendarHours(shownJobs);
+
+  // Save a job's new start and duration
+  const saveBooking = async (quoteId, booking) => {
+    const updatedQuotes = quotes.map(quote =>
+      quote.id === quoteId ? { ...quote, ...booking } : quote
+    );
+    setQuotes(updatedQuotes);
+
+    try {
+      const write = saveQuoteRecords(updatedQuotes.filter(quote => quote.id === quoteId));
+      writesRef.current = write.catch(() => {});
+      await write;
+    } catch (error) {
+      console.error('Error saving booking:', error);
+      Alert.alert(
+        "Error",
+        "There was a problem saving the booking. Please try again.",
+        [{ text: "OK" }]
+      );
+    }
+  };
+
+  // Reschedule a job dragged to another day or time, checking for clashes first
+  const moveJob = (job, dayChange, slotChange) => {
+    const booking = moveBooking(job, view === 'Week' ? dayChange : 0, slotChange);
+    const conflicts = findConflicts(quotes, { ...job, ...booking }, job.id);
+
+    if (conflicts.length === 0) {
+      saveBooking(job.id, booking);
+      return;
+    }
+
+    Alert.alert(
+      "Double Booking",
+      `${describeBooking(booking)} overlaps ${conflicts.map(conflict => conflict.customerName).join(', ')}. Move the job anyway?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Move Anyway", onPress: () => saveBooking(job.id, booking) }
+      ]
+    );
+  };
+
+  const confirmBooking = (booking) => {
+    const job = editingJob;
+    setEditingJob(null);
+    saveBooking(job.id, booking);
+  };
+
+  // Step back or forward a day or a week
+  const changeDate = (direction) => {
+    const step = view === 'Week' ? 7 : 1;
+    setDate(new Date(date.getFullYear(), date.getMonth(), date.getDate() + direction * step));
+  };
+
+  const getTitle = () => {
+    if (view === 'Day') {
+      return date.toLocaleDateString('en-ZA', { weekday: 'long', day: 'numeric', month: 'long' });
+    }
+    const format = { day: 'numeric', month: 'short' };
+    return `${days[0].toLocaleDateString('en-ZA', format)} – ${days[6].toLocaleDateString('en-ZA', format)}`;
+  };
+
+  // Position of a job on the timeline, from its start time and duration
+  const getBlockStyle = (job, dayIndex, lane, laneCount) => {
+    const start = getJobStart(job);
+    const minutes = (start.getHours() - startHour) * 60 + start.getMinutes();
+    // A job running past midnight stops at the bottom of the grid
+    const duration = Math.min((getJobEnd(job) - start) / 60000, (endHour - startHour) * 60 - minutes);
+    const laneWidth = dayWidth / laneCount;
+
+    return {
+      top: minutes / 60 * HOUR_HEIGHT,
+      height: Math.max(duration / 60 * HOUR_HEIGHT, slotHeight),
+      left: dayIndex * dayWidth + lane * laneWidth + 1,
+      width: laneWidth - 2
+    };
+  };
+
+  const hours = Array.from(
+    { length: endHour - startHour },
+    (_, index) => startHour + index
+  );
+  const todayKey = toDateKey(new Date());
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <AppHeader subtitle="Calendar" />
+
+      <TabSelector activeTab={view} setActiveTab={setView} tabs={VIEWS} />
+
+      <View style={styles.dateBar}>
+        <TouchableOpacity onPress={() => changeDate(-1)} style={styles.dateButton}>
+          <MaterialIcons name="chevron-left" size={24} color="#374151" />
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => setDate(new Date())}>
+          <Text style={styles.dateTitle}>{getTitle()}</Text>
+          <Text style={styles.todayLink}>Today</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => changeDate(1)} style={styles.dateButton}>
+          <MaterialIcons name="chevron-right" size={24} color="#374151" />
+        </TouchableOpacity>
+      </View>
+
+      {doubleBookedShown.length > 0 && (
+        <View style={styles.warning}>
+          <MaterialIcons name="warning" size={16} color="#DC2626" />
+          <Text style={styles.warningText}>
+            {doubleBookedShown.length} jobs are double-booked. Drag a job to a free time to move it.
+          </Text>
+        </View>
+      )}
+
+      {unbooked.length > 0 && (
+        <View style={styles.unbooked}>
+          <Text style={styles.unbookedTitle}>Not booked yet</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            {unbooked.map(job => (
+              <TouchableOpacity key={job.id} style={styles.unbookedJob} onPress={() => setEditingJob(job)}>
+                <Text style={styles.unbookedName} numberOfLines={1}>{job.customerName}</Text>
+                <Text style={styles.unbookedLink}>Book job</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        </View>
+      )}
+
+      {view === 'Week' && (
+        <View style={styles.weekHeader}>
+          <View style={{ width: GUTTER_WIDTH }} />
+          {days.map(day => (
+            <TouchableOpacity
+              key={toDateKey(day)}
+              style={styles.weekDay}
+              onPress={() => {
+                setDate(day);
+                setView('Day');
+              }}
+            >
+              <Text style={[styles.weekDayName, toDateKey(day) === todayKey && styles.today]}>
+                {day.toLocaleDateString('en-ZA', { weekday: 'short' })}
+              </Text>
+              <Text style={[styles.weekDayNumber, toDateKey(day) === todayKey && styles.today]}>
+                {day.getDate()}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      <ScrollView
+        style={styles.timeline}
+        contentContainerStyle={styles.timelineContent}
+        scrollEnabled={!isDragging}
+      >
+        <View style={styles.timelineRow}>
+          <View style={{ width: GUTTER_WIDTH }}>
+            {hours.map(hour => (
+              <Text key={hour} style={styles.hourLabel}>{`${hour}`.padStart(2, '0')}:00</Text>
+            ))}
+          </View>
+
+          <View
+            style={styles.grid}
+            onLayout={(event) => setGridWidth(event.nativeEvent.layout.width)}
+          >
+            {hours.map(hour => (
+              <View key={hour} style={styles.hourLine} />
+            ))}
+
+            {days.map((day, dayIndex) => {
+              const dayJobs = getJobsOnDay(booked, day);
+              const { lanes, count } = getLanes(dayJobs);
+
+              return dayJobs.map(job => (
+                <CalendarJobBlock
+                  key={job.id}
+                  job={job}
+                  assigneeName={getMemberName(teamMembers, job.assignedTo)}
+                  style={getBlockStyle(job, dayIndex, lanes[job.id], count)}
+                  dayWidth={view === 'Week' ? dayWidth : 0}
+                  slotHeight={slotHeight}
+                  isDoubleBooked={doubleBooked.has(job.id)}
+                  onPress={setEditingJob}
+                  onMove={moveJob}
+                  onDragStart={() => setIsDragging(true)}
+                  onDragEnd={() => setIsDragging(false)}
+                />
+              ));
+            })}
+          </View>
+        </View>
+
+        {booked.length === 0 && unbooked.length === 0 && (
+          <Text style={styles.emptyText}>
+            No jobs booked. Jobs are booked when you mark their deposit as paid.
+          </Text>
+        )}
+      </ScrollView>
+
+      <ScheduleJobModal
+        visible={editingJob !== null}
+        quote={editingJob}
+        quotes={quotes}
+        members={canAssignJobs(permissions) ? teamMembers : []}
+        onConfirm={confirmBooking}
+        onCancel={() => setEditingJob(null)}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB', // gray-50
+  },
+  dateBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  dateButton: {
+    padding: 4,
+  },
+  dateTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937', // gray-800
+    textAlign: 'center',
+  },
+  todayLink: {
+    fontSize: 12,
+    color: '#3B82F6', // blue-500
+    textAlign: 'center',
+  },
+  warning: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FEE2E2', // red-100
+    borderRadius: 6,
+    padding: 10,
+    marginHorizontal: 16,
+    marginBottom: 8,
+  },
+  warningText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#991B1B', // red-800
+    marginLeft: 6,
+  },
+  unbooked: {
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  unbookedTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#374151', // gray-700
+    marginBottom: 6,
+  },
+  unbookedJob: {
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#E5E7EB', // gray-200
+    borderRadius: 6,
+    padding: 8,
+    marginRight: 8,
+    maxWidth: 160,
+  },
+  unbookedName: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: '#1F2937', // gray-800
+  },
+  unbookedLink: {
+    fontSize: 12,
+    color: '#3B82F6', // blue-500
+    marginTop: 2,
+  },
+  weekHeader: {
+    flexDirection: 'row',
+    paddingHorizontal: 8,
+    paddingBottom: 4,
+  },
+  weekDay: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  weekDayName: {
+    fontSize: 11,
+    color: '#6B7280', // gray-500
+  },
+  weekDayNumber: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151', // gray-700
+  },
+  today: {
+    color: '#3B82F6', // blue-500
+  },
+  timeline: {
+    flex: 1,
+  },
+  timelineContent: {
+    paddingHorizontal: 8,
+    paddingBottom: 96, // Extra padding to account for the bottom nav bar
+  },
+  timelineRow: {
+    flexDirection: 'row',
+  },
+  hourLabel: {
+    height: HOUR_HEIGHT,
+    fontSize: 11,
+    color: '#9CA3AF', // gray-400
+  },
+  grid: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderLeftWidth: 1,
+    borderLeftColor: '#E5E7EB', // gray-200
+  },
+  hourLine: {
+    height: HOUR_HEIGHT,
+    borderTopWidth: 1,
+    borderTopColor: '#F3F4F6', // gray-100
+  },
+  emptyText: {
+    color: '#6B7280', // gray-500
+    textAlign: 'center',
+    marginTop: 16,
+  },
+});
+
+export default CalendarScreen;
@@ -0,0 +1,458 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  FlatList,
+  Alert,
+  SafeAreaView,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import {
+  CATALOGUE_ITEM_TYPES,
+  CATALOGUE_ITEM_TYPE_LABELS,
+  loadCatalogue,
+  saveCatalogueItem,
+  deleteCatalogueItem,
+  searchCatalogue,
+  syncCatalogue
+} from '../utils/catalogue';
+import { VAT_CATEGORIES, VAT_CATEGORY_LABELS, formatCents, toCents } from '../utils/pricing';
+
+// Values for a new, empty catalogue item
+const EMPTY_ITEM = {
+  type: CATALOGUE_ITEM_TYPES.MATERIAL,
+  description: '',
+  unit: '',
+  costPrice: '',
+  sellPrice: '',
+  vatCategory: VAT_CATEGORIES.STANDARD
+};
+
+const CatalogueScreen = () => {
+  const [items, setItems] = useState([]);
+  const [search, setSearch] = useState('');
+  // Item being added or edited, or null when the form is closed
+  const [editingItem, setEditingItem] = useState(null);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  // Load the catalogue, then bring it up to date with Supabase
+  useEffect(() => {
+    const loadItems = async () => {
+      try {
+        setItems(await loadCatalogue());
+      } catch (error) {
+        console.error('Error loading catalogue:', error);
+      }
+
+      syncItems();
+    };
+
+    loadItems();
+  }, []);
+
+  // Sync with Supabase, keeping the local catalogue if it fails
+  const syncItems = async () => {
+    setIsSyncing(true);
+    try {
+      setItems(await syncCatalogue());
+    } catch (error) {
+      console.error('Error syncing catalogue:', error);
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  // Save the item in the form
+  const saveItem = async () => {
+    try {
+      await saveCatalogueItem(editingItem);
+      setItems(await loadCatalogue());
+      setEditingItem(null);
+      syncItems();
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  // Remove an item from the catalogue
+  const deleteItem = (item) => {
+    Alert.alert(
+      "Remove Item",
+      `Remove "${item.description}" from the price book? Quotes that already use it will not change.`,
+      [
+        {
+          text: "Cancel",
+          style: "cancel"
+        },
+        {
+          text: "Remove",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await deleteCatalogueItem(item.id);
+              setItems(await loadCatalogue());
+              syncItems();
+            } catch (error) {
+              console.error('Error deleting catalogue item:', error);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Open the form for an existing item
+  const editItem = (item) => {
+    setEditingItem({
+      ...item,
+      costPrice: item.costPrice.toString(),
+      sellPrice: item.sellPrice.toString()
+    });
+  };
+
+  // Update a field on the item in the form
+  const updateField = (field, value) => {
+    setEditingItem({ ...editingItem, [field]: value });
+  };
+
+  // Render a row of options to pick one value from
+  const renderOptions = (field, labels) => (
+    <View style={styles.optionRow}>
+      {Object.keys(labels).map(value => (
+        <TouchableOpacity
+          key={value}
+          style={[styles.option, editingItem[field] === value && styles.optionSelected]}
+          onPress={() => updateField(field, value)}
+        >
+          <Text style={[styles.optionText, editingItem[field] === value && styles.optionTextSelected]}>
+            {labels[value]}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  // Render a catalogue item
+  const renderItem = ({ item }) => (
+    <TouchableOpacity style={styles.itemCard} onPress={() => editItem(item)}>
+      <View style={styles.itemInfo}>
+        <Text style={styles.itemDescription}>{item.description}</Text>
+        <Text style={styles.itemDetails}>
+          {CATALOGUE_ITEM_TYPE_LABELS[item.type]}
+          {item.unit ? ` · per ${item.unit}` : ''}
+          {` · ${VAT_CATEGORY_LABELS[item.vatCategory]} VAT`}
+        </Text>
+        <Text style={styles.itemDetails}>
+          Cost R{formatCents(toCents(item.costPrice))} · Sell R{formatCents(toCents(item.sellPrice))}
+        </Text>
+      </View>
+      <TouchableOpacity
+        style={styles.deleteButton}
+        onPress={() => deleteItem(item)}
+      >
+        <MaterialIcons name="delete" size={22} color="#EF4444" />
+      </TouchableOpacity>
+    </TouchableOpacity>
+  );
+
+  const visibleItems = search.trim() ? searchCatalogue(items, search, items.length) : items;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.keyboardAvoidContainer}
+      >
+        <View style={styles.content}>
+          {editingItem ? (
+            <View style={styles.itemForm}>
+              <Text style={styles.sectionTitle}>
+                {editingItem.id ? 'Edit Item' : 'Add Item'}
+              </Text>
+
+              {renderOptions('type', CATALOGUE_ITEM_TYPE_LABELS)}
+
+              <TextInput
+                style={styles.input}
+                placeholder="Description *"
+                value={editingItem.description}
+                onChangeText={(text) => updateField('description', text)}
+              />
+
+              <TextInput
+                style={styles.input}
+                placeholder="Unit (e.g. hour, metre, each)"
+                value={editingItem.unit}
+                onChangeText={(text) => updateField('unit', text)}
+                autoCapitalize="none"
+              />
+
+              <View style={styles.priceRow}>
+                <TextInput
+                  style={[styles.input, styles.priceInput]}
+                  placeholder="Cost price (R)"
+                  value={editingItem.costPrice}
+                  onChangeText={(text) => updateField('costPrice', text)}
+                  keyboardType="numeric"
+                />
+                <TextInput
+                  style={[styles.input, styles.priceInput]}
+                  placeholder="Sell price (R)"
+                  value={editingItem.sellPrice}
+                  onChangeText={(text) => updateField('sellPrice', text)}
+                  keyboardType="numeric"
+                />
+              </View>
+
+              <Text style={styles.fieldLabel}>VAT</Text>
+              {renderOptions('vatCategory', VAT_CATEGORY_LABELS)}
+
+              <View style={styles.buttonRow}>
+                <TouchableOpacity
+                  style={[styles.button, styles.cancelButton]}
+                  onPress={() => setEditingItem(null)}
+                >
+                  <Text style={styles.cancelButtonText}>Cancel</Text>
+                </TouchableOpacity>
+
+                <TouchableOpacity
+                  style={[styles.button, styles.saveButton]}
+                  onPress={saveItem}
+                >
+                  <Text style={styles.saveButtonText}>Save Item</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          ) : (
+            <TouchableOpacity
+              style={styles.addItemButton}
+              onPress={() => setEditingItem(EMPTY_ITEM)}
+            >
+              <MaterialIcons name="add" size={24} color="white" />
+              <Text style={styles.addItemButtonText}>Add Item</Text>
+            </TouchableOpacity>
+          )}
+
+          <View style={styles.itemList}>
+            <View style={styles.listHeader}>
+              <Text style={styles.sectionTitle}>
+                Price Book ({items.length})
+              </Text>
+              <Text style={styles.syncText}>{isSyncing ? 'Syncing...' : ''}</Text>
+            </View>
+
+            <TextInput
+              style={styles.input}
+              placeholder="Search items"
+              value={search}
+              onChangeText={setSearch}
+            />
+
+            {visibleItems.length === 0 ? (
+              <View style={styles.emptyState}>
+                <Text style={styles.emptyStateText}>
+                  {items.length === 0
+                    ? 'No items yet. Add the labour and materials you quote most often.'
+                    : 'No items match your search.'}
+                </Text>
+              </View>
+            ) : (
+              <FlatList
+                data={visibleItems}
+                renderItem={renderItem}
+                keyExtractor={(item) => item.id}
+                contentContainerStyle={styles.listContent}
+              />
+            )}
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  keyboardAvoidContainer: {
+    flex: 1,
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  addItemButton: {
+    backgroundColor: '#3B82F6',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 16,
+  },
+  addItemButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+    marginLeft: 8,
+  },
+  itemForm: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 16,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#1F2937',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#F9FAFB',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 6,
+    padding: 12,
+    marginBottom: 12,
+    fontSize: 16,
+  },
+  priceRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  priceInput: {
+    flex: 1,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  option: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  optionSelected: {
+    backgroundColor: '#3B82F6',
+    borderColor: '#3B82F6',
+  },
+  optionText: {
+    fontSize: 14,
+    color: '#4B5563',
+  },
+  optionTextSelected: {
+    color: 'white',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  button: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 6,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    backgroundColor: '#F3F4F6',
+    marginRight: 8,
+  },
+  cancelButtonText: {
+    color: '#4B5563',
+    fontWeight: '600',
+  },
+  saveButton: {
+    backgroundColor: '#3B82F6',
+    marginLeft: 8,
+  },
+  saveButtonText: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  itemList: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  listHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  syncText: {
+    fontSize: 12,
+    color: '#6B7280',
+  },
+  emptyState: {
+    padding: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  emptyStateText: {
+    color: '#6B7280',
+    textAlign: 'center',
+    fontSize: 14,
+    lineHeight: 20,
+  },
+  listContent: {
+    paddingBottom: 8,
+  },
+  itemCard: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  itemInfo: {
+    flex: 1,
+  },
+  itemDescription: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#1F2937',
+    marginBottom: 4,
+  },
+  itemDetails: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginBottom: 2,
+  },
+  deleteButton: {
+    padding: 8,
+  },
+});
+
+export default CatalogueScreen;
@@ -0,0 +1,407 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import {
+  getClient,
+  saveClient,
+  deleteClient,
+  getClientQuotes,
+  isOpenQuote,
+  updateOpenQuotesForClient
+} from '../utils/clients';
+import { createContact } from '../utils/contacts';
+import { queryQuotes, queryPayments } from '../utils/quoteStore';
+import { useAuth } from '../utils/AuthContext';
+import { canSeeQuote } from '../utils/team';
+import { calculateQuoteTotals, formatCents } from '../utils/pricing';
+import ContactsEditor from '../components/ContactsEditor';
+import SitesEditor from '../components/SitesEditor';
+
+/**
+ * Formats a stored date for display
+ * @param {string} date - ISO date
+ * @returns {string} - Date such as 5 March 2026
+ */
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-ZA', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+};
+
+// Names shown for each kind of payment
+const PAYMENT_LABELS = {
+  deposit: 'Deposit',
+  final: 'Final payment'
+};
+
+const ClientDetailScreen = ({ navigation, route }) => {
+  // No client ID means a new client is being added
+  const [clientId, setClientId] = useState(route.params?.clientId || null);
+  const [name, setName] = useState('');
+  const [contacts, setContacts] = useState([createContact()]);
+  const [address, setAddress] = useState('');
+  // Addresses the client sends work to, with access notes for each
+  const [sites, setSites] = useState([]);
+  const [quotes, setQuotes] = useState([]);
+  const [payments, setPayments] = useState([]);
+  const { permissions } = useAuth();
+
+  // Load the client's quotes and the payments received for them
+  const loadClientQuotes = async (id) => {
+    setQuotes(getClientQuotes(await queryQuotes({ clientId: id }), id));
+    setPayments(await queryPayments({ clientId: id }));
+  };
+
+  // Load the client and all of their quotes
+  useEffect(() => {
+    const loadClient = async () => {
+      if (!clientId) return;
+
+      try {
+        const client = await getClient(clientId);
+        if (!client) return;
+
+        setName(client.name);
+        setContacts(client.contacts.length > 0 ? client.contacts : [createContact()]);
+        setAddress(client.address);
+        setSites(client.sites);
+        await loadClientQuotes(clientId);
+      } catch (error) {
+        console.error('Error loading client:', error);
+      }
+    };
+
+    loadClient();
+  }, [clientId]);
+
+  useEffect(() => {
+    navigation.setOptions({ title: clientId ? 'Client' : 'New Client' });
+  }, [navigation, clientId]);
+
+  // Save the client, offering to copy the changes onto their open quotes
+  const handleSave = async () => {
+    try {
+      const client = await saveClient({ id: clientId, name, contacts, address, sites });
+      setClientId(client.id);
+      setContacts(client.contacts.length > 0 ? client.contacts : [createContact()]);
+      setSites(client.sites);
+
+      // Quotes waiting on the customer and finished jobs keep the details
+      // the client received
+      const openQuotes = quotes.filter(isOpenQuote);
+      if (openQuotes.length === 0) {
+        Alert.alert("Client Saved", `${client.name} has been saved.`, [{ text: "OK" }]);
+        return;
+      }
+
+      Alert.alert(
+        "Update Open Quotes?",
+        `${client.name} has ${openQuotes.length} ${openQuotes.length === 1 ? 'draft or job' : 'drafts and jobs'} in progress. Would you like to update ${openQuotes.length === 1 ? 'it' : 'them'} with these details? Quotes waiting on the client and finished jobs are not changed.`,
+        [
+          { text: "Not Now", style: "cancel" },
+          {
+            text: "Update",
+            onPress: async () => {
+              try {
+                const updatedCount = await updateOpenQuotesForClient(client);
+                await loadClientQuotes(client.id);
+                Alert.alert(
+                  "Quotes Updated",
+                  `${updatedCount} ${updatedCount === 1 ? 'quote has' : 'quotes have'} been updated.`,
+                  [{ text: "OK" }]
+                );
+              } catch (error) {
+                console.error('Error updating quotes:', error);
+                Alert.alert("Error", "Failed to update the client's quotes.", [{ text: "OK" }]);
+              }
+            }
+          }
+        ]
+      );
+    } catch (error) {
+      Alert.alert("Error", error.message, [{ text: "OK" }]);
+    }
+  };
+
+  // Remove the client from the directory after confirmation
+  const handleDelete = () => {
+    Alert.alert(
+      "Delete Client",
+      `Are you sure you want to delete ${name}? Their quotes will be kept.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await deleteClient(clientId);
+              navigation.goBack();
+            } catch (error) {
+              console.error('Error deleting client:', error);
+              Alert.alert("Error", "Failed to delete client.", [{ text: "OK" }]);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Team members only see the client's quotes that are assigned to them
+  const visibleQuotes = quotes.filter(quote => canSeeQuote(quote, permissions));
+  const invoices = visibleQuotes.filter(quote => quote.invoiceNumber);
+  const visibleQuoteIds = new Set(visibleQuotes.map(quote => quote.id));
+  const visiblePayments = payments.filter(payment => visibleQuoteIds.has(payment.quoteId));
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <ScrollView style={styles.scrollView} keyboardShouldPersistTaps="handled">
+        <View style={styles.content}>
+          {/* Client Details */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Client Details</Text>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Client Name & Surname</Text>
+              <TextInput
+                style={styles.input}
+                value={name}
+                onChangeText={setName}
+                placeholder="Enter client name"
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Contacts</Text>
+              <ContactsEditor contacts={contacts} onChange={setContacts} />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Billing Address</Text>
+              <TextInput
+                style={[styles.input, styles.multilineInput]}
+                value={address}
+                onChangeText={setAddress}
+                placeholder="Enter billing address"
+                multiline
+                numberOfLines={3}
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Job Sites</Text>
+              <Text style={styles.hint}>
+                Add a site for each address you work at for this client. Work is at the billing address when no site is chosen.
+              </Text>
+              <SitesEditor sites={sites} onChange={setSites} />
+            </View>
+
+            <View style={styles.buttonRow}>
+              {clientId && (
+                <TouchableOpacity style={[styles.button, styles.deleteButton]} onPress={handleDelete}>
+                  <Text style={styles.deleteButtonText}>Delete</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity style={[styles.button, styles.saveButton]} onPress={handleSave}>
+                <Text style={styles.saveButtonText}>Save Client</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+
+          {clientId && (
+            <>
+              {/* Quotes */}
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Quotes ({visibleQuotes.length})</Text>
+                {visibleQuotes.length === 0 ? (
+                  <Text style={styles.emptyText}>No quotes for this client yet.</Text>
+                ) : (
+                  visibleQuotes.map(quote => (
+                    <View key={quote.id} style={styles.row}>
+                      <View style={styles.rowInfo}>
+                        <Text style={styles.rowTitle}>
+                          {quote.quoteNumber || 'Draft'} · {quote.service}
+                        </Text>
+                        <Text style={styles.rowDetails}>
+                          {quote.status}{quote.date ? ` · ${formatDate(quote.date)}` : ''}
+                        </Text>
+                      </View>
+                      <Text style={styles.rowAmount}>
+                        R{formatCents(calculateQuoteTotals(quote).total)}
+                      </Text>
+                    </View>
+                  ))
+                )}
+              </View>
+
+              {/* Invoices */}
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Invoices ({invoices.length})</Text>
+                {invoices.length === 0 ? (
+                  <Text style={styles.emptyText}>No invoices issued yet.</Text>
+                ) : (
+                  invoices.map(quote => (
+                    <View key={quote.id} style={styles.row}>
+                      <View style={styles.rowInfo}>
+                        <Text style={styles.rowTitle}>{quote.invoiceNumber}</Text>
+                        <Text style={styles.rowDetails}>
+                          {quote.service}{quote.finalPaymentDate ? ` · ${formatDate(quote.finalPaymentDate)}` : ''}
+                        </Text>
+                      </View>
+                      <Text style={styles.rowAmount}>
+                        R{formatCents(calculateQuoteTotals(quote).total)}
+                      </Text>
+                    </View>
+                  ))
+                )}
+              </View>
+
+              {/* Payments */}
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Payments ({visiblePayments.length})</Text>
+                {visiblePayments.length === 0 ? (
+                  <Text style={styles.emptyText}>No payments received yet.</Text>
+                ) : (
+                  visiblePayments.map(payment => (
+                    <View key={payment.id} style={styles.row}>
+                      <View style={styles.rowInfo}>
+                        <Text style={styles.rowTitle}>{PAYMENT_LABELS[payment.kind]} · {payment.reference}</Text>
+                        <Text style={styles.rowDetails}>{formatDate(payment.paidOn)}</Text>
+                      </View>
+                      <Text style={styles.rowAmount}>R{formatCents(payment.amount)}</Text>
+                    </View>
+                  ))
+                )}
+              </View>
+            </>
+          )}
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#374151', // gray-700
+    marginBottom: 16,
+  },
+  inputContainer: {
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#4B5563', // gray-600
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB', // gray-300
+    borderRadius: 6,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#FFFFFF',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#6B7280', // gray-500
+    marginBottom: 8,
+  },
+  multilineInput: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  button: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 6,
+    marginLeft: 8,
+  },
+  deleteButton: {
+    backgroundColor: '#FEE2E2', // red-100
+  },
+  deleteButtonText: {
+    color: '#DC2626', // red-600
+    fontWeight: '500',
+  },
+  saveButton: {
+    backgroundColor: '#3B82F6', // blue-500
+  },
+  saveButtonText: {
+    color: 'white',
+    fontWeight: '500',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6B7280', // gray-500
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#F3F4F6', // gray-100
+  },
+  rowInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  rowTitle: {
+    fontSize: 15,
+    color: '#1F2937', // gray-800
+  },
+  rowDetails: {
+    fontSize: 12,
+    color: '#6B7280', // gray-500
+    marginTop: 2,
+  },
+  rowAmount: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#1F2937', // gray-800
+  },
+});
+
+export default ClientDetailScreen;
@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  FlatList,
+  SafeAreaView
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+import AppHeader from '../components/AppHeader';
+import { formatContact, getContactFor, CONTACT_PURPOSES } from '../utils/contacts';
+import { loadClients, searchClients, syncClients } from '../utils/clients';
+
+const ClientsScreen = ({ navigation }) => {
+  const [clients, setClients] = useState([]);
+  const [search, setSearch] = useState('');
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  // Bring the directory up to date with Supabase when the screen opens
+  useEffect(() => {
+    const syncItems = async () => {
+      setIsSyncing(true);
+      try {
+        setClients(await syncClients());
+      } catch (error) {
+        console.error('Error syncing clients:', error);
+      } finally {
+        setIsSyncing(false);
+      }
+    };
+
+    syncItems();
+  }, []);
+
+  // Reload the directory when coming back from a client's details
+  useFocusEffect(
+    React.useCallback(() => {
+      const loadItems = async () => {
+        try {
+          setClients(await loadClients());
+        } catch (error) {
+          console.error('Error loading clients:', error);
+        }
+      };
+
+      loadItems();
+    }, [])
+  );
+
+  // Render a client
+  const renderClient = ({ item }) => (
+    <TouchableOpacity
+      style={styles.clientCard}
+      onPress={() => navigation.navigate('ClientDetail', { clientId: item.id })}
+    >
+      <View style={styles.clientInfo}>
+        <Text style={styles.clientName}>{item.name}</Text>
+        <Text style={styles.clientDetails}>
+          {formatContact(getContactFor(item, CONTACT_PURPOSES.SITE))}
+        </Text>
+        {item.address ? (
+          <Text style={styles.clientDetails} numberOfLines={1}>{item.address}</Text>
+        ) : null}
+      </View>
+      <MaterialIcons name="chevron-right" size={24} color="#9CA3AF" />
+    </TouchableOpacity>
+  );
+
+  const visibleClients = searchClients(clients, search);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <AppHeader subtitle="Clients" />
+
+      <View style={styles.content}>
+        <TouchableOpacity
+          style={styles.addClientButton}
+          onPress={() => navigation.navigate('ClientDetail')}
+        >
+          <MaterialIcons name="person-add" size={24} color="white" />
+          <Text style={styles.addClientButtonText}>Add Client</Text>
+        </TouchableOpacity>
+
+        <View style={styles.clientList}>
+          <View style={styles.listHeader}>
+            <Text style={styles.sectionTitle}>
+              Clients ({clients.length})
+            </Text>
+            <Text style={styles.syncText}>{isSyncing ? 'Syncing...' : ''}</Text>
+          </View>
+
+          <TextInput
+            style={styles.input}
+            placeholder="Search by name or contact details"
+            value={search}
+            onChangeText={setSearch}
+          />
+
+          {visibleClients.length === 0 ? (
+            <View style={styles.emptyState}>
+              <Text style={styles.emptyStateText}>
+                {clients.length === 0
+                  ? 'No clients yet. Clients are added when you send them a quote, or you can add them here.'
+                  : 'No clients match your search.'}
+              </Text>
+            </View>
+          ) : (
+            <FlatList
+              data={visibleClients}
+              renderItem={renderClient}
+              keyExtractor={(item) => item.id}
+              contentContainerStyle={styles.listContent}
+            />
+          )}
+        </View>
+      </View>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+    paddingBottom: 96,
+  },
+  addClientButton: {
+    backgroundColor: '#3B82F6',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 16,
+  },
+  addClientButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+    marginLeft: 8,
+  },
+  clientList: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  listHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 16,
+  },
+  syncText: {
+    fontSize: 12,
+    color: '#6B7280',
+  },
+  input: {
+    backgroundColor: '#F9FAFB',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 6,
+    padding: 12,
+    marginBottom: 12,
+    fontSize: 16,
+  },
+  emptyState: {
+    padding: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  emptyStateText: {
+    color: '#6B7280',
+    textAlign: 'center',
+    fontSize: 14,
+    lineHeight: 20,
+  },
+  listContent: {
+    paddingBottom: 8,
+  },
+  clientCard: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  clientInfo: {
+    flex: 1,
+  },
+  clientName: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#1F2937',
+    marginBottom: 4,
+  },
+  clientDetails: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginBottom: 2,
+  },
+});
+
+export default ClientsScreen;
@@ -1,87 +1,220 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { View, Text, FlatList, TouchableOpacity, StyleSheet, Alert } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useFocusEffect } from '@react-navigation/native';
 import TabSelector from '../components/TabSelector';
 import QuoteCard from '../components/QuoteCard';
 import AppHeader from '../components/AppHeader';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-
-// Initial mock data for the different tabs
-const initialMockData = {
-  Draft: [],
-  Sent: [],
-  Accepted: [],
-  'Scheduled Work': [],
-  Complete: [],
-};
-
-// Key for storing quotes in AsyncStorage
-const QUOTES_STORAGE_KEY = 'quickquote_data';
+import LostReasonModal from '../components/LostReasonModal';
+import TemplatePickerModal from '../components/TemplatePickerModal';
+import OptionPickerModal from '../components/OptionPickerModal';
+import SignatureModal from '../components/SignatureModal';
+import ScheduleJobModal from '../components/ScheduleJobModal';
+import { useAuth } from '../utils/AuthContext';
+import {
+  QUOTE_STATUS,
+  DASHBOARD_TABS,
+  createQuote,
+  canTransition,
+  transitionQuote,
+  closeQuoteAsLost,
+  expireOverdueQuotes,
+  getTabForStatus,
+  getQuotesForTab,
+  queryQuotes,
+  saveQuoteRecords,
+  deleteQuoteRecords,
+  clearQuotes
+} from '../utils/quoteStore';
+import { allocateNumber, DOCUMENT_TYPES } from '../utils/numbering';
+import { addRevision, getRevisionSnapshot } from '../utils/revisions';
+import { loadTemplates, deleteTemplate } from '../utils/templates';
+import { calculateOptionTotals, getQuoteOptions, fromCents } from '../utils/pricing';
+import { deletePhotos, deleteRemovedPhotos } from '../utils/photos';
+import { SIGNATURE_STAGES, SIGNATURE_FIELDS } from '../utils/signatures';
+import { canSeeQuote, canAssignJobs, getMemberName } from '../utils/team';
+import { subscribeToQuoteChanges } from '../utils/syncService';
+import { loadConflicts } from '../utils/syncConflicts';
+import { loadRejectedChanges } from '../utils/outbox';
 
 const DashboardScreen = ({ navigation, route }) => {
-  const tabs = ['Draft', 'Sent', 'Accepted', 'Scheduled Work', 'Complete'];
+  const tabs = DASHBOARD_TABS.map(tab => tab.label);
   const [activeTab, setActiveTab] = useState('Draft');
-  const [quotes, setQuotes] = useState(initialMockData);
+  // Quotes loaded for the active tab, plus any moved out of it since
+  const [quotes, setQuotes] = useState([]);
   const [isInitialized, setIsInitialized] = useState(false);
+  // Bumped to load the active tab again after a sync
+  const [reloadCount, setReloadCount] = useState(0);
+  // Scheduled jobs, checked for clashes while a job is being booked in
+  const [scheduledQuotes, setScheduledQuotes] = useState([]);
+  // Each quote as last loaded or saved, to find the ones changed since
+  const savedQuotesRef = useRef(new Map());
+  // Writes still in progress, so the next load sees them
+  const writesRef = useRef(Promise.resolve());
+  // Quote being declined or cancelled while the reason picker is open
+  const [lostOutcome, setLostOutcome] = useState(null);
+  // Saved templates, listed while the new quote picker is open
+  const [templates, setTemplates] = useState([]);
+  const [showTemplatePicker, setShowTemplatePicker] = useState(false);
+  // Multi-option quote being accepted while the option picker is open
+  const [acceptingQuote, setAcceptingQuote] = useState(null);
+  // Quote waiting for the customer's signature, with the stage being signed
+  // for and the changes to apply once signed
+  const [signing, setSigning] = useState(null);
+  // Job being booked in, and whether its deposit is being marked paid
+  const [booking, setBooking] = useState(null);
+  // Quotes changed here and on another device that need the user to choose
+  const [conflictCount, setConflictCount] = useState(0);
+  // Changes Supabase refused, which are not sent again
+  const [rejectedCount, setRejectedCount] = useState(0);
+  const { user, permissions, teamMembers } = useAuth();
 
-  // Load quotes from storage on initial load
+  // Move unanswered quotes past their validity period to Expired on initial load
   useEffect(() => {
-    const loadQuotes = async () => {
+    const expireQuotes = async () => {
       try {
-        const storedQuotes = await AsyncStorage.getItem(QUOTES_STORAGE_KEY);
-        if (storedQuotes) {
-          console.log('Loaded quotes from storage');
-          setQuotes(JSON.parse(storedQuotes));
-        } else {
-          console.log('No stored quotes found, using empty data');
-          // Use empty data instead of mock data for initialization
-          const emptyData = {
-            Draft: [],
-            Sent: [],
-            Accepted: [],
-            'Scheduled Work': [],
-            Complete: [],
-          };
-          setQuotes(emptyData);
-          // Save empty data to storage
-          await AsyncStorage.setItem(QUOTES_STORAGE_KEY, JSON.stringify(emptyData));
+        const sentQuotes = await queryQuotes({ statuses: [QUOTE_STATUS.SENT] });
+        const { quotes: currentQuotes, expiredCount } = expireOverdueQuotes(sentQuotes);
+        if (expiredCount > 0) {
+          await saveQuoteRecords(currentQuotes.filter(quote => quote.status === QUOTE_STATUS.EXPIRED));
+          console.log(`${expiredCount} quotes expired`);
         }
-        setIsInitialized(true);
       } catch (error) {
-        console.error('Error loading quotes:', error);
-        // Fall back to empty data on error
-        const emptyData = {
-          Draft: [],
-          Sent: [],
-          Accepted: [],
-          'Scheduled Work': [],
-          Complete: [],
-        };
-        setQuotes(emptyData);
+        console.error('Error expiring quotes:', error);
+      } finally {
         setIsInitialized(true);
       }
     };
 
-    loadQuotes();
+    expireQuotes();
   }, []);
 
-  // Save quotes to storage whenever they change
+  // Show quotes changed on other devices once a sync has saved them, and
+  // any conflicts or refused changes it found
   useEffect(() => {
-    const saveQuotes = async () => {
-      if (isInitialized) {
-        try {
-          await AsyncStorage.setItem(QUOTES_STORAGE_KEY, JSON.stringify(quotes));
-          console.log('Quotes saved to storage');
-        } catch (error) {
-          console.error('Error saving quotes:', error);
-        }
-      }
+    const refreshConflictCount = async () => {
+      setConflictCount((await loadConflicts()).length);
+      setRejectedCount((await loadRejectedChanges()).length);
     };
 
-    saveQuotes();
+    refreshConflictCount().catch(error => console.error('Error loading sync conflicts:', error));
+
+    return subscribeToQuoteChanges(async () => {
+      setReloadCount(count => count + 1);
+      try {
+        await refreshConflictCount();
+      } catch (error) {
+        console.error('Error loading sync conflicts:', error);
+      }
+    });
+  }, []);
+
+  // Save the quotes changed here whenever they change. Declared before the
+  // tab load below so a quote moved to another tab is saved before it loads.
+  useEffect(() => {
+    if (!isInitialized) return;
+
+    const changedQuotes = quotes.filter(quote => savedQuotesRef.current.get(quote.id) !== quote);
+    if (changedQuotes.length === 0) return;
+
+    changedQuotes.forEach(quote => savedQuotesRef.current.set(quote.id, quote));
+    writesRef.current = writesRef.current
+      .then(() => saveQuoteRecords(changedQuotes))
+      .then(() => console.log(`${changedQuotes.length} quotes saved to storage`))
+      .catch(error => console.error('Error saving quotes:', error));
   }, [quotes, isInitialized]);
 
+  // Load the quotes listed under the active tab
+  useEffect(() => {
+    if (!isInitialized) return;
+    let isCurrent = true;
+
+    const loadQuotes = async () => {
+      try {
+        await writesRef.current;
+        const tab = DASHBOARD_TABS.find(item => item.label === activeTab);
+        const tabQuotes = await queryQuotes({ statuses: tab ? tab.statuses : [] });
+        if (!isCurrent) return;
+
+        console.log(`Loaded ${tabQuotes.length} ${activeTab} quotes from storage`);
+        savedQuotesRef.current = new Map(tabQuotes.map(quote => [quote.id, quote]));
+        setQuotes(tabQuotes);
+      } catch (error) {
+        console.error('Error loading quotes:', error);
+      }
+    };
+
+    loadQuotes();
+    return () => {
+      isCurrent = false;
+    };
+  }, [activeTab, reloadCount, isInitialized]);
+
+  // Load the active tab again on returning from screens that change quotes
+  useFocusEffect(
+    React.useCallback(() => {
+      setReloadCount(count => count + 1);
+    }, [])
+  );
+
+  // Load the booked jobs when a job is being booked in, to check for clashes
+  useEffect(() => {
+    if (!booking) return;
+
+    queryQuotes({ statuses: [QUOTE_STATUS.SCHEDULED] })
+      .then(setScheduledQuotes)
+      .catch(error => console.error('Error loading scheduled jobs:', error));
+  }, [booking]);
+
+  // Apply a status change built by the quote store, reporting illegal moves
+  const applyStatusChange = (quoteOrId, buildUpdatedQuote) => {
+    const quote = typeof quoteOrId === 'string'
+      ? quotes.find(item => item.id === quoteOrId)
+      : quoteOrId;
+    if (!quote) return false;
+
+    try {
+      const updatedQuote = buildUpdatedQuote(quote);
+
+      // Put the moved quote at the top of the list
+      setQuotes(prevQuotes => [
+        updatedQuote,
+        ...prevQuotes.filter(item => item.id !== updatedQuote.id)
+      ]);
+
+      // Switch to the tab that now shows the quote
+      setActiveTab(getTabForStatus(updatedQuote.status));
+      return true;
+    } catch (error) {
+      console.error('Error changing quote status:', error);
+      Alert.alert(
+        "Error",
+        error.message,
+        [{ text: "OK" }]
+      );
+      return false;
+    }
+  };
+
+  // Move a quote to a new status, checked against the lifecycle transition table
+  const moveQuote = (quoteOrId, toStatus, changes = {}) => {
+    return applyStatusChange(quoteOrId, quote => transitionQuote(quote, toStatus, user, changes));
+  };
+
+  // Update fields on a quote without changing its status
+  const updateQuote = (quoteId, changes) => {
+    setQuotes(prevQuotes => prevQuotes.map(quote =>
+      quote.id === quoteId ? { ...quote, ...changes } : quote
+    ));
+  };
+
+  // Delete the files of photos removed from a quote in the form
+  const removeUnusedPhotos = (previousQuote, quote) => {
+    deleteRemovedPhotos(previousQuote, quote).catch(error => {
+      console.error('Error deleting removed photos:', error);
+    });
+  };
+
   // Handle actions from the QuoteFormScreen
   useFocusEffect(
     React.useCallback(() => {
@@ -89,17 +222,11 @@ const DashboardScreen = ({ navigation, route }) => {
       if (route && route.params && isInitialized) {
         if (route.params.action === 'add_draft' && route.params.quote) {
           // Add new draft quote
-          const newQuote = route.params.quote;
+          const newQuote = createQuote(route.params.quote);
           console.log('Adding new draft quote with description:', newQuote.description);
           
-          // Create a new Draft array with the new quote at the beginning
-          const updatedDrafts = [newQuote, ...quotes.Draft];
-          
-          // Update the quotes state with the entire state object
-          setQuotes(prevQuotes => ({
-            ...prevQuotes,
-            Draft: updatedDrafts
-          }));
+          // Add the new quote at the beginning of the list
+          setQuotes(prevQuotes => [newQuote, ...prevQuotes]);
           
           // Ensure we're on the Draft tab to see the new quote
           setActiveTab('Draft');
@@ -114,16 +241,12 @@ const DashboardScreen = ({ navigation, route }) => {
           const updatedQuote = route.params.quote;
           console.log('Updating draft quote with description:', updatedQuote.description);
           
-          // Create a new array with the updated quote
-          const updatedDrafts = quotes.Draft.map(quote => 
-            quote.id === updatedQuote.id ? updatedQuote : quote
-          );
-          
-          // Update the quotes state with the entire state object
-          setQuotes(prevQuotes => ({
-            ...prevQuotes,
-            Draft: updatedDrafts
-          }));
+          // Replace the quote's fields, keeping its status and history
+          const existingQuote = quotes.find(quote => quote.id === updatedQuote.id);
+          updateQuote(updatedQuote.id, updatedQuote);
+          if (existingQuote) {
+            removeUnusedPhotos(existingQuote, { ...existingQuote, ...updatedQuote });
+          }
           
           // Ensure we're on the Draft tab to see the updated quote
           setActiveTab('Draft');
@@ -134,53 +257,125 @@ const DashboardScreen = ({ navigation, route }) => {
           console.log('Updated draft quote:', updatedQuote.id);
         }
         else if (route.params.action === 'send_quote' && route.params.quote) {
-          // Move quote from Draft to Sent section
+          // Move quote from Draft to Sent
           const sentQuote = route.params.quote;
           const fromDraftId = route.params.fromDraftId;
           
-          console.log('Moving quote to Sent section:', sentQuote.id);
-          
-          // Create updated state
-          let updatedState = { ...quotes };
+          console.log('Moving quote to Sent:', sentQuote.id);
           
-          // Add to Sent section
-          updatedState.Sent = [sentQuote, ...updatedState.Sent];
+          // Sending an existing draft keeps its history; a new quote starts as a draft
+          const existingDraft = fromDraftId
+            ? quotes.find(quote => quote.id === fromDraftId)
+            : null;
+          const draft = existingDraft
+            ? { ...existingDraft, ...sentQuote }
+            : createQuote(sentQuote);
           
-          // If it was from a draft, remove from Draft section
-          if (fromDraftId) {
-            updatedState.Draft = updatedState.Draft.filter(quote => quote.id !== fromDraftId);
+          // Record what was sent as the quote's first revision
+          const isSent = applyStatusChange(draft, quote => addRevision(transitionQuote(quote, QUOTE_STATUS.SENT, user), user));
+          if (isSent && existingDraft) {
+            removeUnusedPhotos(existingDraft, draft);
           }
           
-          // Update the quotes state
-          setQuotes(updatedState);
-          
-          // Switch to Sent tab to show the sent quote
-          setActiveTab('Sent');
-          
           // Clear params to prevent duplicate sends
           navigation.setParams({ action: null, quote: null, fromDraftId: null });
           
-          console.log('Quote sent and moved to Sent section:', sentQuote.id);
+          console.log('Quote sent and moved to Sent:', sentQuote.id);
+        }
+        else if (route.params.action === 'revise_quote' && route.params.quote) {
+          // Resend an edited sent quote as a new revision
+          const revisedQuote = route.params.quote;
+          const existingQuote = quotes.find(quote => quote.id === revisedQuote.id);
+          
+          if (existingQuote) {
+            const resentQuote = addRevision({ ...existingQuote, ...revisedQuote }, user);
+            updateQuote(revisedQuote.id, resentQuote);
+            removeUnusedPhotos(existingQuote, resentQuote);
+            setActiveTab(getTabForStatus(existingQuote.status));
+          }
+          
+          // Clear params to prevent duplicate revisions
+          navigation.setParams({ action: null, quote: null });
+          
+          console.log('Revised quote resent:', revisedQuote.id);
         }
       }
     }, [route && route.params, quotes, isInitialized])
   );
 
-  const addNewQuote = () => {
+  // Start a new quote, offering the saved templates if there are any
+  const addNewQuote = async () => {
+    try {
+      const savedTemplates = await loadTemplates();
+      if (savedTemplates.length > 0) {
+        setTemplates(savedTemplates);
+        setShowTemplatePicker(true);
+        return;
+      }
+    } catch (error) {
+      console.error('Error loading templates:', error);
+    }
+    
     navigation.navigate('QuoteForm');
   };
 
+  // Start a blank quote from the template picker
+  const startBlankQuote = () => {
+    setShowTemplatePicker(false);
+    navigation.navigate('QuoteForm');
+  };
+
+  // Start a new quote pre-filled from a template
+  const startFromTemplate = (template) => {
+    setShowTemplatePicker(false);
+    navigation.navigate('QuoteForm', { template });
+  };
+
+  // Remove a template from the picker
+  const removeTemplate = (template) => {
+    Alert.alert(
+      "Delete Template",
+      `Delete the "${template.name}" template? Quotes created from it will not change.`,
+      [
+        {
+          text: "Cancel",
+          style: "cancel"
+        },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await deleteTemplate(template.id);
+              const remainingTemplates = await loadTemplates();
+              setTemplates(remainingTemplates);
+              if (remainingTemplates.length === 0) {
+                setShowTemplatePicker(false);
+              }
+            } catch (error) {
+              console.error('Error deleting template:', error);
+            }
+          }
+        }
+      ]
+    );
+  };
+
   const deleteQuote = (quoteId) => {
     // Only handle deletion for Draft quotes
-    if (activeTab === 'Draft') {
+    const quoteToDelete = quotes.find(quote => quote.id === quoteId);
+    if (quoteToDelete && quoteToDelete.status === QUOTE_STATUS.DRAFT) {
       // Filter out the quote with the matching ID
-      const updatedDrafts = quotes.Draft.filter(quote => quote.id !== quoteId);
-      
-      // Update the quotes state with the entire state object
-      setQuotes(prevQuotes => ({
-        ...prevQuotes,
-        Draft: updatedDrafts
-      }));
+      setQuotes(prevQuotes => prevQuotes.filter(quote => quote.id !== quoteId));
+      savedQuotesRef.current.delete(quoteId);
+      writesRef.current = writesRef.current
+        .then(() => deleteQuoteRecords([quoteId]))
+        .catch(error => console.error('Error deleting quote:', error));
+
+      // Drafts have never been sent, so no revision still needs their photos
+      deletePhotos(quoteToDelete.photos).catch(error => {
+        console.error('Error deleting quote photos:', error);
+      });
       
       console.log(`Deleted quote ID: ${quoteId}`);
     }
@@ -188,34 +383,32 @@ const DashboardScreen = ({ navigation, route }) => {
 
   const editQuote = (quoteId) => {
     // Find the quote to edit
-    const quoteToEdit = quotes.Draft.find(quote => quote.id === quoteId);
+    const quoteToEdit = quotes.find(quote => quote.id === quoteId && quote.status === QUOTE_STATUS.DRAFT);
     if (quoteToEdit) {
       // Navigate to QuoteFormScreen with the quote data
       navigation.navigate('QuoteForm', { quote: quoteToEdit });
     }
   };
 
+  // Open a sent quote in the form so it can be changed and resent
+  const reviseQuote = (quoteId) => {
+    const quoteToRevise = quotes.find(quote => quote.id === quoteId && quote.status === QUOTE_STATUS.SENT);
+    if (quoteToRevise) {
+      navigation.navigate('QuoteForm', { quote: quoteToRevise });
+    }
+  };
+
   // Handle resending a quote
   const resendQuote = (quoteId) => {
     // Find the quote to resend
-    const quoteToResend = quotes.Sent.find(quote => quote.id === quoteId);
+    const quoteToResend = quotes.find(quote => quote.id === quoteId);
     if (quoteToResend) {
-      // Add today's date to sentDates array
+      // Add today's date to sentDates array and record the send as a new revision
       const today = new Date().toISOString().split('T')[0]; // Format as YYYY-MM-DD
-      const updatedQuote = {
+      updateQuote(quoteId, addRevision({
         ...quoteToResend,
         sentDates: [...(quoteToResend.sentDates || [quoteToResend.date]), today]
-      };
-      
-      // Update the quotes state with the resent quote
-      const updatedSent = quotes.Sent.map(quote => 
-        quote.id === quoteId ? updatedQuote : quote
-      );
-      
-      setQuotes(prevQuotes => ({
-        ...prevQuotes,
-        Sent: updatedSent
-      }));
+      }, user));
       
       console.log(`Resent quote ID: ${quoteId}`);
       
@@ -231,7 +424,7 @@ const DashboardScreen = ({ navigation, route }) => {
   // Handle downloading a PDF for a quote
   const downloadPDF = async (quoteId) => {
     // Find the quote to generate PDF for
-    const quoteToDownload = quotes.Sent.find(quote => quote.id === quoteId);
+    const quoteToDownload = quotes.find(quote => quote.id === quoteId);
     if (quoteToDownload) {
       try {
         // Import the PDF generator functions
@@ -257,34 +450,102 @@ const DashboardScreen = ({ navigation, route }) => {
     }
   };
 
-  // Handle accepting a quote
+  // Handle sharing the job card for scheduled work
+  const downloadJobCard = async (quoteId) => {
+    const quote = quotes.find(item => item.id === quoteId);
+    if (!quote) return;
+
+    try {
+      const { generateJobCardPDF, sharePDF } = require('../utils/pdfGenerator');
+      const pdfUri = await generateJobCardPDF(quote);
+      await sharePDF(pdfUri);
+
+      console.log(`Downloaded job card PDF ID: ${quoteId}`);
+    } catch (error) {
+      console.error('Error generating or sharing job card PDF:', error);
+
+      Alert.alert(
+        "Error", 
+        "There was an error generating the job card. Please try again.",
+        [{ text: "OK" }]
+      );
+    }
+  };
+
+  // Handle downloading the PDF of an earlier revision of a quote
+  const downloadRevisionPDF = async (quoteId, version) => {
+    const quote = quotes.find(item => item.id === quoteId);
+    if (quote) {
+      try {
+        const { generateQuotePDF, sharePDF } = require('../utils/pdfGenerator');
+        
+        // Rebuild the PDF from exactly what was sent in that revision
+        const pdfUri = await generateQuotePDF(getRevisionSnapshot(quote, version));
+        await sharePDF(pdfUri);
+        
+        console.log(`Downloaded revision v${version} PDF for quote ID: ${quoteId}`);
+      } catch (error) {
+        console.error('Error generating or sharing revision PDF:', error);
+        
+        Alert.alert(
+          "Error", 
+          "There was an error generating the PDF. Please try again.",
+          [{ text: "OK" }]
+        );
+      }
+    }
+  };
+
+  // Handle accepting a quote, asking which option was chosen when there are several
   const acceptQuote = (quoteId) => {
-    // Find the quote in Sent
-    const quoteToAccept = quotes.Sent.find(quote => quote.id === quoteId);
-    if (quoteToAccept) {
-      // Add acceptance date
-      const today = new Date().toISOString().split('T')[0]; // Format as YYYY-MM-DD
-      const acceptedQuote = {
-        ...quoteToAccept,
-        acceptedDate: today
-      };
-      
-      // Create updated state
-      let updatedState = { ...quotes };
-      
-      // Add to Accepted section
-      updatedState.Accepted = [acceptedQuote, ...updatedState.Accepted];
-      
-      // Remove from Sent section
-      updatedState.Sent = updatedState.Sent.filter(quote => quote.id !== quoteId);
-      
-      // Update the quotes state
-      setQuotes(updatedState);
-      
-      // Switch to Accepted tab to show the accepted quote
-      setActiveTab('Accepted');
-      
-      console.log('Quote accepted and moved to Accepted section:', quoteId);
+    const quote = quotes.find(item => item.id === quoteId);
+    if (quote && getQuoteOptions(quote).length > 1) {
+      setAcceptingQuote(quote);
+      return;
+    }
+
+    setSigning({ quoteId, stage: SIGNATURE_STAGES.ACCEPTANCE, changes: {} });
+  };
+
+  // Accept the quote the client chose an option from
+  const acceptOption = (option) => {
+    const quote = acceptingQuote;
+    setAcceptingQuote(null);
+
+    // From here on the deposit, invoice and reports use only the chosen option
+    setSigning({
+      quoteId: quote.id,
+      stage: SIGNATURE_STAGES.ACCEPTANCE,
+      changes: {
+        selectedOptionId: option.id,
+        amount: fromCents(calculateOptionTotals(quote, option).total)
+      }
+    });
+  };
+
+  // Finish accepting or signing off a quote once the customer has signed.
+  // A null signature means the customer was not there to sign.
+  const confirmSignature = (signature) => {
+    const { quoteId, stage, changes } = signing;
+    setSigning(null);
+
+    const signedChanges = signature
+      ? { ...changes, [SIGNATURE_FIELDS[stage]]: signature }
+      : changes;
+
+    if (stage === SIGNATURE_STAGES.ACCEPTANCE) {
+      confirmAcceptance(quoteId, signedChanges);
+    } else {
+      confirmWorkComplete(quoteId, signedChanges);
+    }
+  };
+
+  // Mark a quote as accepted
+  const confirmAcceptance = (quoteId, changes = {}) => {
+    const today = new Date().toISOString().split('T')[0]; // Format as YYYY-MM-DD
+    
+    if (moveQuote(quoteId, QUOTE_STATUS.ACCEPTED, { ...changes, acceptedDate: today })) {
+      console.log('Quote accepted:', quoteId);
       
       // Show success message
       Alert.alert(
@@ -295,39 +556,94 @@ const DashboardScreen = ({ navigation, route }) => {
     }
   };
 
-  // Handle marking deposit paid
-  const markDepositPaid = (quoteId) => {
-    // Find the quote in Accepted
-    const quoteToUpdate = quotes.Accepted.find(quote => quote.id === quoteId);
-    if (quoteToUpdate) {
-      // Add deposit paid date
-      const today = new Date().toISOString().split('T')[0]; // Format as YYYY-MM-DD
-      const updatedQuote = {
-        ...quoteToUpdate,
-        depositDate: today
-      };
-      
-      // Create updated state
-      let updatedState = { ...quotes };
-      
-      // Add to Scheduled Work section
-      updatedState['Scheduled Work'] = [updatedQuote, ...updatedState['Scheduled Work']];
-      
-      // Remove from Accepted section
-      updatedState.Accepted = updatedState.Accepted.filter(quote => quote.id !== quoteId);
-      
-      // Update the quotes state
-      setQuotes(updatedState);
-      
-      // Switch to Scheduled Work tab
-      setActiveTab('Scheduled Work');
+  // Open the reason picker to decline a sent quote
+  const declineQuote = (quoteId) => {
+    setLostOutcome({ quoteId, status: QUOTE_STATUS.DECLINED });
+  };
+
+  // Open the reason picker to cancel a quote or job
+  const cancelQuote = (quoteId) => {
+    setLostOutcome({ quoteId, status: QUOTE_STATUS.CANCELLED });
+  };
+
+  // Close the quote as lost with the reason picked in the modal
+  const confirmLostOutcome = async (reason) => {
+    const { quoteId, status } = lostOutcome;
+    setLostOutcome(null);
+    
+    const quote = quotes.find(item => item.id === quoteId);
+    if (!quote) return;
+    
+    // Cancelling a job after the deposit was paid issues a credit note for the
+    // deposit. Offline, the credit note is numbered by the next sync.
+    let creditNote = {};
+    if (quote.depositDate && !quote.creditNoteNumber && canTransition(quote.status, status)) {
+      try {
+        creditNote = { creditNoteNumber: await allocateNumber(DOCUMENT_TYPES.CREDIT_NOTE) };
+      } catch (error) {
+        console.error('Error allocating credit note number:', error);
+        creditNote = { creditNoteNumberPending: true };
+      }
+    }
+    
+    const closeQuote = item => ({ ...closeQuoteAsLost(item, status, reason, user), ...creditNote });
+    
+    if (applyStatusChange(quote, closeQuote)) {
+      console.log(`Quote ${status.toLowerCase()}:`, quoteId, reason);
       
+      if (creditNote.creditNoteNumberPending) {
+        Alert.alert(
+          "Credit Note Not Numbered",
+          "The credit note for the deposit will be numbered when you are back online.",
+          [{ text: "OK" }]
+        );
+      }
+    }
+  };
+
+  // Get a completed job's invoice number, issuing the next one if it has none yet
+  const getInvoiceNumber = async (quote) => {
+    if (quote.invoiceNumber) return quote.invoiceNumber;
+    
+    const invoiceNumber = await allocateNumber(DOCUMENT_TYPES.INVOICE);
+    updateQuote(quote.id, {
+      invoiceNumber,
+      invoiceNumberPending: false,
+      invoiceDate: new Date().toISOString().split('T')[0]
+    });
+    return invoiceNumber;
+  };
+
+  // Handle marking deposit paid; the job is booked in at the same time
+  const markDepositPaid = (quoteId) => {
+    setBooking({ quoteId, depositPaid: true });
+  };
+
+  // Book or reschedule a job already in Scheduled Work
+  const bookJob = (quoteId) => {
+    setBooking({ quoteId, depositPaid: false });
+  };
+
+  // Save the booking from the schedule modal. A null booking means the deposit
+  // was paid but the job will be booked later.
+  const confirmBooking = (jobBooking) => {
+    const { quoteId, depositPaid } = booking;
+    setBooking(null);
+
+    if (!depositPaid) {
+      updateQuote(quoteId, jobBooking);
+      return;
+    }
+
+    const today = new Date().toISOString().split('T')[0]; // Format as YYYY-MM-DD
+    
+    if (moveQuote(quoteId, QUOTE_STATUS.SCHEDULED, { ...jobBooking, depositDate: today })) {
       console.log('Quote marked with deposit paid and moved to Scheduled Work:', quoteId);
       
       // Show success message
       Alert.alert(
         "Success", 
-        "Deposit marked as paid!",
+        jobBooking ? "Deposit marked as paid and job booked!" : "Deposit marked as paid!",
         [{ text: "OK" }]
       );
     }
@@ -335,32 +651,14 @@ const DashboardScreen = ({ navigation, route }) => {
 
   // Handle marking work as complete
   const markWorkComplete = (quoteId) => {
-    // Find the quote in Scheduled Work
-    const quoteToUpdate = quotes['Scheduled Work'].find(quote => quote.id === quoteId);
-    if (quoteToUpdate) {
-      // Add work complete date
-      const today = new Date().toISOString().split('T')[0]; // Format as YYYY-MM-DD
-      const updatedQuote = {
-        ...quoteToUpdate,
-        completedDate: today,
-        isPaid: false // Default to not paid yet
-      };
-      
-      // Create updated state
-      let updatedState = { ...quotes };
-      
-      // Add to Complete section
-      updatedState.Complete = [updatedQuote, ...updatedState.Complete];
-      
-      // Remove from Scheduled Work section
-      updatedState['Scheduled Work'] = updatedState['Scheduled Work'].filter(quote => quote.id !== quoteId);
-      
-      // Update the quotes state
-      setQuotes(updatedState);
-      
-      // Switch to Complete tab
-      setActiveTab('Complete');
-      
+    setSigning({ quoteId, stage: SIGNATURE_STAGES.COMPLETION, changes: {} });
+  };
+
+  // Move the job to Complete once the customer has signed it off
+  const confirmWorkComplete = (quoteId, changes = {}) => {
+    const today = new Date().toISOString().split('T')[0]; // Format as YYYY-MM-DD
+    
+    if (moveQuote(quoteId, QUOTE_STATUS.COMPLETE, { ...changes, completedDate: today, isPaid: false })) {
       console.log('Quote marked as complete:', quoteId);
       
       // Show success message
@@ -373,50 +671,72 @@ const DashboardScreen = ({ navigation, route }) => {
   };
 
   // Handle marking final payment received
-  const markFinalPayment = (quoteId) => {
-    // Find the quote in Complete
-    const quoteToUpdate = quotes.Complete.find(quote => quote.id === quoteId);
+  const markFinalPayment = async (quoteId) => {
+    // Find the completed quote
+    const quoteToUpdate = quotes.find(quote => quote.id === quoteId && quote.status === QUOTE_STATUS.COMPLETE);
     if (quoteToUpdate) {
-      // Add final payment date
-      const today = new Date().toISOString().split('T')[0]; // Format as YYYY-MM-DD
-      const updatedQuote = {
-        ...quoteToUpdate,
-        finalPaymentDate: today,
-        isPaid: true
-      };
-      
-      // Update the quotes state with the paid quote
-      const updatedComplete = quotes.Complete.map(quote => 
-        quote.id === quoteId ? updatedQuote : quote
-      );
-      
-      setQuotes(prevQuotes => ({
-        ...prevQuotes,
-        Complete: updatedComplete
-      }));
-      
-      console.log('Quote marked as fully paid:', quoteId);
-      
-      // Show success message
-      Alert.alert(
-        "Success", 
-        "Final payment marked as received!",
-        [{ text: "OK" }]
-      );
+      try {
+        // The tax invoice is issued once the job is paid in full. Offline, it
+        // is numbered by the next sync.
+        let invoiceNumber = null;
+        try {
+          invoiceNumber = await getInvoiceNumber(quoteToUpdate);
+        } catch (error) {
+          console.error('Error allocating invoice number:', error);
+        }
+        
+        // Add final payment date
+        const today = new Date().toISOString().split('T')[0]; // Format as YYYY-MM-DD
+        updateQuote(quoteId, {
+          finalPaymentDate: today,
+          isPaid: true,
+          ...(invoiceNumber ? { invoiceNumber } : { invoiceNumberPending: true })
+        });
+        
+        console.log('Quote marked as fully paid:', quoteId, invoiceNumber);
+        
+        // Show success message
+        Alert.alert(
+          "Success", 
+          invoiceNumber
+            ? `Final payment marked as received! Invoice ${invoiceNumber} has been issued.`
+            : "Final payment marked as received! The invoice will be numbered when you are back online.",
+          [{ text: "OK" }]
+        );
+      } catch (error) {
+        console.error('Error recording final payment:', error);
+        
+        Alert.alert(
+          "Error", 
+          "There was a problem issuing the invoice. Please try again.",
+          [{ text: "OK" }]
+        );
+      }
     }
   };
 
   // Handle downloading an invoice for a completed quote
   const downloadInvoice = async (quoteId) => {
     // Find the quote to generate invoice for
-    const quoteToInvoice = quotes.Complete.find(quote => quote.id === quoteId);
+    const quoteToInvoice = quotes.find(quote => quote.id === quoteId && quote.status === QUOTE_STATUS.COMPLETE);
     if (quoteToInvoice && quoteToInvoice.isPaid) {
       try {
         // Import the PDF generator functions
         const { generateInvoicePDF, sharePDF } = require('../utils/pdfGenerator');
         
+        // Jobs paid before invoice numbering was added, or paid offline, get
+        // their number now
+        let invoiceNumber;
+        try {
+          invoiceNumber = await getInvoiceNumber(quoteToInvoice);
+        } catch (error) {
+          console.error('Error allocating invoice number:', error);
+          Alert.alert("Invoice Not Numbered", error.message, [{ text: "OK" }]);
+          return;
+        }
+        
         // Generate PDF invoice and get the file path
-        const pdfUri = await generateInvoicePDF(quoteToInvoice);
+        const pdfUri = await generateInvoicePDF({ ...quoteToInvoice, invoiceNumber });
         
         // Share the PDF
         await sharePDF(pdfUri);
@@ -458,24 +778,18 @@ const DashboardScreen = ({ navigation, route }) => {
     return null;
   };
 
-  // Reset quotes storage
+  // Clear the quotes saved on this device
   const resetQuotes = async () => {
     try {
-      const emptyData = {
-        Draft: [],
-        Sent: [],
-        Accepted: [],
-        'Scheduled Work': [],
-        Complete: [],
-      };
-      
-      await AsyncStorage.setItem(QUOTES_STORAGE_KEY, JSON.stringify(emptyData));
-      setQuotes(emptyData);
+      await writesRef.current;
+      await clearQuotes();
+      savedQuotesRef.current = new Map();
+      setQuotes([]);
       console.log('All quotes cleared');
       
       Alert.alert(
         "Success", 
-        "All quotes have been cleared.",
+        "All quotes have been cleared from this device.",
         [{ text: "OK" }]
       );
     } catch (error) {
@@ -493,6 +807,27 @@ const DashboardScreen = ({ navigation, route }) => {
     <SafeAreaView style={styles.container}>
       <AppHeader subtitle="Dashboard" />
 
+      {conflictCount > 0 && (
+        <TouchableOpacity 
+          style={styles.conflictBanner}
+          onPress={() => navigation.navigate('SyncConflicts')}
+        >
+          <Text style={styles.conflictBannerText}>
+            {conflictCount === 1 ? '1 quote was' : `${conflictCount} quotes were`} changed on another
+            device at the same time. Tap to choose which changes to keep.
+          </Text>
+        </TouchableOpacity>
+      )}
+
+      {rejectedCount > 0 && (
+        <View style={styles.rejectedBanner}>
+          <Text style={styles.rejectedBannerText}>
+            {rejectedCount === 1 ? '1 change was' : `${rejectedCount} changes were`} refused by your
+            business account and will not sync. Review them in Settings under Sync.
+          </Text>
+        </View>
+      )}
+
       <TabSelector 
         activeTab={activeTab} 
         setActiveTab={setActiveTab} 
@@ -502,20 +837,27 @@ const DashboardScreen = ({ navigation, route }) => {
       {renderHeader()}
 
       <FlatList
-        data={quotes[activeTab]}
+        data={getQuotesForTab(quotes.filter(quote => canSeeQuote(quote, permissions)), activeTab)}
         renderItem={({ item }) => (
           <QuoteCard 
             quote={item} 
-            tabType={activeTab} 
-            onDelete={activeTab === 'Draft' ? deleteQuote : null}
-            onEdit={activeTab === 'Draft' ? editQuote : null}
-            onResend={activeTab === 'Sent' ? resendQuote : null}
-            onDownloadPDF={activeTab === 'Sent' ? downloadPDF : null}
-            onAccept={activeTab === 'Sent' ? acceptQuote : null}
-            onDepositPaid={activeTab === 'Accepted' ? markDepositPaid : null}
-            onWorkComplete={activeTab === 'Scheduled Work' ? markWorkComplete : null}
-            onFinalPayment={activeTab === 'Complete' && !item.isPaid ? markFinalPayment : null}
-            onDownloadInvoice={activeTab === 'Complete' && item.isPaid ? downloadInvoice : null}
+            tabType={item.status} 
+            assigneeName={getMemberName(teamMembers, item.assignedTo)}
+            onDelete={item.status === QUOTE_STATUS.DRAFT ? deleteQuote : null}
+            onEdit={item.status === QUOTE_STATUS.DRAFT ? editQuote : null}
+            onResend={item.status === QUOTE_STATUS.SENT ? resendQuote : null}
+            onRevise={item.status === QUOTE_STATUS.SENT ? reviseQuote : null}
+            onDownloadRevision={downloadRevisionPDF}
+            onDownloadPDF={item.status === QUOTE_STATUS.SENT ? downloadPDF : null}
+            onAccept={item.status === QUOTE_STATUS.SENT ? acceptQuote : null}
+            onDecline={item.status === QUOTE_STATUS.SENT ? declineQuote : null}
+            onCancel={[QUOTE_STATUS.SENT, QUOTE_STATUS.ACCEPTED, QUOTE_STATUS.SCHEDULED].includes(item.status) ? cancelQuote : null}
+            onDepositPaid={item.status === QUOTE_STATUS.ACCEPTED ? markDepositPaid : null}
+            onWorkComplete={item.status === QUOTE_STATUS.SCHEDULED ? markWorkComplete : null}
+            onBookJob={item.status === QUOTE_STATUS.SCHEDULED ? bookJob : null}
+            onDownloadJobCard={item.status === QUOTE_STATUS.SCHEDULED ? downloadJobCard : null}
+            onFinalPayment={item.status === QUOTE_STATUS.COMPLETE && !item.isPaid ? markFinalPayment : null}
+            onDownloadInvoice={item.status === QUOTE_STATUS.COMPLETE && item.isPaid ? downloadInvoice : null}
           />
         )}
         keyExtractor={item => item.id}
@@ -537,6 +879,52 @@ const DashboardScreen = ({ navigation, route }) => {
           </View>
         }
       />
+
+      <LostReasonModal
+        visible={lostOutcome !== null}
+        title={lostOutcome && lostOutcome.status === QUOTE_STATUS.DECLINED ? 'Decline Quote' : 'Cancel Quote'}
+        confirmLabel={lostOutcome && lostOutcome.status === QUOTE_STATUS.DECLINED ? 'Decline' : 'Cancel Quote'}
+        onConfirm={confirmLostOutcome}
+        onCancel={() => setLostOutcome(null)}
+      />
+
+      <TemplatePickerModal
+        visible={showTemplatePicker}
+        templates={templates}
+        onSelectBlank={startBlankQuote}
+        onSelectTemplate={startFromTemplate}
+        onDeleteTemplate={removeTemplate}
+        onCancel={() => setShowTemplatePicker(false)}
+      />
+
+      <OptionPickerModal
+        visible={acceptingQuote !== null}
+        quote={acceptingQuote}
+        onSelectOption={acceptOption}
+        onCancel={() => setAcceptingQuote(null)}
+      />
+
+      <SignatureModal
+        visible={signing !== null}
+        title={signing && signing.stage === SIGNATURE_STAGES.COMPLETION ? 'Job Sign-off' : 'Accept Quote'}
+        subtitle={signing && signing.stage === SIGNATURE_STAGES.COMPLETION
+          ? 'Ask the customer to sign to confirm the work is complete.'
+          : 'Ask the customer to sign to confirm they accept the quote.'}
+        defaultName={signing ? quotes.find(quote => quote.id === signing.quoteId)?.customerName : ''}
+        onConfirm={confirmSignature}
+        onSkip={() => confirmSignature(null)}
+        onCancel={() => setSigning(null)}
+      />
+
+      <ScheduleJobModal
+        visible={booking !== null}
+        quote={booking ? quotes.find(quote => quote.id === booking.quoteId) : null}
+        quotes={scheduledQuotes}
+        members={canAssignJobs(permissions) ? teamMembers : []}
+        onConfirm={confirmBooking}
+        onSkip={booking && booking.depositPaid ? () => confirmBooking(null) : null}
+        onCancel={() => setBooking(null)}
+      />
     </SafeAreaView>
   );
 };
@@ -549,6 +937,22 @@ const styles = StyleSheet.create({
   headerContainer: {
     padding: 16,
   },
+  conflictBanner: {
+    backgroundColor: '#FEF3C7', // amber-100
+    padding: 12,
+  },
+  conflictBannerText: {
+    fontSize: 13,
+    color: '#92400E', // amber-800
+  },
+  rejectedBanner: {
+    backgroundColor: '#FEE2E2', // red-100
+    padding: 12,
+  },
+  rejectedBannerText: {
+    fontSize: 13,
+    color: '#991B1B', // red-800
+  },
   addButton: {
     backgroundColor: '#3B82F6', // blue-500
     paddingVertical: 12,
@@ -9,11 +9,51 @@ import {
   Alert,
   KeyboardAvoidingView,
   Platform,
-  BackHandler
+  BackHandler,
+  Modal
 } from 'react-native';
 import { MaterialIcons } from '@expo/vector-icons';
 import { useFocusEffect } from '@react-navigation/native';
 import { generateQuotePDF, sharePDF } from '../utils/pdfGenerator';
+import { calculateValidUntil, QUOTE_STATUS } from '../utils/quoteStore';
+import { getNextRevisionNumber } from '../utils/revisions';
+import { loadCatalogue, searchCatalogue, applyCatalogueItem } from '../utils/catalogue';
+import { saveTemplate, createQuoteFromTemplate } from '../utils/templates';
+import { allocateNumber, DOCUMENT_TYPES } from '../utils/numbering';
+import { saveClient, getClient } from '../utils/clients';
+import { createSite, cleanSites, getSiteLabel } from '../utils/sites';
+import { deleteRemovedPhotos } from '../utils/photos';
+import {
+  createContact,
+  getContacts,
+  getContactFor,
+  cleanContacts,
+  validateContacts,
+  CONTACT_PURPOSES
+} from '../utils/contacts';
+import ClientPicker from '../components/ClientPicker';
+import ContactsEditor from '../components/ContactsEditor';
+import PhotoAttachments from '../components/PhotoAttachments';
+import AssigneePicker from '../components/AssigneePicker';
+import { useAuth } from '../utils/AuthContext';
+import { canAssignJobs } from '../utils/team';
+import globalState from '../utils/globalState';
+import {
+  calculateLineItemTotal,
+  calculateLineItemDiscount,
+  calculateQuoteTotals,
+  calculateOptionTotals,
+  formatCents,
+  fromCents,
+  toCents,
+  formatDiscount,
+  DISCOUNT_TYPES,
+  VAT_CATEGORIES,
+  VAT_CATEGORY_LABELS,
+  DEFAULT_VAT_PERCENTAGE,
+  DEFAULT_DEPOSIT_PERCENTAGE,
+  SERVICE_CHARGE_PERCENTAGE
+} from '../utils/pricing';
 
 const formatCurrency = (amount) => {
   return new Intl.NumberFormat('en-GB', {
@@ -24,30 +64,100 @@ const formatCurrency = (amount) => {
   }).format(amount);
 };
 
+// Line item fields entered as numbers
+const NUMERIC_LINE_ITEM_FIELDS = ['quantity', 'price', 'discountValue'];
+
+// VAT categories in the order a line item cycles through them
+const VAT_CATEGORY_CYCLE = [VAT_CATEGORIES.STANDARD, VAT_CATEGORIES.ZERO_RATED, VAT_CATEGORIES.EXEMPT];
+
+// Names given to the first options added to a quote
+const DEFAULT_OPTION_NAMES = ['Good', 'Better', 'Best'];
+
 const QuoteFormScreen = ({ navigation, route }) => {
   // Check if we're editing an existing quote
   const isEditing = route.params?.quote !== undefined;
   const initialQuote = route.params?.quote || null;
-
-  // Fixed service charge percentage
-  const SERVICE_CHARGE_PERCENTAGE = 0.5;
+  // Editing a quote that was already sent resends it as a new revision
+  const isRevision = initialQuote?.status === QUOTE_STATUS.SENT;
+  // A new quote can start from a template, which fills in everything except the client
+  const jobDetails = initialQuote || (route.params?.template ? createQuoteFromTemplate(route.params.template) : null);
+  const { teamMembers, permissions } = useAuth();
 
   // Form state
   const [clientName, setClientName] = useState(initialQuote?.customerName || '');
-  const [contactType, setContactType] = useState(initialQuote?.contactType || 'phone'); // 'phone' or 'email'
-  const [contactInfo, setContactInfo] = useState(
-    initialQuote?.contactType === 'email' 
-      ? initialQuote?.email || '' 
-      : initialQuote?.phoneNumber || ''
+  // Mobile, WhatsApp and email contacts for the site and for billing
+  const [contacts, setContacts] = useState(
+    getContacts(initialQuote).length > 0 ? getContacts(initialQuote) : [createContact()]
   );
   const [clientAddress, setClientAddress] = useState(initialQuote?.clientAddress || '');
-  const [description, setDescription] = useState(initialQuote?.description || '');
+  // Directory client the quote belongs to, if one has been chosen or saved
+  const [clientId, setClientId] = useState(initialQuote?.clientId || null);
+  const [showClientPicker, setShowClientPicker] = useState(false);
+  // Site the work is at, and the linked client's saved sites to choose from
+  const [site, setSite] = useState(initialQuote?.site || createSite());
+  const [clientSites, setClientSites] = useState([]);
+  // Photos of the job, printed in an appendix to the quote PDF
+  const [photos, setPhotos] = useState(initialQuote?.photos || []);
+  // Team member the quote and job are assigned to; new quotes go to whoever creates them
+  const [assignedTo, setAssignedTo] = useState(
+    initialQuote ? initialQuote.assignedTo || null : permissions.memberId
+  );
+  const [description, setDescription] = useState(jobDetails?.description || '');
   const [lineItems, setLineItems] = useState(
-    initialQuote?.lineItems || [{ id: 1, description: '', quantity: 1, price: 0 }]
+    jobDetails?.lineItems || [{ id: 1, description: '', quantity: 1, price: 0 }]
+  );
+  // Named option groups (e.g. Good / Better / Best), each with its own line items.
+  // Empty for a quote with a single set of line items.
+  const [options, setOptions] = useState(jobDetails?.options || []);
+  const [vatPercentage, setVatPercentage] = useState(jobDetails?.vatPercentage ?? DEFAULT_VAT_PERCENTAGE);
+  const [depositPercentage, setDepositPercentage] = useState(jobDetails?.depositPercentage ?? DEFAULT_DEPOSIT_PERCENTAGE);
+  // Discount on the whole quote, taken off after any line discounts
+  const [discountType, setDiscountType] = useState(jobDetails?.discountType || DISCOUNT_TYPES.PERCENTAGE);
+  const [discountValue, setDiscountValue] = useState(jobDetails?.discountValue || 0);
+  // Service charge the quote or template was priced with; new quotes use the current rate
+  const serviceChargePercentage = jobDetails?.serviceChargePercentage ?? SERVICE_CHARGE_PERCENTAGE;
+  // Optional number of days the quote is valid for once sent
+  const [validityDays, setValidityDays] = useState(
+    jobDetails?.validityDays ? jobDetails.validityDays.toString() : ''
   );
-  const [vatPercentage, setVatPercentage] = useState(initialQuote?.vatPercentage || 15);
-  const [depositPercentage, setDepositPercentage] = useState(initialQuote?.depositPercentage || 50);
   const [formModified, setFormModified] = useState(false);
+  // Price book items, and the line item whose description is showing suggestions
+  const [catalogue, setCatalogue] = useState([]);
+  const [suggestionKey, setSuggestionKey] = useState(null);
+  // Name entered when saving the form as a template, or null when the prompt is closed
+  const [templateName, setTemplateName] = useState(null);
+
+  // Load the price book for line-item suggestions
+  useEffect(() => {
+    const loadItems = async () => {
+      try {
+        setCatalogue(await loadCatalogue());
+      } catch (error) {
+        console.error('Error loading catalogue:', error);
+      }
+    };
+
+    loadItems();
+  }, []);
+
+  // Load the linked client's sites
+  useEffect(() => {
+    const loadSites = async () => {
+      if (!clientId) {
+        setClientSites([]);
+        return;
+      }
+
+      try {
+        const client = await getClient(clientId);
+        setClientSites(client ? client.sites : []);
+      } catch (error) {
+        console.error('Error loading client sites:', error);
+      }
+    };
+
+    loadSites();
+  }, [clientId]);
 
   // Set up navigation options with custom back button handling
   useEffect(() => {
@@ -61,7 +171,7 @@ const QuoteFormScreen = ({ navigation, route }) => {
         </TouchableOpacity>
       ),
     });
-  }, [navigation, clientName, contactInfo, clientAddress, lineItems, description, formModified]);
+  }, [navigation, clientName, contacts, clientAddress, lineItems, options, description, formModified]);
 
   // Handle hardware back button
   useFocusEffect(
@@ -79,31 +189,80 @@ const QuoteFormScreen = ({ navigation, route }) => {
       }
       // Return empty cleanup function for iOS
       return () => {};
-    }, [clientName, contactInfo, clientAddress, lineItems, description, formModified])
+    }, [clientName, contacts, clientAddress, lineItems, options, description, formModified])
   );
 
   // Mark form as modified when values change
   useEffect(() => {
-    if (clientName || contactInfo || clientAddress || description || lineItems.some(item => item.description || item.price > 0)) {
+    if (clientName || contacts.some(contact => contact.value) || clientAddress || description || photos.length > 0 || options.length > 0 || lineItems.some(item => item.description || item.price > 0)) {
       setFormModified(true);
     }
-  }, [clientName, contactInfo, clientAddress, description, lineItems]);
+  }, [clientName, contacts, clientAddress, description, photos, lineItems, options]);
+
+  // Line items as saved on the quote: either a single list or the option groups
+  const quoteItems = options.length > 0
+    ? { lineItems: [], options }
+    : { lineItems, options: [] };
 
-  // Calculate totals
-  const calculateItemTotal = (item) => {
-    const total = item.quantity * item.price;
-    return Number(total.toFixed(2)); // Ensure precision for calculations
+  // Quotes are priced with the business's current VAT registration, which is
+  // saved on the quote so later changes in Settings don't alter it
+  const { vatRegistered } = globalState;
+  const vatNumber = vatRegistered ? globalState.vatNumber : '';
+
+  const pricingQuote = {
+    ...quoteItems,
+    discountType,
+    discountValue,
+    vatRegistered,
+    vatPercentage,
+    serviceChargePercentage,
+    depositPercentage
   };
 
-  const subtotal = Number(lineItems.reduce((sum, item) => sum + calculateItemTotal(item), 0).toFixed(2));
-  const vatAmount = Number((subtotal * (vatPercentage / 100)).toFixed(2));
-  const serviceChargeAmount = Number((subtotal * (SERVICE_CHARGE_PERCENTAGE / 100)).toFixed(2));
-  const total = Number((subtotal + vatAmount + serviceChargeAmount).toFixed(2));
-  const depositAmount = Number((total * (depositPercentage / 100)).toFixed(2));
+  // Calculate totals (in cents) using the shared pricing engine. With options
+  // these are the first option's totals until the client picks one.
+  const {
+    subtotal,
+    lineDiscountAmount,
+    quoteDiscountAmount,
+    vatAmount,
+    vatBreakdown,
+    serviceChargeAmount,
+    total,
+    depositAmount
+  } = calculateQuoteTotals(pricingQuote);
+
+  // Service name for the quote list when no description is entered
+  const firstItemDescription = (options.length > 0 ? options[0].lineItems : lineItems)[0]?.description;
+
+  // Leave without saving, deleting the files of photos added in this visit
+  const discardChanges = () => {
+    deleteRemovedPhotos({ photos }, initialQuote || null).catch(error => {
+      console.error('Error deleting discarded photos:', error);
+    });
+    navigation.goBack();
+  };
 
   // Handle back button / navigation
   const handleBackPress = () => {
-    if (formModified) {
+    if (formModified && isRevision) {
+      // A sent quote can only change by sending a new revision
+      Alert.alert(
+        "Discard Changes",
+        "This quote has already been sent. Discard your changes?",
+        [
+          {
+            text: "Keep Editing",
+            style: "cancel"
+          },
+          {
+            text: "Discard",
+            style: "destructive",
+            onPress: discardChanges
+          }
+        ]
+      );
+    } else if (formModified) {
       Alert.alert(
         "Save Draft",
         "Would you like to save this quote as a draft?",
@@ -111,7 +270,7 @@ const QuoteFormScreen = ({ navigation, route }) => {
           {
             text: "Don't Save",
             style: "cancel",
-            onPress: () => navigation.goBack()
+            onPress: discardChanges
           },
           {
             text: "Save Draft",
@@ -124,24 +283,91 @@ const QuoteFormScreen = ({ navigation, route }) => {
     }
   };
 
+  // Get the quote's number, issuing the next one the first time it is saved
+  const getQuoteNumber = async () => {
+    if (initialQuote?.quoteNumber) return initialQuote.quoteNumber;
+
+    try {
+      return await allocateNumber(DOCUMENT_TYPES.QUOTE);
+    } catch (error) {
+      console.error("Error allocating quote number:", error);
+      Alert.alert(
+        "Error",
+        `There was a problem numbering this quote. ${error.message}`,
+        [{ text: "OK" }]
+      );
+      return null;
+    }
+  };
+
+  // Fill in the client details from the directory
+  const selectClient = (client) => {
+    setClientId(client.id);
+    setClientName(client.name);
+    setContacts(client.contacts.length > 0 ? client.contacts : [createContact()]);
+    setClientAddress(client.address);
+    // A client with a single site is almost always quoted for that site
+    setSite(client.sites.length === 1 ? client.sites[0] : createSite());
+    setShowClientPicker(false);
+  };
+
+  // Update the address or access notes of the job site
+  const updateSite = (field, value) => {
+    setSite({ ...site, [field]: value });
+  };
+
+  // Get the directory client for the quote, adding the client typed into the
+  // form to the directory if they are not in it yet
+  const getClientId = async () => {
+    if (clientId || !clientName.trim()) return clientId;
+
+    try {
+      const client = await saveClient({
+        name: clientName,
+        contacts,
+        address: clientAddress,
+        sites: [site]
+      });
+      setClientId(client.id);
+      return client.id;
+    } catch (error) {
+      // The quote keeps its own copy of the client details, so carry on without the link
+      console.error('Error saving client:', error);
+      return null;
+    }
+  };
+
   // Save as draft function
-  const saveAsDraft = () => {
+  const saveAsDraft = async () => {
+    const quoteNumber = await getQuoteNumber();
+    if (!quoteNumber) return;
+    const quoteClientId = await getClientId();
+
     // Create the quote object with all the current form data
     const draftQuote = {
       id: isEditing ? initialQuote.id : `d${Date.now()}`,
+      quoteNumber,
+      clientId: quoteClientId,
       customerName: clientName,
-      amount: total,
-      formattedAmount: formatCurrency(total),
-      service: description || lineItems[0]?.description || 'Quote', // Use description as service name
+      amount: fromCents(total),
+      formattedAmount: formatCurrency(fromCents(total)),
+      service: description || firstItemDescription || 'Quote', // Use description as service name
       // Additional data we might want to store
-      contactType,
-      [contactType === 'phone' ? 'phoneNumber' : 'email']: contactInfo,
+      contacts: cleanContacts(contacts),
       clientAddress,
+      site: cleanSites([site])[0] || null,
+      photos,
+      assignedTo,
       description, // Store the description separately to ensure it's preserved
-      lineItems,
+      ...quoteItems,
+      discountType,
+      discountValue,
+      vatRegistered,
+      vatNumber,
       vatPercentage,
-      serviceChargePercentage: SERVICE_CHARGE_PERCENTAGE,
-      depositPercentage
+      serviceChargePercentage,
+      depositPercentage,
+      validityDays: parseInt(validityDays, 10) || null
     };
 
     console.log('Saving draft with description:', description);
@@ -170,79 +396,242 @@ const QuoteFormScreen = ({ navigation, route }) => {
     }
   };
 
+  // Save the job details in the form as a named template
+  const saveAsTemplate = async () => {
+    try {
+      const template = await saveTemplate(templateName, {
+        description,
+        ...quoteItems,
+        discountType,
+        discountValue,
+        vatPercentage,
+        serviceChargePercentage,
+        depositPercentage,
+        validityDays: parseInt(validityDays, 10) || null
+      });
+      setTemplateName(null);
+
+      Alert.alert(
+        "Template Saved",
+        `"${template.name}" can now be used to start new quotes.`,
+        [{ text: "OK" }]
+      );
+    } catch (error) {
+      console.error("Error saving template:", error);
+      Alert.alert("Error", error.message, [{ text: "OK" }]);
+    }
+  };
+
+  // Get the line items being edited: the quote's own list, or one option's list
+  const getLineItems = (optionId) => {
+    return optionId
+      ? options.find(option => option.id === optionId).lineItems
+      : lineItems;
+  };
+
+  // Replace the line items of the quote or of one option
+  const setLineItemsFor = (optionId, items) => {
+    if (optionId) {
+      setOptions(options.map(option =>
+        option.id === optionId ? { ...option, lineItems: items } : option
+      ));
+    } else {
+      setLineItems(items);
+    }
+  };
+
   // Add a new line item
-  const addLineItem = () => {
-    const newId = lineItems.length > 0 
-      ? Math.max(...lineItems.map(item => item.id)) + 1 
+  const addLineItem = (optionId) => {
+    const items = getLineItems(optionId);
+    const newId = items.length > 0 
+      ? Math.max(...items.map(item => item.id)) + 1 
       : 1;
       
-    setLineItems([
-      ...lineItems, 
+    setLineItemsFor(optionId, [
+      ...items, 
       { id: newId, description: '', quantity: 1, price: 0 }
     ]);
   };
 
   // Remove a line item
-  const removeLineItem = (id) => {
-    if (lineItems.length > 1) {
-      setLineItems(lineItems.filter(item => item.id !== id));
+  const removeLineItem = (optionId, id) => {
+    const items = getLineItems(optionId);
+    if (items.length > 1) {
+      setLineItemsFor(optionId, items.filter(item => item.id !== id));
     }
   };
 
   // Update a line item
-  const updateLineItem = (id, field, value) => {
-    const updatedItems = lineItems.map(item => {
+  const updateLineItem = (optionId, id, field, value) => {
+    const updatedItems = getLineItems(optionId).map(item => {
       if (item.id === id) {
-        return { ...item, [field]: field === 'price' || field === 'quantity' ? Number(value) : value };
+        return { ...item, [field]: NUMERIC_LINE_ITEM_FIELDS.includes(field) ? Number(value) : value };
       }
       return item;
     });
-    setLineItems(updatedItems);
+    setLineItemsFor(optionId, updatedItems);
+  };
+
+  // Add a discount to a line item, or remove the one it has
+  const toggleLineItemDiscount = (optionId, id) => {
+    setLineItemsFor(optionId, getLineItems(optionId).map(item => {
+      if (item.id !== id) return item;
+      return item.discountType
+        ? { ...item, discountType: null, discountValue: 0 }
+        : { ...item, discountType: DISCOUNT_TYPES.PERCENTAGE, discountValue: 0 };
+    }));
+  };
+
+  // Move a line item on to the next VAT category
+  const cycleVatCategory = (optionId, item) => {
+    const currentIndex = VAT_CATEGORY_CYCLE.indexOf(item.vatCategory || VAT_CATEGORIES.STANDARD);
+    const nextCategory = VAT_CATEGORY_CYCLE[(currentIndex + 1) % VAT_CATEGORY_CYCLE.length];
+    updateLineItem(optionId, item.id, 'vatCategory', nextCategory);
+  };
+
+  // Fill a line item from a price book item
+  const selectCatalogueItem = (optionId, id, catalogueItem) => {
+    setLineItemsFor(optionId, getLineItems(optionId).map(item =>
+      item.id === id ? applyCatalogueItem(item, catalogueItem) : item
+    ));
+    setSuggestionKey(null);
+  };
+
+  // Line item ids are only unique within an option, so suggestions are keyed on both
+  const getSuggestionKey = (optionId, item) => `${optionId || 'quote'}:${item.id}`;
+
+  // Get price book suggestions for the line item being typed in
+  const getSuggestions = (optionId, item) => {
+    if (getSuggestionKey(optionId, item) !== suggestionKey) return [];
+    return searchCatalogue(catalogue, item.description)
+      .filter(catalogueItem => catalogueItem.description !== item.description);
+  };
+
+  // Add an option group. The first time, the current line items become the
+  // first option; each new option starts as a copy of the last one.
+  const addOption = () => {
+    const copyItems = (items) => JSON.parse(JSON.stringify(items));
+
+    if (options.length === 0) {
+      setOptions([
+        { id: 'o1', name: DEFAULT_OPTION_NAMES[0], lineItems },
+        { id: 'o2', name: DEFAULT_OPTION_NAMES[1], lineItems: copyItems(lineItems) }
+      ]);
+      return;
+    }
+
+    const newNumber = Math.max(...options.map(option => parseInt(option.id.slice(1), 10))) + 1;
+    setOptions([
+      ...options,
+      {
+        id: `o${newNumber}`,
+        name: DEFAULT_OPTION_NAMES[options.length] || `Option ${options.length + 1}`,
+        lineItems: copyItems(options[options.length - 1].lineItems)
+      }
+    ]);
+  };
+
+  // Remove an option group, going back to a single list when one is left
+  const removeOption = (optionId) => {
+    const remainingOptions = options.filter(option => option.id !== optionId);
+    if (remainingOptions.length === 1) {
+      setLineItems(remainingOptions[0].lineItems);
+      setOptions([]);
+    } else {
+      setOptions(remainingOptions);
+    }
+  };
+
+  // Rename an option group
+  const renameOption = (optionId, name) => {
+    setOptions(options.map(option =>
+      option.id === optionId ? { ...option, name } : option
+    ));
   };
 
   // Handle sending the quote
   const handleSendQuote = async () => {
-    if (contactType === 'phone' && !contactInfo.trim()) {
+    if (!getContactFor({ contacts: cleanContacts(contacts) }, CONTACT_PURPOSES.SITE)) {
+      Alert.alert(
+        "Missing Contact", 
+        "Please enter a site contact to send the quote.",
+        [{ text: "OK" }]
+      );
+      return;
+    }
+
+    try {
+      validateContacts(cleanContacts(contacts));
+    } catch (error) {
       Alert.alert(
-        "Missing Phone Number", 
-        "Please enter a phone number to send the quote.",
+        "Invalid Contact", 
+        error.message,
         [{ text: "OK" }]
       );
       return;
-    } else if (contactType === 'email' && !contactInfo.trim()) {
+    }
+
+    if (options.some(option => !option.name.trim())) {
       Alert.alert(
-        "Missing Email", 
-        "Please enter an email address to send the quote.",
+        "Missing Option Name", 
+        "Please name each option so the client can tell them apart.",
         [{ text: "OK" }]
       );
       return;
     }
 
+    const quoteNumber = await getQuoteNumber();
+    if (!quoteNumber) return;
+    const quoteClientId = await getClientId();
+
     // Create sent quote object with current date
+    const sentDate = new Date().toISOString().split('T')[0]; // Format as YYYY-MM-DD
     const sentQuote = {
       id: isEditing ? initialQuote.id : `s${Date.now()}`,
+      quoteNumber,
+      clientId: quoteClientId,
       customerName: clientName,
-      amount: total,
-      formattedAmount: formatCurrency(total),
-      service: description || lineItems[0]?.description || 'Quote',
-      date: new Date().toISOString().split('T')[0], // Format as YYYY-MM-DD
-      sentDates: [new Date().toISOString().split('T')[0]], // Array to track all sent dates
+      amount: fromCents(total),
+      formattedAmount: formatCurrency(fromCents(total)),
+      service: description || firstItemDescription || 'Quote',
+      // A revision keeps the original sent date and adds to the sent dates
+      date: isRevision ? initialQuote.date : sentDate,
+      sentDates: isRevision
+        ? [...(initialQuote.sentDates || [initialQuote.date]), sentDate]
+        : [sentDate], // Array to track all sent dates
+      revision: getNextRevisionNumber(initialQuote),
       // Additional data to store
-      contactType,
-      [contactType === 'phone' ? 'phoneNumber' : 'email']: contactInfo,
+      contacts: cleanContacts(contacts),
       clientAddress,
+      site: cleanSites([site])[0] || null,
+      photos,
+      assignedTo,
       description,
-      lineItems,
+      ...quoteItems,
+      discountType,
+      discountValue,
+      vatRegistered,
+      vatNumber,
       vatPercentage,
-      serviceChargePercentage: SERVICE_CHARGE_PERCENTAGE,
+      serviceChargePercentage,
       depositPercentage,
+      validityDays: parseInt(validityDays, 10) || null,
+      validUntil: calculateValidUntil(sentDate, validityDays),
       // Add business info if available from OnboardingScreen
-      businessName: global.businessName || '',
-      businessAddress: global.businessAddress || ''
+      businessName: globalState.businessName || '',
+      businessAddress: globalState.businessAddress || ''
     };
 
     console.log("Quote ready to send:", sentQuote);
 
+    const sendParams = isRevision
+      ? { action: 'revise_quote', quote: sentQuote }
+      : {
+          action: 'send_quote',
+          quote: sentQuote,
+          fromDraftId: isEditing ? initialQuote.id : null // ID of the draft to remove (if editing)
+        };
+
     try {
       // Generate PDF and get the file path
       const pdfUri = await generateQuotePDF(sentQuote);
@@ -250,18 +639,16 @@ const QuoteFormScreen = ({ navigation, route }) => {
     // Navigate back to Main with the sent quote
     navigation.navigate({
       name: 'Main',
-      params: { 
-        action: 'send_quote',
-        quote: sentQuote,
-        fromDraftId: isEditing ? initialQuote.id : null // ID of the draft to remove (if editing)
-      },
+      params: sendParams,
       merge: true
     });
 
     // Show success message
     Alert.alert(
-        "Quote Created", 
-        "Your quote has been created. Would you like to share it now?",
+        isRevision ? "Revision Sent" : "Quote Created", 
+        isRevision
+          ? `Revision v${sentQuote.revision} has been recorded. Would you like to share it now?`
+          : "Your quote has been created. Would you like to share it now?",
       [
         { 
             text: "Not Now", 
@@ -279,11 +666,7 @@ const QuoteFormScreen = ({ navigation, route }) => {
       // If PDF generation fails, still save the quote but show an error about PDF
       navigation.navigate({
         name: 'Main',
-        params: { 
-          action: 'send_quote',
-          quote: sentQuote,
-          fromDraftId: isEditing ? initialQuote.id : null
-        },
+        params: sendParams,
         merge: true
       });
       
@@ -295,24 +678,161 @@ const QuoteFormScreen = ({ navigation, route }) => {
     }
   };
 
-  // Toggle contact type between phone and email
-  const toggleContactType = () => {
-    setContactType(contactType === 'phone' ? 'email' : 'phone');
-    setContactInfo(''); // Clear the contact info when switching types
-  };
+  // Render the choice between a percentage and a fixed rand discount
+  const renderDiscountTypeToggle = (selectedType, onSelect) => (
+    <View style={styles.discountTypeToggle}>
+      {[DISCOUNT_TYPES.PERCENTAGE, DISCOUNT_TYPES.FIXED].map(type => (
+        <TouchableOpacity
+          key={type}
+          style={[styles.discountTypeOption, selectedType === type && styles.discountTypeOptionSelected]}
+          onPress={() => onSelect(type)}
+        >
+          <Text style={[styles.discountTypeText, selectedType === type && styles.discountTypeTextSelected]}>
+            {type === DISCOUNT_TYPES.PERCENTAGE ? '%' : 'R'}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  // Render the line-item table for the quote or for one option
+  const renderLineItems = (optionId, items) => (
+    <View>
+      {/* Table Header */}
+      <View style={styles.tableHeader}>
+        <Text style={[styles.headerCell, styles.descriptionCell]}>DESCRIPTION</Text>
+        <Text style={[styles.headerCell, styles.qtyCell]}>QTY</Text>
+        <Text style={[styles.headerCell, styles.priceCell]}>PRICE</Text>
+        <Text style={[styles.headerCell, styles.totalCell]}>TOTAL</Text>
+        <View style={styles.actionCell}></View>
+        <View style={styles.actionCell}></View>
+      </View>
+
+      {/* Line Items */}
+      {items.map((item) => (
+        <View key={item.id}>
+          <View style={styles.tableRow}>
+            <TextInput
+              style={[styles.cell, styles.descriptionCell, styles.cellInput]}
+              value={item.description}
+              onChangeText={(text) => {
+                updateLineItem(optionId, item.id, 'description', text);
+                setSuggestionKey(getSuggestionKey(optionId, item));
+              }}
+              placeholder="Item description"
+            />
+
+            <TextInput
+              style={[styles.cell, styles.qtyCell, styles.cellInput]}
+              value={item.quantity.toString()}
+              onChangeText={(text) => updateLineItem(optionId, item.id, 'quantity', text)}
+              keyboardType="numeric"
+            />
+
+            <View style={[styles.cell, styles.priceCell]}>
+              <Text style={styles.currencyPrefix}>R</Text>
+              <TextInput
+                style={styles.priceInput}
+                value={item.price.toString()}
+                onChangeText={(text) => updateLineItem(optionId, item.id, 'price', text)}
+                keyboardType="numeric"
+              />
+            </View>
+
+            <Text style={[styles.cell, styles.totalCell]}>
+              R {formatCents(calculateLineItemTotal(item))}
+            </Text>
+
+            <TouchableOpacity
+              style={styles.actionCell}
+              onPress={() => toggleLineItemDiscount(optionId, item.id)}
+            >
+              <MaterialIcons name="local-offer" size={20} color={item.discountType ? '#3B82F6' : '#9CA3AF'} />
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={styles.actionCell}
+              onPress={() => removeLineItem(optionId, item.id)}
+            >
+              <MaterialIcons name="delete" size={22} color="#EF4444" />
+            </TouchableOpacity>
+          </View>
+
+          {/* VAT category */}
+          {vatRegistered && (
+            <TouchableOpacity
+              style={styles.vatCategoryBadge}
+              onPress={() => cycleVatCategory(optionId, item)}
+            >
+              <Text style={styles.vatCategoryText}>
+                VAT: {VAT_CATEGORY_LABELS[item.vatCategory || VAT_CATEGORIES.STANDARD]}
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          {/* Line discount */}
+          {item.discountType && (
+            <View style={styles.discountRow}>
+              <Text style={styles.discountLabel}>Discount</Text>
+              {renderDiscountTypeToggle(item.discountType, (type) => updateLineItem(optionId, item.id, 'discountType', type))}
+              <TextInput
+                style={styles.discountInput}
+                value={item.discountValue.toString()}
+                onChangeText={(text) => updateLineItem(optionId, item.id, 'discountValue', text)}
+                keyboardType="numeric"
+              />
+              <Text style={styles.discountAmount}>
+                −R {formatCents(calculateLineItemDiscount(item))}
+              </Text>
+            </View>
+          )}
+
+          {/* Price book suggestions */}
+          {getSuggestions(optionId, item).length > 0 && (
+            <View style={styles.suggestionList}>
+              {getSuggestions(optionId, item).map(catalogueItem => (
+                <TouchableOpacity
+                  key={catalogueItem.id}
+                  style={styles.suggestionItem}
+                  onPress={() => selectCatalogueItem(optionId, item.id, catalogueItem)}
+                >
+                  <Text style={styles.suggestionText}>
+                    {catalogueItem.description}
+                    {catalogueItem.unit ? ` (per ${catalogueItem.unit})` : ''}
+                  </Text>
+                  <Text style={styles.suggestionPrice}>
+                    R {formatCents(toCents(catalogueItem.sellPrice))}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        </View>
+      ))}
+    </View>
+  );
 
   return (
     <KeyboardAvoidingView
       behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
       style={styles.container}
     >
-      <ScrollView style={styles.scrollView}>
+      <ScrollView style={styles.scrollView} keyboardShouldPersistTaps="handled">
         <View style={styles.content}>
           <Text style={styles.title}>{isEditing ? 'Edit Quote' : 'New Quote'}</Text>
           
           {/* Client Information */}
           <View style={styles.section}>
-            <Text style={styles.sectionTitle}>Client Information</Text>
+            <View style={styles.sectionHeader}>
+              <Text style={styles.sectionTitle}>Client Information</Text>
+              <TouchableOpacity 
+                style={[styles.addButton, styles.addOptionButton]} 
+                onPress={() => setShowClientPicker(true)}
+              >
+                <MaterialIcons name="contacts" size={16} color="#3B82F6" />
+                <Text style={styles.addOptionButtonText}>Choose Client</Text>
+              </TouchableOpacity>
+            </View>
             
             <View style={styles.inputContainer}>
               <Text style={styles.label}>Client Name & Surname</Text>
@@ -325,37 +845,64 @@ const QuoteFormScreen = ({ navigation, route }) => {
             </View>
             
             <View style={styles.inputContainer}>
-              <View style={styles.contactTypeContainer}>
-                <Text style={styles.label}>{contactType === 'phone' ? 'Phone Number' : 'Email'}</Text>
-                <TouchableOpacity 
-                  onPress={toggleContactType}
-                  style={styles.contactTypeToggle}
-                >
-                  <Text style={styles.contactTypeToggleText}>
-                    Switch to {contactType === 'phone' ? 'Email' : 'Phone'}
-                  </Text>
-                  <MaterialIcons name="arrow-drop-down" size={20} color="#3B82F6" />
-                </TouchableOpacity>
-              </View>
-              <TextInput
-                style={styles.input}
-                value={contactInfo}
-                onChangeText={setContactInfo}
-                placeholder={contactType === 'phone' ? "Enter phone number" : "Enter email address"}
-                keyboardType={contactType === 'phone' ? "phone-pad" : "email-address"}
-              />
+              <Text style={styles.label}>Contacts</Text>
+              <ContactsEditor contacts={contacts} onChange={setContacts} />
             </View>
 
             <View style={styles.inputContainer}>
-              <Text style={styles.label}>Client Address</Text>
+              <Text style={styles.label}>Billing Address</Text>
               <TextInput
                 style={[styles.input, styles.multilineInput]}
                 value={clientAddress}
                 onChangeText={setClientAddress}
-                placeholder="Enter client address"
+                placeholder="Enter billing address"
+                multiline
+                numberOfLines={3}
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Job Site</Text>
+              {clientSites.length > 0 && (
+                <View style={styles.siteChips}>
+                  <TouchableOpacity
+                    style={[styles.siteChip, !site.address && styles.siteChipSelected]}
+                    onPress={() => setSite(createSite())}
+                  >
+                    <Text style={[styles.siteChipText, !site.address && styles.siteChipTextSelected]}>
+                      Billing address
+                    </Text>
+                  </TouchableOpacity>
+                  {clientSites.map(clientSite => (
+                    <TouchableOpacity
+                      key={clientSite.id}
+                      style={[styles.siteChip, site.id === clientSite.id && styles.siteChipSelected]}
+                      onPress={() => setSite(clientSite)}
+                    >
+                      <Text style={[styles.siteChipText, site.id === clientSite.id && styles.siteChipTextSelected]}>
+                        {getSiteLabel(clientSite)}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+              <TextInput
+                style={[styles.input, styles.multilineInput]}
+                value={site.address}
+                onChangeText={(value) => updateSite('address', value)}
+                placeholder="Site address, if different from the billing address"
                 multiline
                 numberOfLines={3}
               />
+              {site.address ? (
+                <TextInput
+                  style={[styles.input, styles.multilineInput, styles.accessNotesInput]}
+                  value={site.accessNotes}
+                  onChangeText={(value) => updateSite('accessNotes', value)}
+                  placeholder="Access notes, e.g. gate code, who holds the key"
+                  multiline
+                />
+              ) : null}
             </View>
             
             <View style={styles.inputContainer}>
@@ -368,80 +915,96 @@ const QuoteFormScreen = ({ navigation, route }) => {
                 multiline
               />
             </View>
+
+            {canAssignJobs(permissions) && teamMembers.length > 0 && (
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Assigned To</Text>
+                <AssigneePicker members={teamMembers} value={assignedTo} onChange={setAssignedTo} />
+              </View>
+            )}
           </View>
           
           {/* Line Items */}
           <View style={styles.section}>
             <View style={styles.sectionHeader}>
               <Text style={styles.sectionTitle}>Line Items</Text>
-              <TouchableOpacity 
-                style={styles.addButton} 
-                onPress={addLineItem}
-              >
-                <MaterialIcons name="add" size={16} color="#FFF" />
-                <Text style={styles.addButtonText}>Add Item</Text>
-              </TouchableOpacity>
-            </View>
-            
-            {/* Table Header */}
-            <View style={styles.tableHeader}>
-              <Text style={[styles.headerCell, styles.descriptionCell]}>DESCRIPTION</Text>
-              <Text style={[styles.headerCell, styles.qtyCell]}>QTY</Text>
-              <Text style={[styles.headerCell, styles.priceCell]}>PRICE</Text>
-              <Text style={[styles.headerCell, styles.totalCell]}>TOTAL</Text>
-              <View style={styles.actionCell}></View>
+              <View style={styles.sectionActions}>
+                <TouchableOpacity 
+                  style={[styles.addButton, styles.addOptionButton]} 
+                  onPress={addOption}
+                >
+                  <MaterialIcons name="library-add" size={16} color="#3B82F6" />
+                  <Text style={styles.addOptionButtonText}>Add Option</Text>
+                </TouchableOpacity>
+                {options.length === 0 && (
+                  <TouchableOpacity 
+                    style={styles.addButton} 
+                    onPress={() => addLineItem(null)}
+                  >
+                    <MaterialIcons name="add" size={16} color="#FFF" />
+                    <Text style={styles.addButtonText}>Add Item</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
             </View>
             
-            {/* Line Items */}
-            {lineItems.map((item) => (
-              <View key={item.id} style={styles.tableRow}>
-                <TextInput
-                  style={[styles.cell, styles.descriptionCell, styles.cellInput]}
-                  value={item.description}
-                  onChangeText={(text) => updateLineItem(item.id, 'description', text)}
-                  placeholder="Item description"
-                />
-                
-                <TextInput
-                  style={[styles.cell, styles.qtyCell, styles.cellInput]}
-                  value={item.quantity.toString()}
-                  onChangeText={(text) => updateLineItem(item.id, 'quantity', text)}
-                  keyboardType="numeric"
-                />
-                
-                <View style={[styles.cell, styles.priceCell]}>
-                  <Text style={styles.currencyPrefix}>R</Text>
+            {options.length === 0 ? renderLineItems(null, lineItems) : options.map(option => (
+              <View key={option.id} style={styles.optionGroup}>
+                <View style={styles.optionHeader}>
                   <TextInput
-                    style={styles.priceInput}
-                    value={item.price.toString()}
-                    onChangeText={(text) => updateLineItem(item.id, 'price', text)}
-                    keyboardType="numeric"
+                    style={styles.optionNameInput}
+                    value={option.name}
+                    onChangeText={(text) => renameOption(option.id, text)}
+                    placeholder="Option name"
                   />
+                  <TouchableOpacity onPress={() => removeOption(option.id)}>
+                    <MaterialIcons name="close" size={22} color="#6B7280" />
+                  </TouchableOpacity>
                 </View>
                 
-                <Text style={[styles.cell, styles.totalCell]}>
-                  R {calculateItemTotal(item).toFixed(2)}
-                </Text>
+                {renderLineItems(option.id, option.lineItems)}
                 
-                <TouchableOpacity
-                  style={styles.actionCell}
-                  onPress={() => removeLineItem(item.id)}
+                <TouchableOpacity 
+                  style={styles.addItemLink} 
+                  onPress={() => addLineItem(option.id)}
                 >
-                  <MaterialIcons name="delete" size={22} color="#EF4444" />
+                  <MaterialIcons name="add" size={16} color="#3B82F6" />
+                  <Text style={styles.addItemLinkText}>Add Item</Text>
                 </TouchableOpacity>
               </View>
             ))}
           </View>
+
+          {/* Photos */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Photos</Text>
+            <PhotoAttachments photos={photos} onChange={setPhotos} />
+          </View>
           
           {/* Tax and Deposit Settings */}
           <View style={styles.splitSection}>
+            {vatRegistered && (
+              <View style={styles.taxContainer}>
+                <Text style={styles.label}>VAT (%)</Text>
+                <View style={styles.percentInput}>
+                  <TextInput
+                    style={styles.percentInputField}
+                    value={vatPercentage.toString()}
+                    onChangeText={(text) => setVatPercentage(Number(text) || 0)}
+                    keyboardType="numeric"
+                  />
+                  <Text style={styles.percentSymbol}>%</Text>
+                </View>
+              </View>
+            )}
+            
             <View style={styles.taxContainer}>
-              <Text style={styles.label}>VAT (%)</Text>
+              <Text style={styles.label}>Deposit (%)</Text>
               <View style={styles.percentInput}>
                 <TextInput
                   style={styles.percentInputField}
-                  value={vatPercentage.toString()}
-                  onChangeText={(text) => setVatPercentage(Number(text) || 0)}
+                  value={depositPercentage.toString()}
+                  onChangeText={(text) => setDepositPercentage(Number(text) || 0)}
                   keyboardType="numeric"
                 />
                 <Text style={styles.percentSymbol}>%</Text>
@@ -449,45 +1012,121 @@ const QuoteFormScreen = ({ navigation, route }) => {
             </View>
             
             <View style={styles.taxContainer}>
-              <Text style={styles.label}>Deposit (%)</Text>
+              <Text style={styles.label}>Valid For</Text>
               <View style={styles.percentInput}>
                 <TextInput
                   style={styles.percentInputField}
-                  value={depositPercentage.toString()}
-                  onChangeText={(text) => setDepositPercentage(Number(text) || 0)}
+                  value={validityDays}
+                  onChangeText={(text) => setValidityDays(text.replace(/[^0-9]/g, ''))}
+                  placeholder="Any"
+                  keyboardType="numeric"
+                />
+                <Text style={styles.percentSymbol}>days</Text>
+              </View>
+            </View>
+          </View>
+          
+          {/* Quote Discount */}
+          <View style={styles.section}>
+            <Text style={styles.label}>Quote Discount</Text>
+            <View style={styles.quoteDiscountRow}>
+              {renderDiscountTypeToggle(discountType, setDiscountType)}
+              <View style={[styles.percentInput, styles.quoteDiscountInput]}>
+                <TextInput
+                  style={styles.percentInputField}
+                  value={discountValue.toString()}
+                  onChangeText={(text) => setDiscountValue(Number(text) || 0)}
                   keyboardType="numeric"
                 />
-                <Text style={styles.percentSymbol}>%</Text>
               </View>
             </View>
           </View>
           
           {/* Summary */}
           <View style={styles.summary}>
-            <View style={styles.summaryRow}>
-              <Text style={styles.summaryLabel}>Subtotal:</Text>
-              <Text style={styles.summaryValue}>R {subtotal.toFixed(2)}</Text>
-            </View>
-            
-            <View style={styles.summaryRow}>
-              <Text style={styles.summaryLabel}>VAT ({vatPercentage}%):</Text>
-              <Text style={styles.summaryValue}>R {vatAmount.toFixed(2)}</Text>
-            </View>
-            
-            <View style={styles.summaryRow}>
-              <Text style={styles.summaryLabel}>Service Charge ({SERVICE_CHARGE_PERCENTAGE}%):</Text>
-              <Text style={styles.summaryValue}>R {serviceChargeAmount.toFixed(2)}</Text>
-            </View>
-            
-            <View style={[styles.summaryRow, styles.totalRow]}>
-              <Text style={styles.totalLabel}>Total:</Text>
-              <Text style={styles.totalValue}>R {total.toFixed(2)}</Text>
-            </View>
-            
-            <View style={styles.summaryRow}>
-              <Text style={styles.depositLabel}>Deposit:</Text>
-              <Text style={styles.depositValue}>R {depositAmount.toFixed(2)}</Text>
-            </View>
+            {options.length > 0 ? options.map(option => {
+              // Each option is priced on its own, so the client can compare them
+              const optionTotals = calculateOptionTotals(pricingQuote, option);
+              return (
+                <View key={option.id} style={styles.optionSummary}>
+                  <View style={[styles.summaryRow, styles.totalRow]}>
+                    <Text style={styles.totalLabel}>{option.name || 'Option'}:</Text>
+                    <Text style={styles.totalValue}>R {formatCents(optionTotals.total)}</Text>
+                  </View>
+                  
+                  {optionTotals.discountAmount > 0 && (
+                    <View style={styles.summaryRow}>
+                      <Text style={styles.summaryLabel}>Discounts:</Text>
+                      <Text style={styles.summaryValue}>−R {formatCents(optionTotals.discountAmount)}</Text>
+                    </View>
+                  )}
+                  
+                  {vatRegistered && (
+                    <View style={styles.summaryRow}>
+                      <Text style={styles.summaryLabel}>VAT ({vatPercentage}%):</Text>
+                      <Text style={styles.summaryValue}>R {formatCents(optionTotals.vatAmount)}</Text>
+                    </View>
+                  )}
+                  
+                  <View style={styles.summaryRow}>
+                    <Text style={styles.depositLabel}>Deposit:</Text>
+                    <Text style={styles.depositValue}>R {formatCents(optionTotals.depositAmount)}</Text>
+                  </View>
+                </View>
+              );
+            }) : (
+              <View>
+                <View style={styles.summaryRow}>
+                  <Text style={styles.summaryLabel}>Subtotal:</Text>
+                  <Text style={styles.summaryValue}>R {formatCents(subtotal)}</Text>
+                </View>
+
+                {lineDiscountAmount > 0 && (
+                  <View style={styles.summaryRow}>
+                    <Text style={styles.summaryLabel}>Line Discounts:</Text>
+                    <Text style={styles.summaryValue}>−R {formatCents(lineDiscountAmount)}</Text>
+                  </View>
+                )}
+
+                {quoteDiscountAmount > 0 && (
+                  <View style={styles.summaryRow}>
+                    <Text style={styles.summaryLabel}>Discount ({formatDiscount(discountType, discountValue)}):</Text>
+                    <Text style={styles.summaryValue}>−R {formatCents(quoteDiscountAmount)}</Text>
+                  </View>
+                )}
+
+                {vatRegistered && vatBreakdown
+                  .filter(line => line.category !== VAT_CATEGORIES.STANDARD)
+                  .map(line => (
+                    <View key={line.category} style={styles.summaryRow}>
+                      <Text style={styles.summaryLabel}>{VAT_CATEGORY_LABELS[line.category]} items:</Text>
+                      <Text style={styles.summaryValue}>R {formatCents(line.taxableAmount)}</Text>
+                    </View>
+                  ))}
+
+                {vatRegistered && (
+                  <View style={styles.summaryRow}>
+                    <Text style={styles.summaryLabel}>VAT ({vatPercentage}%):</Text>
+                    <Text style={styles.summaryValue}>R {formatCents(vatAmount)}</Text>
+                  </View>
+                )}
+
+                <View style={styles.summaryRow}>
+                  <Text style={styles.summaryLabel}>Service Charge ({serviceChargePercentage}%):</Text>
+                  <Text style={styles.summaryValue}>R {formatCents(serviceChargeAmount)}</Text>
+                </View>
+
+                <View style={[styles.summaryRow, styles.totalRow]}>
+                  <Text style={styles.totalLabel}>Total:</Text>
+                  <Text style={styles.totalValue}>R {formatCents(total)}</Text>
+                </View>
+
+                <View style={styles.summaryRow}>
+                  <Text style={styles.depositLabel}>Deposit:</Text>
+                  <Text style={styles.depositValue}>R {formatCents(depositAmount)}</Text>
+                </View>
+              </View>
+            )}
           </View>
           
           {/* Send Button */}
@@ -495,10 +1134,65 @@ const QuoteFormScreen = ({ navigation, route }) => {
             style={styles.sendButton} 
             onPress={handleSendQuote}
           >
-            <Text style={styles.sendButtonText}>Send Quote</Text>
+            <Text style={styles.sendButtonText}>
+              {isRevision ? `Send Revision v${getNextRevisionNumber(initialQuote)}` : 'Send Quote'}
+            </Text>
+          </TouchableOpacity>
+          
+          {/* Save as Template Button */}
+          <TouchableOpacity 
+            style={styles.templateButton} 
+            onPress={() => setTemplateName(description)}
+          >
+            <MaterialIcons name="bookmark-border" size={18} color="#3B82F6" />
+            <Text style={styles.templateButtonText}>Save as Template</Text>
           </TouchableOpacity>
         </View>
       </ScrollView>
+      
+      {/* Template name prompt */}
+      <Modal
+        visible={templateName !== null}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setTemplateName(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContainer}>
+            <Text style={styles.modalTitle}>Save as Template</Text>
+            <Text style={styles.modalSubtitle}>
+              Client details are not saved with the template.
+            </Text>
+            <TextInput
+              style={styles.input}
+              value={templateName || ''}
+              onChangeText={setTemplateName}
+              placeholder="Template name, e.g. Geyser replacement"
+              autoFocus
+            />
+            <View style={styles.modalButtonRow}>
+              <TouchableOpacity 
+                style={[styles.modalButton, styles.modalCancelButton]} 
+                onPress={() => setTemplateName(null)}
+              >
+                <Text style={styles.modalCancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity 
+                style={[styles.modalButton, styles.modalSaveButton]} 
+                onPress={saveAsTemplate}
+              >
+                <Text style={styles.modalSaveButtonText}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      <ClientPicker
+        visible={showClientPicker}
+        onSelectClient={selectClient}
+        onCancel={() => setShowClientPicker(false)}
+      />
     </KeyboardAvoidingView>
   );
 };
@@ -565,20 +1259,34 @@ const styles = StyleSheet.create({
     minHeight: 80,
     textAlignVertical: 'top',
   },
-  contactTypeContainer: {
+  siteChips: {
     flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginBottom: 8,
   },
-  contactTypeToggle: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    paddingVertical: 4,
+  siteChip: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB', // gray-300
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
   },
-  contactTypeToggleText: {
-    color: '#3B82F6',
-    fontWeight: '500',
+  siteChipSelected: {
+    backgroundColor: '#3B82F6',
+    borderColor: '#3B82F6',
+  },
+  siteChipText: {
     fontSize: 14,
+    color: '#4B5563', // gray-600
+  },
+  siteChipTextSelected: {
+    color: 'white',
+  },
+  accessNotesInput: {
+    marginTop: 8,
+    minHeight: 60,
   },
   addButton: {
     backgroundColor: '#3B82F6',
@@ -593,6 +1301,54 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     marginLeft: 4,
   },
+  sectionActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  addOptionButton: {
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#3B82F6',
+    marginRight: 8,
+  },
+  addOptionButtonText: {
+    color: '#3B82F6',
+    fontWeight: '500',
+    marginLeft: 4,
+  },
+  optionGroup: {
+    borderWidth: 1,
+    borderColor: '#E5E7EB', // gray-200
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+  },
+  optionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  optionNameInput: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937', // gray-800
+    borderBottomWidth: 1,
+    borderBottomColor: '#D1D5DB', // gray-300
+    paddingVertical: 4,
+    marginRight: 8,
+  },
+  addItemLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 8,
+  },
+  addItemLinkText: {
+    color: '#3B82F6',
+    fontWeight: '500',
+    marginLeft: 4,
+  },
   tableHeader: {
     flexDirection: 'row',
     borderBottomWidth: 1,
@@ -615,6 +1371,31 @@ const styles = StyleSheet.create({
   cell: {
     padding: 8,
   },
+  suggestionList: {
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#E5E7EB', // gray-200
+    borderRadius: 6,
+    marginBottom: 8,
+  },
+  suggestionItem: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6', // gray-100
+  },
+  suggestionText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#374151', // gray-700
+  },
+  suggestionPrice: {
+    fontSize: 14,
+    color: '#6B7280', // gray-500
+    marginLeft: 8,
+  },
   cellInput: {
     borderWidth: 1,
     borderColor: '#E5E7EB',
@@ -654,6 +1435,77 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     justifyContent: 'center',
   },
+  vatCategoryBadge: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#F3F4F6', // gray-100
+    borderRadius: 10,
+    paddingVertical: 2,
+    paddingHorizontal: 8,
+    marginLeft: 8,
+    marginVertical: 4,
+  },
+  vatCategoryText: {
+    fontSize: 12,
+    color: '#4B5563', // gray-600
+  },
+  discountRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingLeft: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6', // gray-100
+  },
+  discountLabel: {
+    fontSize: 14,
+    color: '#6B7280', // gray-500
+    marginRight: 8,
+  },
+  discountTypeToggle: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: '#D1D5DB', // gray-300
+    borderRadius: 6,
+    overflow: 'hidden',
+    marginRight: 8,
+  },
+  discountTypeOption: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  discountTypeOptionSelected: {
+    backgroundColor: '#3B82F6',
+  },
+  discountTypeText: {
+    fontSize: 14,
+    color: '#4B5563', // gray-600
+  },
+  discountTypeTextSelected: {
+    color: 'white',
+  },
+  discountInput: {
+    width: 70,
+    borderWidth: 1,
+    borderColor: '#D1D5DB', // gray-300
+    borderRadius: 6,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    fontSize: 14,
+  },
+  discountAmount: {
+    flex: 1,
+    textAlign: 'right',
+    fontSize: 14,
+    color: '#10B981', // green-500
+    marginRight: 8,
+  },
+  quoteDiscountRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  quoteDiscountInput: {
+    flex: 1,
+  },
   splitSection: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -716,6 +1568,9 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     color: '#1F2937',
   },
+  optionSummary: {
+    marginBottom: 8,
+  },
   totalRow: {
     borderBottomWidth: 0,
     paddingVertical: 12,
@@ -751,6 +1606,69 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  templateButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#3B82F6', // blue-500
+    borderRadius: 8,
+    paddingVertical: 12,
+    marginTop: 12,
+  },
+  templateButtonText: {
+    color: '#3B82F6', // blue-500
+    fontSize: 16,
+    fontWeight: '500',
+    marginLeft: 6,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  modalContainer: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937', // gray-800
+    marginBottom: 4,
+  },
+  modalSubtitle: {
+    fontSize: 14,
+    color: '#6B7280', // gray-500
+    marginBottom: 12,
+  },
+  modalButtonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+    gap: 8,
+  },
+  modalButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 6,
+  },
+  modalCancelButton: {
+    backgroundColor: '#F3F4F6', // gray-100
+  },
+  modalCancelButtonText: {
+    color: '#374151', // gray-700
+    fontWeight: '500',
+  },
+  modalSaveButton: {
+    backgroundColor: '#3B82F6', // blue-500
+  },
+  modalSaveButtonText: {
+    color: 'white',
+    fontWeight: '500',
+  },
 });
 
 export default QuoteFormScreen; 
\ No newline at end of file
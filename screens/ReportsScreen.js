@@ -8,24 +8,35 @@ import {
   ScrollView, 
   SafeAreaView,
   ActivityIndicator,
-  Alert
+  Alert,
+  TextInput
 } from 'react-native';
 import { MaterialIcons } from '@expo/vector-icons';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { generateIncomeStatementPDF, sharePDF } from '../utils/pdfGenerator';
+import { CSV_EXPORTS, exportCSV } from '../utils/csvExport';
+import { ACCOUNTING_PACKAGES, ACCOUNTING_EXPORTS, exportAccountingFile } from '../utils/accountingExport';
 import AppHeader from '../components/AppHeader';
-
-// Storage key for quotes (must match the one in DashboardScreen)
-const QUOTES_STORAGE_KEY = 'quickquote_data';
-
-// Service fee percentage
-const SERVICE_FEE_PERCENTAGE = 0.5;
+import TabSelector from '../components/TabSelector';
+import AccessDenied from '../components/AccessDenied';
+import { useAuth } from '../utils/AuthContext';
+import { PERMISSIONS } from '../utils/team';
+import { queryQuotes, groupQuotesByStatus, LOST_STATUSES } from '../utils/quoteStore';
+import {
+  calculateQuoteTotals,
+  calculatePaymentSchedule,
+  calculatePaymentFees,
+  fromCents,
+  formatCents,
+  toCents,
+  SERVICE_FEE_PERCENTAGE
+} from '../utils/pricing';
 
 const ReportsScreen = () => {
   // State for selected month and quote data
   const [selectedMonth, setSelectedMonth] = useState(new Date().getMonth());
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
   const [allQuotes, setAllQuotes] = useState(null);
+  const { permissions } = useAuth();
   const [monthlyData, setMonthlyData] = useState({
     revenue: 0,
     netRevenue: 0,
@@ -38,7 +49,10 @@ const ReportsScreen = () => {
     completedJobs: [],
     depositPayments: [],
     finalPayments: [],
-    combinedPayments: []
+    combinedPayments: [],
+    lostReasons: [],
+    discountTotal: 0,
+    discountedJobs: []
   });
   const [previousMonthData, setPreviousMonthData] = useState({
     revenue: 0,
@@ -54,6 +68,12 @@ const ReportsScreen = () => {
   const [incomeBreakdownExpanded, setIncomeBreakdownExpanded] = useState(true);
   // Add state for PDF generation
   const [isGeneratingPDF, setIsGeneratingPDF] = useState(false);
+  // Date range for the bookkeeping CSV exports, and the export being written
+  const [exportFrom, setExportFrom] = useState('');
+  const [exportTo, setExportTo] = useState('');
+  const [exportingType, setExportingType] = useState(null);
+  // Accounting package the invoice and payment files are exported for
+  const [accountingPackage, setAccountingPackage] = useState('xero');
 
   // Array of month names
   const months = [
@@ -61,23 +81,43 @@ const ReportsScreen = () => {
     'July', 'August', 'September', 'October', 'November', 'December'
   ];
 
-  // Load quotes data from storage
+  // Load the quotes sent, paid, completed or lost in the selected and previous months
   useEffect(() => {
+    let isCurrent = true;
+
     const loadQuotes = async () => {
       try {
-        const storedQuotes = await AsyncStorage.getItem(QUOTES_STORAGE_KEY);
-        if (storedQuotes) {
-          setAllQuotes(JSON.parse(storedQuotes));
-        }
+        // A day either side, as the report reads dates in local time
+        const from = new Date(Date.UTC(selectedYear, selectedMonth - 1, 0));
+        const to = new Date(Date.UTC(selectedYear, selectedMonth + 1, 1));
+        const storedQuotes = await queryQuotes({
+          from: from.toISOString().split('T')[0],
+          to: to.toISOString().split('T')[0]
+        });
+        if (!isCurrent) return;
+
+        // Reports read the quotes grouped by their lifecycle status
+        setAllQuotes(groupQuotesByStatus(storedQuotes));
       } catch (error) {
         console.error('Error loading quotes for reports:', error);
       }
     };
 
     loadQuotes();
-  }, []);
+    return () => {
+      isCurrent = false;
+    };
+  }, [selectedMonth, selectedYear]);
+
+  // Start the export range on the selected month
+  useEffect(() => {
+    const monthStart = new Date(Date.UTC(selectedYear, selectedMonth, 1));
+    const monthEnd = new Date(Date.UTC(selectedYear, selectedMonth + 1, 0));
+    setExportFrom(monthStart.toISOString().split('T')[0]);
+    setExportTo(monthEnd.toISOString().split('T')[0]);
+  }, [selectedMonth, selectedYear]);
 
-  // Update metrics when month or quotes change
+  // Update metrics when the month's quotes have loaded
   useEffect(() => {
     if (!allQuotes) return;
 
@@ -88,7 +128,17 @@ const ReportsScreen = () => {
     const prevMonth = selectedMonth === 0 ? 11 : selectedMonth - 1;
     const prevYear = selectedMonth === 0 ? selectedYear - 1 : selectedYear;
     calculatePreviousMonthMetrics(prevMonth, prevYear);
-  }, [selectedMonth, selectedYear, allQuotes]);
+  }, [allQuotes]);
+
+  // Sum gross, fee and net amounts (in cents) over a list of payments
+  const sumPayments = (payments) => payments.reduce((totals, payment) => {
+    const { gross, fee, net } = calculatePaymentFees(toCents(payment.paymentAmount));
+    return {
+      gross: totals.gross + gross,
+      fee: totals.fee + fee,
+      net: totals.net + net
+    };
+  }, { gross: 0, fee: 0, net: 0 });
 
   // Calculate metrics for selected month with service fees
   const calculateMonthlyMetrics = (month, year) => {
@@ -108,12 +158,8 @@ const ReportsScreen = () => {
       }
       return false;
     }).map(quote => {
-      // Ensure numeric values
-      const totalAmount = parseFloat(quote.amount) || 0;
-      const depositPercentage = parseFloat(quote.depositPercentage) || 50;
-      const depositAmount = quote.depositAmount 
-        ? parseFloat(quote.depositAmount) 
-        : (totalAmount * depositPercentage / 100);
+      // Deposit amount from the shared pricing engine
+      const depositAmount = fromCents(calculatePaymentSchedule(quote).deposit.gross);
       
       return {
         ...quote,
@@ -132,12 +178,8 @@ const ReportsScreen = () => {
       }
       return false;
     }).map(quote => {
-      // Ensure numeric values
-      const totalAmount = parseFloat(quote.amount) || 0;
-      const depositPercentage = parseFloat(quote.depositPercentage) || 50;
-      const depositAmount = quote.depositAmount 
-        ? parseFloat(quote.depositAmount) 
-        : (totalAmount * depositPercentage / 100);
+      // Deposit amount from the shared pricing engine
+      const depositAmount = fromCents(calculatePaymentSchedule(quote).deposit.gross);
       
       return {
         ...quote,
@@ -158,21 +200,13 @@ const ReportsScreen = () => {
       }
       return false;
     }).map(quote => {
-      // Ensure all values are numeric
-      const totalAmount = parseFloat(quote.amount) || 0;
-      const depositPercentage = parseFloat(quote.depositPercentage) || 50;
-      
-      // Calculate deposit amount first
-      const depositAmount = quote.depositAmount 
-        ? parseFloat(quote.depositAmount) 
-        : (totalAmount * depositPercentage / 100);
-      
-      // Final payment is the total amount minus the deposit amount
-      const finalPaymentAmount = totalAmount - depositAmount;
+      // Deposit and final payment amounts from the shared pricing engine
+      const { deposit, final } = calculatePaymentSchedule(quote);
+      const depositAmount = fromCents(deposit.gross);
+      const finalPaymentAmount = fromCents(final.gross);
       
       console.log('Final payment calculation:', {
         quoteId: quote.id,
-        totalAmount,
         depositAmount,
         finalPaymentAmount
       });
@@ -189,18 +223,11 @@ const ReportsScreen = () => {
     // Prepare combined payments list (same as what will be shown in the income table)
     const combinedPayments = [
       ...allDepositPayments.map(payment => {
-        // Calculate deposit amount ensuring numeric values
-        const totalAmount = parseFloat(payment.amount) || 0;
-        const depositPercentage = payment.depositPercentage || 50;
-        const depositAmount = payment.depositAmount || (totalAmount * depositPercentage / 100);
-        
-        // Ensure explicit numeric value
-        const finalDepositAmount = parseFloat(depositAmount) || 0;
+        // Deposit amount was already calculated by the pricing engine
+        const finalDepositAmount = payment.depositAmount;
         
         console.log('Deposit payment mapped:', {
           client: payment.clientName,
-          totalAmount,
-          depositPercentage,
           depositAmount: finalDepositAmount
         });
         
@@ -240,24 +267,20 @@ const ReportsScreen = () => {
       date: p.paymentDate
     })));
 
-    // Calculate revenue directly from combined payments
-    const revenue = combinedPayments.reduce((total, payment) => 
-      total + (payment.paymentAmount || 0), 0);
-    
-    // Calculate service fees and net revenue
-    const serviceFees = combinedPayments.reduce((total, payment) => 
-      total + ((payment.paymentAmount || 0) * SERVICE_FEE_PERCENTAGE / 100), 0);
-    
-    const netRevenue = revenue - serviceFees;
+    // Calculate revenue, service fees and net revenue in cents from combined payments
+    const paymentTotals = sumPayments(combinedPayments);
+    const revenue = fromCents(paymentTotals.gross);
+    const serviceFees = fromCents(paymentTotals.fee);
+    const netRevenue = fromCents(paymentTotals.net);
 
     // For comparison with previous metrics, still calculate these separately
-    const depositRevenue = allDepositPayments.reduce((total, job) => {
-      return total + (job.depositAmount || 0);
-    }, 0);
+    const depositRevenue = fromCents(allDepositPayments.reduce((total, job) => {
+      return total + toCents(job.depositAmount);
+    }, 0));
 
-    const finalPaymentRevenue = finalPayments.reduce((total, job) => {
-      return total + (job.finalPaymentAmount || 0);
-    }, 0);
+    const finalPaymentRevenue = fromCents(finalPayments.reduce((total, job) => {
+      return total + toCents(job.finalPaymentAmount);
+    }, 0));
 
     // Calculate average job size
     const averageJobSize = completedJobs.length > 0 
@@ -265,6 +288,9 @@ const ReportsScreen = () => {
       : 0;
 
     // Calculate quote conversion rate (accepted / sent)
+    // Lost quotes still count as sent, and cancelled jobs that were accepted still count as accepted
+    const lostQuotes = LOST_STATUSES.flatMap(status => allQuotes[status] || []);
+
     // Get quotes sent in the selected month
     const sentQuotes = allQuotes.Sent ? allQuotes.Sent.filter(quote => {
       // Check if quote was sent in this month
@@ -289,7 +315,12 @@ const ReportsScreen = () => {
       ...(allQuotes.Complete ? allQuotes.Complete.filter(quote => {
         const sentDate = new Date(quote.date);
         return sentDate.getMonth() === month && sentDate.getFullYear() === year;
-      }) : [])
+      }) : []),
+      // Include declined, expired and cancelled quotes that were sent in this month
+      ...lostQuotes.filter(quote => {
+        const sentDate = new Date(quote.date);
+        return sentDate.getMonth() === month && sentDate.getFullYear() === year;
+      })
     ];
     
     // Get quotes from this month that were accepted
@@ -320,8 +351,19 @@ const ReportsScreen = () => {
       return false;
     }) : [];
     
-    // Total accepted quotes from the current month = those in Accepted + Scheduled Work + Complete
-    const totalAcceptedQuotes = acceptedQuotes.length + scheduledQuotes.length + completedFromCurrentMonth.length;
+    // Get quotes from this month that were accepted and later cancelled
+    const cancelledAfterAcceptance = lostQuotes.filter(quote => {
+      if (quote.date && quote.acceptedDate) {
+        const sentDate = new Date(quote.date);
+        return sentDate.getMonth() === month && sentDate.getFullYear() === year;
+      }
+      return false;
+    });
+
+    // Total accepted quotes from the current month = those in Accepted + Scheduled Work + Complete,
+    // plus accepted jobs that were cancelled
+    const totalAcceptedQuotes = acceptedQuotes.length + scheduledQuotes.length + completedFromCurrentMonth.length
+      + cancelledAfterAcceptance.length;
     
     // Conversion rate calculation
     const quoteConversion = allSentInMonth.length > 0 
@@ -330,6 +372,30 @@ const ReportsScreen = () => {
 
     console.log(`Month: ${month+1}/${year}, Sent: ${allSentInMonth.length}, Accepted: ${totalAcceptedQuotes}, Conversion: ${quoteConversion}%`);
 
+    // Summarise quotes lost this month by reason
+    const lostReasons = Object.values(lostQuotes.filter(quote => {
+      if (quote.lostDate) {
+        const lostDate = new Date(quote.lostDate);
+        return lostDate.getMonth() === month && lostDate.getFullYear() === year;
+      }
+      return false;
+    }).reduce((groups, quote) => {
+      const reason = quote.lostReason || 'No reason given';
+      const group = groups[reason] || { reason, count: 0, value: 0 };
+      groups[reason] = {
+        ...group,
+        count: group.count + 1,
+        value: group.value + calculateQuoteTotals(quote).total
+      };
+      return groups;
+    }, {})).sort((a, b) => b.count - a.count);
+
+    // Discounts given on jobs completed this month, in cents
+    const discountedJobs = completedJobs
+      .map(quote => ({ ...quote, discountAmount: calculateQuoteTotals(quote).discountAmount }))
+      .filter(quote => quote.discountAmount > 0);
+    const discountTotal = discountedJobs.reduce((sum, quote) => sum + quote.discountAmount, 0);
+
     setMonthlyData({
       revenue,
       netRevenue,
@@ -358,7 +424,10 @@ const ReportsScreen = () => {
         return dateB - dateA;
       }),
       // Deep clone the combinedPayments array to prevent reference issues
-      combinedPayments: JSON.parse(JSON.stringify(combinedPayments))
+      combinedPayments: JSON.parse(JSON.stringify(combinedPayments)),
+      lostReasons,
+      discountTotal,
+      discountedJobs
     });
   };
 
@@ -380,12 +449,8 @@ const ReportsScreen = () => {
       }
       return false;
     }).map(quote => {
-      // Ensure numeric values
-      const totalAmount = parseFloat(quote.amount) || 0;
-      const depositPercentage = parseFloat(quote.depositPercentage) || 50;
-      const depositAmount = quote.depositAmount 
-        ? parseFloat(quote.depositAmount) 
-        : (totalAmount * depositPercentage / 100);
+      // Deposit amount from the shared pricing engine
+      const depositAmount = fromCents(calculatePaymentSchedule(quote).deposit.gross);
       
       return {
         ...quote,
@@ -403,12 +468,8 @@ const ReportsScreen = () => {
       }
       return false;
     }).map(quote => {
-      // Ensure numeric values
-      const totalAmount = parseFloat(quote.amount) || 0;
-      const depositPercentage = parseFloat(quote.depositPercentage) || 50;
-      const depositAmount = quote.depositAmount 
-        ? parseFloat(quote.depositAmount) 
-        : (totalAmount * depositPercentage / 100);
+      // Deposit amount from the shared pricing engine
+      const depositAmount = fromCents(calculatePaymentSchedule(quote).deposit.gross);
       
       return {
         ...quote,
@@ -429,17 +490,10 @@ const ReportsScreen = () => {
       }
       return false;
     }).map(quote => {
-      // Ensure all values are numeric
-      const totalAmount = parseFloat(quote.amount) || 0;
-      const depositPercentage = parseFloat(quote.depositPercentage) || 50;
-      
-      // Calculate deposit amount first
-      const depositAmount = quote.depositAmount 
-        ? parseFloat(quote.depositAmount) 
-        : (totalAmount * depositPercentage / 100);
-      
-      // Final payment is the total amount minus the deposit amount
-      const finalPaymentAmount = totalAmount - depositAmount;
+      // Deposit and final payment amounts from the shared pricing engine
+      const { deposit, final } = calculatePaymentSchedule(quote);
+      const depositAmount = fromCents(deposit.gross);
+      const finalPaymentAmount = fromCents(final.gross);
       
       return {
         ...quote,
@@ -453,13 +507,8 @@ const ReportsScreen = () => {
     // Prepare combined payments list for previous month
     const prevCombinedPayments = [
       ...prevAllDepositPayments.map(payment => {
-        // Calculate deposit amount ensuring numeric values
-        const totalAmount = parseFloat(payment.amount) || 0;
-        const depositPercentage = payment.depositPercentage || 50;
-        const depositAmount = payment.depositAmount || (totalAmount * depositPercentage / 100);
-        
-        // Ensure explicit numeric value
-        const finalDepositAmount = parseFloat(depositAmount) || 0;
+        // Deposit amount was already calculated by the pricing engine
+        const finalDepositAmount = payment.depositAmount;
         
         return {
           ...payment,
@@ -482,24 +531,20 @@ const ReportsScreen = () => {
       })
     ];
 
-    // Calculate previous revenue directly from combined payments
-    const prevRevenue = prevCombinedPayments.reduce((total, payment) => 
-      total + (payment.paymentAmount || 0), 0);
-      
-    // Calculate service fees and net revenue for previous month
-    const prevServiceFees = prevCombinedPayments.reduce((total, payment) => 
-      total + ((payment.paymentAmount || 0) * SERVICE_FEE_PERCENTAGE / 100), 0);
-    
-    const prevNetRevenue = prevRevenue - prevServiceFees;
+    // Calculate previous revenue, service fees and net revenue in cents from combined payments
+    const prevPaymentTotals = sumPayments(prevCombinedPayments);
+    const prevRevenue = fromCents(prevPaymentTotals.gross);
+    const prevServiceFees = fromCents(prevPaymentTotals.fee);
+    const prevNetRevenue = fromCents(prevPaymentTotals.net);
 
     // For other metrics, still calculate these separately
-    const depositRevenue = prevAllDepositPayments.reduce((total, job) => {
-      return total + (job.depositAmount || 0);
-    }, 0);
+    const depositRevenue = fromCents(prevAllDepositPayments.reduce((total, job) => {
+      return total + toCents(job.depositAmount);
+    }, 0));
 
-    const finalPaymentRevenue = prevFinalPayments.reduce((total, job) => {
-      return total + (job.finalPaymentAmount || 0);
-    }, 0);
+    const finalPaymentRevenue = fromCents(prevFinalPayments.reduce((total, job) => {
+      return total + toCents(job.finalPaymentAmount);
+    }, 0));
 
     // Calculate average job size
     const averageJobSize = completedJobs.length > 0 
@@ -507,6 +552,8 @@ const ReportsScreen = () => {
       : 0;
 
     // Calculate quote conversion rate for previous month
+    const prevLostQuotes = LOST_STATUSES.flatMap(status => allQuotes[status] || []);
+
     // Get all quotes sent in the previous month across all statuses
     const prevAllSentInMonth = [
       // Quotes still in Sent status
@@ -528,7 +575,12 @@ const ReportsScreen = () => {
       ...(allQuotes.Complete ? allQuotes.Complete.filter(quote => {
         const sentDate = new Date(quote.date);
         return sentDate.getMonth() === month && sentDate.getFullYear() === year;
-      }) : [])
+      }) : []),
+      // Include declined, expired and cancelled quotes that were sent in previous month
+      ...prevLostQuotes.filter(quote => {
+        const sentDate = new Date(quote.date);
+        return sentDate.getMonth() === month && sentDate.getFullYear() === year;
+      })
     ];
     
     // Get quotes from previous month that were accepted
@@ -558,8 +610,17 @@ const ReportsScreen = () => {
       return false;
     }) : [];
     
+    const prevCancelledAfterAcceptance = prevLostQuotes.filter(quote => {
+      if (quote.date && quote.acceptedDate) {
+        const sentDate = new Date(quote.date);
+        return sentDate.getMonth() === month && sentDate.getFullYear() === year;
+      }
+      return false;
+    });
+
     // Total accepted quotes from the previous month
-    const prevTotalAcceptedQuotes = prevAcceptedQuotes.length + prevScheduledQuotes.length + prevCompletedQuotes.length;
+    const prevTotalAcceptedQuotes = prevAcceptedQuotes.length + prevScheduledQuotes.length + prevCompletedQuotes.length
+      + prevCancelledAfterAcceptance.length;
     
     // Previous month conversion rate calculation
     const prevQuoteConversion = prevAllSentInMonth.length > 0 
@@ -632,7 +693,7 @@ const ReportsScreen = () => {
         <Text style={styles.serviceDescription}>{item.description || item.service || 'No description'}</Text>
       </View>
       <View style={styles.incomeAmount}>
-        <Text style={styles.amount}>R{item.amount.toFixed(2)}</Text>
+        <Text style={styles.amount}>R{formatCents(calculateQuoteTotals(item).total)}</Text>
         <Text style={styles.date}>
           {formatDate(item.finalPaymentDate || item.completedDate)}
         </Text>
@@ -683,6 +744,67 @@ const ReportsScreen = () => {
     }
   };
 
+  // Export quotes, invoices or payments in the chosen range as a CSV file
+  const exportSpreadsheet = async (exportType) => {
+    setExportingType(exportType);
+    try {
+      const rowCount = await exportCSV(exportType, { from: exportFrom.trim(), to: exportTo.trim() });
+      if (rowCount === 0) {
+        Alert.alert(
+          "Nothing to Export",
+          `There are no ${CSV_EXPORTS[exportType].label.toLowerCase()} between ${exportFrom} and ${exportTo}.`,
+          [{ text: "OK" }]
+        );
+      }
+    } catch (error) {
+      console.error('Error exporting CSV:', error);
+      Alert.alert(
+        "Cannot Export",
+        error.message,
+        [{ text: "OK" }]
+      );
+    } finally {
+      setExportingType(null);
+    }
+  };
+
+  // Export invoices or payments in the selected accounting package's import format
+  const exportToAccounting = async (exportType) => {
+    setExportingType(`${accountingPackage}-${exportType}`);
+    try {
+      const count = await exportAccountingFile(
+        accountingPackage,
+        exportType,
+        { from: exportFrom.trim(), to: exportTo.trim() }
+      );
+      if (count === 0) {
+        Alert.alert(
+          "Nothing to Export",
+          `There are no ${ACCOUNTING_EXPORTS[exportType].label.toLowerCase()} between ${exportFrom} and ${exportTo}.`,
+          [{ text: "OK" }]
+        );
+      }
+    } catch (error) {
+      console.error('Error exporting for accounting package:', error);
+      Alert.alert(
+        "Cannot Export",
+        error.message,
+        [{ text: "OK" }]
+      );
+    } finally {
+      setExportingType(null);
+    }
+  };
+
+  if (!permissions[PERMISSIONS.REPORTS]) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <AppHeader subtitle="Report & Insights" />
+        <AccessDenied message="You don't have permission to see reports. Ask the business owner for access." />
+      </SafeAreaView>
+    );
+  }
+
   return (
     <SafeAreaView style={styles.container}>
       <AppHeader subtitle="Report & Insights" />
@@ -909,16 +1031,14 @@ const ReportsScreen = () => {
                 // Sort by date, newest first
                 .sort((a, b) => new Date(b.paymentDate) - new Date(a.paymentDate))
                 .map((payment, index) => {
-                  // Make sure paymentAmount is a number and force conversion again
-                  const grossAmount = parseFloat(payment.paymentAmount) || 0;
-                  const serviceFee = grossAmount * (SERVICE_FEE_PERCENTAGE / 100);
-                  const netAmount = grossAmount - serviceFee;
+                  // Split the payment into service fee and net amount (in cents)
+                  const { gross: grossAmount, net: netAmount } = calculatePaymentFees(toCents(payment.paymentAmount));
                   
                   // More detailed logging to debug zero values
                   console.log(`Payment ${index} details:`, {
                     type: payment.paymentType,
                     clientName: payment.clientName,
-                    paymentAmount: grossAmount,
+                    paymentAmount: fromCents(grossAmount),
                     totalAmount: parseFloat(payment.amount) || 0,
                     depositAmount: parseFloat(payment.depositAmount) || 0,
                     finalPaymentAmount: parseFloat(payment.finalPaymentAmount) || 0,
@@ -940,10 +1060,10 @@ const ReportsScreen = () => {
                       </View>
                       <View style={styles.amountContainer}>
                         <Text style={styles.incomeAmount}>
-                          R{netAmount.toFixed(2)}
+                          R{formatCents(netAmount)}
                         </Text>
                         <Text style={styles.grossAmount}>
-                          Gross: R{grossAmount.toFixed(2)}
+                          Gross: R{formatCents(grossAmount)}
                         </Text>
                       </View>
                     </View>
@@ -955,6 +1075,134 @@ const ReportsScreen = () => {
             </>
           )}
         </View>
+
+        {/* Discounts Section */}
+        <View style={styles.section}>
+          <View style={styles.discountHeader}>
+            <Text style={[styles.sectionTitle, styles.lostSectionTitle]}>Discounts Given</Text>
+            <Text style={styles.incomeAmount}>R{formatCents(monthlyData.discountTotal)}</Text>
+          </View>
+          {monthlyData.discountedJobs.length > 0 ? (
+            monthlyData.discountedJobs.map(item => (
+              <View key={item.id} style={styles.incomeItem}>
+                <View style={styles.incomeDetails}>
+                  <Text style={styles.customerName}>{item.customerName || item.clientName}</Text>
+                  <Text style={styles.serviceDescription}>{item.description || item.service || 'No description'}</Text>
+                </View>
+                <View style={styles.amountContainer}>
+                  <Text style={styles.incomeAmount}>R{formatCents(item.discountAmount)}</Text>
+                </View>
+              </View>
+            ))
+          ) : (
+            <Text style={styles.noDataText}>No discounts on jobs completed this month</Text>
+          )}
+        </View>
+
+        {/* Lost Quotes Section */}
+        <View style={styles.section}>
+          <Text style={[styles.sectionTitle, styles.lostSectionTitle]}>Lost Quotes</Text>
+          {monthlyData.lostReasons.length > 0 ? (
+            monthlyData.lostReasons.map(item => (
+              <View key={item.reason} style={styles.incomeItem}>
+                <View style={styles.incomeDetails}>
+                  <Text style={styles.serviceDescription}>{item.reason}</Text>
+                  <Text style={styles.date}>
+                    {item.count} {item.count === 1 ? 'quote' : 'quotes'}
+                  </Text>
+                </View>
+                <View style={styles.amountContainer}>
+                  <Text style={styles.incomeAmount}>R{formatCents(item.value)}</Text>
+                </View>
+              </View>
+            ))
+          ) : (
+            <Text style={styles.noDataText}>No lost quotes this month</Text>
+          )}
+        </View>
+
+        {/* Bookkeeping Export Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Export for Bookkeeping</Text>
+
+          <View style={styles.dateRangeRow}>
+            <View style={styles.dateInputContainer}>
+              <Text style={styles.dateInputLabel}>From</Text>
+              <TextInput
+                style={styles.dateInput}
+                value={exportFrom}
+                onChangeText={setExportFrom}
+                placeholder="YYYY-MM-DD"
+                keyboardType="numbers-and-punctuation"
+              />
+            </View>
+            <View style={styles.dateInputContainer}>
+              <Text style={styles.dateInputLabel}>To</Text>
+              <TextInput
+                style={styles.dateInput}
+                value={exportTo}
+                onChangeText={setExportTo}
+                placeholder="YYYY-MM-DD"
+                keyboardType="numbers-and-punctuation"
+              />
+            </View>
+          </View>
+
+          <View style={styles.exportButtonsRow}>
+            {Object.keys(CSV_EXPORTS).map(exportType => (
+              <TouchableOpacity
+                key={exportType}
+                style={[styles.exportButton, exportingType !== null && { opacity: 0.5 }]}
+                onPress={() => exportSpreadsheet(exportType)}
+                disabled={exportingType !== null}
+              >
+                {exportingType === exportType ? (
+                  <ActivityIndicator size="small" color="#ffffff" />
+                ) : (
+                  <Text style={styles.downloadButtonText}>{CSV_EXPORTS[exportType].label} CSV</Text>
+                )}
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.feeInfoText}>
+            Dates are written as YYYY-MM-DD and amounts in rand with two decimals, so the
+            files open the same way in any spreadsheet.
+          </Text>
+
+          <Text style={[styles.dateInputLabel, { marginTop: 16 }]}>Accounting package</Text>
+          <TabSelector
+            activeTab={ACCOUNTING_PACKAGES[accountingPackage].label}
+            setActiveTab={(label) => setAccountingPackage(
+              Object.keys(ACCOUNTING_PACKAGES).find(key => ACCOUNTING_PACKAGES[key].label === label)
+            )}
+            tabs={Object.values(ACCOUNTING_PACKAGES).map(({ label }) => label)}
+          />
+
+          <View style={styles.exportButtonsRow}>
+            {Object.keys(ACCOUNTING_EXPORTS).map(exportType => (
+              <TouchableOpacity
+                key={exportType}
+                style={[styles.exportButton, styles.accountingExportButton, exportingType !== null && { opacity: 0.5 }]}
+                onPress={() => exportToAccounting(exportType)}
+                disabled={exportingType !== null}
+              >
+                {exportingType === `${accountingPackage}-${exportType}` ? (
+                  <ActivityIndicator size="small" color="#ffffff" />
+                ) : (
+                  <Text style={styles.downloadButtonText}>
+                    {ACCOUNTING_PACKAGES[accountingPackage].label} {ACCOUNTING_EXPORTS[exportType].label}
+                  </Text>
+                )}
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.feeInfoText}>
+            Invoices and payments in the package's import format, coded with the account
+            codes and tax rates set in Settings.
+          </Text>
+        </View>
       </ScrollView>
     </SafeAreaView>
   );
@@ -1082,6 +1330,46 @@ const styles = StyleSheet.create({
     marginLeft: 4,
     fontWeight: '600',
   },
+  dateRangeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  dateInputContainer: {
+    width: '48%',
+  },
+  dateInputLabel: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 4,
+  },
+  dateInput: {
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 16,
+    color: '#1F2937',
+  },
+  exportButtonsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginVertical: 12,
+  },
+  exportButton: {
+    backgroundColor: '#3B82F6',
+    borderRadius: 8,
+    paddingVertical: 10,
+    alignItems: 'center',
+    justifyContent: 'center',
+    width: '31%',
+    height: 40,
+  },
+  accountingExportButton: {
+    width: '48%',
+  },
   feeInfoContainer: {
     backgroundColor: '#F9FAFB',
     padding: 8,
@@ -1192,6 +1480,14 @@ const styles = StyleSheet.create({
     color: '#666',
     marginTop: 2,
   },
+  lostSectionTitle: {
+    marginBottom: 8,
+  },
+  discountHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
   noDataText: {
     fontStyle: 'italic',
     color: '#888',
@@ -1,22 +1,407 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   View, 
   Text, 
+  TextInput,
+  ScrollView,
   StyleSheet, 
   TouchableOpacity, 
   Alert,
+  Switch,
   SafeAreaView 
 } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { MaterialIcons } from '@expo/vector-icons';
 import AppHeader from '../components/AppHeader';
+import TabSelector from '../components/TabSelector';
 import { useAuth } from '../utils/AuthContext';
+import globalState from '../utils/globalState';
+import { clearQuotes } from '../utils/quoteStore';
+import {
+  getSyncStatus,
+  syncQuotes,
+  subscribeToQuoteChanges,
+  discardRejectedChanges
+} from '../utils/syncService';
+import { subscribeToOutbox, loadRejectedChanges } from '../utils/outbox';
+import { loadQuarantine } from '../utils/storageSchema';
+import {
+  RESTORE_MODES,
+  exportBackup,
+  pickBackupFile,
+  readBackup,
+  previewRestore,
+  describeRestorePreview,
+  restoreBackup
+} from '../utils/backup';
+import {
+  DOCUMENT_TYPES,
+  loadNumberingSettings,
+  saveNumberPrefixes,
+  setNextNumber
+} from '../utils/numbering';
+import {
+  ACCOUNTING_PACKAGES,
+  ACCOUNT_MAPPING_FIELDS,
+  loadAccountMapping,
+  saveAccountMapping
+} from '../utils/accountingExport';
 
-// Storage key for quotes (must match the one in DashboardScreen)
-const QUOTES_STORAGE_KEY = 'quickquote_data';
+// Labels for each numbered document type
+const NUMBERING_LABELS = {
+  [DOCUMENT_TYPES.QUOTE]: 'Quotes',
+  [DOCUMENT_TYPES.INVOICE]: 'Invoices',
+  [DOCUMENT_TYPES.CREDIT_NOTE]: 'Credit notes',
+};
 
 const SettingsScreen = ({ navigation }) => {
-  const { signOut } = useAuth();
+  const { signOut, getTeamMembers, refreshTeam } = useAuth();
+  // Document numbering as stored, and as currently entered in the form
+  const [savedNumbering, setSavedNumbering] = useState(null);
+  const [prefixes, setPrefixes] = useState({});
+  const [nextNumbers, setNextNumbers] = useState({});
+  // VAT registration shown on quotes and invoices
+  const [vatRegistered, setVatRegistered] = useState(true);
+  const [vatNumber, setVatNumber] = useState('');
+
+  // Load the saved VAT registration
+  useEffect(() => {
+    const loadVatDetails = async () => {
+      await globalState.init();
+      setVatRegistered(globalState.vatRegistered);
+      setVatNumber(globalState.vatNumber);
+    };
+
+    loadVatDetails();
+  }, []);
+
+  // Save the VAT registration used on new quotes
+  const saveVatDetails = async () => {
+    if (vatRegistered && !vatNumber.trim()) {
+      Alert.alert(
+        "Missing VAT Number",
+        "Please enter your VAT number, or switch off VAT registration.",
+        [{ text: "OK" }]
+      );
+      return;
+    }
+
+    const saved = await globalState.updateBusinessInfo({
+      vatRegistered,
+      vatNumber: vatRegistered ? vatNumber.trim() : ''
+    });
+
+    Alert.alert(
+      saved ? "Success" : "Error",
+      saved
+        ? "Your VAT details have been saved. They will be used on quotes sent from now on."
+        : "There was a problem saving your VAT details. Please try again.",
+      [{ text: "OK" }]
+    );
+  };
+
+  // Load the current document numbering
+  useEffect(() => {
+    const loadNumbering = async () => {
+      try {
+        const numbering = await loadNumberingSettings();
+        setSavedNumbering(numbering);
+        setPrefixes(numbering.prefixes);
+        setNextNumbers(Object.keys(numbering.nextNumbers).reduce((numbers, documentType) => ({
+          ...numbers,
+          [documentType]: numbering.nextNumbers[documentType].toString()
+        }), {}));
+      } catch (error) {
+        console.error("Error loading document numbering:", error);
+      }
+    };
+
+    loadNumbering();
+  }, []);
+
+  // Save prefixes and any counters that were moved forward
+  const saveNumbering = async () => {
+    try {
+      await saveNumberPrefixes(prefixes);
+
+      for (const documentType of Object.values(DOCUMENT_TYPES)) {
+        const nextNumber = parseInt(nextNumbers[documentType], 10);
+        if (nextNumber !== savedNumbering.nextNumbers[documentType]) {
+          await setNextNumber(documentType, nextNumber);
+        }
+      }
+
+      setSavedNumbering(await loadNumberingSettings());
+
+      Alert.alert(
+        "Success",
+        "Document numbering has been saved.",
+        [{ text: "OK" }]
+      );
+    } catch (error) {
+      console.error("Error saving document numbering:", error);
+
+      Alert.alert(
+        "Error",
+        error.message,
+        [{ text: "OK" }]
+      );
+    }
+  };
+
+  // Accounting package whose export codes are shown, and its codes as entered
+  const [accountingPackage, setAccountingPackage] = useState('xero');
+  const [accountMapping, setAccountMapping] = useState(null);
+
+  // Load the export codes of the selected accounting package
+  useEffect(() => {
+    const loadMapping = async () => {
+      try {
+        setAccountMapping(await loadAccountMapping(accountingPackage));
+      } catch (error) {
+        console.error("Error loading account mapping:", error);
+      }
+    };
+
+    setAccountMapping(null);
+    loadMapping();
+  }, [accountingPackage]);
+
+  // Save the export codes of the selected accounting package
+  const saveMapping = async () => {
+    try {
+      setAccountMapping(await saveAccountMapping(accountingPackage, accountMapping));
+
+      Alert.alert(
+        "Success",
+        `Your ${ACCOUNTING_PACKAGES[accountingPackage].label} codes have been saved.`,
+        [{ text: "OK" }]
+      );
+    } catch (error) {
+      console.error("Error saving account mapping:", error);
+
+      Alert.alert(
+        "Error",
+        error.message,
+        [{ text: "OK" }]
+      );
+    }
+  };
+
+  // Saved records set aside because they could not be upgraded
+  const [quarantinedCount, setQuarantinedCount] = useState(0);
+
+  const refreshQuarantine = () => {
+    loadQuarantine()
+      .then(records => setQuarantinedCount(records.length))
+      .catch(error => console.error('Error loading quarantined records:', error));
+  };
+
+  useEffect(() => {
+    refreshQuarantine();
+  }, []);
+
+  // Whether a backup is being written or restored
+  const [isBackingUp, setIsBackingUp] = useState(false);
+
+  const handleExportBackup = async () => {
+    setIsBackingUp(true);
+    try {
+      const { quoteCount } = await exportBackup();
+      Alert.alert(
+        "Backup Ready",
+        `${quoteCount} ${quoteCount === 1 ? 'quote' : 'quotes'}, with your clients, settings and photos, have been backed up.`,
+        [{ text: "OK" }]
+      );
+    } catch (error) {
+      console.error('Error exporting backup:', error);
+      Alert.alert(
+        "Error",
+        "There was a problem creating the backup. Please try again.",
+        [{ text: "OK" }]
+      );
+    } finally {
+      setIsBackingUp(false);
+    }
+  };
+
+  // Restore a checked backup, then report what was restored
+  const runRestore = async (backup, mode) => {
+    setIsBackingUp(true);
+    try {
+      const { quoteCount, clientCount } = await restoreBackup(backup, mode);
+      refreshQuarantine();
+
+      // The team is not in the backup; reload it from Supabase
+      await getTeamMembers();
+      await refreshTeam();
+      Alert.alert(
+        "Backup Restored",
+        `${quoteCount} ${quoteCount === 1 ? 'quote' : 'quotes'} and ${clientCount} ${clientCount === 1 ? 'client' : 'clients'} restored.`,
+        [{ text: "OK" }]
+      );
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      Alert.alert(
+        "Restore Failed",
+        "There was a problem restoring the backup. Please try again.",
+        [{ text: "OK" }]
+      );
+    } finally {
+      setIsBackingUp(false);
+    }
+  };
+
+  // Replacing deletes data, so it is confirmed separately
+  const confirmReplace = (backup, preview) => {
+    const quoteCount = preview.quotes.localOnly;
+    const clientCount = preview.clients.localOnly;
+
+    Alert.alert(
+      "Replace All Data?",
+      `${quoteCount} ${quoteCount === 1 ? 'quote' : 'quotes'} and ${clientCount} ${clientCount === 1 ? 'client' : 'clients'} that are not in the backup will be removed from this device, and quotes and clients in the backup will overwrite the versions here. This cannot be undone.\n\n` +
+        `Nothing is deleted from your business account. ${preview.quotes.synced} of the removed ${preview.quotes.synced === 1 ? 'quote is' : 'quotes are'} synced to your business and will download again at the next sync. Where a restored quote differs from your business's version you will be asked which to keep.`,
+      [
+        {
+          text: "Cancel",
+          style: "cancel"
+        },
+        {
+          text: "Replace",
+          style: "destructive",
+          onPress: () => runRestore(backup, RESTORE_MODES.REPLACE)
+        }
+      ]
+    );
+  };
+
+  const handleRestoreBackup = async () => {
+    try {
+      const fileUri = await pickBackupFile();
+      if (!fileUri) return;
+
+      const backup = await readBackup(fileUri);
+      const preview = await previewRestore(backup);
+
+      Alert.alert(
+        "Restore Backup",
+        `${describeRestorePreview(preview).join('\n')}\n\n` +
+          'Merge adds what is missing from this device and keeps everything already here. ' +
+          'Replace makes this device match the backup.',
+        [
+          {
+            text: "Cancel",
+            style: "cancel"
+          },
+          {
+            text: "Merge",
+            onPress: () => runRestore(backup, RESTORE_MODES.MERGE)
+          },
+          {
+            text: "Replace",
+            style: "destructive",
+            onPress: () => confirmReplace(backup, preview)
+          }
+        ]
+      );
+    } catch (error) {
+      console.error('Error reading backup:', error);
+      Alert.alert(
+        "Cannot Restore",
+        error.message,
+        [{ text: "OK" }]
+      );
+    }
+  };
+
+  // Quote sync status
+  const [syncStatus, setSyncStatus] = useState(null);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  useEffect(() => {
+    const refreshSyncStatus = () => {
+      getSyncStatus().then(setSyncStatus).catch(error => {
+        console.error('Error loading sync status:', error);
+      });
+    };
+
+    refreshSyncStatus();
+
+    // Keep the pending and conflict counts current as quotes change
+    const unsubscribeFromOutbox = subscribeToOutbox(pending => {
+      setSyncStatus(status => status ? { ...status, pending } : status);
+    });
+    const unsubscribeFromQuotes = subscribeToQuoteChanges(refreshSyncStatus);
+
+    return () => {
+      unsubscribeFromOutbox();
+      unsubscribeFromQuotes();
+    };
+  }, []);
+
+  const syncNow = async () => {
+    setIsSyncing(true);
+    try {
+      const status = await syncQuotes();
+      setSyncStatus(status);
+
+      if (status.lastError) {
+        Alert.alert(
+          "Sync Failed",
+          `Your quotes are safe on this device and will sync later. ${status.lastError}`,
+          [{ text: "OK" }]
+        );
+      } else if (status.rejected > 0) {
+        Alert.alert(
+          "Changes Not Synced",
+          "Your business account refused some changes. Review them under Sync.",
+          [{ text: "OK" }]
+        );
+      }
+    } catch (error) {
+      console.error('Error syncing quotes:', error);
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  // Shows the changes Supabase refused, with the option to discard them
+  const reviewRejectedChanges = async () => {
+    try {
+      const rejected = await loadRejectedChanges();
+      const details = rejected
+        .map(change => `${(change.quote || change.base || {}).customerName || 'Quote'}: ${change.error}`)
+        .join('\n');
+
+      Alert.alert(
+        "Changes Not Synced",
+        `These changes were refused and will not be sent again:\n\n${details}\n\n` +
+          'Discard them to get the latest version of each quote from your business.',
+        [
+          { text: "Keep", style: "cancel" },
+          {
+            text: "Discard",
+            style: "destructive",
+            onPress: async () => {
+              try {
+                await discardRejectedChanges(rejected.map(change => change.quoteId));
+                await syncNow();
+              } catch (error) {
+                console.error('Error discarding refused changes:', error);
+                Alert.alert("Error", "Failed to discard the changes", [{ text: "OK" }]);
+              }
+            }
+          }
+        ]
+      );
+    } catch (error) {
+      console.error('Error loading refused changes:', error);
+    }
+  };
+
+  const formatSyncTime = (timestamp) => {
+    return timestamp ? new Date(timestamp).toLocaleString() : 'Never';
+  };
 
   // Handle logout
   const handleLogout = async () => {
@@ -64,7 +449,7 @@ const SettingsScreen = ({ navigation }) => {
   const handleResetData = () => {
     Alert.alert(
       "Reset All Data",
-      "Are you sure you want to delete all quotes? This cannot be undone.",
+      "Are you sure you want to delete all quotes from this device? Quotes already synced to your business are kept in your account. This cannot be undone.",
       [
         {
           text: "Cancel",
@@ -82,22 +467,13 @@ const SettingsScreen = ({ navigation }) => {
   // Function to reset all data
   const resetAllData = async () => {
     try {
-      // Create empty data structure
-      const emptyData = {
-        Draft: [],
-        Sent: [],
-        Accepted: [],
-        'Scheduled Work': [],
-        Complete: [],
-      };
-      
-      // Save empty data to storage
-      await AsyncStorage.setItem(QUOTES_STORAGE_KEY, JSON.stringify(emptyData));
+      // Remove all quotes from this device
+      await clearQuotes();
       
       // Show success message
       Alert.alert(
         "Success",
-        "All quotes have been deleted.",
+        "All quotes have been deleted from this device.",
         [{ text: "OK" }]
       );
       
@@ -118,7 +494,7 @@ const SettingsScreen = ({ navigation }) => {
     <SafeAreaView style={styles.container}>
       <AppHeader subtitle="Settings" />
       
-      <View style={styles.content}>
+      <ScrollView style={styles.content} contentContainerStyle={styles.contentContainer}>
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Account</Text>
           
@@ -131,9 +507,143 @@ const SettingsScreen = ({ navigation }) => {
           </TouchableOpacity>
         </View>
         
+        <View style={[styles.section, { marginTop: 16 }]}>
+          <Text style={styles.sectionTitle}>Quoting</Text>
+          
+          <TouchableOpacity 
+            style={styles.menuButton}
+            onPress={() => navigation.navigate('Catalogue')}
+          >
+            <MaterialIcons name="menu-book" size={24} color="#3B82F6" />
+            <Text style={styles.menuButtonText}>Price Book</Text>
+            <MaterialIcons name="chevron-right" size={24} color="#9CA3AF" />
+          </TouchableOpacity>
+        </View>
+        
+        <View style={[styles.section, { marginTop: 16 }]}>
+          <Text style={styles.sectionTitle}>VAT</Text>
+          
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>VAT registered</Text>
+            <Switch
+              value={vatRegistered}
+              onValueChange={setVatRegistered}
+              trackColor={{ true: '#93C5FD', false: '#D1D5DB' }}
+              thumbColor={vatRegistered ? '#3B82F6' : '#F9FAFB'}
+            />
+          </View>
+          
+          {vatRegistered && (
+            <TextInput
+              style={styles.vatNumberInput}
+              value={vatNumber}
+              onChangeText={setVatNumber}
+              placeholder="VAT number"
+              keyboardType="number-pad"
+            />
+          )}
+          
+          <TouchableOpacity 
+            style={styles.saveButton}
+            onPress={saveVatDetails}
+          >
+            <Text style={styles.saveButtonText}>Save VAT Details</Text>
+          </TouchableOpacity>
+          
+          <Text style={styles.infoText}>
+            Businesses that are not VAT registered do not charge VAT. Registered businesses
+            get tax invoices showing their VAT number.
+          </Text>
+        </View>
+        
+        <View style={[styles.section, { marginTop: 16 }]}>
+          <Text style={styles.sectionTitle}>Sync</Text>
+          
+          {syncStatus && (
+            <>
+              <View style={styles.syncRow}>
+                <Text style={styles.syncLabel}>Last synced</Text>
+                <Text style={styles.syncValue}>{formatSyncTime(syncStatus.lastSyncedAt)}</Text>
+              </View>
+              <View style={styles.syncRow}>
+                <Text style={styles.syncLabel}>Changes waiting</Text>
+                <Text style={styles.syncValue}>{syncStatus.pending}</Text>
+              </View>
+              {syncStatus.conflicts > 0 && (
+                <TouchableOpacity 
+                  style={styles.menuButton}
+                  onPress={() => navigation.navigate('SyncConflicts')}
+                >
+                  <MaterialIcons name="call-split" size={24} color="#D97706" />
+                  <Text style={styles.menuButtonText}>
+                    {syncStatus.conflicts} {syncStatus.conflicts === 1 ? 'conflict' : 'conflicts'} to resolve
+                  </Text>
+                  <MaterialIcons name="chevron-right" size={24} color="#9CA3AF" />
+                </TouchableOpacity>
+              )}
+              {syncStatus.rejected > 0 && (
+                <TouchableOpacity 
+                  style={styles.menuButton}
+                  onPress={reviewRejectedChanges}
+                >
+                  <MaterialIcons name="block" size={24} color="#DC2626" />
+                  <Text style={styles.menuButtonText}>
+                    {syncStatus.rejected} {syncStatus.rejected === 1 ? 'change' : 'changes'} refused
+                  </Text>
+                  <MaterialIcons name="chevron-right" size={24} color="#9CA3AF" />
+                </TouchableOpacity>
+              )}
+              {syncStatus.lastError && (
+                <Text style={styles.syncError}>
+                  Last attempt {formatSyncTime(syncStatus.lastAttemptAt)} failed: {syncStatus.lastError}
+                </Text>
+              )}
+            </>
+          )}
+          
+          <TouchableOpacity 
+            style={[styles.saveButton, isSyncing && styles.disabledButton]}
+            onPress={syncNow}
+            disabled={isSyncing}
+          >
+            <Text style={styles.saveButtonText}>{isSyncing ? 'Syncing...' : 'Sync Now'}</Text>
+          </TouchableOpacity>
+          
+          <Text style={styles.infoText}>
+            Quotes are saved on this device first and synced with your business account
+            whenever you are online. Changes made offline are sent when you reconnect.
+          </Text>
+        </View>
+        
         <View style={[styles.section, { marginTop: 16 }]}>
           <Text style={styles.sectionTitle}>Data Management</Text>
           
+          <TouchableOpacity 
+            style={styles.menuButton}
+            onPress={handleExportBackup}
+            disabled={isBackingUp}
+          >
+            <MaterialIcons name="backup" size={24} color="#3B82F6" />
+            <Text style={styles.menuButtonText}>Export Backup</Text>
+            <MaterialIcons name="chevron-right" size={24} color="#9CA3AF" />
+          </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={styles.menuButton}
+            onPress={handleRestoreBackup}
+            disabled={isBackingUp}
+          >
+            <MaterialIcons name="restore" size={24} color="#3B82F6" />
+            <Text style={styles.menuButtonText}>Restore Backup</Text>
+            <MaterialIcons name="chevron-right" size={24} color="#9CA3AF" />
+          </TouchableOpacity>
+          
+          <Text style={[styles.infoText, { marginBottom: 12 }]}>
+            {isBackingUp
+              ? 'Working on your backup...'
+              : 'A backup holds your quotes, clients, settings, team and photos in one file. Keep it somewhere other than this device.'}
+          </Text>
+          
           <TouchableOpacity 
             style={styles.resetButton}
             onPress={handleResetData}
@@ -143,10 +653,103 @@ const SettingsScreen = ({ navigation }) => {
           </TouchableOpacity>
           
           <Text style={styles.infoText}>
-            This will delete all quotes from your dashboard. This action cannot be undone.
+            This will delete all quotes from this device. Quotes synced to your business
+            stay in your account. This action cannot be undone, so export a backup first.
+            Quote, invoice and credit note numbers already issued will not be reused.
+          </Text>
+          
+          {quarantinedCount > 0 && (
+            <Text style={styles.warningText}>
+              {quarantinedCount} saved {quarantinedCount === 1 ? 'record' : 'records'} could not be
+              upgraded to this version of the app and {quarantinedCount === 1 ? 'has' : 'have'} been
+              set aside. They are kept on this device and are not shown on the dashboard.
+            </Text>
+          )}
+        </View>
+
+        {savedNumbering && (
+          <View style={[styles.section, { marginTop: 16 }]}>
+            <Text style={styles.sectionTitle}>Document Numbering</Text>
+
+            <View style={styles.numberingRow}>
+              <Text style={[styles.numberingLabel, styles.numberingHeading]}>Document</Text>
+              <Text style={[styles.numberingInputLabel, styles.numberingHeading]}>Prefix</Text>
+              <Text style={[styles.numberingInputLabel, styles.numberingHeading]}>Next number</Text>
+            </View>
+
+            {Object.values(DOCUMENT_TYPES).map(documentType => (
+              <View key={documentType} style={styles.numberingRow}>
+                <Text style={styles.numberingLabel}>{NUMBERING_LABELS[documentType]}</Text>
+                <TextInput
+                  style={styles.numberingInput}
+                  value={prefixes[documentType]}
+                  onChangeText={(text) => setPrefixes({ ...prefixes, [documentType]: text })}
+                  autoCapitalize="characters"
+                />
+                <TextInput
+                  style={styles.numberingInput}
+                  value={nextNumbers[documentType]}
+                  onChangeText={(text) => setNextNumbers({ ...nextNumbers, [documentType]: text })}
+                  keyboardType="number-pad"
+                />
+              </View>
+            ))}
+
+            <TouchableOpacity 
+              style={styles.saveButton}
+              onPress={saveNumbering}
+            >
+              <Text style={styles.saveButtonText}>Save Numbering</Text>
+            </TouchableOpacity>
+
+            <Text style={styles.infoText}>
+              Numbers can only be moved forward, so a number is never issued twice.
+            </Text>
+          </View>
+        )}
+
+        <View style={[styles.section, { marginTop: 16 }]}>
+          <Text style={styles.sectionTitle}>Accounting Export</Text>
+
+          <TabSelector
+            activeTab={ACCOUNTING_PACKAGES[accountingPackage].label}
+            setActiveTab={(label) => setAccountingPackage(
+              Object.keys(ACCOUNTING_PACKAGES).find(key => ACCOUNTING_PACKAGES[key].label === label)
+            )}
+            tabs={Object.values(ACCOUNTING_PACKAGES).map(({ label }) => label)}
+          />
+
+          {accountMapping && (
+            <View style={styles.mappingList}>
+              {ACCOUNTING_PACKAGES[accountingPackage].fields.map(field => (
+                <View key={field} style={styles.numberingRow}>
+                  <Text style={styles.numberingLabel}>{ACCOUNT_MAPPING_FIELDS[field]}</Text>
+                  <TextInput
+                    style={styles.mappingInput}
+                    value={accountMapping[field]}
+                    onChangeText={(text) => setAccountMapping({ ...accountMapping, [field]: text })}
+                    autoCapitalize="none"
+                  />
+                </View>
+              ))}
+            </View>
+          )}
+
+          <TouchableOpacity 
+            style={[styles.saveButton, !accountMapping && styles.disabledButton]}
+            onPress={saveMapping}
+            disabled={!accountMapping}
+          >
+            <Text style={styles.saveButtonText}>Save Export Codes</Text>
+          </TouchableOpacity>
+
+          <Text style={styles.infoText}>
+            Enter the account codes and tax rate names from your chart of accounts. Invoice
+            and payment files exported from Reports are coded with them. For QuickBooks,
+            enter the product or service each kind of sale is recorded against.
           </Text>
         </View>
-      </View>
+      </ScrollView>
     </SafeAreaView>
   );
 };
@@ -158,6 +761,8 @@ const styles = StyleSheet.create({
   },
   content: {
     flex: 1,
+  },
+  contentContainer: {
     padding: 16,
   },
   section: {
@@ -190,6 +795,17 @@ const styles = StyleSheet.create({
     fontSize: 16,
     marginLeft: 8,
   },
+  menuButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  menuButtonText: {
+    flex: 1,
+    color: '#1F2937',
+    fontSize: 16,
+    marginLeft: 12,
+  },
   resetButton: {
     backgroundColor: '#EF4444',
     flexDirection: 'row',
@@ -205,6 +821,109 @@ const styles = StyleSheet.create({
     fontSize: 16,
     marginLeft: 8,
   },
+  numberingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  numberingHeading: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#6B7280', // gray-500
+  },
+  numberingLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#374151', // gray-700
+  },
+  numberingInputLabel: {
+    width: 96,
+    marginLeft: 8,
+  },
+  mappingList: {
+    marginTop: 12,
+  },
+  mappingInput: {
+    width: 160,
+    marginLeft: 8,
+    borderWidth: 1,
+    borderColor: '#D1D5DB', // gray-300
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    fontSize: 14,
+  },
+  numberingInput: {
+    width: 96,
+    marginLeft: 8,
+    borderWidth: 1,
+    borderColor: '#D1D5DB', // gray-300
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    fontSize: 14,
+  },
+  syncRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  syncLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#374151', // gray-700
+  },
+  syncValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1F2937', // gray-800
+  },
+  warningText: {
+    fontSize: 14,
+    color: '#B45309', // amber-700
+    marginTop: 12,
+  },
+  syncError: {
+    fontSize: 14,
+    color: '#DC2626', // red-600
+    marginBottom: 8,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  switchLabel: {
+    flex: 1,
+    color: '#1F2937',
+    fontSize: 16,
+  },
+  vatNumberInput: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB', // gray-300
+    borderRadius: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 16,
+    marginTop: 8,
+  },
+  saveButton: {
+    backgroundColor: '#3B82F6',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 12,
+    borderRadius: 8,
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  disabledButton: {
+    backgroundColor: '#93C5FD', // blue-300
+  },
+  saveButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+  },
   infoText: {
     fontSize: 14,
     color: '#6B7280',
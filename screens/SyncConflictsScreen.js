@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import {
+  loadConflicts,
+  getGroup,
+  describeGroup,
+  CONFLICT_SIDES,
+  DELETED_GROUP
+} from '../utils/syncConflicts';
+import { resolveSyncConflict, syncQuotes, subscribeToQuoteChanges } from '../utils/syncService';
+
+// Headings for the two versions shown side by side
+const SIDE_LABELS = {
+  [CONFLICT_SIDES.LOCAL]: 'This device',
+  [CONFLICT_SIDES.REMOTE]: 'Other device'
+};
+
+/**
+ * Describes which quote a conflict is about
+ * @param {Object} conflict - The conflict
+ * @returns {string} - Quote number and customer
+ */
+const getConflictTitle = (conflict) => {
+  const quote = conflict.local || conflict.remote || conflict.base || {};
+  return [quote.quoteNumber, quote.customerName].filter(Boolean).join(' · ') || 'Quote';
+};
+
+const SyncConflictsScreen = ({ navigation }) => {
+  const [conflicts, setConflicts] = useState([]);
+  // Side chosen for each conflicting part, by conflict ID then group key
+  const [choices, setChoices] = useState({});
+  const [savingId, setSavingId] = useState(null);
+
+  const refreshConflicts = async () => {
+    try {
+      setConflicts(await loadConflicts());
+    } catch (error) {
+      console.error('Error loading sync conflicts:', error);
+    }
+  };
+
+  useEffect(() => {
+    refreshConflicts();
+    return subscribeToQuoteChanges(refreshConflicts);
+  }, []);
+
+  const choose = (conflictId, groupKey, side) => {
+    setChoices(prevChoices => ({
+      ...prevChoices,
+      [conflictId]: { ...prevChoices[conflictId], [groupKey]: side }
+    }));
+  };
+
+  const handleResolve = async (conflict) => {
+    setSavingId(conflict.id);
+    try {
+      await resolveSyncConflict(conflict.id, choices[conflict.id] || {});
+      await refreshConflicts();
+
+      // Send the resolution straight away when online
+      syncQuotes().catch(error => console.error('Error syncing quotes:', error));
+    } catch (error) {
+      console.error('Error resolving sync conflict:', error);
+      Alert.alert(
+        "Cannot Save",
+        error.message,
+        [{ text: "OK" }]
+      );
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (conflicts.length === 0) {
+    return (
+      <View style={styles.emptyContainer}>
+        <MaterialIcons name="check-circle" size={48} color="#10B981" />
+        <Text style={styles.emptyText}>All quotes are in sync.</Text>
+        <TouchableOpacity style={styles.doneButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.doneButtonText}>Done</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.intro}>
+        These quotes were changed on this device and on another device at the same time.
+        Other changes have been combined; choose which version to keep for each part below.
+      </Text>
+
+      {conflicts.map(conflict => {
+        const conflictChoices = choices[conflict.id] || {};
+        const isComplete = conflict.groups.every(key => conflictChoices[key]);
+
+        return (
+          <View key={conflict.id} style={styles.section}>
+            <Text style={styles.sectionTitle}>{getConflictTitle(conflict)}</Text>
+
+            {conflict.groups.map(key => {
+              const group = getGroup(key, [conflict.local, conflict.remote]);
+
+              return (
+                <View key={key} style={styles.group}>
+                  <View style={styles.groupHeader}>
+                    <Text style={styles.groupLabel}>
+                      {key === DELETED_GROUP ? 'Deleted on one device, changed on the other' : group.label}
+                    </Text>
+                    {group.isPayment && (
+                      <View style={styles.paymentTag}>
+                        <Text style={styles.paymentTagText}>Payment</Text>
+                      </View>
+                    )}
+                  </View>
+
+                  <View style={styles.sides}>
+                    {[CONFLICT_SIDES.LOCAL, CONFLICT_SIDES.REMOTE].map(side => {
+                      const isChosen = conflictChoices[key] === side;
+
+                      return (
+                        <TouchableOpacity
+                          key={side}
+                          style={[styles.side, isChosen && styles.chosenSide]}
+                          onPress={() => choose(conflict.id, key, side)}
+                        >
+                          <View style={styles.sideHeader}>
+                            <MaterialIcons
+                              name={isChosen ? 'radio-button-checked' : 'radio-button-unchecked'}
+                              size={18}
+                              color={isChosen ? '#2563EB' : '#9CA3AF'}
+                            />
+                            <Text style={styles.sideLabel}>{SIDE_LABELS[side]}</Text>
+                          </View>
+                          {describeGroup(key, conflict[side]).map((line, index) => (
+                            <Text key={index} style={styles.sideValue}>{line}</Text>
+                          ))}
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                </View>
+              );
+            })}
+
+            <TouchableOpacity
+              style={[styles.saveButton, (!isComplete || savingId === conflict.id) && styles.disabledButton]}
+              onPress={() => handleResolve(conflict)}
+              disabled={!isComplete || savingId === conflict.id}
+            >
+              <Text style={styles.saveButtonText}>
+                {savingId === conflict.id ? 'Saving...' : 'Keep Chosen Versions'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  content: {
+    padding: 16,
+  },
+  intro: {
+    fontSize: 14,
+    color: '#4B5563', // gray-600
+    marginBottom: 16,
+  },
+  emptyContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#F9FAFB',
+    padding: 24,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#6B7280', // gray-500
+    marginTop: 12,
+    marginBottom: 16,
+  },
+  doneButton: {
+    backgroundColor: '#3B82F6', // blue-500
+    paddingVertical: 10,
+    paddingHorizontal: 24,
+    borderRadius: 6,
+  },
+  doneButtonText: {
+    color: 'white',
+    fontWeight: '500',
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#374151', // gray-700
+    marginBottom: 12,
+  },
+  group: {
+    marginBottom: 16,
+  },
+  groupHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  groupLabel: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#4B5563', // gray-600
+  },
+  paymentTag: {
+    backgroundColor: '#FEF3C7', // amber-100
+    borderRadius: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+  },
+  paymentTagText: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: '#B45309', // amber-700
+  },
+  sides: {
+    flexDirection: 'row',
+  },
+  side: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#E5E7EB', // gray-200
+    borderRadius: 6,
+    padding: 10,
+    marginRight: 8,
+  },
+  chosenSide: {
+    borderColor: '#2563EB', // blue-600
+    backgroundColor: '#EFF6FF', // blue-50
+  },
+  sideHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  sideLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#6B7280', // gray-500
+    marginLeft: 4,
+  },
+  sideValue: {
+    fontSize: 14,
+    color: '#1F2937', // gray-800
+    marginTop: 2,
+  },
+  saveButton: {
+    backgroundColor: '#3B82F6', // blue-500
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderRadius: 6,
+  },
+  disabledButton: {
+    backgroundColor: '#93C5FD', // blue-300
+  },
+  saveButtonText: {
+    color: 'white',
+    fontWeight: '500',
+  },
+});
+
+export default SyncConflictsScreen;
@@ -9,14 +9,20 @@ import {
   Alert,
   SafeAreaView,
   KeyboardAvoidingView,
-  Platform
+  Platform,
+  ActivityIndicator
 } from 'react-native';
 import { MaterialIcons } from '@expo/vector-icons';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import AppHeader from '../components/AppHeader';
-
-// Storage key for team members
-const TEAM_STORAGE_KEY = 'quickquote_team_members';
+import AccessDenied from '../components/AccessDenied';
+import { useAuth } from '../utils/AuthContext';
+import {
+  PERMISSIONS,
+  PERMISSION_LABELS,
+  INVITE_STATUSES,
+  INVITE_STATUS_LABELS,
+  getInviteStatus
+} from '../utils/team';
 
 const TeamScreen = () => {
   const [teamMembers, setTeamMembers] = useState([]);
@@ -24,34 +30,34 @@ const TeamScreen = () => {
   const [email, setEmail] = useState('');
   const [canAccessReports, setCanAccessReports] = useState(false);
   const [canManageTeam, setCanManageTeam] = useState(false);
+  const [canViewAllJobs, setCanViewAllJobs] = useState(false);
   const [isAddingMember, setIsAddingMember] = useState(false);
+  // ID of the member being invited, resent or removed, or 'new' while adding
+  const [busyMemberId, setBusyMemberId] = useState(null);
+  const {
+    permissions,
+    refreshTeam,
+    addTeamMember: inviteTeamMember,
+    resendInvite,
+    getTeamMembers,
+    deleteTeamMember: removeTeamMember
+  } = useAuth();
 
   // Load team members on component mount
   useEffect(() => {
     loadTeamMembers();
   }, []);
 
-  // Load team members from storage
+  // Load team members from Supabase, or the cached team when offline
   const loadTeamMembers = async () => {
     try {
-      const storedMembers = await AsyncStorage.getItem(TEAM_STORAGE_KEY);
-      if (storedMembers) {
-        setTeamMembers(JSON.parse(storedMembers));
-      }
+      setTeamMembers(await getTeamMembers());
+      await refreshTeam();
     } catch (error) {
       console.error('Error loading team members:', error);
     }
   };
 
-  // Save team members to storage
-  const saveTeamMembers = async (members) => {
-    try {
-      await AsyncStorage.setItem(TEAM_STORAGE_KEY, JSON.stringify(members));
-    } catch (error) {
-      console.error('Error saving team members:', error);
-    }
-  };
-
   // Add a new team member
   const addTeamMember = async () => {
     if (!name.trim()) {
@@ -71,27 +77,57 @@ const TeamScreen = () => {
       return;
     }
 
-    const newMember = {
-      id: Date.now().toString(),
-      name: name.trim(),
-      email: email.trim(),
-      canAccessReports,
-      canManageTeam,
-      dateAdded: new Date().toISOString()
-    };
+    if (teamMembers.some(member => member.email.toLowerCase() === email.trim().toLowerCase())) {
+      Alert.alert('Error', 'This email address is already on your team');
+      return;
+    }
+
+    setBusyMemberId('new');
+    try {
+      const newMember = await inviteTeamMember({
+        name: name.trim(),
+        email: email.trim(),
+        canAccessReports,
+        canManageTeam,
+        canViewAllJobs
+      });
+      setTeamMembers([...teamMembers, newMember]);
+      await refreshTeam();
+    } catch (error) {
+      Alert.alert('Error', `The invite could not be sent: ${error.message}`);
+      return;
+    } finally {
+      setBusyMemberId(null);
+    }
 
-    const updatedMembers = [...teamMembers, newMember];
-    setTeamMembers(updatedMembers);
-    await saveTeamMembers(updatedMembers);
+    Alert.alert(
+      'Invite Sent',
+      `${name.trim()} has been emailed an invite to join your team. If they already have an account, they join when they next sign in.`
+    );
 
     // Clear form fields
     setName('');
     setEmail('');
     setCanAccessReports(false);
     setCanManageTeam(false);
+    setCanViewAllJobs(false);
     setIsAddingMember(false);
   };
 
+  // Remove a member from Supabase and the cached team
+  const removeMember = async (id) => {
+    setBusyMemberId(id);
+    try {
+      await removeTeamMember(id);
+      setTeamMembers(teamMembers.filter(member => member.id !== id));
+      await refreshTeam();
+    } catch (error) {
+      Alert.alert('Error', `The team member could not be removed: ${error.message}`);
+    } finally {
+      setBusyMemberId(null);
+    }
+  };
+
   // Delete a team member
   const deleteTeamMember = (id) => {
     Alert.alert(
@@ -105,43 +141,94 @@ const TeamScreen = () => {
         {
           text: "Remove",
           style: "destructive",
-          onPress: async () => {
-            const updatedMembers = teamMembers.filter(member => member.id !== id);
-            setTeamMembers(updatedMembers);
-            await saveTeamMembers(updatedMembers);
-          }
+          onPress: () => removeMember(id)
         }
       ]
     );
   };
 
+  // Cancel an invite that has not been accepted
+  const revokeInvite = (member) => {
+    Alert.alert(
+      "Revoke Invite",
+      `Cancel the invite sent to ${member.email}? The link in their email will no longer let them join.`,
+      [
+        {
+          text: "Keep Invite",
+          style: "cancel"
+        },
+        {
+          text: "Revoke",
+          style: "destructive",
+          onPress: () => removeMember(member.id)
+        }
+      ]
+    );
+  };
+
+  // Email the invite again and restart its expiry period
+  const resendMemberInvite = async (member) => {
+    setBusyMemberId(member.id);
+    try {
+      const resentMember = await resendInvite(member);
+      setTeamMembers(teamMembers.map(item => item.id === member.id ? resentMember : item));
+      Alert.alert('Invite Sent', `The invite has been sent to ${member.email} again.`);
+    } catch (error) {
+      Alert.alert('Error', `The invite could not be resent: ${error.message}`);
+    } finally {
+      setBusyMemberId(null);
+    }
+  };
+
   // Render a team member item
-  const renderTeamMember = ({ item }) => (
-    <View style={styles.memberCard}>
-      <View style={styles.memberInfo}>
-        <Text style={styles.memberName}>{item.name}</Text>
-        <Text style={styles.memberEmail}>{item.email}</Text>
-        <View style={styles.permissionsContainer}>
-          {item.canAccessReports && (
-            <View style={styles.permissionTag}>
-              <Text style={styles.permissionText}>Reports Access</Text>
+  const renderTeamMember = ({ item }) => {
+    const inviteStatus = getInviteStatus(item);
+    // Only the owner removes managers
+    const canRemove = permissions.isOwner || !item[PERMISSIONS.TEAM];
+
+    return (
+      <View style={styles.memberCard}>
+        <View style={styles.memberInfo}>
+          <Text style={styles.memberName}>{item.name}</Text>
+          <Text style={styles.memberEmail}>{item.email}</Text>
+          <View style={styles.permissionsContainer}>
+            <View style={[styles.statusTag, styles[`${inviteStatus}Tag`]]}>
+              <Text style={[styles.statusText, styles[`${inviteStatus}Text`]]}>
+                {INVITE_STATUS_LABELS[inviteStatus]}
+              </Text>
             </View>
-          )}
-          {item.canManageTeam && (
-            <View style={styles.permissionTag}>
-              <Text style={styles.permissionText}>Team Management</Text>
+            {Object.values(PERMISSIONS).filter(permission => item[permission]).map(permission => (
+              <View key={permission} style={styles.permissionTag}>
+                <Text style={styles.permissionText}>{PERMISSION_LABELS[permission]}</Text>
+              </View>
+            ))}
+          </View>
+          {inviteStatus !== INVITE_STATUSES.ACCEPTED && busyMemberId !== item.id && (
+            <View style={styles.inviteActions}>
+              <TouchableOpacity onPress={() => resendMemberInvite(item)}>
+                <Text style={styles.resendText}>Resend invite</Text>
+              </TouchableOpacity>
+              {canRemove && (
+                <TouchableOpacity onPress={() => revokeInvite(item)}>
+                  <Text style={styles.revokeText}>Revoke</Text>
+                </TouchableOpacity>
+              )}
             </View>
           )}
         </View>
+        {busyMemberId === item.id ? (
+          <ActivityIndicator size="small" color="#3B82F6" style={styles.deleteButton} />
+        ) : inviteStatus === INVITE_STATUSES.ACCEPTED && canRemove && (
+          <TouchableOpacity 
+            style={styles.deleteButton}
+            onPress={() => deleteTeamMember(item.id)}
+          >
+            <MaterialIcons name="delete" size={22} color="#EF4444" />
+          </TouchableOpacity>
+        )}
       </View>
-      <TouchableOpacity 
-        style={styles.deleteButton}
-        onPress={() => deleteTeamMember(item.id)}
-      >
-        <MaterialIcons name="delete" size={22} color="#EF4444" />
-      </TouchableOpacity>
-    </View>
-  );
+    );
+  };
 
   // Checkbox component
   const Checkbox = ({ label, value, onValueChange }) => (
@@ -167,6 +254,15 @@ const TeamScreen = () => {
     });
   };
 
+  if (!permissions[PERMISSIONS.TEAM]) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <AppHeader subtitle="Team Management" />
+        <AccessDenied message="You don't have permission to manage the team. Ask the business owner for access." />
+      </SafeAreaView>
+    );
+  }
+
   return (
     <SafeAreaView style={styles.container}>
       <KeyboardAvoidingView
@@ -198,17 +294,31 @@ const TeamScreen = () => {
               
               <Text style={styles.permissionsTitle}>Permissions</Text>
               
-              <Checkbox 
-                label="Can access reports" 
-                value={canAccessReports} 
-                onValueChange={setCanAccessReports} 
-              />
-              
-              <Checkbox 
-                label="Can manage team members" 
-                value={canManageTeam} 
-                onValueChange={setCanManageTeam} 
-              />
+              {permissions.isOwner ? (
+                <>
+                  <Checkbox 
+                    label="Can access reports" 
+                    value={canAccessReports} 
+                    onValueChange={setCanAccessReports} 
+                  />
+                  
+                  <Checkbox 
+                    label="Can manage team members" 
+                    value={canManageTeam} 
+                    onValueChange={setCanManageTeam} 
+                  />
+                  
+                  <Checkbox 
+                    label="Can see all quotes and jobs" 
+                    value={canViewAllJobs} 
+                    onValueChange={setCanViewAllJobs} 
+                  />
+                </>
+              ) : (
+                <Text style={styles.permissionsNote}>
+                  Only the business owner can give team members permissions.
+                </Text>
+              )}
               
               <View style={styles.buttonRow}>
                 <TouchableOpacity 
@@ -219,6 +329,7 @@ const TeamScreen = () => {
                     setEmail('');
                     setCanAccessReports(false);
                     setCanManageTeam(false);
+                    setCanViewAllJobs(false);
                   }}
                 >
                   <Text style={styles.cancelButtonText}>Cancel</Text>
@@ -227,8 +338,11 @@ const TeamScreen = () => {
                 <TouchableOpacity 
                   style={[styles.button, styles.addButton]}
                   onPress={addTeamMember}
+                  disabled={busyMemberId === 'new'}
                 >
-                  <Text style={styles.addButtonText}>Add Member</Text>
+                  <Text style={styles.addButtonText}>
+                    {busyMemberId === 'new' ? 'Sending Invite...' : 'Send Invite'}
+                  </Text>
                 </TouchableOpacity>
               </View>
             </View>
@@ -451,6 +565,54 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#3B82F6',
   },
+  statusTag: {
+    borderRadius: 12,
+    paddingVertical: 2,
+    paddingHorizontal: 8,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  statusText: {
+    fontSize: 12,
+  },
+  pendingTag: {
+    backgroundColor: '#FEF3C7', // amber-100
+  },
+  pendingText: {
+    color: '#B45309', // amber-700
+  },
+  acceptedTag: {
+    backgroundColor: '#D1FAE5', // green-100
+  },
+  acceptedText: {
+    color: '#047857', // green-700
+  },
+  expiredTag: {
+    backgroundColor: '#FEE2E2', // red-100
+  },
+  expiredText: {
+    color: '#B91C1C', // red-700
+  },
+  inviteActions: {
+    flexDirection: 'row',
+    marginTop: 4,
+  },
+  resendText: {
+    fontSize: 14,
+    color: '#3B82F6', // blue-500
+    fontWeight: '500',
+    marginRight: 16,
+  },
+  permissionsNote: {
+    fontSize: 14,
+    color: '#6B7280', // gray-500
+    marginBottom: 12,
+  },
+  revokeText: {
+    fontSize: 14,
+    color: '#EF4444', // red-500
+    fontWeight: '500',
+  },
   deleteButton: {
     padding: 8,
   },
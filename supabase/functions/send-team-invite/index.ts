@@ -0,0 +1,92 @@
+// Team invite emails.
+// Inviting a user needs the service role key, which must never reach the app,
+// so the app records the member in team_members with status 'invited' and then
+// calls this function with the business and email. The caller must own the
+// business or be allowed to manage its team, and the email must have an invite
+// waiting there. Someone who already has an account gets a sign-in link
+// instead; accept_team_invite() links their membership when they next sign in.
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
+};
+
+// HTTP status Supabase Auth answers with when the email already has an account
+const EMAIL_EXISTS_STATUS = 422;
+
+/**
+ * Builds a JSON response
+ * @param body - Response body
+ * @param status - HTTP status
+ * @returns The response
+ */
+const json = (body: Record<string, unknown>, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+});
+
+Deno.serve(async (request) => {
+  if (request.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const { businessId, email } = await request.json().catch(() => ({}));
+  if (!businessId || !email) {
+    return json({ error: 'A business and an email address are needed to send an invite.' }, 400);
+  }
+
+  const supabaseUrl = Deno.env.get('SUPABASE_URL') ?? '';
+
+  // Runs as the caller, so the permission check is about them
+  const caller = createClient(supabaseUrl, Deno.env.get('SUPABASE_ANON_KEY') ?? '', {
+    global: { headers: { Authorization: request.headers.get('Authorization') ?? '' } },
+    auth: { persistSession: false }
+  });
+  const { data: canManageTeam, error: permissionError } = await caller.rpc('has_team_permission', {
+    business: businessId,
+    permission: 'team'
+  });
+  if (permissionError || !canManageTeam) {
+    return json({ error: 'You are not allowed to invite people to this team.' }, 403);
+  }
+
+  const admin = createClient(supabaseUrl, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '', {
+    auth: { persistSession: false }
+  });
+
+  const { data: invites, error: inviteLookupError } = await admin
+    .from('team_members')
+    .select('id')
+    .eq('business_id', businessId)
+    .eq('email', email)
+    .eq('status', 'invited')
+    .limit(1);
+  if (inviteLookupError) {
+    return json({ error: inviteLookupError.message }, 500);
+  }
+  if (!invites || invites.length === 0) {
+    return json({ error: 'No invite is waiting for this email address.' }, 404);
+  }
+
+  const { error: inviteError } = await admin.auth.admin.inviteUserByEmail(email);
+  if (!inviteError) {
+    return json({ existingAccount: false });
+  }
+  if (inviteError.status !== EMAIL_EXISTS_STATUS) {
+    return json({ error: inviteError.message }, 500);
+  }
+
+  // Already signed up: a sign-in link brings them back, and signing in
+  // accepts the invite
+  const { error: linkError } = await admin.auth.signInWithOtp({
+    email,
+    options: { shouldCreateUser: false }
+  });
+  if (linkError) {
+    return json({ error: linkError.message }, 500);
+  }
+
+  return json({ existingAccount: true });
+});
@@ -0,0 +1,41 @@
+-- Price book of reusable labour and material items, one set per business.
+-- Rows are written by the app's catalogue sync (utils/catalogue.js); deleted
+-- items are kept with deleted = true so removals reach every device.
+
+create table if not exists public.catalogue_items (
+  id text primary key,
+  business_id uuid not null references public.businesses (id) on delete cascade,
+  type text not null default 'material' check (type in ('labour', 'material')),
+  description text not null,
+  unit text not null default '',
+  cost_price numeric(12, 2) not null default 0 check (cost_price >= 0),
+  sell_price numeric(12, 2) not null default 0 check (sell_price >= 0),
+  vat_category text not null default 'standard'
+    check (vat_category in ('standard', 'zero-rated', 'exempt')),
+  deleted boolean not null default false,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists catalogue_items_business_id_idx
+  on public.catalogue_items (business_id);
+
+alter table public.catalogue_items enable row level security;
+
+-- Business owners manage their own catalogue
+create policy "Owners manage their catalogue"
+  on public.catalogue_items
+  for all
+  using (
+    exists (
+      select 1 from public.businesses
+      where businesses.id = catalogue_items.business_id
+        and businesses.owner_id = auth.uid()
+    )
+  )
+  with check (
+    exists (
+      select 1 from public.businesses
+      where businesses.id = catalogue_items.business_id
+        and businesses.owner_id = auth.uid()
+    )
+  );
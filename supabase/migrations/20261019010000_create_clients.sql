@@ -0,0 +1,39 @@
+-- Customer directory, one set of clients per business.
+-- Rows are written by the app's client sync (utils/clients.js); deleted
+-- clients are kept with deleted = true so removals reach every device.
+
+create table if not exists public.clients (
+  id text primary key,
+  business_id uuid not null references public.businesses (id) on delete cascade,
+  name text not null,
+  contact_type text not null default 'phone' check (contact_type in ('phone', 'email')),
+  phone_number text not null default '',
+  email text not null default '',
+  address text not null default '',
+  deleted boolean not null default false,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists clients_business_id_idx
+  on public.clients (business_id);
+
+alter table public.clients enable row level security;
+
+-- Business owners manage their own clients
+create policy "Owners manage their clients"
+  on public.clients
+  for all
+  using (
+    exists (
+      select 1 from public.businesses
+      where businesses.id = clients.business_id
+        and businesses.owner_id = auth.uid()
+    )
+  )
+  with check (
+    exists (
+      select 1 from public.businesses
+      where businesses.id = clients.business_id
+        and businesses.owner_id = auth.uid()
+    )
+  );
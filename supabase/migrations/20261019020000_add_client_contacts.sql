@@ -0,0 +1,8 @@
+-- Clients can have several contacts (mobile, WhatsApp, email), each for the
+-- site or for billing. Stored as a JSON array of
+-- { id, type, purpose, name, value } objects (see utils/contacts.js).
+-- The single contact_type / phone_number / email columns are kept so rows
+-- written before this migration can still be read.
+
+alter table public.clients
+  add column if not exists contacts jsonb not null default '[]'::jsonb;
@@ -0,0 +1,6 @@
+-- Clients can have several job sites, each with its own address and access
+-- notes. Stored as a JSON array of { id, name, address, accessNotes }
+-- objects (see utils/sites.js). The address column remains the billing address.
+
+alter table public.clients
+  add column if not exists sites jsonb not null default '[]'::jsonb;
@@ -0,0 +1,158 @@
+-- Team member permissions and job assignment.
+-- Team members sign in with the email they were added with. What they may do
+-- is set by the permission flags on their team_members row, mirroring the
+-- Team screen (utils/team.js): can_access_reports, can_manage_team and
+-- can_view_all_jobs. Members without can_view_all_jobs only see the quotes
+-- and jobs assigned to them.
+
+create table if not exists public.team_members (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references public.businesses (id) on delete cascade,
+  email text not null,
+  role text not null default 'member',
+  invited_by uuid references auth.users (id),
+  status text not null default 'invited',
+  created_at timestamptz not null default now()
+);
+
+alter table public.team_members
+  add column if not exists name text not null default '',
+  add column if not exists can_access_reports boolean not null default false,
+  add column if not exists can_manage_team boolean not null default false,
+  add column if not exists can_view_all_jobs boolean not null default false;
+
+create index if not exists team_members_business_id_idx
+  on public.team_members (business_id);
+
+create index if not exists team_members_email_idx
+  on public.team_members (lower(email));
+
+-- Quotes and jobs, one row per quote with the quote itself kept as JSON.
+-- assigned_to holds the id of the team member the work is assigned to.
+create table if not exists public.quotes (
+  id text primary key,
+  business_id uuid not null references public.businesses (id) on delete cascade,
+  status text not null,
+  assigned_to text,
+  data jsonb not null default '{}'::jsonb,
+  deleted boolean not null default false,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists quotes_business_id_idx
+  on public.quotes (business_id);
+
+create index if not exists quotes_assigned_to_idx
+  on public.quotes (assigned_to);
+
+-- True if the signed-in user owns the business
+create or replace function public.is_business_owner(business uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.businesses
+    where businesses.id = business
+      and businesses.owner_id = auth.uid()
+  );
+$$;
+
+-- The signed-in user's team_members row for a business, if they are on its team
+create or replace function public.current_team_member(business uuid)
+returns public.team_members
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select * from public.team_members
+  where team_members.business_id = business
+    and lower(team_members.email) = lower(auth.email())
+    and team_members.status <> 'removed'
+  limit 1;
+$$;
+
+-- True if the signed-in user owns the business or is a team member with the permission
+create or replace function public.has_team_permission(business uuid, permission text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_business_owner(business) or coalesce(
+    (
+      select case permission
+        when 'reports' then member.can_access_reports
+        when 'team' then member.can_manage_team
+        when 'all_jobs' then member.can_view_all_jobs
+        else false
+      end
+      from public.current_team_member(business) as member
+      where member.id is not null
+    ),
+    false
+  );
+$$;
+
+-- True if the signed-in user owns the business or is on its team
+create or replace function public.is_team_member(business uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_business_owner(business)
+    or (select member.id is not null from public.current_team_member(business) as member);
+$$;
+
+alter table public.team_members enable row level security;
+alter table public.quotes enable row level security;
+
+-- Owners and team managers manage the team; everyone on the team can see it
+drop policy if exists "Team can see the team" on public.team_members;
+create policy "Team can see the team"
+  on public.team_members
+  for select
+  using (public.is_team_member(business_id));
+
+drop policy if exists "Team managers manage the team" on public.team_members;
+create policy "Team managers manage the team"
+  on public.team_members
+  for all
+  using (public.has_team_permission(business_id, 'team'))
+  with check (public.has_team_permission(business_id, 'team'));
+
+-- Members who may see all jobs work on every quote; the rest only on quotes
+-- assigned to them
+drop policy if exists "Team works on visible quotes" on public.quotes;
+create policy "Team works on visible quotes"
+  on public.quotes
+  for all
+  using (
+    public.has_team_permission(business_id, 'all_jobs')
+    or assigned_to = (select member.id::text from public.current_team_member(business_id) as member)
+  )
+  with check (
+    public.has_team_permission(business_id, 'all_jobs')
+    or assigned_to = (select member.id::text from public.current_team_member(business_id) as member)
+  );
+
+-- The team shares the client directory and the price book
+drop policy if exists "Team members use their clients" on public.clients;
+create policy "Team members use their clients"
+  on public.clients
+  for all
+  using (public.is_team_member(business_id))
+  with check (public.is_team_member(business_id));
+
+drop policy if exists "Team members use their catalogue" on public.catalogue_items;
+create policy "Team members use their catalogue"
+  on public.catalogue_items
+  for all
+  using (public.is_team_member(business_id))
+  with check (public.is_team_member(business_id));
@@ -0,0 +1,72 @@
+-- Team invites.
+-- Adding a team member emails them an invite and records them with status
+-- 'invited'. The invite is accepted when they first sign in with that email,
+-- through accept_team_invite(), which links the row to their account and sets
+-- status 'active'. Invites expire after 7 days (INVITE_EXPIRY_DAYS in
+-- utils/team.js) and can be resent, which restarts the period.
+
+alter table public.team_members
+  add column if not exists user_id uuid references auth.users (id) on delete set null,
+  add column if not exists invited_at timestamptz not null default now(),
+  add column if not exists accepted_at timestamptz;
+
+-- Only members who have accepted their invite count as being on the team
+create or replace function public.current_team_member(business uuid)
+returns public.team_members
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select * from public.team_members
+  where team_members.business_id = business
+    and lower(team_members.email) = lower(auth.email())
+    and team_members.status = 'active'
+  limit 1;
+$$;
+
+-- Accepts the newest unexpired invite sent to the signed-in user's email and
+-- returns the accepted row. A user who has already accepted gets their
+-- existing membership back; anyone else gets no rows.
+create or replace function public.accept_team_invite()
+returns setof public.team_members
+language plpgsql
+volatile
+security definer
+set search_path = public
+as $$
+begin
+  return query
+  update public.team_members
+  set status = 'active',
+      user_id = auth.uid(),
+      accepted_at = now()
+  where id = (
+    select invite.id from public.team_members as invite
+    where lower(invite.email) = lower(auth.email())
+      and invite.status = 'invited'
+      and invite.invited_at > now() - interval '7 days'
+    order by invite.invited_at desc
+    limit 1
+  )
+  returning *;
+
+  if not found then
+    return query
+    select * from public.team_members
+    where lower(team_members.email) = lower(auth.email())
+      and team_members.status = 'active'
+    order by team_members.accepted_at desc
+    limit 1;
+  end if;
+end;
+$$;
+
+grant execute on function public.accept_team_invite() to authenticated;
+
+-- Team members can read the business they work for
+drop policy if exists "Team members see their business" on public.businesses;
+create policy "Team members see their business"
+  on public.businesses
+  for select
+  using (public.is_team_member(id));
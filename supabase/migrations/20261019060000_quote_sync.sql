@@ -0,0 +1,97 @@
+-- Quote sync.
+-- Rows are written by the app's quote sync (utils/syncService.js), which
+-- replays changes made offline once the device is back online. The quote
+-- itself stays in quotes.data; the columns below copy the parts reports need.
+-- Line items and payments are replaced whenever their quote is synced.
+
+alter table public.quotes
+  add column if not exists quote_number text,
+  add column if not exists customer_name text not null default '',
+  add column if not exists client_id text,
+  add column if not exists amount numeric(12, 2) not null default 0;
+
+create index if not exists quotes_updated_at_idx
+  on public.quotes (business_id, updated_at);
+
+-- Every write gets a new updated_at, so devices can pull only what changed
+create or replace function public.touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = clock_timestamp();
+  return new;
+end;
+$$;
+
+drop trigger if exists quotes_touch_updated_at on public.quotes;
+create trigger quotes_touch_updated_at
+  before insert or update on public.quotes
+  for each row
+  execute function public.touch_updated_at();
+
+create table if not exists public.quote_line_items (
+  id text primary key,
+  quote_id text not null references public.quotes (id) on delete cascade,
+  business_id uuid not null references public.businesses (id) on delete cascade,
+  option_id text,
+  option_name text,
+  position integer not null default 0,
+  description text not null default '',
+  quantity numeric(12, 3) not null default 0,
+  unit_price numeric(12, 2) not null default 0,
+  vat_category text,
+  discount_type text,
+  discount_value numeric(12, 2) not null default 0
+);
+
+create index if not exists quote_line_items_quote_id_idx
+  on public.quote_line_items (quote_id);
+
+create table if not exists public.quote_payments (
+  id text primary key,
+  quote_id text not null references public.quotes (id) on delete cascade,
+  business_id uuid not null references public.businesses (id) on delete cascade,
+  kind text not null check (kind in ('deposit', 'final')),
+  amount numeric(12, 2) not null default 0,
+  fee numeric(12, 2) not null default 0,
+  paid_on timestamptz not null
+);
+
+create index if not exists quote_payments_quote_id_idx
+  on public.quote_payments (quote_id);
+
+alter table public.quote_line_items enable row level security;
+alter table public.quote_payments enable row level security;
+
+-- Line items and payments follow their quote: whoever can work on the quote
+-- (see "Team works on visible quotes") can work on them
+drop policy if exists "Team works on line items of visible quotes" on public.quote_line_items;
+create policy "Team works on line items of visible quotes"
+  on public.quote_line_items
+  for all
+  using (
+    exists (select 1 from public.quotes where quotes.id = quote_line_items.quote_id)
+  )
+  with check (
+    exists (
+      select 1 from public.quotes
+      where quotes.id = quote_line_items.quote_id
+        and quotes.business_id = quote_line_items.business_id
+    )
+  );
+
+drop policy if exists "Team works on payments of visible quotes" on public.quote_payments;
+create policy "Team works on payments of visible quotes"
+  on public.quote_payments
+  for all
+  using (
+    exists (select 1 from public.quotes where quotes.id = quote_payments.quote_id)
+  )
+  with check (
+    exists (
+      select 1 from public.quotes
+      where quotes.id = quote_payments.quote_id
+        and quotes.business_id = quote_payments.business_id
+    )
+  );
@@ -0,0 +1,24 @@
+-- Quote version stamps.
+-- Each write to a quote increases its version. The app writes a change only
+-- over the version it last saw (update ... where version = ...), so a change
+-- made on another device in the meantime is detected and merged instead of
+-- being overwritten (utils/syncService.js).
+
+alter table public.quotes
+  add column if not exists version bigint not null default 1;
+
+create or replace function public.bump_quote_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.version = old.version + 1;
+  return new;
+end;
+$$;
+
+drop trigger if exists quotes_bump_version on public.quotes;
+create trigger quotes_bump_version
+  before update on public.quotes
+  for each row
+  execute function public.bump_quote_version();
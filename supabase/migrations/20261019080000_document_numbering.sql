@@ -0,0 +1,104 @@
+-- Document numbering shared by every device of a business.
+-- Quote, invoice and credit note counters live here so two devices or team
+-- members never issue the same number. Invoice and credit note numbers are
+-- issued one at a time, so they run in order with no gaps. Devices reserve
+-- small blocks of quote numbers (utils/numbering.js) so they can keep numbering
+-- quotes while offline. Counters only ever move forward.
+
+create table if not exists public.document_counters (
+  business_id uuid not null references public.businesses (id) on delete cascade,
+  document_type text not null check (document_type in ('quote', 'invoice', 'creditNote')),
+  last_issued bigint not null default 0,
+  updated_at timestamptz not null default now(),
+  primary key (business_id, document_type)
+);
+
+alter table public.document_counters enable row level security;
+
+-- Counters are only changed through the functions below
+drop policy if exists "Team can see the document counters" on public.document_counters;
+create policy "Team can see the document counters"
+  on public.document_counters
+  for select
+  using (public.is_team_member(business_id));
+
+-- Reserves the next amount numbers for a document type and returns the first.
+-- issued is the last number the device issued before numbering moved here, so
+-- numbers it already used are not issued again.
+create or replace function public.reserve_document_numbers(
+  business uuid,
+  doc_type text,
+  amount integer,
+  issued bigint default 0
+)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  last_number bigint;
+begin
+  if not public.is_team_member(business) then
+    raise exception 'You are not on the team of this business.';
+  end if;
+  if amount < 1 then
+    raise exception 'At least one number must be reserved.';
+  end if;
+  if doc_type <> 'quote' and amount <> 1 then
+    raise exception 'Invoice and credit note numbers are issued one at a time.';
+  end if;
+
+  insert into public.document_counters as counter (business_id, document_type, last_issued)
+  values (business, doc_type, greatest(issued, 0) + amount)
+  on conflict (business_id, document_type) do update
+    set last_issued = greatest(counter.last_issued, greatest(issued, 0)) + amount,
+        updated_at = now()
+  returning counter.last_issued into last_number;
+
+  return last_number - amount + 1;
+end;
+$$;
+
+grant execute on function public.reserve_document_numbers(uuid, text, integer, bigint) to authenticated;
+
+-- Moves a counter forward so numbering continues from an earlier system.
+-- Returns the next number, or raises an error if it has already been issued.
+create or replace function public.set_next_document_number(
+  business uuid,
+  doc_type text,
+  next_number bigint
+)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  last_number bigint;
+begin
+  if not public.is_business_owner(business) then
+    raise exception 'Only the business owner can change document numbers.';
+  end if;
+
+  select counter.last_issued into last_number
+  from public.document_counters as counter
+  where counter.business_id = business
+    and counter.document_type = doc_type
+  for update;
+
+  if next_number <= coalesce(last_number, 0) then
+    raise exception 'The next number must be higher than %, which has already been issued.', coalesce(last_number, 0);
+  end if;
+
+  insert into public.document_counters as counter (business_id, document_type, last_issued)
+  values (business, doc_type, next_number - 1)
+  on conflict (business_id, document_type) do update
+    set last_issued = next_number - 1,
+        updated_at = now();
+
+  return next_number;
+end;
+$$;
+
+grant execute on function public.set_next_document_number(uuid, text, bigint) to authenticated;
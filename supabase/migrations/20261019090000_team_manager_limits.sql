@@ -0,0 +1,72 @@
+-- Limits on what team managers can do.
+-- Members with can_manage_team invite, resend and revoke invites, but only the
+-- business owner gives permissions or removes a manager, so a manager cannot
+-- raise their own permissions or push out another manager.
+
+drop policy if exists "Team managers manage the team" on public.team_members;
+
+drop policy if exists "Team managers add members" on public.team_members;
+create policy "Team managers add members"
+  on public.team_members
+  for insert
+  with check (public.has_team_permission(business_id, 'team'));
+
+drop policy if exists "Team managers update members" on public.team_members;
+create policy "Team managers update members"
+  on public.team_members
+  for update
+  using (public.has_team_permission(business_id, 'team'))
+  with check (public.has_team_permission(business_id, 'team'));
+
+-- Only the owner removes managers
+drop policy if exists "Team managers remove members" on public.team_members;
+create policy "Team managers remove members"
+  on public.team_members
+  for delete
+  using (
+    public.is_business_owner(business_id)
+    or (public.has_team_permission(business_id, 'team') and not can_manage_team)
+  );
+
+-- Policies cannot compare a row before and after an update, so this trigger
+-- keeps the permission columns, and the status of managers, for the owner to
+-- change. Accepting an invite (accept_team_invite) only changes the status of
+-- the signed-in user's own row.
+create or replace function public.protect_team_permissions()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if public.is_business_owner(new.business_id) then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    if new.can_access_reports or new.can_manage_team or new.can_view_all_jobs or new.role <> 'member' then
+      raise exception 'Only the business owner can give team members permissions.';
+    end if;
+    return new;
+  end if;
+
+  if (new.business_id, new.role, new.can_access_reports, new.can_manage_team, new.can_view_all_jobs)
+    is distinct from (old.business_id, old.role, old.can_access_reports, old.can_manage_team, old.can_view_all_jobs) then
+    raise exception 'Only the business owner can change team member permissions.';
+  end if;
+
+  if old.can_manage_team
+    and new.status is distinct from old.status
+    and lower(old.email) <> lower(coalesce(auth.email(), '')) then
+    raise exception 'Only the business owner can change the status of a team manager.';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists team_members_protect_permissions on public.team_members;
+create trigger team_members_protect_permissions
+  before insert or update on public.team_members
+  for each row
+  execute function public.protect_team_permissions();
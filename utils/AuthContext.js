@@ -1,6 +1,15 @@
 import React, { createContext, useState, useEffect, useContext } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import supabase from './supabaseClient';
+import {
+  loadTeamMembers,
+  saveTeamMembers,
+  getPermissions,
+  toRow,
+  fromRow,
+  NO_PERMISSIONS,
+  MEMBER_STATUSES
+} from './team';
 import { ConnectionContext } from '../App';
 
 // Create an AuthContext with an empty object as default value
@@ -14,13 +23,14 @@ export const useAuth = () => {
 // Auth storage keys
 const USER_PROFILE_KEY = 'quickquote_user_profile';
 const BUSINESS_KEY = 'quickquote_business';
-const TEAM_MEMBERS_KEY = 'quickquote_team_members';
 
 // Create a provider component for the AuthContext
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [session, setSession] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [teamMembers, setTeamMembers] = useState([]);
+  const [permissions, setPermissions] = useState(NO_PERMISSIONS);
 
   // Access the connection context
   const connectionContext = useContext(ConnectionContext);
@@ -44,6 +54,46 @@ export const AuthProvider = ({ children }) => {
     checkUser();
   }, []);
 
+  // On sign-in, load the business the user owns or accept any pending team
+  // invite, and load the team, then work out the signed-in user's permissions
+  useEffect(() => {
+    const loadTeam = async () => {
+      setPermissions(NO_PERMISSIONS);
+      if (user) {
+        try {
+          await loadOwnedBusiness();
+        } catch (error) {
+          console.error('Error loading business:', error.message);
+        }
+        try {
+          await acceptPendingInvite();
+        } catch (error) {
+          console.error('Error accepting team invite:', error.message);
+        }
+        await getTeamMembers();
+      }
+      await refreshTeam();
+    };
+
+    loadTeam();
+  }, [user]);
+
+  // Reload the team list and the signed-in user's permissions, e.g. after the
+  // team is edited. Ownership comes from the stored business, so it still
+  // holds offline.
+  const refreshTeam = async () => {
+    try {
+      const members = await loadTeamMembers();
+      const businessData = await AsyncStorage.getItem(BUSINESS_KEY);
+      const business = businessData ? JSON.parse(businessData) : null;
+      setTeamMembers(members);
+      setPermissions(getPermissions(members, user, business));
+    } catch (error) {
+      console.error('Error loading team permissions:', error.message);
+      setPermissions(NO_PERMISSIONS);
+    }
+  };
+
   // Check current session in Supabase
   const checkUser = async () => {
     try {
@@ -213,6 +263,7 @@ export const AuthProvider = ({ children }) => {
       
       // Also store in AsyncStorage for offline access
       await AsyncStorage.setItem(BUSINESS_KEY, JSON.stringify(data[0]));
+      await refreshTeam();
       return data[0];
     } catch (error) {
       console.error('Error creating business:', error);
@@ -227,44 +278,139 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Add team member in Supabase
-  const addTeamMember = async (userData) => {
+  // Get the signed-in user's business ID from the stored business
+  const getBusinessId = async () => {
+    const businessData = await AsyncStorage.getItem(BUSINESS_KEY);
+    return businessData ? JSON.parse(businessData).id : null;
+  };
+
+  // Email an invite through the send-team-invite Edge Function, which holds
+  // the service role key that inviting needs. The member must already be in
+  // team_members as invited. People who already have an account are sent a
+  // sign-in link, and join the team when they next sign in.
+  const sendInviteEmail = async (businessId, email) => {
+    const { data, error } = await supabase.functions.invoke('send-team-invite', {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ businessId, email })
+    });
+
+    if (error) throw error;
+    if (data && data.error) throw new Error(data.error);
+  };
+
+  // Add a team member to team_members as invited and email them the invite
+  const addTeamMember = async (member) => {
     try {
-      // First create a new user invitation in Supabase auth
-      const { data: inviteData, error: inviteError } = await supabase.auth.api.inviteUserByEmail(userData.email);
-      
-      if (inviteError) throw inviteError;
+      const businessId = await getBusinessId();
+      if (!businessId) {
+        throw new Error('Set up your business before adding team members.');
+      }
 
-      // Then add to team_members table
+      // The invite is recorded first, as the Edge Function only emails
+      // addresses with an invite waiting
+      const now = new Date().toISOString();
       const { data, error } = await supabase
         .from('team_members')
         .insert([{
-          business_id: (await AsyncStorage.getItem(BUSINESS_KEY)).id,
-          email: userData.email,
-          role: userData.role,
+          ...toRow(member),
+          business_id: businessId,
+          role: 'member',
           invited_by: user.id,
-          status: 'invited',
-        created_at: new Date().toISOString()
+          status: MEMBER_STATUSES.INVITED,
+          invited_at: now,
+          created_at: now
         }]);
 
       if (error) throw error;
+
+      try {
+        await sendInviteEmail(businessId, data[0].email);
+      } catch (inviteError) {
+        // Leave no invite behind that was never sent
+        await supabase.from('team_members').delete().eq('id', data[0].id);
+        throw inviteError;
+      }
       
-      // Get existing team members or initialize empty array for local storage
-      const existingData = await AsyncStorage.getItem(TEAM_MEMBERS_KEY);
-      const teamMembers = existingData ? JSON.parse(existingData) : [];
-      
-      // Add new member to local storage
-      teamMembers.push(data[0]);
-      
-      // Save updated list to local storage
-      await AsyncStorage.setItem(TEAM_MEMBERS_KEY, JSON.stringify(teamMembers));
-      return data[0];
+      // Add the new member to the cached team
+      const teamMembers = await loadTeamMembers();
+      const newMember = fromRow(data[0]);
+      await saveTeamMembers([...teamMembers, newMember]);
+      return newMember;
     } catch (error) {
       console.error('Error adding team member:', error.message);
+      handleConnectionError(error);
+      throw error;
+    }
+  };
+
+  // Send a pending or expired invite again, restarting its expiry period
+  const resendInvite = async (member) => {
+    try {
+      await sendInviteEmail(await getBusinessId(), member.email);
+
+      const { data, error } = await supabase
+        .from('team_members')
+        .update({ status: MEMBER_STATUSES.INVITED, invited_at: new Date().toISOString() })
+        .eq('id', member.id);
+
+      if (error) throw error;
+
+      const resentMember = fromRow(data[0]);
+      const teamMembers = await loadTeamMembers();
+      await saveTeamMembers(teamMembers.map(item => item.id === member.id ? resentMember : item));
+      return resentMember;
+    } catch (error) {
+      console.error('Error resending invite:', error.message);
+      handleConnectionError(error);
       throw error;
     }
   };
 
+  // Store the business the signed-in user owns, if any, so an owner signing in
+  // on a new device gets the owner's permissions. Returns the business, or
+  // null if the user does not own one.
+  const loadOwnedBusiness = async () => {
+    const { data, error } = await supabase
+      .from('businesses')
+      .select('*')
+      .eq('owner_id', user.id)
+      .limit(1);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    await AsyncStorage.setItem(BUSINESS_KEY, JSON.stringify(data[0]));
+    return data[0];
+  };
+
+  // Accept a pending invite sent to the signed-in user's email, joining the
+  // business that sent it. Members who joined on another device get their
+  // business stored here too. Returns the team member, or null if the user is
+  // not on a team.
+  const acceptPendingInvite = async () => {
+    // The database function matches the invite on the signed-in user's email
+    // and only accepts invites that have not expired
+    const { data, error } = await supabase.rpc('accept_team_invite');
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    const membership = data[0];
+
+    // The business is stored for offline access, as it is for owners
+    const { data: businessData, error: businessError } = await supabase
+      .from('businesses')
+      .select('*')
+      .eq('id', membership.business_id)
+      .single();
+
+    if (businessError) throw businessError;
+
+    await AsyncStorage.setItem(BUSINESS_KEY, JSON.stringify(businessData));
+    console.log('Joined team of business:', membership.business_id);
+    return fromRow(membership);
+  };
+
   // Get user profile from Supabase
   const getUserProfile = async () => {
     try {
@@ -322,10 +468,8 @@ export const AuthProvider = ({ children }) => {
   const getTeamMembers = async () => {
     try {
       // Get business ID
-      const businessData = await AsyncStorage.getItem(BUSINESS_KEY);
-      if (!businessData) return [];
-      
-      const businessId = JSON.parse(businessData).id;
+      const businessId = await getBusinessId();
+      if (!businessId) return [];
       
       const { data, error } = await supabase
         .from('team_members')
@@ -335,15 +479,15 @@ export const AuthProvider = ({ children }) => {
       if (error) throw error;
 
       // Update local storage
-      await AsyncStorage.setItem(TEAM_MEMBERS_KEY, JSON.stringify(data));
-      return data;
+      const teamMembers = data.map(fromRow);
+      await saveTeamMembers(teamMembers);
+      return teamMembers;
     } catch (error) {
       console.error('Error getting team members from Supabase:', error.message);
       
       // Fallback to local storage
       try {
-        const data = await AsyncStorage.getItem(TEAM_MEMBERS_KEY);
-        return data ? JSON.parse(data) : [];
+        return await loadTeamMembers();
       } catch (localError) {
         console.error('Error getting team members from local storage:', localError.message);
         throw localError;
@@ -351,27 +495,24 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Delete team member from Supabase
-  const deleteTeamMember = async (userId) => {
+  // Delete team member from Supabase. Used both to remove a member and to
+  // revoke an invite that has not been accepted.
+  const deleteTeamMember = async (memberId) => {
     try {
       const { error } = await supabase
         .from('team_members')
         .delete()
-        .eq('id', userId);
+        .eq('id', memberId);
 
       if (error) throw error;
 
       // Update local storage
-      const data = await AsyncStorage.getItem(TEAM_MEMBERS_KEY);
-      if (!data) return true;
-      
-      const teamMembers = JSON.parse(data);
-      const updatedMembers = teamMembers.filter(member => member.id !== userId);
-      
-      await AsyncStorage.setItem(TEAM_MEMBERS_KEY, JSON.stringify(updatedMembers));
+      const teamMembers = await loadTeamMembers();
+      await saveTeamMembers(teamMembers.filter(member => member.id !== memberId));
       return true;
     } catch (error) {
       console.error('Error deleting team member from Supabase:', error.message);
+      handleConnectionError(error);
       throw error;
     }
   };
@@ -383,12 +524,16 @@ export const AuthProvider = ({ children }) => {
         user,
         session,
         loading,
+        teamMembers,
+        permissions,
+        refreshTeam,
         signUp,
         signIn,
         signOut,
         createOrUpdateUser,
         createBusiness,
         addTeamMember,
+        resendInvite,
         getUserProfile,
         getTeamMembers,
         deleteTeamMember,
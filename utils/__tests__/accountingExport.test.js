@@ -0,0 +1,93 @@
+import { shareTextFile, loadInvoiceRows } from '../csvExport';
+import { calculateQuoteTotals } from '../pricing';
+import { exportAccountingFile } from '../accountingExport';
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(() => Promise.resolve(null))
+}));
+
+jest.mock('../catalogue', () => ({
+  CATALOGUE_ITEM_TYPES: { LABOUR: 'labour' },
+  loadCatalogue: jest.fn(() => Promise.resolve([]))
+}));
+
+jest.mock('../csvExport', () => ({
+  ...jest.requireActual('../csvExport'),
+  loadInvoiceRows: jest.fn(),
+  shareTextFile: jest.fn(() => Promise.resolve('file:///cache/export.csv'))
+}));
+
+jest.mock('expo-file-system', () => ({}));
+jest.mock('expo-sharing', () => ({}));
+jest.mock('../database', () => ({}));
+
+const range = { from: '2026-03-01', to: '2026-03-31' };
+
+const invoice = (fields) => {
+  const quote = {
+    status: 'Complete',
+    invoiceDate: '2026-03-10',
+    serviceChargePercentage: 0,
+    vatPercentage: 0,
+    ...fields
+  };
+  return { quote, totals: calculateQuoteTotals(quote) };
+};
+
+/**
+ * Exports the invoices for March and reads back the rows of the file
+ * @param {string} packageKey - Accounting package
+ * @param {Array} rows - Invoice rows
+ * @returns {Promise<Array>} - Rows as objects keyed by header
+ */
+const exportRows = async (packageKey, rows) => {
+  loadInvoiceRows.mockResolvedValue(rows);
+  await exportAccountingFile(packageKey, 'invoices', range);
+
+  const [headers, ...lines] = shareTextFile.mock.calls[shareTextFile.mock.calls.length - 1][1]
+    .trim()
+    .split('\r\n')
+    .map(line => line.split(','));
+  return lines.map(line => Object.fromEntries(headers.map((header, index) => [header, line[index]])));
+};
+
+describe('Sage customer references', () => {
+  it('gives clients with similar names different references', async () => {
+    const rows = await exportRows('sage', [
+      invoice({ invoiceNumber: 'INV-0001', clientId: 'cl1', customerName: 'Smith Plumbing', lineItems: [{ id: 1, quantity: 1, price: 10 }] }),
+      invoice({ invoiceNumber: 'INV-0002', clientId: 'cl2', customerName: 'Smith Plumbing & Gas', lineItems: [{ id: 1, quantity: 1, price: 10 }] })
+    ]);
+
+    const [first, second] = rows.map(row => row['Customer Reference']);
+    expect(first).toMatch(/^SMIT[A-Z0-9]{4}$/);
+    expect(second).toMatch(/^SMIT[A-Z0-9]{4}$/);
+    expect(first).not.toBe(second);
+  });
+
+  it('gives a client the same reference in every export', async () => {
+    const row = invoice({ invoiceNumber: 'INV-0003', clientId: 'cl1', customerName: 'Smith Plumbing', lineItems: [{ id: 1, quantity: 1, price: 10 }] });
+    const [first] = await exportRows('sage', [row]);
+    const [second] = await exportRows('sage', [row]);
+    expect(first['Customer Reference']).toBe(second['Customer Reference']);
+  });
+});
+
+describe('invoice lines', () => {
+  it('keeps quantities whose unit price multiplies to the line total', async () => {
+    const [line] = await exportRows('xero', [
+      invoice({ invoiceNumber: 'INV-0004', customerName: 'A', lineItems: [{ id: 1, description: 'Pipe', quantity: 2.25, price: 10 }] })
+    ]);
+    expect(line['*Quantity']).toBe('2.25');
+    expect(line['*UnitAmount']).toBe('10.00');
+  });
+
+  it('exports a line as one unit at the line total when the quantity does not multiply out', async () => {
+    const [line] = await exportRows('quickbooks', [
+      invoice({ invoiceNumber: 'INV-0005', customerName: 'A', lineItems: [{ id: 1, description: 'Labour', quantity: 1.5, price: '199.99' }] })
+    ]);
+    expect(line.ItemQuantity).toBe('1');
+    expect(line.ItemRate).toBe('299.99');
+    expect(line.ItemAmount).toBe('299.99');
+    expect(line.ItemDescription).toBe('Labour (1.5 @ 199.99)');
+  });
+});
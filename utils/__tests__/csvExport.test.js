@@ -0,0 +1,32 @@
+import fs from 'fs';
+import path from 'path';
+import { CSV_EXPORTS, toCSV } from '../csvExport';
+
+jest.mock('expo-file-system', () => ({}));
+jest.mock('expo-sharing', () => ({}));
+jest.mock('@react-native-async-storage/async-storage', () => ({}));
+jest.mock('../database', () => ({}));
+
+const columns = [{ header: 'value', value: row => row }];
+
+describe('toCSV', () => {
+  it('writes text that starts like a formula as text', () => {
+    expect(toCSV(columns, ['=HYPERLINK("http://x")', '+27 82 555 0101', '-rush job', '@SUM(A1)']))
+      .toBe('value\r\n"\'=HYPERLINK(""http://x"")"\r\n\'+27 82 555 0101\r\n\'-rush job\r\n\'@SUM(A1)\r\n');
+  });
+
+  it('leaves negative amounts as numbers', () => {
+    expect(toCSV(columns, ['-12.30', '-5'])).toBe('value\r\n-12.30\r\n-5\r\n');
+  });
+});
+
+describe('column documentation', () => {
+  it('describes every exported column in the README', () => {
+    const readme = fs.readFileSync(path.join(__dirname, '../../README.md'), 'utf8');
+    Object.values(CSV_EXPORTS).forEach(csvExport => {
+      csvExport.columns.forEach(column => {
+        expect(readme).toContain(`| \`${column.header}\` | ${column.description} |`);
+      });
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import supabase from '../supabaseClient';
+import { getBusinessId } from '../business';
+import { allocateNumber, numberPendingDocuments, setNextNumber, DOCUMENT_TYPES } from '../numbering';
+
+jest.mock('@react-native-async-storage/async-storage', () => {
+  let items = {};
+  return {
+    getItem: jest.fn(key => Promise.resolve(items[key] ?? null)),
+    setItem: jest.fn((key, value) => {
+      items[key] = value;
+      return Promise.resolve();
+    }),
+    clear: () => {
+      items = {};
+    }
+  };
+});
+
+jest.mock('../supabaseClient', () => ({ rpc: jest.fn() }));
+
+jest.mock('../business', () => ({
+  LOCAL_BUSINESS_ID: 'local',
+  getBusinessId: jest.fn()
+}));
+
+const AsyncStorage = require('@react-native-async-storage/async-storage');
+
+beforeEach(() => {
+  AsyncStorage.clear();
+  supabase.rpc.mockReset();
+});
+
+describe('allocateNumber', () => {
+  it('counts on the device until the business is in Supabase', async () => {
+    getBusinessId.mockResolvedValue('local');
+    expect(await allocateNumber(DOCUMENT_TYPES.QUOTE)).toBe('Q-0001');
+    expect(await allocateNumber(DOCUMENT_TYPES.QUOTE)).toBe('Q-0002');
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  it('issues quote numbers from a block reserved in Supabase', async () => {
+    getBusinessId.mockResolvedValue('b1');
+    supabase.rpc.mockResolvedValue({ data: 21, error: null });
+
+    expect(await allocateNumber(DOCUMENT_TYPES.QUOTE)).toBe('Q-0021');
+    expect(await allocateNumber(DOCUMENT_TYPES.QUOTE)).toBe('Q-0022');
+    expect(supabase.rpc).toHaveBeenCalledTimes(1);
+    expect(supabase.rpc).toHaveBeenCalledWith('reserve_document_numbers', {
+      business: 'b1',
+      doc_type: DOCUMENT_TYPES.QUOTE,
+      amount: 10,
+      issued: 0
+    });
+  });
+
+  it('issues invoice numbers from Supabase one at a time', async () => {
+    getBusinessId.mockResolvedValue('b1');
+    supabase.rpc
+      .mockResolvedValueOnce({ data: 21, error: null })
+      .mockResolvedValueOnce({ data: 23, error: null });
+
+    expect(await allocateNumber(DOCUMENT_TYPES.INVOICE)).toBe('INV-0021');
+    expect(await allocateNumber(DOCUMENT_TYPES.INVOICE)).toBe('INV-0023');
+    expect(supabase.rpc).toHaveBeenCalledTimes(2);
+    expect(supabase.rpc).toHaveBeenLastCalledWith('reserve_document_numbers', {
+      business: 'b1',
+      doc_type: DOCUMENT_TYPES.INVOICE,
+      amount: 1,
+      issued: 21
+    });
+  });
+
+  it('tells Supabase which numbers the device issued before', async () => {
+    getBusinessId.mockResolvedValue('local');
+    await allocateNumber(DOCUMENT_TYPES.QUOTE);
+    await allocateNumber(DOCUMENT_TYPES.QUOTE);
+
+    // Numbered on this device before the business's counters moved to Supabase
+    await AsyncStorage.setItem('quickquote_numbering', JSON.stringify({
+      b1: JSON.parse(await AsyncStorage.getItem('quickquote_numbering')).local
+    }));
+    getBusinessId.mockResolvedValue('b1');
+    supabase.rpc.mockResolvedValue({ data: 3, error: null });
+
+    expect(await allocateNumber(DOCUMENT_TYPES.QUOTE)).toBe('Q-0003');
+    expect(supabase.rpc.mock.calls[0][1].issued).toBe(2);
+  });
+
+  it('fails instead of guessing when no numbers are reserved and Supabase cannot be reached', async () => {
+    getBusinessId.mockResolvedValue('b1');
+    supabase.rpc.mockResolvedValue({ data: null, error: { message: 'Network request failed' } });
+
+    await expect(allocateNumber(DOCUMENT_TYPES.QUOTE)).rejects.toThrow('Connect to the internet');
+  });
+
+  it('does not number credit notes offline', async () => {
+    getBusinessId.mockResolvedValue('b1');
+    supabase.rpc.mockResolvedValue({ data: null, error: { message: 'Network request failed' } });
+
+    await expect(allocateNumber(DOCUMENT_TYPES.CREDIT_NOTE)).rejects.toThrow('numbered online');
+  });
+});
+
+describe('numberPendingDocuments', () => {
+  it('numbers and dates an invoice issued offline', async () => {
+    getBusinessId.mockResolvedValue('b1');
+    supabase.rpc.mockResolvedValue({ data: 7, error: null });
+
+    const quote = await numberPendingDocuments({ id: 'q1', invoiceNumberPending: true, creditNoteNumberPending: false });
+
+    expect(quote.invoiceNumber).toBe('INV-0007');
+    expect(quote.invoiceNumberPending).toBe(false);
+    expect(quote.invoiceDate).toBe(new Date().toISOString().split('T')[0]);
+    expect(quote.creditNoteNumber).toBeUndefined();
+  });
+
+  it('leaves a quote with nothing waiting as it is', async () => {
+    const quote = { id: 'q1', invoiceNumber: 'INV-0001' };
+    expect(await numberPendingDocuments(quote)).toBe(quote);
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+});
+
+describe('setNextNumber', () => {
+  it('moves the shared counter and drops the numbers reserved on the device', async () => {
+    getBusinessId.mockResolvedValue('b1');
+    supabase.rpc.mockResolvedValueOnce({ data: 1, error: null });
+    await allocateNumber(DOCUMENT_TYPES.QUOTE);
+
+    supabase.rpc.mockResolvedValueOnce({ data: 500, error: null });
+    expect(await setNextNumber(DOCUMENT_TYPES.QUOTE, 500)).toBe(500);
+    expect(supabase.rpc).toHaveBeenLastCalledWith('set_next_document_number', {
+      business: 'b1',
+      doc_type: DOCUMENT_TYPES.QUOTE,
+      next_number: 500
+    });
+
+    supabase.rpc.mockResolvedValueOnce({ data: 500, error: null });
+    expect(await allocateNumber(DOCUMENT_TYPES.QUOTE)).toBe('Q-0500');
+  });
+
+  it('passes on the error when the number has already been issued', async () => {
+    getBusinessId.mockResolvedValue('b1');
+    supabase.rpc.mockResolvedValue({
+      data: null,
+      error: { message: 'The next number must be higher than 40, which has already been issued.' }
+    });
+
+    await expect(setNextNumber(DOCUMENT_TYPES.QUOTE, 12)).rejects.toThrow('higher than 40');
+  });
+
+  it('does not move the shared counter to a number this device has issued', async () => {
+    getBusinessId.mockResolvedValue('b1');
+    await AsyncStorage.setItem('quickquote_numbering', JSON.stringify({ b1: { counters: { quote: 40 } } }));
+
+    await expect(setNextNumber(DOCUMENT_TYPES.QUOTE, 12)).rejects.toThrow('higher than 40');
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+});
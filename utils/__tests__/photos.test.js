@@ -0,0 +1,47 @@
+import * as FileSystem from 'expo-file-system';
+import { deleteRemovedPhotos, withoutPhotos, withPhotosFrom } from '../photos';
+
+jest.mock('expo-file-system', () => ({
+  documentDirectory: 'file:///documents/',
+  deleteAsync: jest.fn(() => Promise.resolve())
+}));
+
+const photo = (id) => ({ id, uri: `file:///documents/quote-photos/${id}.jpg`, caption: '' });
+
+const sentQuote = {
+  id: 'q1',
+  photos: [photo('a'), photo('b')],
+  revisions: [{ version: 1, snapshot: { id: 'q1', photos: [photo('a')] } }]
+};
+
+describe('deleteRemovedPhotos', () => {
+  beforeEach(() => FileSystem.deleteAsync.mockClear());
+
+  it('deletes photos no version of the quote uses', async () => {
+    await deleteRemovedPhotos(sentQuote, { ...sentQuote, photos: [] });
+    expect(FileSystem.deleteAsync).toHaveBeenCalledTimes(1);
+    expect(FileSystem.deleteAsync).toHaveBeenCalledWith(photo('b').uri, { idempotent: true });
+  });
+
+  it('deletes every photo of a discarded quote', async () => {
+    await deleteRemovedPhotos({ photos: [photo('c')] }, null);
+    expect(FileSystem.deleteAsync).toHaveBeenCalledWith(photo('c').uri, { idempotent: true });
+  });
+});
+
+describe('synced quotes', () => {
+  it('leaves photos out of the quote and its revisions', () => {
+    const synced = withoutPhotos(sentQuote);
+    expect(synced.photos).toBeUndefined();
+    expect(synced.revisions[0].snapshot).toEqual({ id: 'q1' });
+  });
+
+  it('keeps the photos of the copy on the device', () => {
+    const remote = { ...withoutPhotos(sentQuote), status: 'Accepted' };
+    expect(withPhotosFrom(remote, sentQuote)).toEqual({ ...sentQuote, status: 'Accepted' });
+  });
+
+  it('drops photos synced from another device', () => {
+    expect(withPhotosFrom(sentQuote, null).photos).toBeUndefined();
+  });
+});
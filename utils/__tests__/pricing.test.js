@@ -0,0 +1,146 @@
+import {
+  DISCOUNT_TYPES,
+  VAT_CATEGORIES,
+  toCents,
+  percentageOf,
+  calculateLineItemTotal,
+  calculateLineItemDiscount,
+  calculateDiscount,
+  calculateQuoteTotals,
+  calculatePaymentFees
+} from '../pricing';
+
+describe('percentageOf', () => {
+  it('rounds half a cent away from zero', () => {
+    expect(percentageOf(1, 50)).toBe(1);
+    expect(percentageOf(3, 50)).toBe(2);
+    expect(percentageOf(-1, 50)).toBe(-1);
+    expect(percentageOf(-3, 50)).toBe(-2);
+  });
+
+  it('keeps fractional percentages exact', () => {
+    // 0.5% of R1.00 is exactly half a cent
+    expect(percentageOf(100, 0.5)).toBe(1);
+    // 0.5% of R2.01 is 1.005 cents
+    expect(percentageOf(201, 0.5)).toBe(1);
+    expect(percentageOf(300, 0.5)).toBe(2);
+  });
+
+  it('reads percentages saved as text', () => {
+    expect(percentageOf(10000, '15')).toBe(1500);
+  });
+});
+
+describe('toCents', () => {
+  it('does not round values stored just below a half cent down', () => {
+    expect(toCents(1.005)).toBe(101);
+    expect(toCents('1.005')).toBe(101);
+    expect(toCents(-1.005)).toBe(-101);
+  });
+});
+
+describe('calculateLineItemTotal', () => {
+  it('prices fractional quantities to the nearest cent', () => {
+    expect(calculateLineItemTotal({ quantity: 1.5, price: '199.99' })).toBe(29999);
+    expect(calculateLineItemTotal({ quantity: '2.25', price: 10 })).toBe(2250);
+  });
+
+  it('keeps quantities to three decimals', () => {
+    expect(calculateLineItemTotal({ quantity: 0.3333, price: 100 })).toBe(3330);
+  });
+});
+
+describe('discounts', () => {
+  it('caps a fixed line discount at the line amount', () => {
+    const item = { quantity: 1, price: 50, discountType: DISCOUNT_TYPES.FIXED, discountValue: 80 };
+    expect(calculateLineItemDiscount(item)).toBe(5000);
+  });
+
+  it('caps a percentage line discount at the line amount', () => {
+    const item = { quantity: 2, price: 50, discountType: DISCOUNT_TYPES.PERCENTAGE, discountValue: 150 };
+    expect(calculateLineItemDiscount(item)).toBe(10000);
+  });
+
+  it('never gives a negative discount', () => {
+    expect(calculateDiscount(5000, DISCOUNT_TYPES.FIXED, -10)).toBe(0);
+    expect(calculateDiscount(-5000, DISCOUNT_TYPES.FIXED, 10)).toBe(0);
+  });
+
+  it('caps the quote discount at what is left after line discounts', () => {
+    const totals = calculateQuoteTotals({
+      lineItems: [{ quantity: 1, price: 100, discountType: DISCOUNT_TYPES.FIXED, discountValue: 40 }],
+      discountType: DISCOUNT_TYPES.FIXED,
+      discountValue: 500
+    });
+    expect(totals.lineDiscountAmount).toBe(4000);
+    expect(totals.quoteDiscountAmount).toBe(6000);
+    expect(totals.total).toBe(0);
+  });
+});
+
+describe('calculateQuoteTotals', () => {
+  it('keeps a 0% VAT, service charge and deposit instead of using the defaults', () => {
+    const totals = calculateQuoteTotals({
+      lineItems: [{ quantity: 1, price: 100 }],
+      vatPercentage: 0,
+      serviceChargePercentage: '0',
+      depositPercentage: 0
+    });
+    expect(totals.vatAmount).toBe(0);
+    expect(totals.serviceChargeAmount).toBe(0);
+    expect(totals.depositAmount).toBe(0);
+    expect(totals.total).toBe(10000);
+    expect(totals.balanceAmount).toBe(10000);
+  });
+
+  it('gives the last VAT category the remainder of the quote discount', () => {
+    const totals = calculateQuoteTotals({
+      lineItems: [
+        { quantity: 1, price: 100, vatCategory: VAT_CATEGORIES.STANDARD },
+        { quantity: 1, price: 100, vatCategory: VAT_CATEGORIES.ZERO_RATED },
+        { quantity: 1, price: 100, vatCategory: VAT_CATEGORIES.EXEMPT }
+      ],
+      discountType: DISCOUNT_TYPES.FIXED,
+      discountValue: 1,
+      serviceChargePercentage: 0
+    });
+    expect(totals.vatBreakdown.map(line => line.taxableAmount)).toEqual([9967, 9967, 9966]);
+    expect(totals.vatBreakdown.reduce((sum, line) => sum + line.taxableAmount, 0))
+      .toBe(totals.subtotal - totals.discountAmount);
+    expect(totals.vatAmount).toBe(1495);
+    expect(totals.total).toBe(29900 + 1495);
+  });
+
+  it('adds up to the exact sum of its rounded parts', () => {
+    const totals = calculateQuoteTotals({
+      lineItems: [{ quantity: 3, price: '33.33' }, { quantity: 0.5, price: '0.05' }]
+    });
+    expect(totals.total).toBe(
+      totals.subtotal - totals.discountAmount + totals.vatAmount + totals.serviceChargeAmount
+    );
+    expect(totals.depositAmount + totals.balanceAmount).toBe(totals.total);
+  });
+
+  it('uses the stored amount of legacy quotes without line items', () => {
+    const totals = calculateQuoteTotals({ amount: '1234.57' });
+    expect(totals.subtotal).toBe(123457);
+    expect(totals.vatAmount).toBe(0);
+    expect(totals.vatBreakdown).toEqual([]);
+    expect(totals.serviceChargeAmount).toBe(0);
+    expect(totals.total).toBe(123457);
+    expect(totals.depositAmount).toBe(61729);
+    expect(totals.balanceAmount).toBe(61728);
+  });
+
+  it('uses the deposit percentage of legacy quotes', () => {
+    const totals = calculateQuoteTotals({ amount: 1000, depositPercentage: 0 });
+    expect(totals.depositAmount).toBe(0);
+    expect(totals.balanceAmount).toBe(100000);
+  });
+});
+
+describe('calculatePaymentFees', () => {
+  it('splits a payment into the fee and the net amount', () => {
+    expect(calculatePaymentFees(60118)).toEqual({ gross: 60118, fee: 301, net: 59817 });
+  });
+});
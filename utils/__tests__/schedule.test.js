@@ -0,0 +1,30 @@
+import { WORKDAY_START_HOUR, WORKDAY_END_HOUR, getCalendarHours } from '../schedule';
+
+jest.mock('../quoteStore', () => ({ QUOTE_STATUS: { SCHEDULED: 'Scheduled Work' } }));
+
+const job = (start, estimatedDuration) => ({
+  id: start,
+  status: 'Scheduled Work',
+  scheduledStart: new Date(start).toISOString(),
+  estimatedDuration
+});
+
+describe('getCalendarHours', () => {
+  it('shows the working day when every job fits in it', () => {
+    expect(getCalendarHours([job('2026-10-20T09:00:00', 120)])).toEqual({
+      startHour: WORKDAY_START_HOUR,
+      endHour: WORKDAY_END_HOUR
+    });
+  });
+
+  it('widens to fit early and late jobs', () => {
+    expect(getCalendarHours([
+      job('2026-10-20T04:30:00', 60),
+      job('2026-10-20T20:00:00', 90)
+    ])).toEqual({ startHour: 4, endHour: 22 });
+  });
+
+  it('shows a job running past midnight to the end of the day', () => {
+    expect(getCalendarHours([job('2026-10-20T22:00:00', 180)]).endHour).toBe(24);
+  });
+});
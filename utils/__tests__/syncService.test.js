@@ -0,0 +1,152 @@
+import supabase from '../supabaseClient';
+import { OUTBOX_STORAGE_KEY, loadOutbox, loadRejectedChanges, queueQuoteChange } from '../outbox';
+import { syncQuotes } from '../syncService';
+
+jest.mock('@react-native-async-storage/async-storage', () => {
+  let items = {};
+  return {
+    getItem: jest.fn(key => Promise.resolve(items[key] ?? null)),
+    setItem: jest.fn((key, value) => {
+      items[key] = value;
+      return Promise.resolve();
+    }),
+    clear: () => {
+      items = {};
+    }
+  };
+});
+
+jest.mock('react-native', () => ({ AppState: { addEventListener: jest.fn() } }));
+
+jest.mock('expo-network', () => ({
+  getNetworkStateAsync: jest.fn(() => Promise.resolve({ isConnected: true, isInternetReachable: true }))
+}));
+
+jest.mock('../supabaseClient', () => ({ from: jest.fn() }));
+
+jest.mock('../business', () => ({
+  LOCAL_BUSINESS_ID: 'local',
+  getBusinessId: jest.fn(() => Promise.resolve('b1'))
+}));
+
+jest.mock('../quoteStore', () => ({
+  getQuote: jest.fn(() => Promise.resolve(null)),
+  saveQuote: jest.fn(() => Promise.resolve()),
+  saveQuoteRecords: jest.fn(() => Promise.resolve()),
+  deleteQuoteRecords: jest.fn(() => Promise.resolve()),
+  queryQuotes: jest.fn(() => Promise.resolve([])),
+  QUOTE_STATUS: { COMPLETE: 'Complete', CANCELLED: 'Cancelled' }
+}));
+
+jest.mock('../storageSchema', () => ({
+  upgradeQuote: jest.fn(quote => quote),
+  quarantineRecords: jest.fn(() => Promise.resolve())
+}));
+
+jest.mock('../photos', () => ({
+  withoutPhotos: jest.fn(quote => quote),
+  withPhotosFrom: jest.fn(quote => quote)
+}));
+
+const AsyncStorage = require('@react-native-async-storage/async-storage');
+const readItem = AsyncStorage.getItem.getMockImplementation();
+
+const quote = (id) => ({ id, status: 'Draft', customerName: 'A', lineItems: [] });
+
+/**
+ * Answers Supabase queries: inserted quotes get version 1 and the pull finds nothing new
+ * @param {Function} onInsert - Called with each inserted quote row; returns an error to refuse it
+ */
+const answerQueries = (onInsert = () => null) => {
+  supabase.from.mockImplementation((table) => {
+    const calls = {};
+    const builder = {
+      then: (resolve, reject) => {
+        let result = { data: null, error: null };
+        if (table === 'quotes' && calls.insert) {
+          const error = onInsert(calls.insert[0]);
+          result = error ? { data: null, error } : { data: [{ version: 1 }], error: null };
+        } else if (table === 'quotes') {
+          result = { data: [], error: null };
+        }
+        return Promise.resolve(result).then(resolve, reject);
+      }
+    };
+    ['select', 'insert', 'update', 'delete', 'eq', 'gt', 'order'].forEach(method => {
+      builder[method] = (...args) => {
+        calls[method] = args;
+        return builder;
+      };
+    });
+    return builder;
+  });
+};
+
+beforeEach(() => {
+  AsyncStorage.clear();
+  AsyncStorage.getItem.mockImplementation(readItem);
+});
+
+describe('syncQuotes', () => {
+  it('keeps a change queued while a pushed change is being removed from the outbox', async () => {
+    await queueQuoteChange('q1', quote('q1'), null);
+
+    let pushed = false;
+    let queuing = false;
+    let queued = null;
+    answerQueries(() => {
+      pushed = true;
+      return null;
+    });
+    // Queue the next change just as the sync reads the outbox to remove the pushed one
+    AsyncStorage.getItem.mockImplementation((key) => {
+      if (key === OUTBOX_STORAGE_KEY && pushed && !queuing) {
+        queuing = true;
+        queued = queueQuoteChange('q2', quote('q2'), null);
+      }
+      return readItem(key);
+    });
+
+    const status = await syncQuotes();
+    await queued;
+
+    expect(status.lastError).toBeNull();
+    expect((await loadOutbox()).map(entry => entry.quoteId)).toEqual(['q2']);
+  });
+
+  it('sets aside a change Supabase refuses and pushes the changes after it', async () => {
+    await queueQuoteChange('q1', quote('q1'), null);
+    await queueQuoteChange('q2', quote('q2'), null);
+
+    const inserted = [];
+    answerQueries((row) => {
+      if (row.id === 'q1') {
+        return { code: '42501', message: 'new row violates row-level security policy for table "quotes"' };
+      }
+      inserted.push(row.id);
+      return null;
+    });
+
+    const status = await syncQuotes();
+
+    expect(status.lastError).toBeNull();
+    expect(status.pending).toBe(0);
+    expect(status.rejected).toBe(1);
+    expect(inserted).toEqual(['q2']);
+    const [rejected] = await loadRejectedChanges();
+    expect(rejected.quoteId).toBe('q1');
+    expect(rejected.error).toContain('row-level security');
+  });
+
+  it('keeps every change waiting when Supabase cannot be reached', async () => {
+    await queueQuoteChange('q1', quote('q1'), null);
+    await queueQuoteChange('q2', quote('q2'), null);
+    answerQueries(() => ({ message: 'Network request failed' }));
+
+    const status = await syncQuotes();
+
+    expect(status.lastError).toBe('Network request failed');
+    expect(status.pending).toBe(2);
+    expect(status.rejected).toBe(0);
+  });
+});
@@ -0,0 +1,52 @@
+import { NO_PERMISSIONS, OWNER_PERMISSIONS, PERMISSIONS, canSeeQuote, getPermissions } from '../team';
+
+jest.mock('@react-native-async-storage/async-storage', () => ({}));
+
+const owner = { id: 'u1', email: 'owner@example.com' };
+const business = { id: 'b1', owner_id: 'u1' };
+const member = {
+  id: 'm1',
+  email: 'Sam@Example.com',
+  status: 'active',
+  [PERMISSIONS.REPORTS]: true,
+  [PERMISSIONS.TEAM]: false,
+  [PERMISSIONS.ALL_JOBS]: false
+};
+
+describe('getPermissions', () => {
+  it('gives the owner of the business every permission', () => {
+    expect(getPermissions([], owner, business)).toBe(OWNER_PERMISSIONS);
+  });
+
+  it('gives a team member only their own permissions', () => {
+    const permissions = getPermissions([member], { id: 'u2', email: 'sam@example.com' }, business);
+    expect(permissions.isOwner).toBe(false);
+    expect(permissions.memberId).toBe('m1');
+    expect(permissions[PERMISSIONS.REPORTS]).toBe(true);
+    expect(permissions[PERMISSIONS.TEAM]).toBe(false);
+  });
+
+  it('gives no permissions to a member whose invite was revoked or not yet accepted', () => {
+    const sam = { id: 'u2', email: 'sam@example.com' };
+    expect(getPermissions([{ ...member, status: 'removed' }], sam, business)).toBe(NO_PERMISSIONS);
+    expect(getPermissions([{ ...member, status: 'invited' }], sam, business)).toBe(NO_PERMISSIONS);
+  });
+
+  it('gives no permissions to anyone else', () => {
+    expect(getPermissions([], { id: 'u3', email: 'other@example.com' }, business)).toBe(NO_PERMISSIONS);
+    expect(getPermissions([], owner, null)).toBe(NO_PERMISSIONS);
+    expect(getPermissions([], null, business)).toBe(NO_PERMISSIONS);
+  });
+});
+
+describe('canSeeQuote', () => {
+  it('hides unassigned jobs from users who are not on the team', () => {
+    expect(canSeeQuote({ assignedTo: null }, NO_PERMISSIONS)).toBe(false);
+  });
+
+  it('shows members the jobs assigned to them', () => {
+    const permissions = getPermissions([member], { id: 'u2', email: 'sam@example.com' }, business);
+    expect(canSeeQuote({ assignedTo: 'm1' }, permissions)).toBe(true);
+    expect(canSeeQuote({ assignedTo: 'm2' }, permissions)).toBe(false);
+  });
+});
@@ -0,0 +1,33 @@
+import { saveTemplate, loadTemplates, createQuoteFromTemplate } from '../templates';
+
+jest.mock('@react-native-async-storage/async-storage', () => {
+  let items = {};
+  return {
+    getItem: jest.fn(key => Promise.resolve(items[key] ?? null)),
+    setItem: jest.fn((key, value) => {
+      items[key] = value;
+      return Promise.resolve();
+    })
+  };
+});
+
+const quote = {
+  description: 'Replace 150L geyser',
+  lineItems: [{ id: 1, description: 'Geyser', quantity: 1, price: 6500, discountType: 'fixed', discountValue: 200 }],
+  options: [],
+  discountType: 'percentage',
+  discountValue: 5,
+  vatPercentage: 15,
+  serviceChargePercentage: 1.5,
+  depositPercentage: 40,
+  validityDays: 14
+};
+
+describe('templates', () => {
+  it('starts a new quote with the job details and pricing the template was saved with', async () => {
+    await saveTemplate('Geyser replacement', quote);
+    const [template] = await loadTemplates();
+
+    expect(createQuoteFromTemplate(template)).toEqual(quote);
+  });
+});
@@ -0,0 +1,530 @@
+/**
+ * Invoice and payment exports for accounting packages
+ *
+ * Invoices and payments for a date range are exported in the CSV import
+ * formats of Xero, QuickBooks Online and Sage Business Cloud, so month-end
+ * bookkeeping does not mean typing every invoice in again. Invoices are
+ * exported one row per line, coded to the account and tax rate the business
+ * uses in its package. Payments are exported as bank statement lines: the
+ * amount the client paid, referencing the invoice (or the quote, for a
+ * deposit taken before the invoice was issued), and the service fee deducted
+ * from it.
+ *
+ * The account codes and tax rate names are set per package in Settings, as
+ * each package has its own chart of accounts. QuickBooks Online codes invoice
+ * lines by product or service rather than by account, so its mapping holds
+ * product and service names.
+ *
+ * Amounts are written in rand with a full stop and two decimals, and dates as
+ * DD/MM/YYYY, the date format of South African organisations in all three
+ * packages.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { VAT_CATEGORIES, calculateLineItemTotal, formatCents, getQuoteLineItems, toCents } from './pricing';
+import { CATALOGUE_ITEM_TYPES, loadCatalogue } from './catalogue';
+import {
+  formatExportDate,
+  getInvoiceDate,
+  getBillingEmail,
+  validateDateRange,
+  loadInvoiceRows,
+  loadPaymentRows,
+  toCSV,
+  shareTextFile
+} from './csvExport';
+
+// Key for storing the account mapping of each package in AsyncStorage
+export const ACCOUNT_MAPPING_STORAGE_KEY = 'quickquote_account_mapping';
+
+// Currency invoices are issued in
+const CURRENCY_CODE = 'ZAR';
+
+// Length of the contact references generated for Sage: a readable part from
+// the client's name and a part that tells clients with similar names apart
+const CONTACT_REFERENCE_LENGTH = 8;
+const CONTACT_REFERENCE_NAME_LENGTH = 4;
+
+// Names of each kind of payment on a bank statement line
+const PAYMENT_DESCRIPTIONS = {
+  deposit: 'Deposit',
+  final: 'Final payment'
+};
+
+// Accounts and tax rates an export is coded to, with their labels in Settings
+export const ACCOUNT_MAPPING_FIELDS = {
+  labourAccount: 'Labour sales',
+  salesAccount: 'Material and other sales',
+  serviceChargeAccount: 'Service charge',
+  feesAccount: 'Payment service fees',
+  standardTaxRate: 'Standard-rated VAT',
+  zeroRatedTaxRate: 'Zero-rated VAT',
+  exemptTaxRate: 'VAT exempt',
+  noVatTaxRate: 'No VAT',
+};
+
+/**
+ * Formats an amount for an accounting import
+ * @param {number} cents - Amount in cents
+ * @returns {string} - Amount in rand, e.g. 1234.50 or -12.30
+ */
+const formatAmount = (cents) => formatCents(cents || 0);
+
+/**
+ * Formats a date for an accounting import
+ * @param {string} value - Date (YYYY-MM-DD) or ISO timestamp
+ * @returns {string} - The date as DD/MM/YYYY, or empty if there is none
+ */
+const formatPackageDate = (value) => {
+  const date = formatExportDate(value);
+  if (!date) return '';
+  const [year, month, day] = date.split('-');
+  return `${day}/${month}/${year}`;
+};
+
+/**
+ * Hashes text to a short code that is always the same for the same text
+ * @param {string} text - Text to hash
+ * @param {number} length - Length of the code
+ * @returns {string} - Code of capital letters and digits
+ */
+const toHashCode = (text, length) => {
+  // 32-bit FNV-1a
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(36).toUpperCase().padStart(length, '0').slice(-length);
+};
+
+/**
+ * Builds a Sage contact reference for the client of a quote. The start comes
+ * from the client's name; the rest from the client's ID, so the reference is
+ * the same in every export and clients with similar names get different ones.
+ * Quotes saved before the client directory use the client's name instead.
+ * @param {Object} quote - The invoiced quote
+ * @returns {string} - Reference of capital letters and digits, e.g. SMIT4K7Q
+ */
+const toContactReference = (quote) => {
+  const name = (quote.customerName || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const prefix = name.slice(0, CONTACT_REFERENCE_NAME_LENGTH);
+  return prefix + toHashCode(quote.clientId || name, CONTACT_REFERENCE_LENGTH - prefix.length);
+};
+
+// Columns of the Xero sales invoice import. Each row is { quote, line }.
+const XERO_INVOICE_COLUMNS = [
+  { header: '*ContactName', value: ({ quote }) => quote.customerName },
+  { header: 'EmailAddress', value: ({ quote }) => getBillingEmail(quote) },
+  { header: 'POAddressLine1', value: ({ quote }) => quote.clientAddress },
+  { header: '*InvoiceNumber', value: ({ quote }) => quote.invoiceNumber },
+  { header: 'Reference', value: ({ quote }) => quote.quoteNumber },
+  { header: '*InvoiceDate', value: ({ quote }) => formatPackageDate(getInvoiceDate(quote)) },
+  { header: '*DueDate', value: ({ quote }) => formatPackageDate(getInvoiceDate(quote)) },
+  { header: '*Description', value: ({ line }) => line.description },
+  { header: '*Quantity', value: ({ line }) => line.quantity },
+  { header: '*UnitAmount', value: ({ line }) => formatAmount(line.unitAmount) },
+  { header: '*AccountCode', value: ({ line }) => line.account },
+  { header: '*TaxType', value: ({ line }) => line.taxRate },
+  { header: 'Currency', value: () => CURRENCY_CODE },
+];
+
+// Columns of the Xero precoded bank statement import. Each row is { payment, quote, line }.
+const XERO_PAYMENT_COLUMNS = [
+  { header: '*Date', value: ({ payment }) => formatPackageDate(payment.paidOn) },
+  { header: '*Amount', value: ({ line }) => formatAmount(line.amount) },
+  { header: 'Payee', value: ({ line }) => line.payee },
+  { header: 'Description', value: ({ line }) => line.description },
+  { header: 'Reference', value: ({ payment }) => payment.reference },
+  { header: 'Account Code', value: ({ line }) => line.account },
+  { header: 'Tax Rate', value: ({ line }) => line.taxRate },
+];
+
+// Columns of the QuickBooks Online invoice import. Each row is { quote, line }.
+const QUICKBOOKS_INVOICE_COLUMNS = [
+  { header: 'InvoiceNo', value: ({ quote }) => quote.invoiceNumber },
+  { header: 'Customer', value: ({ quote }) => quote.customerName },
+  { header: 'InvoiceDate', value: ({ quote }) => formatPackageDate(getInvoiceDate(quote)) },
+  { header: 'DueDate', value: ({ quote }) => formatPackageDate(getInvoiceDate(quote)) },
+  { header: 'Memo', value: ({ quote }) => quote.quoteNumber },
+  { header: 'Item(Product/Service)', value: ({ line }) => line.account },
+  { header: 'ItemDescription', value: ({ line }) => line.description },
+  { header: 'ItemQuantity', value: ({ line }) => line.quantity },
+  { header: 'ItemRate', value: ({ line }) => formatAmount(line.unitAmount) },
+  { header: 'ItemAmount', value: ({ line }) => formatAmount(line.amount) },
+  { header: 'ItemTaxCode', value: ({ line }) => line.taxRate },
+  { header: 'Currency', value: () => CURRENCY_CODE },
+];
+
+// Columns of the QuickBooks Online three-column bank upload. Each row is { payment, quote, line }.
+const QUICKBOOKS_PAYMENT_COLUMNS = [
+  { header: 'Date', value: ({ payment }) => formatPackageDate(payment.paidOn) },
+  { header: 'Description', value: ({ payment, line }) => `${line.description} ${payment.reference} ${line.payee}` },
+  { header: 'Amount', value: ({ line }) => formatAmount(line.amount) },
+];
+
+// Columns of the Sage Business Cloud sales invoice import. Each row is { quote, line }.
+const SAGE_INVOICE_COLUMNS = [
+  { header: 'Customer Reference', value: ({ quote }) => toContactReference(quote) },
+  { header: 'Customer Name', value: ({ quote }) => quote.customerName },
+  { header: 'Invoice Number', value: ({ quote }) => quote.invoiceNumber },
+  { header: 'Invoice Date', value: ({ quote }) => formatPackageDate(getInvoiceDate(quote)) },
+  { header: 'Due Date', value: ({ quote }) => formatPackageDate(getInvoiceDate(quote)) },
+  { header: 'Reference', value: ({ quote }) => quote.quoteNumber },
+  { header: 'Description', value: ({ line }) => line.description },
+  { header: 'Ledger Account', value: ({ line }) => line.account },
+  { header: 'Quantity', value: ({ line }) => line.quantity },
+  { header: 'Unit Price', value: ({ line }) => formatAmount(line.unitAmount) },
+  { header: 'Net Amount', value: ({ line }) => formatAmount(line.amount) },
+  { header: 'Tax Rate', value: ({ line }) => line.taxRate },
+];
+
+// Columns of the Sage Business Cloud bank statement import. Each row is { payment, quote, line }.
+const SAGE_PAYMENT_COLUMNS = [
+  { header: 'Date', value: ({ payment }) => formatPackageDate(payment.paidOn) },
+  { header: 'Reference', value: ({ payment }) => payment.reference },
+  { header: 'Description', value: ({ line }) => `${line.description} ${line.payee}` },
+  { header: 'Money In', value: ({ line }) => (line.amount > 0 ? formatAmount(line.amount) : '') },
+  { header: 'Money Out', value: ({ line }) => (line.amount < 0 ? formatAmount(-line.amount) : '') },
+  { header: 'Ledger Account', value: ({ line }) => line.account },
+  { header: 'Tax Rate', value: ({ line }) => line.taxRate },
+];
+
+// Accounting packages an export can be made for. defaultMapping holds the
+// accounts and tax rates of each package's standard South African setup,
+// used until the business saves its own; fields are the ones its files use.
+export const ACCOUNTING_PACKAGES = {
+  xero: {
+    label: 'Xero',
+    invoiceColumns: XERO_INVOICE_COLUMNS,
+    paymentColumns: XERO_PAYMENT_COLUMNS,
+    fields: Object.keys(ACCOUNT_MAPPING_FIELDS),
+    defaultMapping: {
+      labourAccount: '200',
+      salesAccount: '200',
+      serviceChargeAccount: '260',
+      feesAccount: '404',
+      standardTaxRate: 'Standard Rate Sales',
+      zeroRatedTaxRate: 'Zero Rated',
+      exemptTaxRate: 'Exempt Income',
+      noVatTaxRate: 'No VAT',
+    }
+  },
+  quickbooks: {
+    label: 'QuickBooks',
+    invoiceColumns: QUICKBOOKS_INVOICE_COLUMNS,
+    paymentColumns: QUICKBOOKS_PAYMENT_COLUMNS,
+    // Bank uploads are coded in QuickBooks, so there is no fees account
+    fields: Object.keys(ACCOUNT_MAPPING_FIELDS).filter(field => field !== 'feesAccount'),
+    defaultMapping: {
+      labourAccount: 'Labour',
+      salesAccount: 'Sales',
+      serviceChargeAccount: 'Service charge',
+      feesAccount: '',
+      standardTaxRate: 'Standard Rated',
+      zeroRatedTaxRate: 'Zero Rated',
+      exemptTaxRate: 'Exempt',
+      noVatTaxRate: 'No VAT',
+    }
+  },
+  sage: {
+    label: 'Sage',
+    invoiceColumns: SAGE_INVOICE_COLUMNS,
+    paymentColumns: SAGE_PAYMENT_COLUMNS,
+    fields: Object.keys(ACCOUNT_MAPPING_FIELDS),
+    defaultMapping: {
+      labourAccount: '1000',
+      salesAccount: '1000',
+      serviceChargeAccount: '1000',
+      feesAccount: '3050',
+      standardTaxRate: 'Standard',
+      zeroRatedTaxRate: 'Zero',
+      exemptTaxRate: 'Exempt',
+      noVatTaxRate: 'No VAT',
+    }
+  },
+};
+
+/**
+ * Looks up an accounting package
+ * @param {string} packageKey - A key of ACCOUNTING_PACKAGES
+ * @returns {Object} - The package
+ * @throws {Error} - If the package is unknown
+ */
+const getPackage = (packageKey) => {
+  const accountingPackage = ACCOUNTING_PACKAGES[packageKey];
+  if (!accountingPackage) {
+    throw new Error(`Unknown accounting package: ${packageKey}`);
+  }
+  return accountingPackage;
+};
+
+/**
+ * Loads the account mapping saved for an accounting package
+ * @param {string} packageKey - A key of ACCOUNTING_PACKAGES
+ * @returns {Promise<Object>} - Account and tax rate for each of ACCOUNT_MAPPING_FIELDS
+ * @throws {Error} - If the package is unknown
+ */
+export const loadAccountMapping = async (packageKey) => {
+  const { defaultMapping } = getPackage(packageKey);
+  const storedMappings = await AsyncStorage.getItem(ACCOUNT_MAPPING_STORAGE_KEY);
+  const mappings = storedMappings ? JSON.parse(storedMappings) : {};
+  return { ...defaultMapping, ...(mappings[packageKey] || {}) };
+};
+
+/**
+ * Saves the account mapping for an accounting package
+ * @param {string} packageKey - A key of ACCOUNTING_PACKAGES
+ * @param {Object} mapping - Account and tax rate for each of ACCOUNT_MAPPING_FIELDS
+ * @returns {Promise<Object>} - The mapping as saved
+ * @throws {Error} - If the package is unknown or a field it uses is empty
+ */
+export const saveAccountMapping = async (packageKey, mapping) => {
+  const { label, fields } = getPackage(packageKey);
+  const savedMapping = {};
+  fields.forEach(field => {
+    const value = (mapping[field] || '').trim();
+    if (!value) {
+      throw new Error(`Please fill in ${ACCOUNT_MAPPING_FIELDS[field]} for ${label}.`);
+    }
+    savedMapping[field] = value;
+  });
+
+  const storedMappings = await AsyncStorage.getItem(ACCOUNT_MAPPING_STORAGE_KEY);
+  await AsyncStorage.setItem(ACCOUNT_MAPPING_STORAGE_KEY, JSON.stringify({
+    ...(storedMappings ? JSON.parse(storedMappings) : {}),
+    [packageKey]: savedMapping
+  }));
+
+  return loadAccountMapping(packageKey);
+};
+
+/**
+ * Finds the tax rate a line is coded to
+ * @param {Object} quote - The invoiced quote
+ * @param {string} category - One of VAT_CATEGORIES
+ * @param {Object} mapping - The package's account mapping
+ * @returns {string} - Tax rate name in the package
+ */
+const getTaxRate = (quote, category, mapping) => {
+  // Matches calculateQuoteTotals: only unregistered businesses charge no VAT
+  if (quote.vatRegistered === false) return mapping.noVatTaxRate;
+  if (category === VAT_CATEGORIES.ZERO_RATED) return mapping.zeroRatedTaxRate;
+  if (category === VAT_CATEGORIES.EXEMPT) return mapping.exemptTaxRate;
+  return mapping.standardTaxRate;
+};
+
+/**
+ * Reads a line item's quantity for an import file
+ * @param {number|string} quantity - Quantity as saved
+ * @returns {number} - The quantity, or 0 when invalid
+ */
+const toQuantity = (quantity) => {
+  const number = parseFloat(quantity);
+  return Number.isFinite(number) ? number : 0;
+};
+
+/**
+ * Builds the import line for a line item. Packages multiply the quantity by
+ * the unit price, so when that does not come to the line total to the cent,
+ * e.g. 1.5 at 199.99, the line is exported as a quantity of 1 at the line
+ * total, with the quantity and price in the description.
+ * @param {Object} item - Line item
+ * @returns {Object} - description, quantity, unitAmount and amount (cents)
+ */
+const toItemLine = (item) => {
+  const quantity = toQuantity(item.quantity);
+  const unitAmount = toCents(item.price);
+  const amount = calculateLineItemTotal(item);
+
+  // Allows for floating point error in the multiplication
+  if (Math.abs(quantity * unitAmount - amount) < 0.0001) {
+    return { description: item.description, quantity, unitAmount, amount };
+  }
+  return {
+    description: `${item.description || ''} (${quantity} @ ${formatAmount(unitAmount)})`.trim(),
+    quantity: 1,
+    unitAmount: amount,
+    amount
+  };
+};
+
+/**
+ * Splits an invoice into the lines it is imported as: one per line item,
+ * a discount line for each VAT category that was discounted, and the service
+ * charge. The lines add up to the invoice total before VAT, which each
+ * package adds from the tax rates.
+ * @param {Object} row - { quote, totals } from loadInvoiceRows
+ * @param {Object} mapping - The package's account mapping
+ * @param {Object} catalogueTypes - Catalogue item type keyed by catalogue item ID
+ * @returns {Array} - Lines with description, quantity, unitAmount and amount
+ *   (cents), account and taxRate
+ */
+const getInvoiceLines = ({ quote, totals }, mapping, catalogueTypes) => {
+  const lineItems = getQuoteLineItems(quote);
+
+  // Older records without line items only have the stored total
+  if (lineItems.length === 0) {
+    return [{
+      description: quote.description || quote.quoteNumber,
+      quantity: 1,
+      unitAmount: totals.subtotal,
+      amount: totals.subtotal,
+      account: mapping.salesAccount,
+      taxRate: mapping.noVatTaxRate
+    }];
+  }
+
+  const grossByCategory = {};
+  const lines = lineItems.map(item => {
+    const category = Object.values(VAT_CATEGORIES).includes(item.vatCategory)
+      ? item.vatCategory
+      : VAT_CATEGORIES.STANDARD;
+    const line = toItemLine(item);
+    grossByCategory[category] = (grossByCategory[category] || 0) + line.amount;
+
+    return {
+      ...line,
+      account: catalogueTypes[item.catalogueItemId] === CATALOGUE_ITEM_TYPES.LABOUR
+        ? mapping.labourAccount
+        : mapping.salesAccount,
+      taxRate: getTaxRate(quote, category, mapping)
+    };
+  });
+
+  // Line and quote discounts, on the category they were taken off
+  totals.vatBreakdown.forEach(({ category, taxableAmount }) => {
+    const discount = (grossByCategory[category] || 0) - taxableAmount;
+    if (discount > 0) {
+      lines.push({
+        description: 'Discount',
+        quantity: 1,
+        unitAmount: -discount,
+        amount: -discount,
+        account: mapping.salesAccount,
+        taxRate: getTaxRate(quote, category, mapping)
+      });
+    }
+  });
+
+  // The service charge is not charged VAT
+  if (totals.serviceChargeAmount > 0) {
+    lines.push({
+      description: 'Service charge',
+      quantity: 1,
+      unitAmount: totals.serviceChargeAmount,
+      amount: totals.serviceChargeAmount,
+      account: mapping.serviceChargeAccount,
+      taxRate: mapping.noVatTaxRate
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Splits a payment into the bank statement lines it is imported as: the
+ * amount the client paid, and the service fee taken off it
+ * @param {Object} row - { payment, quote, fees } from loadPaymentRows
+ * @param {Object} mapping - The package's account mapping
+ * @returns {Array} - Lines with description, payee, amount (cents, negative
+ *   for money out), account and taxRate
+ */
+const getPaymentLines = ({ payment, quote, fees }, mapping) => {
+  // The receipt is left uncoded so it can be matched to the invoice
+  const lines = [{
+    description: PAYMENT_DESCRIPTIONS[payment.kind],
+    payee: quote.customerName,
+    amount: fees.gross,
+    account: '',
+    taxRate: ''
+  }];
+
+  if (fees.fee > 0) {
+    lines.push({
+      description: 'Payment service fee',
+      payee: quote.customerName,
+      amount: -fees.fee,
+      account: mapping.feesAccount,
+      taxRate: mapping.noVatTaxRate
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Loads the type of each catalogue item, to code labour lines separately
+ * @returns {Promise<Object>} - Catalogue item type keyed by catalogue item ID
+ */
+const loadCatalogueTypes = async () => {
+  const items = await loadCatalogue();
+  const types = {};
+  items.forEach(item => {
+    types[item.id] = item.type;
+  });
+  return types;
+};
+
+/**
+ * Loads the invoices issued within a range, split into import lines
+ * @param {Object} range - from and to (YYYY-MM-DD)
+ * @param {Object} mapping - The package's account mapping
+ * @returns {Promise<Object>} - count of invoices, and lines as { quote, totals, line }
+ */
+const loadInvoiceLines = async (range, mapping) => {
+  const rows = await loadInvoiceRows(range);
+  const catalogueTypes = await loadCatalogueTypes();
+  return {
+    count: rows.length,
+    lines: rows.flatMap(row => getInvoiceLines(row, mapping, catalogueTypes).map(line => ({ ...row, line })))
+  };
+};
+
+/**
+ * Loads the payments received within a range, split into bank statement lines
+ * @param {Object} range - from and to (YYYY-MM-DD)
+ * @param {Object} mapping - The package's account mapping
+ * @returns {Promise<Object>} - count of payments, and lines as { payment, quote, fees, line }
+ */
+const loadPaymentLines = async (range, mapping) => {
+  const rows = await loadPaymentRows(range);
+  return {
+    count: rows.length,
+    lines: rows.flatMap(row => getPaymentLines(row, mapping).map(line => ({ ...row, line })))
+  };
+};
+
+// Data that can be exported to an accounting package, with the package
+// columns each is written with
+export const ACCOUNTING_EXPORTS = {
+  invoices: { label: 'Invoices', columnsKey: 'invoiceColumns', loadLines: loadInvoiceLines },
+  payments: { label: 'Payments', columnsKey: 'paymentColumns', loadLines: loadPaymentLines },
+};
+
+/**
+ * Exports invoices or payments for a date range in an accounting package's
+ * import format and opens the share sheet
+ * @param {string} packageKey - A key of ACCOUNTING_PACKAGES
+ * @param {string} exportType - A key of ACCOUNTING_EXPORTS
+ * @param {Object} range - from and to (YYYY-MM-DD)
+ * @returns {Promise<number>} - Number of invoices or payments exported
+ * @throws {Error} - If the package or export type is unknown or the range is not valid
+ */
+export const exportAccountingFile = async (packageKey, exportType, range) => {
+  const accountingPackage = getPackage(packageKey);
+  const accountingExport = ACCOUNTING_EXPORTS[exportType];
+  if (!accountingExport) {
+    throw new Error(`Unknown export: ${exportType}`);
+  }
+  validateDateRange(range.from, range.to);
+
+  const mapping = await loadAccountMapping(packageKey);
+  const { count, lines } = await accountingExport.loadLines(range, mapping);
+  await shareTextFile(
+    `QuickQuote-${packageKey}-${exportType}-${range.from}-to-${range.to}.csv`,
+    toCSV(accountingPackage[accountingExport.columnsKey], lines)
+  );
+
+  return count;
+};
@@ -0,0 +1,451 @@
+/**
+ * Backup and restore
+ *
+ * A backup is a single JSON file holding the quotes, clients, settings, team
+ * and the photos attached to quotes, so the business's data can be kept off
+ * the device or moved to a new one. It carries its own format version and the
+ * storage schema version its quotes were saved with, so backups made by older
+ * versions of the app are upgraded when they are restored.
+ *
+ * Restoring either merges the backup in, adding only what is missing from this
+ * device, or replaces this device's data with the backup. A restore only
+ * changes this device: nothing is deleted from Supabase, and where a restored
+ * quote differs from the business's version the sync asks which to keep
+ * instead of writing over it. Replacing removes quotes missing from the backup
+ * from this device only, so those synced to the business download again; the
+ * restore preview says how many. The team is listed in the preview but not
+ * restored, as it is kept in Supabase and only the owner changes it there.
+ * Document counters are never moved backwards, so no number is issued twice.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import { loadQuotes, saveQuoteRecords, deleteQuoteRecords } from './quoteStore';
+import { loadAllClients, saveClientRecords } from './clients';
+import { CATALOGUE_STORAGE_KEY } from './catalogue';
+import { TEMPLATES_STORAGE_KEY } from './templates';
+import { NUMBERING_STORAGE_KEY } from './numbering';
+import { ACCOUNT_MAPPING_STORAGE_KEY } from './accountingExport';
+import { PHOTOS_DIRECTORY } from './photos';
+import { CURRENT_SCHEMA_VERSION, upgradeQuote, quarantineRecords } from './storageSchema';
+import { queueQuoteChanges } from './outbox';
+import { forgetSyncedVersions, getSyncedQuoteIds } from './syncService';
+import { loadTeamMembers } from './team';
+import globalState from './globalState';
+
+// Marks a file as a QuickQuote backup
+export const BACKUP_FORMAT = 'quickquote-backup';
+
+// Version of the backup file layout written by this version of the app
+export const BACKUP_VERSION = 1;
+
+// Ways a backup can be restored
+export const RESTORE_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace'
+};
+
+/**
+ * Merges two lists of records by ID, keeping the first list's version of
+ * records in both
+ * @param {Array} kept - Records that win
+ * @param {Array} added - Records added when not already in kept
+ * @returns {Array} - Merged records
+ */
+const mergeById = (kept, added) => {
+  const keptIds = new Set(kept.map(item => item.id || item.name));
+  return [...kept, ...added.filter(item => !keptIds.has(item.id || item.name))];
+};
+
+/**
+ * Merges two sets of numbering settings, keeping the highest counter of each
+ * @param {Object} kept - Numbering whose prefixes win
+ * @param {Object} other - The other numbering
+ * @returns {Object} - Numbering keyed by business ID
+ */
+const mergeNumbering = (kept = {}, other = {}) => {
+  const merged = { ...other, ...kept };
+  Object.keys(other).forEach(businessId => {
+    if (!kept[businessId]) return;
+
+    const counters = { ...other[businessId].counters };
+    Object.entries(kept[businessId].counters || {}).forEach(([documentType, counter]) => {
+      counters[documentType] = Math.max(counter, counters[documentType] || 0);
+    });
+    merged[businessId] = { ...kept[businessId], counters };
+  });
+  return merged;
+};
+
+// Settings saved in a backup, with how a restore combines each with this device's
+const SETTINGS = [
+  {
+    key: 'businessInfo',
+    label: 'Business details',
+    merge: (current, backup) => ({ ...backup, ...current }),
+    replace: (current, backup) => backup
+  },
+  {
+    key: CATALOGUE_STORAGE_KEY,
+    label: 'Price book',
+    merge: (current = [], backup) => mergeById(current, backup),
+    replace: (current, backup) => backup
+  },
+  {
+    key: TEMPLATES_STORAGE_KEY,
+    label: 'Quote templates',
+    merge: (current = [], backup) => mergeById(current, backup),
+    replace: (current, backup) => backup
+  },
+  {
+    // Counters only move forward, even when replacing
+    key: NUMBERING_STORAGE_KEY,
+    label: 'Document numbering',
+    merge: (current, backup) => mergeNumbering(current, backup),
+    replace: (current, backup) => mergeNumbering(backup, current)
+  },
+  {
+    key: ACCOUNT_MAPPING_STORAGE_KEY,
+    label: 'Accounting export codes',
+    merge: (current, backup) => ({ ...backup, ...current }),
+    replace: (current, backup) => backup
+  }
+];
+
+/**
+ * Gets a photo's file name from its URI
+ * @param {Object} photo - Photo attached to a quote
+ * @returns {string} - File name, e.g. ph1712345678901.jpg
+ */
+const getPhotoFileName = (photo) => photo.uri.split('/').pop();
+
+/**
+ * Changes every photo on a quote, including the photos in its sent revisions
+ * @param {Object} quote - The quote
+ * @param {Function} change - Receives a photo and returns the photo to keep
+ * @returns {Object} - The quote with its photos changed
+ */
+const mapQuotePhotos = (quote, change) => ({
+  ...quote,
+  ...(quote.photos ? { photos: quote.photos.map(change) } : {}),
+  ...(quote.revisions ? {
+    revisions: quote.revisions.map(revision => (
+      revision.snapshot && revision.snapshot.photos
+        ? { ...revision, snapshot: { ...revision.snapshot, photos: revision.snapshot.photos.map(change) } }
+        : revision
+    ))
+  } : {})
+});
+
+/**
+ * Reads the files of the photos attached to quotes
+ * @param {Array} quotes - Quotes being backed up
+ * @returns {Promise<Object>} - Base64 file contents keyed by file name. Photos
+ * whose file is missing are left out.
+ */
+const readQuotePhotos = async (quotes) => {
+  const uris = {};
+  quotes.forEach(quote => mapQuotePhotos(quote, photo => {
+    if (photo && photo.uri) uris[getPhotoFileName(photo)] = photo.uri;
+    return photo;
+  }));
+
+  const photos = {};
+  // One at a time to keep memory use down with large photos
+  for (const [fileName, uri] of Object.entries(uris)) {
+    try {
+      photos[fileName] = await FileSystem.readAsStringAsync(uri, {
+        encoding: FileSystem.EncodingType.Base64
+      });
+    } catch (error) {
+      console.error('Error reading photo for backup:', error);
+    }
+  }
+  return photos;
+};
+
+/**
+ * Loads the settings saved on this device
+ * @returns {Promise<Object>} - Each setting's saved value, keyed by storage key
+ */
+const loadSettings = async () => {
+  const settings = {};
+  for (const { key } of SETTINGS) {
+    const storedValue = await AsyncStorage.getItem(key);
+    if (storedValue) settings[key] = JSON.parse(storedValue);
+  }
+  return settings;
+};
+
+/**
+ * Collects everything saved on this device into a backup
+ * @returns {Promise<Object>} - The backup
+ */
+export const createBackup = async () => {
+  const quotes = await loadQuotes();
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    quotes,
+    clients: await loadAllClients(),
+    settings: await loadSettings(),
+    team: await loadTeamMembers(),
+    photos: await readQuotePhotos(quotes)
+  };
+};
+
+/**
+ * Writes a backup file and opens the share sheet so it can be saved elsewhere
+ * @returns {Promise<Object>} - The file's URI and the number of quotes in it
+ */
+export const exportBackup = async () => {
+  const backup = await createBackup();
+  const fileUri = `${FileSystem.documentDirectory}QuickQuote-backup-${backup.createdAt.split('T')[0]}.json`;
+
+  await FileSystem.writeAsStringAsync(fileUri, JSON.stringify(backup));
+
+  if (await Sharing.isAvailableAsync()) {
+    await Sharing.shareAsync(fileUri, {
+      mimeType: 'application/json',
+      dialogTitle: 'Save QuickQuote backup'
+    });
+  }
+
+  return { fileUri, quoteCount: backup.quotes.length };
+};
+
+/**
+ * Lets the user choose a backup file
+ * @returns {Promise<string|null>} - The file's URI, or null if none was chosen
+ */
+export const pickBackupFile = async () => {
+  // Backup files are not always recognised as JSON, so any file can be
+  // chosen and readBackup checks it
+  const result = await DocumentPicker.getDocumentAsync({
+    type: '*/*',
+    copyToCacheDirectory: true
+  });
+
+  return result.canceled ? null : result.assets[0].uri;
+};
+
+/**
+ * Reads and checks a backup file, upgrading its quotes to the current schema
+ * @param {string} fileUri - The backup file
+ * @returns {Promise<Object>} - The backup, with the quotes that cannot be
+ * upgraded moved to `unreadable`
+ * @throws {Error} - If the file is not a backup this version of the app can restore
+ */
+export const readBackup = async (fileUri) => {
+  let backup;
+  try {
+    backup = JSON.parse(await FileSystem.readAsStringAsync(fileUri));
+  } catch (error) {
+    throw new Error('This file is not a QuickQuote backup.');
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a QuickQuote backup.');
+  }
+  if (!(backup.version <= BACKUP_VERSION)) {
+    throw new Error('This backup was made by a newer version of QuickQuote. Please update the app to restore it.');
+  }
+  if (!Array.isArray(backup.quotes) || !Array.isArray(backup.clients)) {
+    throw new Error('This backup is incomplete and cannot be restored.');
+  }
+
+  const schemaVersion = parseInt(backup.schemaVersion, 10) || 0;
+  const quotes = [];
+  const unreadable = [];
+  backup.quotes.forEach(record => {
+    try {
+      quotes.push(upgradeQuote(record, schemaVersion));
+    } catch (error) {
+      unreadable.push({ record, error: error.message, schemaVersion });
+    }
+  });
+
+  return {
+    createdAt: backup.createdAt || null,
+    quotes,
+    unreadable,
+    clients: backup.clients.filter(client => client && client.id),
+    settings: backup.settings || {},
+    // Backups made before the team was included have none
+    team: Array.isArray(backup.team) ? backup.team.filter(member => member && member.id) : [],
+    photos: backup.photos || {}
+  };
+};
+
+/**
+ * Counts how a backup's records compare with this device's
+ * @param {Array} current - Records on this device
+ * @param {Array} backup - Records in the backup
+ * @returns {Object} - added (only in the backup), matching (in both) and
+ * localOnly (only on this device)
+ */
+const compareRecords = (current, backup) => {
+  const currentIds = new Set(current.map(item => item.id));
+  const backupIds = new Set(backup.map(item => item.id));
+
+  return {
+    added: backup.filter(item => !currentIds.has(item.id)).length,
+    matching: backup.filter(item => currentIds.has(item.id)).length,
+    localOnly: current.filter(item => !backupIds.has(item.id)).length
+  };
+};
+
+/**
+ * Works out what restoring a backup would change
+ * @param {Object} backup - Backup from readBackup
+ * @returns {Promise<Object>} - Counts for quotes, clients and the team, the
+ * settings that differ, and the number of photos and unreadable quotes. The
+ * quote counts include `synced`: quotes only on this device that are synced
+ * to the business, which come back after a replace.
+ */
+export const previewRestore = async (backup) => {
+  const settings = await loadSettings();
+  const isActive = client => !client.deleted;
+  const currentQuotes = await loadQuotes();
+  const backupQuoteIds = new Set(backup.quotes.map(quote => quote.id));
+  const syncedQuoteIds = new Set(await getSyncedQuoteIds());
+
+  return {
+    createdAt: backup.createdAt,
+    quotes: {
+      ...compareRecords(currentQuotes, backup.quotes),
+      synced: currentQuotes.filter(quote => !backupQuoteIds.has(quote.id) && syncedQuoteIds.has(quote.id)).length
+    },
+    clients: compareRecords((await loadAllClients()).filter(isActive), backup.clients.filter(isActive)),
+    team: compareRecords(await loadTeamMembers(), backup.team),
+    settings: SETTINGS
+      .filter(({ key }) => backup.settings[key] !== undefined
+        && JSON.stringify(backup.settings[key]) !== JSON.stringify(settings[key]))
+      .map(({ label }) => label),
+    photos: Object.keys(backup.photos).length,
+    unreadable: backup.unreadable.length
+  };
+};
+
+/**
+ * Describes a restore preview for the user
+ * @param {Object} preview - Preview from previewRestore
+ * @returns {Array} - Lines of text
+ */
+export const describeRestorePreview = (preview) => {
+  const describeCounts = (label, { added, matching, localOnly }) => (
+    `${label}: ${added} new, ${matching} already on this device, ${localOnly} only on this device`
+  );
+
+  return [
+    preview.createdAt
+      ? `Backup made ${new Date(preview.createdAt).toLocaleString()}.`
+      : 'Backup made by an unknown date.',
+    describeCounts('Quotes', preview.quotes),
+    ...(preview.quotes.synced > 0
+      ? [`${preview.quotes.synced} of the quotes only on this device ${preview.quotes.synced === 1 ? 'is' : 'are'} synced to your business. Replacing removes them from this device only, and the next sync downloads them again.`]
+      : []),
+    describeCounts('Clients', preview.clients),
+    `Team: ${preview.team.added + preview.team.matching} in the backup, ${preview.team.added} no longer on your team. The team is kept in your business account and is not restored.`,
+    `Photos: ${preview.photos}`,
+    preview.settings.length > 0
+      ? `Settings that differ: ${preview.settings.join(', ')}`
+      : 'Settings: same as this device',
+    ...(preview.unreadable > 0
+      ? [`${preview.unreadable} ${preview.unreadable === 1 ? 'quote' : 'quotes'} in the backup cannot be read and will be set aside.`]
+      : [])
+  ];
+};
+
+/**
+ * Writes the backup's photo files into the photos directory
+ * @param {Object} photos - Base64 file contents keyed by file name
+ */
+const writePhotos = async (photos) => {
+  if (Object.keys(photos).length === 0) return;
+
+  await FileSystem.makeDirectoryAsync(PHOTOS_DIRECTORY, { intermediates: true });
+  for (const [fileName, contents] of Object.entries(photos)) {
+    await FileSystem.writeAsStringAsync(`${PHOTOS_DIRECTORY}${fileName}`, contents, {
+      encoding: FileSystem.EncodingType.Base64
+    });
+  }
+};
+
+/**
+ * Restores a backup onto this device
+ * @param {Object} backup - Backup from readBackup
+ * @param {string} mode - One of RESTORE_MODES
+ * @returns {Promise<Object>} - Number of quotes and clients restored
+ * @throws {Error} - If the restore mode is unknown
+ */
+export const restoreBackup = async (backup, mode) => {
+  if (!Object.values(RESTORE_MODES).includes(mode)) {
+    throw new Error(`Unknown restore mode: ${mode}`);
+  }
+  const isReplace = mode === RESTORE_MODES.REPLACE;
+
+  // Photos are restored into this device's photos directory, which may not be
+  // where they were on the device the backup was made on
+  await writePhotos(backup.photos);
+  const quotes = backup.quotes.map(quote => mapQuotePhotos(quote, photo => (
+    backup.photos[getPhotoFileName(photo)]
+      ? { ...photo, uri: `${PHOTOS_DIRECTORY}${getPhotoFileName(photo)}` }
+      : photo
+  )));
+
+  const currentQuotes = await loadQuotes();
+  const currentQuoteIds = new Set(currentQuotes.map(quote => quote.id));
+  const backupQuoteIds = new Set(quotes.map(quote => quote.id));
+  const restoredQuotes = isReplace ? quotes : quotes.filter(quote => !currentQuoteIds.has(quote.id));
+  const removedQuoteIds = isReplace
+    ? currentQuotes.filter(quote => !backupQuoteIds.has(quote.id)).map(quote => quote.id)
+    : [];
+
+  // Restored quotes are queued as if new, so a sync merges them with any
+  // version in Supabase and asks about differences instead of overwriting it.
+  // Removed quotes are only removed from this device; if they are in Supabase
+  // the next sync downloads them again.
+  await forgetSyncedVersions([...restoredQuotes.map(quote => quote.id), ...removedQuoteIds]);
+  await queueQuoteChanges([], restoredQuotes);
+  await saveQuoteRecords(restoredQuotes, { queueSync: false });
+  await deleteQuoteRecords(removedQuoteIds, { queueSync: false });
+  await quarantineRecords(backup.unreadable);
+
+  // Clients keep their own change times, so a newer version in Supabase wins
+  // the next client sync and clients removed here are not deleted there
+  const currentClients = await loadAllClients();
+  const currentClientIds = new Set(currentClients.map(client => client.id));
+  const backupClientIds = new Set(backup.clients.map(client => client.id));
+  const restoredClients = isReplace
+    ? [
+      ...backup.clients,
+      ...currentClients
+        .filter(client => !backupClientIds.has(client.id) && !client.deleted)
+        .map(client => ({ ...client, deleted: true }))
+    ]
+    : backup.clients.filter(client => !currentClientIds.has(client.id));
+  await saveClientRecords(restoredClients);
+
+  const currentSettings = await loadSettings();
+  for (const setting of SETTINGS) {
+    const backupValue = backup.settings[setting.key];
+    if (backupValue === undefined) continue;
+
+    const value = isReplace
+      ? setting.replace(currentSettings[setting.key], backupValue)
+      : setting.merge(currentSettings[setting.key], backupValue);
+    await AsyncStorage.setItem(setting.key, JSON.stringify(value));
+  }
+  await globalState.init();
+
+  return {
+    quoteCount: restoredQuotes.length,
+    clientCount: restoredClients.filter(client => !client.deleted).length
+  };
+};
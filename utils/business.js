@@ -0,0 +1,29 @@
+/**
+ * Access to the current business for modules outside AuthContext
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Business record saved by AuthContext when the business is created or loaded
+const BUSINESS_KEY = 'quickquote_business';
+
+// Used when no business has been set up on this device yet
+export const LOCAL_BUSINESS_ID = 'local';
+
+/**
+ * Loads the business saved on this device
+ * @returns {Promise<Object|null>} - The business record, or null if there is none
+ */
+export const getCurrentBusiness = async () => {
+  const businessData = await AsyncStorage.getItem(BUSINESS_KEY);
+  return businessData ? JSON.parse(businessData) : null;
+};
+
+/**
+ * Gets the ID of the business saved on this device
+ * @returns {Promise<string>} - Business ID, or LOCAL_BUSINESS_ID if there is no business yet
+ */
+export const getBusinessId = async () => {
+  const business = await getCurrentBusiness();
+  return business && business.id ? String(business.id) : LOCAL_BUSINESS_ID;
+};
@@ -0,0 +1,245 @@
+/**
+ * Price book of reusable labour and material items
+ *
+ * Items are stored on the device and synced with the business's
+ * catalogue_items table in Supabase. When an item is added to a quote its
+ * values are copied onto the line item, so later price changes in the
+ * catalogue never alter quotes that were already sent.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import supabase from './supabaseClient';
+import { getBusinessId, LOCAL_BUSINESS_ID } from './business';
+import { VAT_CATEGORIES } from './pricing';
+
+// Key for storing catalogue items in AsyncStorage
+export const CATALOGUE_STORAGE_KEY = 'quickquote_catalogue';
+
+// Kinds of catalogue item
+export const CATALOGUE_ITEM_TYPES = {
+  LABOUR: 'labour',
+  MATERIAL: 'material',
+};
+
+// Display names for each kind of catalogue item
+export const CATALOGUE_ITEM_TYPE_LABELS = {
+  [CATALOGUE_ITEM_TYPES.LABOUR]: 'Labour',
+  [CATALOGUE_ITEM_TYPES.MATERIAL]: 'Material',
+};
+
+// Number of type-ahead suggestions shown in the line-item editor by default
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Loads every catalogue record, including deleted ones still waiting to sync
+ * @returns {Promise<Array>} - All catalogue records
+ */
+const loadAllItems = async () => {
+  const storedItems = await AsyncStorage.getItem(CATALOGUE_STORAGE_KEY);
+  return storedItems ? JSON.parse(storedItems) : [];
+};
+
+/**
+ * Saves every catalogue record
+ * @param {Array} items - All catalogue records
+ */
+const saveAllItems = async (items) => {
+  await AsyncStorage.setItem(CATALOGUE_STORAGE_KEY, JSON.stringify(items));
+};
+
+/**
+ * Lists the items that have not been deleted, in alphabetical order
+ * @param {Array} items - All catalogue records
+ * @returns {Array} - Active catalogue items
+ */
+const getActiveItems = (items) => {
+  return items
+    .filter(item => !item.deleted)
+    .sort((a, b) => a.description.localeCompare(b.description));
+};
+
+/**
+ * Parses a price entered on the catalogue form
+ * @param {number|string} value - The entered price
+ * @param {string} label - Name of the price, for error messages
+ * @returns {number} - The price in rand
+ * @throws {Error} - If the price is not a positive number or zero
+ */
+const parsePrice = (value, label) => {
+  const price = typeof value === 'string' ? parseFloat(value) : Number(value);
+  if (!Number.isFinite(price) || price < 0) {
+    throw new Error(`${label} must be zero or more.`);
+  }
+  return price;
+};
+
+/**
+ * Converts a catalogue item to a Supabase row
+ * @param {Object} item - Catalogue item
+ * @param {string} businessId - Business the item belongs to
+ * @returns {Object} - Row for the catalogue_items table
+ */
+const toRow = (item, businessId) => ({
+  id: item.id,
+  business_id: businessId,
+  type: item.type,
+  description: item.description,
+  unit: item.unit,
+  cost_price: item.costPrice,
+  sell_price: item.sellPrice,
+  vat_category: item.vatCategory,
+  deleted: !!item.deleted,
+  updated_at: item.updatedAt
+});
+
+/**
+ * Converts a Supabase row to a catalogue item
+ * @param {Object} row - Row from the catalogue_items table
+ * @returns {Object} - Catalogue item
+ */
+const fromRow = (row) => ({
+  id: row.id,
+  type: row.type,
+  description: row.description,
+  unit: row.unit || '',
+  costPrice: Number(row.cost_price) || 0,
+  sellPrice: Number(row.sell_price) || 0,
+  vatCategory: row.vat_category || VAT_CATEGORIES.STANDARD,
+  deleted: !!row.deleted,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Loads the catalogue items that have not been deleted
+ * @returns {Promise<Array>} - Active catalogue items
+ */
+export const loadCatalogue = async () => {
+  return getActiveItems(await loadAllItems());
+};
+
+/**
+ * Adds a new catalogue item or updates an existing one
+ * @param {Object} item - Item with type, description, unit, costPrice, sellPrice and vatCategory
+ * @returns {Promise<Object>} - The saved item
+ * @throws {Error} - If the item is missing a description or has an invalid price
+ */
+export const saveCatalogueItem = async (item) => {
+  const description = (item.description || '').trim();
+  if (!description) {
+    throw new Error('Please enter a description for the item.');
+  }
+
+  const savedItem = {
+    id: item.id || `c${Date.now()}`,
+    type: item.type || CATALOGUE_ITEM_TYPES.MATERIAL,
+    description,
+    unit: (item.unit || '').trim(),
+    costPrice: parsePrice(item.costPrice, 'Cost price'),
+    sellPrice: parsePrice(item.sellPrice, 'Sell price'),
+    vatCategory: item.vatCategory || VAT_CATEGORIES.STANDARD,
+    deleted: false,
+    updatedAt: new Date().toISOString()
+  };
+
+  const items = await loadAllItems();
+  await saveAllItems([
+    ...items.filter(existing => existing.id !== savedItem.id),
+    savedItem
+  ]);
+
+  return savedItem;
+};
+
+/**
+ * Removes an item from the catalogue
+ * @param {string} itemId - ID of the item to remove
+ */
+export const deleteCatalogueItem = async (itemId) => {
+  const items = await loadAllItems();
+
+  // Keep a deleted marker so the removal reaches Supabase on the next sync
+  await saveAllItems(items.map(item =>
+    item.id === itemId
+      ? { ...item, deleted: true, updatedAt: new Date().toISOString() }
+      : item
+  ));
+};
+
+/**
+ * Finds catalogue items matching what has been typed in a line item
+ * @param {Array} items - Active catalogue items
+ * @param {string} query - Text typed so far
+ * @param {number} limit - Most matches to return
+ * @returns {Array} - Matching items, those starting with the text first
+ */
+export const searchCatalogue = (items, query, limit = MAX_SUGGESTIONS) => {
+  const search = (query || '').trim().toLowerCase();
+  if (!search) return [];
+
+  const matches = items.filter(item => item.description.toLowerCase().includes(search));
+  const startsWith = matches.filter(item => item.description.toLowerCase().startsWith(search));
+  const contains = matches.filter(item => !item.description.toLowerCase().startsWith(search));
+
+  return [...startsWith, ...contains].slice(0, limit);
+};
+
+/**
+ * Copies a catalogue item's values onto a quote line item
+ * @param {Object} lineItem - The line item being edited
+ * @param {Object} catalogueItem - The catalogue item picked
+ * @returns {Object} - The line item with the catalogue values
+ */
+export const applyCatalogueItem = (lineItem, catalogueItem) => ({
+  ...lineItem,
+  description: catalogueItem.description,
+  price: catalogueItem.sellPrice,
+  unit: catalogueItem.unit,
+  costPrice: catalogueItem.costPrice,
+  vatCategory: catalogueItem.vatCategory,
+  catalogueItemId: catalogueItem.id
+});
+
+/**
+ * Exchanges catalogue changes with Supabase, keeping the most recent
+ * version of each item
+ * @returns {Promise<Array>} - Active catalogue items after syncing
+ * @throws {Error} - If Supabase rejects the upload or download
+ */
+export const syncCatalogue = async () => {
+  const businessId = await getBusinessId();
+  const localItems = await loadAllItems();
+
+  // Nothing to sync with until the business exists in Supabase
+  if (businessId === LOCAL_BUSINESS_ID) {
+    return getActiveItems(localItems);
+  }
+
+  const { data, error } = await supabase
+    .from('catalogue_items')
+    .select('*')
+    .eq('business_id', businessId);
+
+  if (error) throw error;
+
+  const mergedItems = {};
+  [...(data || []).map(fromRow), ...localItems].forEach(item => {
+    const existing = mergedItems[item.id];
+    if (!existing || new Date(item.updatedAt) > new Date(existing.updatedAt)) {
+      mergedItems[item.id] = item;
+    }
+  });
+
+  const items = Object.values(mergedItems);
+
+  if (items.length > 0) {
+    const { error: uploadError } = await supabase
+      .from('catalogue_items')
+      .upsert(items.map(item => toRow(item, businessId)));
+
+    if (uploadError) throw uploadError;
+  }
+
+  await saveAllItems(items);
+
+  return getActiveItems(items);
+};
@@ -0,0 +1,299 @@
+/**
+ * Customer directory
+ *
+ * Clients are stored on the device and synced with the business's clients
+ * table in Supabase. A quote keeps a copy of the client's details as they were
+ * when it was written, plus the client's ID so all of a client's quotes,
+ * invoices and payments can be found again.
+ *
+ * On the device clients are kept in the clients table of the local database
+ * (utils/database.js), indexed by name.
+ */
+
+import supabase from './supabaseClient';
+import { getBusinessId, LOCAL_BUSINESS_ID } from './business';
+import { getDatabase } from './database';
+import { QUOTE_STATUS, queryQuotes, saveQuoteRecords } from './quoteStore';
+import { getContacts, cleanContacts, validateContacts } from './contacts';
+import { cleanSites } from './sites';
+
+// Key clients were stored under in AsyncStorage before the local database
+export const CLIENTS_STORAGE_KEY = 'quickquote_clients';
+
+/**
+ * Reads a stored client record
+ * @param {Object} row - Row from the clients table
+ * @returns {Object} - The client
+ */
+const fromStoredRow = (row) => {
+  const client = JSON.parse(row.data);
+
+  // Clients saved with a single phone number or email get a contacts list
+  return {
+    ...client,
+    contacts: getContacts(client),
+    sites: client.sites || []
+  };
+};
+
+/**
+ * Loads every client record, including deleted ones still waiting to sync
+ * @returns {Promise<Array>} - All client records
+ */
+export const loadAllClients = async () => {
+  const database = await getDatabase();
+  const rows = await database.getAllAsync('SELECT data FROM clients');
+  return rows.map(fromStoredRow);
+};
+
+/**
+ * Adds or updates client records, leaving the other stored clients as they are
+ * @param {Array} clients - Client records
+ */
+export const saveClientRecords = async (clients) => {
+  if (clients.length === 0) return;
+
+  const database = await getDatabase();
+  await database.withTransactionAsync(async () => {
+    for (const client of clients) {
+      await database.runAsync(
+        'INSERT OR REPLACE INTO clients (id, name, deleted, data) VALUES (?, ?, ?, ?)',
+        [client.id, client.name || '', client.deleted ? 1 : 0, JSON.stringify(client)]
+      );
+    }
+  });
+};
+
+/**
+ * Lists the clients that have not been deleted, in alphabetical order
+ * @param {Array} clients - All client records
+ * @returns {Array} - Active clients
+ */
+const getActiveClients = (clients) => {
+  return clients
+    .filter(client => !client.deleted)
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Converts a client to a Supabase row
+ * @param {Object} client - Client record
+ * @param {string} businessId - Business the client belongs to
+ * @returns {Object} - Row for the clients table
+ */
+const toRow = (client, businessId) => ({
+  id: client.id,
+  business_id: businessId,
+  name: client.name,
+  contacts: client.contacts,
+  address: client.address,
+  sites: client.sites,
+  deleted: !!client.deleted,
+  updated_at: client.updatedAt
+});
+
+/**
+ * Converts a Supabase row to a client
+ * @param {Object} row - Row from the clients table
+ * @returns {Object} - Client record
+ */
+const fromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  // Rows written before the contacts column keep their single phone number or email
+  contacts: row.contacts && row.contacts.length > 0
+    ? row.contacts
+    : getContacts({ contactType: row.contact_type, phoneNumber: row.phone_number, email: row.email }),
+  address: row.address || '',
+  sites: row.sites || [],
+  deleted: !!row.deleted,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Loads the clients that have not been deleted
+ * @returns {Promise<Array>} - Active clients
+ */
+export const loadClients = async () => {
+  const database = await getDatabase();
+  const rows = await database.getAllAsync(
+    'SELECT data FROM clients WHERE deleted = 0 ORDER BY name COLLATE NOCASE'
+  );
+  return rows.map(fromStoredRow);
+};
+
+/**
+ * Finds a client by ID
+ * @param {string} clientId - ID of the client
+ * @returns {Promise<Object|null>} - The client, or null if there is no such client
+ */
+export const getClient = async (clientId) => {
+  const database = await getDatabase();
+  const row = await database.getFirstAsync(
+    'SELECT data FROM clients WHERE id = ? AND deleted = 0',
+    [clientId]
+  );
+  return row ? fromStoredRow(row) : null;
+};
+
+/**
+ * Adds a new client or updates an existing one
+ * @param {Object} client - Client with name, contacts, billing address and sites
+ * @returns {Promise<Object>} - The saved client
+ * @throws {Error} - If the client has no name or a contact is invalid
+ */
+export const saveClient = async (client) => {
+  const name = (client.name || '').trim();
+  if (!name) {
+    throw new Error('Please enter a name for the client.');
+  }
+
+  const contacts = cleanContacts(client.contacts || []);
+  validateContacts(contacts);
+
+  const savedClient = {
+    id: client.id || `cl${Date.now()}`,
+    name,
+    contacts,
+    address: (client.address || '').trim(),
+    sites: cleanSites(client.sites || []),
+    deleted: false,
+    updatedAt: new Date().toISOString()
+  };
+
+  await saveClientRecords([savedClient]);
+
+  return savedClient;
+};
+
+/**
+ * Removes a client from the directory. Their quotes keep the client's details.
+ * @param {string} clientId - ID of the client to remove
+ */
+export const deleteClient = async (clientId) => {
+  const client = await getClient(clientId);
+  if (!client) return;
+
+  // Keep a deleted marker so the removal reaches Supabase on the next sync
+  await saveClientRecords([{ ...client, deleted: true, updatedAt: new Date().toISOString() }]);
+};
+
+/**
+ * Finds clients by name or any of their contact details
+ * @param {Array} clients - Active clients
+ * @param {string} query - Text typed so far
+ * @returns {Array} - Matching clients
+ */
+export const searchClients = (clients, query) => {
+  const search = (query || '').trim().toLowerCase();
+  if (!search) return clients;
+
+  return clients.filter(client =>
+    [client.name, ...client.contacts.map(contact => contact.value)]
+      .some(value => (value || '').toLowerCase().includes(search))
+  );
+};
+
+/**
+ * Copies a client's details onto a quote. The quote keeps its chosen site,
+ * updated if the client's copy of that site has changed.
+ * @param {Object} quote - The quote
+ * @param {Object} client - The client
+ * @returns {Object} - The quote with the client's details
+ */
+export const applyClientToQuote = (quote, client) => ({
+  ...quote,
+  clientId: client.id,
+  customerName: client.name,
+  contacts: client.contacts,
+  clientAddress: client.address,
+  site: (quote.site && client.sites.find(site => site.id === quote.site.id)) || quote.site || null
+});
+
+/**
+ * Lists a client's quotes, newest first
+ * @param {Array} quotes - All quotes
+ * @param {string} clientId - ID of the client
+ * @returns {Array} - The client's quotes
+ */
+export const getClientQuotes = (quotes, clientId) => {
+  return quotes
+    .filter(quote => quote.clientId === clientId)
+    .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+};
+
+// Statuses of the quotes and jobs client changes are copied onto: drafts, and
+// jobs accepted or scheduled but not yet finished. A quote waiting on the
+// customer keeps the details they received, and a finished job keeps the
+// details on its invoice.
+export const OPEN_QUOTE_STATUSES = [
+  QUOTE_STATUS.DRAFT,
+  QUOTE_STATUS.ACCEPTED,
+  QUOTE_STATUS.SCHEDULED,
+];
+
+/**
+ * Checks whether client changes can be copied onto a quote
+ * @param {Object} quote - The quote
+ * @returns {boolean} - Whether the quote is a draft or a job still in progress
+ */
+export const isOpenQuote = (quote) => OPEN_QUOTE_STATUSES.includes(quote.status);
+
+/**
+ * Copies a client's current details onto their drafts and jobs in progress
+ * @param {Object} client - The updated client
+ * @returns {Promise<number>} - Number of quotes updated
+ */
+export const updateOpenQuotesForClient = async (client) => {
+  const quotes = await queryQuotes({ statuses: OPEN_QUOTE_STATUSES, clientId: client.id });
+  const updatedQuotes = quotes.map(quote => applyClientToQuote(quote, client));
+
+  await saveQuoteRecords(updatedQuotes);
+
+  return updatedQuotes.length;
+};
+
+/**
+ * Exchanges client changes with Supabase, keeping the most recent version of
+ * each client
+ * @returns {Promise<Array>} - Active clients after syncing
+ * @throws {Error} - If Supabase rejects the upload or download
+ */
+export const syncClients = async () => {
+  const businessId = await getBusinessId();
+  const localClients = await loadAllClients();
+
+  // Nothing to sync with until the business exists in Supabase
+  if (businessId === LOCAL_BUSINESS_ID) {
+    return getActiveClients(localClients);
+  }
+
+  const { data, error } = await supabase
+    .from('clients')
+    .select('*')
+    .eq('business_id', businessId);
+
+  if (error) throw error;
+
+  const mergedClients = {};
+  [...(data || []).map(fromRow), ...localClients].forEach(client => {
+    const existing = mergedClients[client.id];
+    if (!existing || new Date(client.updatedAt) > new Date(existing.updatedAt)) {
+      mergedClients[client.id] = client;
+    }
+  });
+
+  const clients = Object.values(mergedClients);
+
+  if (clients.length > 0) {
+    const { error: uploadError } = await supabase
+      .from('clients')
+      .upsert(clients.map(client => toRow(client, businessId)));
+
+    if (uploadError) throw uploadError;
+  }
+
+  await saveClientRecords(clients);
+
+  return getActiveClients(clients);
+};
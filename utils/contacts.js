@@ -0,0 +1,162 @@
+/**
+ * Client contact methods
+ *
+ * Clients and quotes hold a list of contacts, each a mobile number, WhatsApp
+ * number or email address used either for the site or for billing. Records
+ * saved before contacts existed have a single phone number or email chosen by
+ * contactType, which is read as one site contact.
+ */
+
+// Ways of reaching a client
+export const CONTACT_TYPES = {
+  MOBILE: 'mobile',
+  WHATSAPP: 'whatsapp',
+  EMAIL: 'email'
+};
+
+// Names shown for each contact type
+export const CONTACT_TYPE_LABELS = {
+  [CONTACT_TYPES.MOBILE]: 'Mobile',
+  [CONTACT_TYPES.WHATSAPP]: 'WhatsApp',
+  [CONTACT_TYPES.EMAIL]: 'Email'
+};
+
+// What a contact is used for
+export const CONTACT_PURPOSES = {
+  SITE: 'site',
+  BILLING: 'billing'
+};
+
+// Names shown for each contact purpose
+export const CONTACT_PURPOSE_LABELS = {
+  [CONTACT_PURPOSES.SITE]: 'Site',
+  [CONTACT_PURPOSES.BILLING]: 'Billing'
+};
+
+// Phone numbers: an optional + and 9 to 15 digits once spaces, dashes and brackets are removed
+const PHONE_PATTERN = /^\+?\d{9,15}$/;
+
+// Email addresses: something@domain.tld with no spaces
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Creates an empty contact
+ * @param {string} type - One of CONTACT_TYPES
+ * @param {string} purpose - One of CONTACT_PURPOSES
+ * @returns {Object} - The contact
+ */
+export const createContact = (type = CONTACT_TYPES.MOBILE, purpose = CONTACT_PURPOSES.SITE) => ({
+  id: `ct${Date.now()}${Math.floor(Math.random() * 1000)}`,
+  type,
+  purpose,
+  name: '',
+  value: ''
+});
+
+/**
+ * Lists a client's or quote's contacts, converting the single phone number or
+ * email saved on older records
+ * @param {Object} record - Client or quote
+ * @returns {Array} - Contacts
+ */
+export const getContacts = (record) => {
+  if (!record) return [];
+  if (Array.isArray(record.contacts)) return record.contacts;
+
+  const isEmail = record.contactType === 'email';
+  const value = isEmail ? record.email : record.phoneNumber;
+  if (!value) return [];
+
+  return [{
+    id: 'legacy',
+    type: isEmail ? CONTACT_TYPES.EMAIL : CONTACT_TYPES.MOBILE,
+    purpose: CONTACT_PURPOSES.SITE,
+    name: '',
+    value
+  }];
+};
+
+/**
+ * Lists the contacts to use for a purpose. Billing falls back to the site
+ * contacts when no separate billing contact was given.
+ * @param {Object} record - Client or quote
+ * @param {string} purpose - One of CONTACT_PURPOSES
+ * @returns {Array} - Contacts for the purpose
+ */
+export const getContactsFor = (record, purpose) => {
+  const contacts = getContacts(record);
+  const matching = contacts.filter(contact => contact.purpose === purpose);
+  if (matching.length > 0) return matching;
+
+  return purpose === CONTACT_PURPOSES.BILLING
+    ? contacts.filter(contact => contact.purpose === CONTACT_PURPOSES.SITE)
+    : [];
+};
+
+/**
+ * Finds the main contact for a purpose
+ * @param {Object} record - Client or quote
+ * @param {string} purpose - One of CONTACT_PURPOSES
+ * @returns {Object|null} - The contact, or null if there is none
+ */
+export const getContactFor = (record, purpose) => {
+  return getContactsFor(record, purpose)[0] || null;
+};
+
+/**
+ * Formats a contact for display
+ * @param {Object} contact - The contact
+ * @returns {string} - Text such as "WhatsApp: 082 555 1234 (Thandi)"
+ */
+export const formatContact = (contact) => {
+  if (!contact) return '';
+  const name = contact.name ? ` (${contact.name})` : '';
+  return `${CONTACT_TYPE_LABELS[contact.type] || 'Contact'}: ${contact.value}${name}`;
+};
+
+/**
+ * Checks a contact's value against its type
+ * @param {Object} contact - The contact
+ * @returns {string|null} - What is wrong with the contact, or null if it is valid
+ */
+export const getContactError = (contact) => {
+  const isEmail = contact.type === CONTACT_TYPES.EMAIL;
+  const typeName = contact.type === CONTACT_TYPES.WHATSAPP ? CONTACT_TYPE_LABELS[contact.type] : contact.type;
+  const description = `${contact.purpose} ${typeName} ${isEmail ? 'address' : 'number'}`;
+  const value = (contact.value || '').trim();
+
+  if (!value) {
+    return `Please enter the ${description}.`;
+  }
+
+  const isValid = isEmail
+    ? EMAIL_PATTERN.test(value)
+    : PHONE_PATTERN.test(value.replace(/[\s\-()]/g, ''));
+
+  return isValid ? null : `The ${description} "${value}" is not valid.`;
+};
+
+/**
+ * Trims contacts and drops any left empty
+ * @param {Array} contacts - Contacts as entered
+ * @returns {Array} - Contacts with a value
+ */
+export const cleanContacts = (contacts) => {
+  return contacts
+    .map(contact => ({ ...contact, name: (contact.name || '').trim(), value: (contact.value || '').trim() }))
+    .filter(contact => contact.value);
+};
+
+/**
+ * Checks every contact is valid
+ * @param {Array} contacts - Contacts to check
+ * @throws {Error} - Describing the first invalid contact
+ */
+export const validateContacts = (contacts) => {
+  contacts.forEach(contact => {
+    const error = getContactError(contact);
+    if (error) {
+      throw new Error(error);
+    }
+  });
+};
@@ -0,0 +1,291 @@
+/**
+ * CSV exports for bookkeeping
+ *
+ * Quotes, invoices and payments for a date range are exported as CSV files
+ * that open in any spreadsheet. The columns of each export are listed below
+ * with what each one holds. Column names and order are fixed so imports and
+ * formulas set up against one export keep working with the next: new columns
+ * are only ever added at the end, and a column is never renamed or reused.
+ *
+ * Values are written the same way whatever the device's language settings:
+ * dates as YYYY-MM-DD, amounts in rand with a full stop and two decimals and
+ * no thousands separator, and text quoted as in RFC 4180. Text that a
+ * spreadsheet would run as a formula is written with a leading apostrophe.
+ * The columns are also described for bookkeepers in the README.
+ */
+
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { QUOTE_STATUS, queryQuotes, queryPayments } from './quoteStore';
+import { calculateQuoteTotals, calculatePaymentFees, formatCents } from './pricing';
+import { CONTACT_TYPES, CONTACT_PURPOSES, getContacts, getContactsFor } from './contacts';
+
+// Dates entered for an export range
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Characters that make a spreadsheet read a cell as a formula
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+// Plain numbers, such as negative amounts, which are not formulas
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// Names shown for each kind of payment
+const PAYMENT_TYPES = {
+  deposit: 'Deposit',
+  final: 'Final payment'
+};
+
+/**
+ * Formats an amount for export
+ * @param {number} cents - Amount in cents
+ * @returns {string} - Amount in rand, e.g. 1234.50
+ */
+const formatAmount = (cents) => formatCents(cents || 0);
+
+/**
+ * Formats a date for export
+ * @param {string} value - Date (YYYY-MM-DD) or ISO timestamp
+ * @returns {string} - The date as YYYY-MM-DD, or empty if there is none
+ */
+export const formatExportDate = (value) => (value ? String(value).slice(0, 10) : '');
+
+/**
+ * Finds the date a quote's invoice was issued. Invoices issued before the
+ * date was recorded use the final payment or completion date.
+ * @param {Object} quote - Invoiced quote
+ * @returns {string|null} - Invoice date (YYYY-MM-DD)
+ */
+export const getInvoiceDate = (quote) => {
+  return formatExportDate(quote.invoiceDate || quote.finalPaymentDate || quote.completedDate) || null;
+};
+
+/**
+ * Finds the email address invoices for a quote are sent to
+ * @param {Object} quote - The quote
+ * @returns {string} - Billing email, else any email, else empty
+ */
+export const getBillingEmail = (quote) => {
+  const isEmail = contact => contact.type === CONTACT_TYPES.EMAIL;
+  const contact = getContactsFor(quote, CONTACT_PURPOSES.BILLING).find(isEmail)
+    || getContacts(quote).find(isEmail);
+  return contact ? contact.value : '';
+};
+
+/**
+ * Adds up the payments received for a quote
+ * @param {Object} quote - The quote
+ * @returns {number} - Gross amount received, in cents
+ */
+const getAmountPaid = (quote) => {
+  const { depositAmount, balanceAmount } = calculateQuoteTotals(quote);
+  return (quote.depositDate ? depositAmount : 0) + (quote.finalPaymentDate ? balanceAmount : 0);
+};
+
+// Columns of the quotes export. Each row is { quote, totals }.
+export const QUOTE_COLUMNS = [
+  { header: 'quote_number', description: 'Quote number, e.g. Q-0001', value: ({ quote }) => quote.quoteNumber },
+  { header: 'status', description: 'Draft, Sent, Accepted, Scheduled Work, Complete, Declined, Expired or Cancelled', value: ({ quote }) => quote.status },
+  { header: 'quote_date', description: 'Date the quote was written or sent', value: ({ quote }) => formatExportDate(quote.date) },
+  { header: 'valid_until', description: 'Last day the quote can be accepted, if it has a validity period', value: ({ quote }) => formatExportDate(quote.validUntil) },
+  { header: 'customer_name', description: 'Client the quote is for', value: ({ quote }) => quote.customerName },
+  { header: 'customer_email', description: 'Billing email, or any email the client has', value: ({ quote }) => getBillingEmail(quote) },
+  { header: 'description', description: 'Job description', value: ({ quote }) => quote.description },
+  { header: 'subtotal', description: 'Line items before discounts', value: ({ totals }) => formatAmount(totals.subtotal) },
+  { header: 'discount', description: 'Line and quote discounts', value: ({ totals }) => formatAmount(totals.discountAmount) },
+  { header: 'vat', description: 'VAT charged', value: ({ totals }) => formatAmount(totals.vatAmount) },
+  { header: 'service_charge', description: 'Service charge added to the quote', value: ({ totals }) => formatAmount(totals.serviceChargeAmount) },
+  { header: 'total', description: 'Amount the client pays', value: ({ totals }) => formatAmount(totals.total) },
+  { header: 'deposit', description: 'Deposit due before the work is booked', value: ({ totals }) => formatAmount(totals.depositAmount) },
+  { header: 'lost_reason', description: 'Why the work was lost, for declined, expired and cancelled quotes', value: ({ quote }) => quote.lostReason },
+];
+
+// Columns of the invoices export. Each row is { quote, totals }.
+export const INVOICE_COLUMNS = [
+  { header: 'invoice_number', description: 'Invoice number, e.g. INV-0001', value: ({ quote }) => quote.invoiceNumber },
+  { header: 'invoice_date', description: 'Date the invoice was issued', value: ({ quote }) => getInvoiceDate(quote) },
+  { header: 'quote_number', description: 'Quote the invoice was raised from', value: ({ quote }) => quote.quoteNumber },
+  { header: 'customer_name', description: 'Client invoiced', value: ({ quote }) => quote.customerName },
+  { header: 'customer_email', description: 'Billing email, or any email the client has', value: ({ quote }) => getBillingEmail(quote) },
+  { header: 'billing_address', description: "Client's billing address", value: ({ quote }) => quote.clientAddress },
+  { header: 'description', description: 'Job description', value: ({ quote }) => quote.description },
+  { header: 'subtotal', description: 'Line items before discounts', value: ({ totals }) => formatAmount(totals.subtotal) },
+  { header: 'discount', description: 'Line and quote discounts', value: ({ totals }) => formatAmount(totals.discountAmount) },
+  { header: 'vat', description: 'VAT charged', value: ({ totals }) => formatAmount(totals.vatAmount) },
+  { header: 'service_charge', description: 'Service charge added to the invoice', value: ({ totals }) => formatAmount(totals.serviceChargeAmount) },
+  { header: 'total', description: 'Invoice total', value: ({ totals }) => formatAmount(totals.total) },
+  { header: 'amount_paid', description: 'Deposit and final payment received', value: ({ quote }) => formatAmount(getAmountPaid(quote)) },
+  { header: 'amount_due', description: 'Total less the amount paid', value: ({ quote, totals }) => formatAmount(totals.total - getAmountPaid(quote)) },
+  { header: 'paid_date', description: 'Date the final payment was received, if it has been', value: ({ quote }) => formatExportDate(quote.finalPaymentDate) },
+];
+
+// Columns of the payments export. Each row is { payment, quote, fees }.
+export const PAYMENT_COLUMNS = [
+  { header: 'payment_id', description: 'Stable ID of the payment, the same in every export', value: ({ payment }) => payment.id },
+  { header: 'payment_date', description: 'Date the payment was received', value: ({ payment }) => formatExportDate(payment.paidOn) },
+  { header: 'payment_type', description: 'Deposit or Final payment', value: ({ payment }) => PAYMENT_TYPES[payment.kind] },
+  { header: 'quote_number', description: 'Quote the payment is for', value: ({ quote }) => quote.quoteNumber },
+  { header: 'invoice_number', description: 'Invoice the payment settles, once issued', value: ({ quote }) => quote.invoiceNumber },
+  { header: 'customer_name', description: 'Client who paid', value: ({ quote }) => quote.customerName },
+  { header: 'gross', description: 'Amount the client paid', value: ({ fees }) => formatAmount(fees.gross) },
+  { header: 'service_fee', description: 'Payment service fee deducted', value: ({ fees }) => formatAmount(fees.fee) },
+  { header: 'net', description: 'Amount received after the service fee', value: ({ fees }) => formatAmount(fees.net) },
+];
+
+/**
+ * Checks a date range entered for an export
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @throws {Error} - If a date is not valid or the range is back to front
+ */
+export const validateDateRange = (from, to) => {
+  [from, to].forEach(date => {
+    if (!DATE_PATTERN.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+      throw new Error('Please enter dates as YYYY-MM-DD, e.g. 2026-03-31.');
+    }
+  });
+  if (from > to) {
+    throw new Error('The start date must be on or before the end date.');
+  }
+};
+
+/**
+ * Checks whether a date falls within a range
+ * @param {string} value - Date or timestamp
+ * @param {Object} range - from and to (YYYY-MM-DD)
+ * @returns {boolean} - Whether the date is in the range
+ */
+const isInRange = (value, { from, to }) => {
+  const date = formatExportDate(value);
+  return Boolean(date) && date >= from && date <= to;
+};
+
+/**
+ * Loads the quotes dated within a range
+ * @param {Object} range - from and to (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Rows for QUOTE_COLUMNS, oldest first
+ */
+export const loadQuoteRows = async (range) => {
+  const quotes = await queryQuotes(range);
+  return quotes
+    .filter(quote => isInRange(quote.date, range))
+    .sort((a, b) => formatExportDate(a.date).localeCompare(formatExportDate(b.date)))
+    .map(quote => ({ quote, totals: calculateQuoteTotals(quote) }));
+};
+
+/**
+ * Loads the invoices issued within a range
+ * @param {Object} range - from and to (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Rows for INVOICE_COLUMNS, oldest first
+ */
+export const loadInvoiceRows = async (range) => {
+  // Only completed jobs are invoiced
+  const quotes = await queryQuotes({ statuses: [QUOTE_STATUS.COMPLETE] });
+  return quotes
+    .filter(quote => quote.invoiceNumber && isInRange(getInvoiceDate(quote), range))
+    .sort((a, b) => getInvoiceDate(a).localeCompare(getInvoiceDate(b))
+      || a.invoiceNumber.localeCompare(b.invoiceNumber))
+    .map(quote => ({ quote, totals: calculateQuoteTotals(quote) }));
+};
+
+/**
+ * Loads the payments received within a range
+ * @param {Object} range - from and to (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Rows for PAYMENT_COLUMNS, oldest first
+ */
+export const loadPaymentRows = async (range) => {
+  const payments = await queryPayments(range);
+  // Every quote paid in the range has a payment date in the range
+  const quotes = await queryQuotes(range);
+  const quotesById = {};
+  quotes.forEach(quote => {
+    quotesById[quote.id] = quote;
+  });
+
+  return payments
+    .filter(payment => quotesById[payment.quoteId])
+    .reverse()
+    .map(payment => ({
+      payment,
+      quote: quotesById[payment.quoteId],
+      fees: calculatePaymentFees(payment.amount)
+    }));
+};
+
+/**
+ * Quotes a value for a CSV file when it contains a separator, quote or line
+ * break. Text starting like a formula, e.g. a client named "=SUM(A1)", gets a
+ * leading apostrophe so spreadsheets show it as text instead of running it.
+ * @param {*} value - Cell value
+ * @returns {string} - The CSV field
+ */
+const toCSVField = (value) => {
+  const cell = value === null || value === undefined ? '' : String(value);
+  const text = FORMULA_PATTERN.test(cell) && !NUMBER_PATTERN.test(cell) ? `'${cell}` : cell;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV file
+ * @param {Array} columns - Columns, each with a header and a value function
+ * @param {Array} rows - Rows passed to each column's value function
+ * @returns {string} - CSV text with a header line and CRLF line endings
+ */
+export const toCSV = (columns, rows) => {
+  const lines = [
+    columns.map(column => toCSVField(column.header)),
+    ...rows.map(row => columns.map(column => toCSVField(column.value(row))))
+  ];
+  return `${lines.map(line => line.join(',')).join('\r\n')}\r\n`;
+};
+
+// Exports offered to the bookkeeper
+export const CSV_EXPORTS = {
+  quotes: { label: 'Quotes', columns: QUOTE_COLUMNS, loadRows: loadQuoteRows },
+  invoices: { label: 'Invoices', columns: INVOICE_COLUMNS, loadRows: loadInvoiceRows },
+  payments: { label: 'Payments', columns: PAYMENT_COLUMNS, loadRows: loadPaymentRows },
+};
+
+/**
+ * Writes a file to share and opens the share sheet
+ * @param {string} fileName - Name of the file
+ * @param {string} contents - Text to write
+ * @returns {Promise<string>} - The file's URI
+ */
+export const shareTextFile = async (fileName, contents) => {
+  const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(fileUri, contents);
+
+  if (await Sharing.isAvailableAsync()) {
+    await Sharing.shareAsync(fileUri, {
+      mimeType: 'text/csv',
+      UTI: 'public.comma-separated-values-text',
+      dialogTitle: fileName
+    });
+  }
+
+  return fileUri;
+};
+
+/**
+ * Exports quotes, invoices or payments for a date range as a CSV file and
+ * opens the share sheet
+ * @param {string} exportType - A key of CSV_EXPORTS
+ * @param {Object} range - from and to (YYYY-MM-DD)
+ * @returns {Promise<number>} - Number of rows exported
+ * @throws {Error} - If the export type is unknown or the range is not valid
+ */
+export const exportCSV = async (exportType, range) => {
+  const csvExport = CSV_EXPORTS[exportType];
+  if (!csvExport) {
+    throw new Error(`Unknown export: ${exportType}`);
+  }
+  validateDateRange(range.from, range.to);
+
+  const rows = await csvExport.loadRows(range);
+  await shareTextFile(
+    `QuickQuote-${exportType}-${range.from}-to-${range.to}.csv`,
+    toCSV(csvExport.columns, rows)
+  );
+
+  return rows.length;
+};
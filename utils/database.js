@@ -0,0 +1,95 @@
+/**
+ * Local database
+ *
+ * Quotes, the payments received for them and clients are kept in a SQLite
+ * database on the device. Each record is stored whole as JSON, with the fields
+ * the app looks records up by (status, client and dates) copied into indexed
+ * columns, so screens can load just the records they show and a change only
+ * rewrites the record that changed.
+ *
+ * Quote and payment rows are written by utils/quoteStore.js and client rows by
+ * utils/clients.js. Data saved by older versions of the app in AsyncStorage is
+ * moved in by migrateStorage (utils/storageSchema.js).
+ */
+
+import * as SQLite from 'expo-sqlite';
+
+// File name of the database on the device
+const DATABASE_NAME = 'quickquote.db';
+
+// Tables and indexes, created the first time the database is opened.
+// Dates are stored as YYYY-MM-DD text so ranges compare as text.
+const CREATE_TABLES = `
+  PRAGMA journal_mode = WAL;
+
+  CREATE TABLE IF NOT EXISTS quotes (
+    id TEXT PRIMARY KEY NOT NULL,
+    status TEXT NOT NULL,
+    client_id TEXT,
+    sent_on TEXT,
+    deposit_on TEXT,
+    completed_on TEXT,
+    final_payment_on TEXT,
+    lost_on TEXT,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS quotes_status_idx ON quotes (status, position);
+  CREATE INDEX IF NOT EXISTS quotes_client_idx ON quotes (client_id);
+  CREATE INDEX IF NOT EXISTS quotes_sent_on_idx ON quotes (sent_on);
+  CREATE INDEX IF NOT EXISTS quotes_deposit_on_idx ON quotes (deposit_on);
+  CREATE INDEX IF NOT EXISTS quotes_completed_on_idx ON quotes (completed_on);
+  CREATE INDEX IF NOT EXISTS quotes_final_payment_on_idx ON quotes (final_payment_on);
+  CREATE INDEX IF NOT EXISTS quotes_lost_on_idx ON quotes (lost_on);
+
+  CREATE TABLE IF NOT EXISTS payments (
+    id TEXT PRIMARY KEY NOT NULL,
+    quote_id TEXT NOT NULL,
+    client_id TEXT,
+    kind TEXT NOT NULL,
+    reference TEXT,
+    paid_on TEXT NOT NULL,
+    amount INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS payments_quote_idx ON payments (quote_id);
+  CREATE INDEX IF NOT EXISTS payments_client_idx ON payments (client_id);
+  CREATE INDEX IF NOT EXISTS payments_paid_on_idx ON payments (paid_on);
+
+  CREATE TABLE IF NOT EXISTS clients (
+    id TEXT PRIMARY KEY NOT NULL,
+    name TEXT NOT NULL,
+    deleted INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS clients_name_idx ON clients (deleted, name COLLATE NOCASE);
+`;
+
+// The open database, shared by every caller
+let databasePromise = null;
+
+/**
+ * Opens the database, creating its tables the first time
+ * @returns {Promise<Object>} - The expo-sqlite database
+ */
+export const getDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = SQLite.openDatabaseAsync(DATABASE_NAME)
+      .then(async (database) => {
+        await database.execAsync(CREATE_TABLES);
+        return database;
+      })
+      .catch(error => {
+        // Let the next call try again
+        databasePromise = null;
+        throw error;
+      });
+  }
+  return databasePromise;
+};
+
+/**
+ * Builds a SQL placeholder list for an IN clause
+ * @param {Array} values - Values to match
+ * @returns {string} - Text such as "?, ?, ?"
+ */
+export const placeholders = (values) => values.map(() => '?').join(', ');
@@ -14,6 +14,10 @@ const globalState = {
   businessAddress: '',
   businessPhone: '',
   businessEmail: '',
+  // VAT registration, which decides whether quotes charge VAT. Quotes always
+  // charged VAT before this setting existed, so registered is the default.
+  vatRegistered: true,
+  vatNumber: '',
   
   // Initialize state from AsyncStorage
   async init() {
@@ -27,6 +31,8 @@ const globalState = {
         this.businessAddress = parsedInfo.businessAddress || '';
         this.businessPhone = parsedInfo.businessPhone || '';
         this.businessEmail = parsedInfo.businessEmail || '';
+        this.vatRegistered = parsedInfo.vatRegistered ?? true;
+        this.vatNumber = parsedInfo.vatNumber || '';
       }
       return true;
     } catch (error) {
@@ -44,6 +50,9 @@ const globalState = {
       this.businessAddress = info.businessAddress || this.businessAddress;
       this.businessPhone = info.businessPhone || this.businessPhone;
       this.businessEmail = info.businessEmail || this.businessEmail;
+      // VAT details can be switched off or cleared, so only skip them when not given
+      this.vatRegistered = info.vatRegistered ?? this.vatRegistered;
+      this.vatNumber = info.vatNumber ?? this.vatNumber;
       
       // Save to AsyncStorage
       const businessInfo = {
@@ -51,7 +60,9 @@ const globalState = {
         businessLogo: this.businessLogo,
         businessAddress: this.businessAddress,
         businessPhone: this.businessPhone,
-        businessEmail: this.businessEmail
+        businessEmail: this.businessEmail,
+        vatRegistered: this.vatRegistered,
+        vatNumber: this.vatNumber
       };
       
       await AsyncStorage.setItem('businessInfo', JSON.stringify(businessInfo));
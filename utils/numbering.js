@@ -0,0 +1,410 @@
+/**
+ * Sequential document numbering for quotes, invoices and credit notes
+ *
+ * Each business has its own prefixes and counters. Counters only ever move
+ * forward: they are kept separately from the quotes, so deleting quotes or
+ * resetting the dashboard never frees a number for reuse.
+ *
+ * Once the business is in Supabase its counters are kept there, shared by
+ * every device and team member, and no number is ever issued twice. Invoice
+ * and credit note numbers are issued by Supabase one at a time, so they run in
+ * the order issued with no gaps; a document issued offline stays unnumbered
+ * until the next sync numbers it. Quotes can be numbered offline: each device
+ * reserves a small block of quote numbers at a time, so quote numbers from
+ * different devices may not be in date order. Until the business exists,
+ * numbers come from counters on this device.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import supabase from './supabaseClient';
+import { getBusinessId, LOCAL_BUSINESS_ID } from './business';
+
+// Key for storing prefixes and counters in AsyncStorage
+export const NUMBERING_STORAGE_KEY = 'quickquote_numbering';
+
+// Key for the blocks of numbers this device has reserved in Supabase. Kept out
+// of backups, as a restored block could hold numbers already issued.
+const RESERVED_NUMBERS_STORAGE_KEY = 'quickquote_reserved_numbers';
+
+// Quote numbers reserved at a time
+const RESERVED_BLOCK_SIZE = 10;
+
+// Number of digits a sequence number is padded to (e.g. Q-0001)
+const NUMBER_PADDING = 4;
+
+// Documents that get their own number sequence
+export const DOCUMENT_TYPES = {
+  QUOTE: 'quote',
+  INVOICE: 'invoice',
+  CREDIT_NOTE: 'creditNote',
+};
+
+// Fields of a quote holding its invoice and credit note numbers, the flag set
+// while the document waits to be numbered and the date it is dated when
+// numbered. These numbers are only issued by Supabase, never from a block
+// reserved on the device.
+export const PENDING_NUMBER_FIELDS = {
+  [DOCUMENT_TYPES.INVOICE]: { number: 'invoiceNumber', pending: 'invoiceNumberPending', date: 'invoiceDate' },
+  [DOCUMENT_TYPES.CREDIT_NOTE]: { number: 'creditNoteNumber', pending: 'creditNoteNumberPending' },
+};
+
+// Prefixes used until the business sets its own
+export const DEFAULT_PREFIXES = {
+  [DOCUMENT_TYPES.QUOTE]: 'Q-',
+  [DOCUMENT_TYPES.INVOICE]: 'INV-',
+  [DOCUMENT_TYPES.CREDIT_NOTE]: 'CN-',
+};
+
+// Number updates run one at a time so two quick allocations can't read the same counter
+let pendingUpdate = Promise.resolve();
+
+/**
+ * Runs a numbering update after every update queued before it
+ * @param {Function} update - Async function to run
+ * @returns {Promise} - Resolves with the update's result
+ */
+const queueUpdate = (update) => {
+  const result = pendingUpdate.then(update);
+  pendingUpdate = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Checks that a document type has a number sequence
+ * @param {string} documentType - One of DOCUMENT_TYPES
+ * @throws {Error} - If the document type is unknown
+ */
+const checkDocumentType = (documentType) => {
+  if (!Object.values(DOCUMENT_TYPES).includes(documentType)) {
+    throw new Error(`Unknown document type: ${documentType}`);
+  }
+};
+
+/**
+ * Loads numbering data for every business on this device
+ * @returns {Promise<Object>} - Numbering settings keyed by business ID
+ */
+const loadAllNumbering = async () => {
+  const storedNumbering = await AsyncStorage.getItem(NUMBERING_STORAGE_KEY);
+  return storedNumbering ? JSON.parse(storedNumbering) : {};
+};
+
+/**
+ * Fills in defaults for a business's numbering settings
+ * @param {Object} settings - Stored settings, if any
+ * @returns {Object} - Prefixes and last issued number for each document type
+ */
+const withDefaults = (settings = {}) => {
+  const counters = {};
+  Object.values(DOCUMENT_TYPES).forEach(documentType => {
+    counters[documentType] = (settings.counters && settings.counters[documentType]) || 0;
+  });
+
+  return {
+    prefixes: { ...DEFAULT_PREFIXES, ...(settings.prefixes || {}) },
+    counters
+  };
+};
+
+/**
+ * Loads, changes and saves the current business's numbering settings without
+ * waiting for other updates; only call it from inside queueUpdate
+ * @param {Function} change - Receives the settings and returns { settings, result }
+ * @returns {Promise} - Resolves with the change's result
+ */
+const changeBusinessNumbering = async (change) => {
+  const businessId = await getBusinessId();
+  const allNumbering = await loadAllNumbering();
+  const { settings, result } = change(withDefaults(allNumbering[businessId]));
+
+  await AsyncStorage.setItem(NUMBERING_STORAGE_KEY, JSON.stringify({
+    ...allNumbering,
+    [businessId]: settings
+  }));
+
+  return result;
+};
+
+/**
+ * Loads, changes and saves the current business's numbering settings
+ * @param {Function} change - Receives the settings and returns { settings, result }
+ * @returns {Promise} - Resolves with the change's result
+ */
+const updateBusinessNumbering = (change) => queueUpdate(() => changeBusinessNumbering(change));
+
+/**
+ * Formats a sequence number with its prefix
+ * @param {string} prefix - Document prefix, e.g. "INV-"
+ * @param {number} sequence - Sequence number
+ * @returns {string} - Document number, e.g. "INV-0001"
+ */
+export const formatDocumentNumber = (prefix, sequence) => {
+  return `${prefix}${String(sequence).padStart(NUMBER_PADDING, '0')}`;
+};
+
+/**
+ * Loads the blocks of numbers this device has reserved for each business
+ * @returns {Promise<Object>} - { next, last } keyed by business ID, then document type
+ */
+const loadReservedNumbers = async () => {
+  const storedNumbers = await AsyncStorage.getItem(RESERVED_NUMBERS_STORAGE_KEY);
+  return storedNumbers ? JSON.parse(storedNumbers) : {};
+};
+
+/**
+ * Saves the block of numbers reserved for one of a business's document types
+ * @param {string} businessId - ID of the business
+ * @param {string} documentType - One of DOCUMENT_TYPES
+ * @param {Object|null} block - { next, last }, or null once it is used up
+ */
+const saveReservedBlock = async (businessId, documentType, block) => {
+  const reserved = await loadReservedNumbers();
+  await AsyncStorage.setItem(RESERVED_NUMBERS_STORAGE_KEY, JSON.stringify({
+    ...reserved,
+    [businessId]: { ...(reserved[businessId] || {}), [documentType]: block }
+  }));
+};
+
+/**
+ * Reserves the next numbers for a document type in Supabase
+ * @param {string} businessId - ID of the business
+ * @param {string} documentType - One of DOCUMENT_TYPES
+ * @param {number} amount - How many numbers to reserve
+ * @param {number} issued - Last number this device issued, which is never reserved again
+ * @returns {Promise<number>} - The first reserved number
+ */
+const reserveNumbers = async (businessId, documentType, amount, issued) => {
+  const { data, error } = await supabase.rpc('reserve_document_numbers', {
+    business: businessId,
+    doc_type: documentType,
+    amount,
+    issued
+  });
+
+  if (error) throw error;
+
+  return Number(data);
+};
+
+/**
+ * Reserves the next block of numbers for a document type in Supabase
+ * @param {string} businessId - ID of the business
+ * @param {string} documentType - One of DOCUMENT_TYPES
+ * @param {number} issued - Last number this device issued, which is never reserved again
+ * @returns {Promise<Object>} - The reserved block, as { next, last }
+ */
+const reserveBlock = async (businessId, documentType, issued) => {
+  const first = await reserveNumbers(businessId, documentType, RESERVED_BLOCK_SIZE, issued);
+  const block = { next: first, last: first + RESERVED_BLOCK_SIZE - 1 };
+  await saveReservedBlock(businessId, documentType, block);
+  return block;
+};
+
+/**
+ * Loads the last number issued for each document type across the business
+ * @param {string} businessId - ID of the business in Supabase
+ * @returns {Promise<Object>} - Last issued numbers keyed by document type
+ */
+const loadSharedCounters = async (businessId) => {
+  const { data, error } = await supabase
+    .from('document_counters')
+    .select('document_type, last_issued')
+    .eq('business_id', businessId);
+
+  if (error) throw error;
+
+  return (data || []).reduce((counters, row) => ({
+    ...counters,
+    [row.document_type]: Number(row.last_issued)
+  }), {});
+};
+
+/**
+ * Loads the current business's prefixes and the next number for each document type
+ * @returns {Promise<Object>} - Prefixes and next numbers keyed by document type
+ */
+export const loadNumberingSettings = async () => {
+  const businessId = await getBusinessId();
+  const allNumbering = await loadAllNumbering();
+  const { prefixes, counters } = withDefaults(allNumbering[businessId]);
+
+  // Numbers issued on other devices count too; offline, this device's own
+  // counters are the best guess
+  let sharedCounters = {};
+  if (businessId !== LOCAL_BUSINESS_ID) {
+    try {
+      sharedCounters = await loadSharedCounters(businessId);
+    } catch (error) {
+      console.error('Error loading shared document numbering:', error.message);
+    }
+  }
+
+  const nextNumbers = {};
+  Object.keys(counters).forEach(documentType => {
+    nextNumbers[documentType] = Math.max(counters[documentType], sharedCounters[documentType] || 0) + 1;
+  });
+
+  return { prefixes, nextNumbers };
+};
+
+/**
+ * Saves the current business's document prefixes
+ * @param {Object} prefixes - Prefixes keyed by document type
+ * @returns {Promise<Object>} - The saved prefixes
+ */
+export const saveNumberPrefixes = (prefixes) => updateBusinessNumbering(settings => {
+  const updatedPrefixes = { ...settings.prefixes };
+  Object.keys(prefixes).forEach(documentType => {
+    checkDocumentType(documentType);
+    updatedPrefixes[documentType] = prefixes[documentType].trim();
+  });
+
+  return {
+    settings: { ...settings, prefixes: updatedPrefixes },
+    result: updatedPrefixes
+  };
+});
+
+/**
+ * Moves a counter forward so numbering continues from an earlier system
+ * @param {string} documentType - One of DOCUMENT_TYPES
+ * @param {number} nextNumber - The number the next document should get
+ * @returns {Promise<number>} - The next number
+ * @throws {Error} - If the number would reuse one already issued
+ */
+export const setNextNumber = (documentType, nextNumber) => queueUpdate(async () => {
+  checkDocumentType(documentType);
+  if (!Number.isInteger(nextNumber) || nextNumber < 1) {
+    throw new Error('The next number must be a whole number above 0.');
+  }
+
+  // Checked before Supabase, so a number this device has already issued
+  // never moves the shared counter
+  const businessId = await getBusinessId();
+  const allNumbering = await loadAllNumbering();
+  const lastIssued = withDefaults(allNumbering[businessId]).counters[documentType];
+  if (nextNumber <= lastIssued) {
+    throw new Error(`The next number must be higher than ${lastIssued}, which has already been issued.`);
+  }
+
+  if (businessId !== LOCAL_BUSINESS_ID) {
+    const { error } = await supabase.rpc('set_next_document_number', {
+      business: businessId,
+      doc_type: documentType,
+      next_number: nextNumber
+    });
+
+    if (error) throw new Error(error.message);
+
+    // Numbers left in this device's block are below the new next number
+    await saveReservedBlock(businessId, documentType, null);
+  }
+
+  return changeBusinessNumbering(settings => ({
+    settings: {
+      ...settings,
+      counters: { ...settings.counters, [documentType]: nextNumber - 1 }
+    },
+    result: nextNumber
+  }));
+});
+
+/**
+ * Takes the next number from this device's block for a document type,
+ * reserving a new block in Supabase when the block is used up
+ * @param {string} businessId - ID of the business in Supabase
+ * @param {string} documentType - One of DOCUMENT_TYPES
+ * @param {number} issued - Last number this device issued
+ * @returns {Promise<number>} - The sequence number
+ * @throws {Error} - If no numbers are left and a block cannot be reserved
+ */
+const takeReservedNumber = async (businessId, documentType, issued) => {
+  const reserved = await loadReservedNumbers();
+  let block = reserved[businessId] && reserved[businessId][documentType];
+
+  if (!block || block.next > block.last) {
+    try {
+      block = await reserveBlock(businessId, documentType, issued);
+    } catch (error) {
+      console.error('Error reserving document numbers:', error.message);
+      throw new Error('No numbers are left on this device. Connect to the internet to number this document.');
+    }
+  }
+
+  const sequence = block.next;
+  await saveReservedBlock(businessId, documentType, { ...block, next: sequence + 1 });
+  return sequence;
+};
+
+/**
+ * Issues the next invoice or credit note number from Supabase
+ * @param {string} businessId - ID of the business in Supabase
+ * @param {string} documentType - DOCUMENT_TYPES.INVOICE or DOCUMENT_TYPES.CREDIT_NOTE
+ * @param {number} issued - Last number this device issued
+ * @returns {Promise<number>} - The sequence number
+ * @throws {Error} - If Supabase cannot be reached
+ */
+const takeSharedNumber = async (businessId, documentType, issued) => {
+  try {
+    return await reserveNumbers(businessId, documentType, 1, issued);
+  } catch (error) {
+    console.error('Error issuing document number:', error.message);
+    throw new Error('Invoices and credit notes are numbered online. Connect to the internet to number this document.');
+  }
+};
+
+/**
+ * Issues the next number for a document
+ * @param {string} documentType - One of DOCUMENT_TYPES
+ * @returns {Promise<string>} - The new document number, e.g. "Q-0001"
+ * @throws {Error} - If the business is in Supabase and no number can be issued
+ */
+export const allocateNumber = (documentType) => queueUpdate(async () => {
+  checkDocumentType(documentType);
+
+  const businessId = await getBusinessId();
+  const allNumbering = await loadAllNumbering();
+  const settings = withDefaults(allNumbering[businessId]);
+  const lastIssued = settings.counters[documentType];
+
+  let sequence = lastIssued + 1;
+  if (businessId !== LOCAL_BUSINESS_ID) {
+    sequence = PENDING_NUMBER_FIELDS[documentType]
+      ? await takeSharedNumber(businessId, documentType, lastIssued)
+      : await takeReservedNumber(businessId, documentType, lastIssued);
+  }
+
+  await AsyncStorage.setItem(NUMBERING_STORAGE_KEY, JSON.stringify({
+    ...allNumbering,
+    [businessId]: {
+      ...settings,
+      counters: { ...settings.counters, [documentType]: Math.max(lastIssued, sequence) }
+    }
+  }));
+
+  return formatDocumentNumber(settings.prefixes[documentType], sequence);
+});
+
+/**
+ * Numbers the invoice and credit note of a quote issued while they could not be numbered
+ * @param {Object} quote - The quote
+ * @returns {Promise<Object>} - The quote with its numbers, or the same quote if none were waiting
+ * @throws {Error} - If a number cannot be issued
+ */
+export const numberPendingDocuments = async (quote) => {
+  let numbered = quote;
+  for (const [documentType, fields] of Object.entries(PENDING_NUMBER_FIELDS)) {
+    if (numbered[fields.pending]) {
+      numbered = {
+        ...numbered,
+        [fields.number]: await allocateNumber(documentType),
+        [fields.pending]: false
+      };
+      // Dated when numbered, so the dates follow the numbers
+      if (fields.date) {
+        numbered[fields.date] = new Date().toISOString().split('T')[0];
+      }
+    }
+  }
+  return numbered;
+};
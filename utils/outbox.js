@@ -0,0 +1,197 @@
+/**
+ * Sync outbox
+ *
+ * Every change to the quotes saved on this device is queued here before it is
+ * written, so edits made offline survive until they reach Supabase. The sync
+ * service (utils/syncService.js) replays the queue in order when the device
+ * is online. Only the latest change to each quote is kept, along with the
+ * quote as it was before the first unsynced change (its base), which the sync
+ * service uses to merge changes made on other devices in the meantime.
+ *
+ * A change Supabase refuses outright (for example one the user is not allowed
+ * to make) is set aside instead of retried, so it does not hold up the changes
+ * queued after it. It stays set aside until the user discards it.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Key for storing the outbox in AsyncStorage
+export const OUTBOX_STORAGE_KEY = 'quickquote_sync_outbox';
+
+// Key for storing the changes Supabase refused
+export const REJECTED_STORAGE_KEY = 'quickquote_sync_rejected';
+
+// Kinds of change waiting in the outbox
+export const OUTBOX_OPERATIONS = {
+  SAVE: 'save',
+  DELETE: 'delete'
+};
+
+// Called with the number of waiting changes whenever the outbox changes
+const listeners = new Set();
+
+// Outbox writes run one at a time, so a change queued while a sync removes a
+// pushed entry is not lost when both save the outbox
+let pendingUpdate = Promise.resolve();
+
+/**
+ * Runs an outbox write after every write queued before it
+ * @param {Function} update - Async function to run
+ * @returns {Promise} - Resolves with the update's result
+ */
+const queueUpdate = (update) => {
+  const result = pendingUpdate.then(update);
+  pendingUpdate = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Loads the changes waiting to be synced
+ * @returns {Promise<Array>} - Outbox entries, oldest first
+ */
+export const loadOutbox = async () => {
+  const storedOutbox = await AsyncStorage.getItem(OUTBOX_STORAGE_KEY);
+  return storedOutbox ? JSON.parse(storedOutbox) : [];
+};
+
+/**
+ * Saves the outbox and tells listeners how many changes are waiting
+ * @param {Array} entries - Outbox entries
+ */
+const saveOutbox = async (entries) => {
+  await AsyncStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(entries));
+  listeners.forEach(listener => listener(entries.length));
+};
+
+/**
+ * Listens for changes to the outbox
+ * @param {Function} listener - Called with the number of waiting changes
+ * @returns {Function} - Stops listening
+ */
+export const subscribeToOutbox = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Queues the differences between the saved quotes and the quotes about to be saved
+ * @param {Array} previousQuotes - Quotes currently saved
+ * @param {Array} quotes - Quotes about to be saved
+ * @returns {Promise<number>} - Number of changes queued
+ */
+export const queueQuoteChanges = async (previousQuotes, quotes) => {
+  const previousById = {};
+  previousQuotes.forEach(quote => {
+    previousById[quote.id] = quote;
+  });
+
+  const currentIds = new Set(quotes.map(quote => quote.id));
+  const queuedAt = new Date().toISOString();
+
+  const changes = [
+    ...quotes
+      .filter(quote => JSON.stringify(previousById[quote.id]) !== JSON.stringify(quote))
+      .map(quote => ({ quoteId: quote.id, quote, base: previousById[quote.id] || null })),
+    ...previousQuotes
+      .filter(quote => !currentIds.has(quote.id))
+      .map(quote => ({ quoteId: quote.id, quote: null, base: quote }))
+  ];
+
+  if (changes.length === 0) return 0;
+
+  await replaceWaitingChanges(changes.map(change => ({ ...change, queuedAt })));
+
+  return changes.length;
+};
+
+/**
+ * Queues a quote to be synced as it is, against a given base. Used when a sync
+ * conflict is resolved, as the resolved quote may match the one already saved.
+ * @param {string} quoteId - The quote
+ * @param {Object|null} quote - The quote to sync, or null to delete it
+ * @param {Object|null} base - The version of the quote the change was made to
+ */
+export const queueQuoteChange = async (quoteId, quote, base) => {
+  await replaceWaitingChanges(
+    [{ quoteId, quote, base, queuedAt: new Date().toISOString() }],
+    { keepBase: false }
+  );
+};
+
+/**
+ * Adds changes to the outbox. A newer change to a quote replaces the waiting
+ * one but normally keeps its base, so the base stays the last synced version.
+ * @param {Array} changes - Changes with quoteId, quote (null to delete), base and queuedAt
+ * @param {Object} options - keepBase: false to use the changes' own base
+ */
+const replaceWaitingChanges = (changes, { keepBase = true } = {}) => queueUpdate(async () => {
+  const outbox = await loadOutbox();
+  const waitingByQuote = {};
+  outbox.forEach(entry => {
+    waitingByQuote[entry.quoteId] = entry;
+  });
+
+  await saveOutbox([
+    ...outbox.filter(entry => !changes.some(change => change.quoteId === entry.quoteId)),
+    ...changes.map((change, index) => ({
+      id: `ob${Date.now()}${index}`,
+      quoteId: change.quoteId,
+      operation: change.quote ? OUTBOX_OPERATIONS.SAVE : OUTBOX_OPERATIONS.DELETE,
+      quote: change.quote,
+      base: keepBase && waitingByQuote[change.quoteId] ? waitingByQuote[change.quoteId].base : change.base,
+      queuedAt: change.queuedAt
+    }))
+  ]);
+});
+
+/**
+ * Removes changes that have been synced
+ * @param {Array} entryIds - IDs of the synced outbox entries
+ */
+export const removeFromOutbox = (entryIds) => queueUpdate(async () => {
+  const synced = new Set(entryIds);
+  const outbox = await loadOutbox();
+  await saveOutbox(outbox.filter(entry => !synced.has(entry.id)));
+});
+
+
+/**
+ * Loads the changes Supabase refused
+ * @returns {Promise<Array>} - Outbox entries with the error and when they were set aside
+ */
+export const loadRejectedChanges = async () => {
+  const storedChanges = await AsyncStorage.getItem(REJECTED_STORAGE_KEY);
+  return storedChanges ? JSON.parse(storedChanges) : [];
+};
+
+/**
+ * Moves a change Supabase refused out of the outbox. It replaces any change
+ * to the same quote set aside before.
+ * @param {string} entryId - ID of the refused outbox entry
+ * @param {string} error - Why Supabase refused it
+ */
+export const setAsideChange = (entryId, error) => queueUpdate(async () => {
+  const outbox = await loadOutbox();
+  const entry = outbox.find(item => item.id === entryId);
+  if (!entry) return;
+
+  const rejected = await loadRejectedChanges();
+  await AsyncStorage.setItem(REJECTED_STORAGE_KEY, JSON.stringify([
+    ...rejected.filter(item => item.quoteId !== entry.quoteId),
+    { ...entry, error, rejectedAt: new Date().toISOString() }
+  ]));
+  await saveOutbox(outbox.filter(item => item.id !== entryId));
+});
+
+/**
+ * Forgets refused changes
+ * @param {Array} quoteIds - Quotes whose refused changes to forget
+ */
+export const removeRejectedChanges = (quoteIds) => queueUpdate(async () => {
+  const removed = new Set(quoteIds);
+  const rejected = await loadRejectedChanges();
+  await AsyncStorage.setItem(
+    REJECTED_STORAGE_KEY,
+    JSON.stringify(rejected.filter(item => !removed.has(item.quoteId)))
+  );
+});
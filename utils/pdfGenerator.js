@@ -1,6 +1,28 @@
 import * as Print from 'expo-print';
 import * as Sharing from 'expo-sharing';
 import { Platform } from 'react-native';
+import {
+  calculateLineItemTotal,
+  calculateLineItemDiscount,
+  calculateQuoteTotals,
+  calculateOptionTotals,
+  getQuoteOptions,
+  getSelectedOption,
+  getQuoteLineItems,
+  calculatePaymentSchedule,
+  calculatePaymentFees,
+  formatCents,
+  formatDiscount,
+  toCents,
+  SERVICE_FEE_PERCENTAGE,
+  VAT_CATEGORIES,
+  VAT_CATEGORY_LABELS
+} from './pricing';
+import { getContactsFor, formatContact, CONTACT_PURPOSES } from './contacts';
+import { getQuoteSite } from './sites';
+import { loadPhotosForPDF } from './photos';
+import { SIGNATURE_STAGES, SIGNATURE_FIELDS, SIGNATURE_LABELS, describeSignature } from './signatures';
+import { DEFAULT_JOB_DURATION, getJobStart, getJobEnd, formatTime, formatDuration } from './schedule';
 
 /**
  * Generates a PDF document based on quote data
@@ -9,8 +31,11 @@ import { Platform } from 'react-native';
  */
 export const generateQuotePDF = async (quote) => {
   try {
+    // Photos are embedded in the HTML so they print on every platform
+    const photos = await loadPhotosForPDF(quote.photos);
+
     // Generate HTML for PDF content
-    const htmlContent = createQuoteHTML(quote);
+    const htmlContent = createQuoteHTML(quote, photos);
     
     // Generate the PDF file
     const { uri } = await Print.printToFileAsync({
@@ -48,6 +73,30 @@ export const generateInvoicePDF = async (quote) => {
   }
 };
 
+/**
+ * Generates a job card PDF for the team doing the work, with the site, access
+ * notes and the work to be done but no prices
+ * @param {Object} quote - The accepted quote
+ * @returns {Promise<string>} - Path to the PDF file
+ */
+export const generateJobCardPDF = async (quote) => {
+  try {
+    // Generate HTML for PDF content
+    const htmlContent = createJobCardHTML(quote);
+    
+    // Generate the PDF file
+    const { uri } = await Print.printToFileAsync({
+      html: htmlContent,
+      base64: false
+    });
+    
+    return uri;
+  } catch (error) {
+    console.error('Error generating job card PDF:', error);
+    throw error;
+  }
+};
+
 /**
  * Generates a PDF document for monthly income statement
  * @param {Array} incomeData - The income data for the month
@@ -92,6 +141,151 @@ export const sharePDF = async (fileUri) => {
   }
 };
 
+/**
+ * Creates the summary rows for a quote's discounts
+ * @param {Object} quote - The quote data
+ * @param {Object} totals - The quote's totals from the pricing engine
+ * @returns {string} - HTML content, empty when there are no discounts
+ */
+const createDiscountRowsHTML = (quote, totals) => `
+  ${totals.lineDiscountAmount > 0 ? `
+    <div class="summary-row">
+      <div>Line Discounts:</div>
+      <div>-R ${formatCents(totals.lineDiscountAmount)}</div>
+    </div>
+  ` : ''}
+  ${totals.quoteDiscountAmount > 0 ? `
+    <div class="summary-row">
+      <div>Discount (${formatDiscount(quote.discountType, quote.discountValue)}):</div>
+      <div>-R ${formatCents(totals.quoteDiscountAmount)}</div>
+    </div>
+  ` : ''}
+`;
+
+/**
+ * Creates the summary rows for a quote's VAT, broken down by VAT category
+ * @param {Object} quote - The quote data
+ * @param {Object} totals - The quote's totals from the pricing engine
+ * @returns {string} - HTML content, empty when the business is not VAT-registered
+ */
+const createVatRowsHTML = (quote, totals) => {
+  if (quote.vatRegistered === false) return '';
+
+  // Older quotes stored without line items only have a single VAT figure
+  if (totals.vatBreakdown.length === 0) {
+    return `
+      <div class="summary-row">
+        <div>VAT (${quote.vatPercentage}%):</div>
+        <div>R ${formatCents(totals.vatAmount)}</div>
+      </div>
+    `;
+  }
+
+  return totals.vatBreakdown
+    .map(line => {
+      const name = line.category === VAT_CATEGORIES.STANDARD ? 'VAT' : VAT_CATEGORY_LABELS[line.category];
+      const label = line.category === VAT_CATEGORIES.EXEMPT
+        ? `Exempt supplies (R ${formatCents(line.taxableAmount)})`
+        : `${name} (${line.vatRate}% on R ${formatCents(line.taxableAmount)})`;
+
+      return `
+        <div class="summary-row">
+          <div>${label}:</div>
+          <div>R ${formatCents(line.vatAmount)}</div>
+        </div>
+      `;
+    })
+    .join('');
+};
+
+/**
+ * Lists the client's contacts for a purpose, one per line
+ * @param {Object} quote - The quote data
+ * @param {string} purpose - One of CONTACT_PURPOSES
+ * @returns {string} - HTML content
+ */
+const createContactsHTML = (quote, purpose) => {
+  const contacts = getContactsFor(quote, purpose);
+  if (contacts.length === 0) return 'No contact provided';
+
+  return contacts.map(formatContact).join('<br>');
+};
+
+/**
+ * Converts line breaks in entered text, such as an address, to HTML
+ * @param {string} text - The text
+ * @returns {string} - HTML content
+ */
+const toMultilineHTML = (text) => (text || '').split('\n').join('<br>');
+
+/**
+ * Describes the site the work is at, printed apart from the billing address
+ * @param {Object} quote - The quote data
+ * @returns {string} - HTML content, empty when the work is at the billing address
+ */
+const createSiteHTML = (quote) => {
+  const site = getQuoteSite(quote);
+  if (!site) return '';
+
+  return `
+    <p><strong>Job Site:</strong><br>
+      ${site.name ? `${site.name}<br>` : ''}
+      ${toMultilineHTML(site.address)}
+    </p>
+  `;
+};
+
+/**
+ * Lays out a quote's photos on an appendix page, two to a row
+ * @param {Array} photos - Photos with a data URI as src
+ * @returns {string} - HTML content, empty when there are no photos
+ */
+const createPhotoAppendixHTML = (photos) => {
+  if (photos.length === 0) return '';
+
+  const photosHTML = photos
+    .map((photo, index) => `
+      <figure class="photo">
+        <img src="${photo.src}">
+        <figcaption>Photo ${index + 1}${photo.caption ? `: ${photo.caption}` : ''}</figcaption>
+      </figure>
+    `)
+    .join('');
+
+  return `
+    <div class="appendix">
+      <h2>Appendix: Photos</h2>
+      <div class="photos">
+        ${photosHTML}
+      </div>
+    </div>
+  `;
+};
+
+/**
+ * Prints the customer's signatures for the given stages
+ * @param {Object} quote - The quote data
+ * @param {Array} stages - SIGNATURE_STAGES to print, in order
+ * @returns {string} - HTML content, empty when the customer has not signed
+ */
+const createSignaturesHTML = (quote, stages) => {
+  const signaturesHTML = stages
+    .filter(stage => quote[SIGNATURE_FIELDS[stage]])
+    .map(stage => {
+      const signature = quote[SIGNATURE_FIELDS[stage]];
+      return `
+        <div class="signature">
+          <strong>${SIGNATURE_LABELS[stage]}</strong><br>
+          <img src="${signature.image}">
+          <div class="signature-details">${describeSignature(signature)}</div>
+        </div>
+      `;
+    })
+    .join('');
+
+  return signaturesHTML ? `<div class="signatures">${signaturesHTML}</div>` : '';
+};
+
 /**
  * Creates HTML content for the invoice PDF
  * @param {Object} quote - The completed quote with payment details
@@ -105,49 +299,43 @@ const createInvoiceHTML = (quote) => {
     day: 'numeric'
   });
   
-  const completedDate = quote.completedAt 
-    ? new Date(quote.completedAt).toLocaleDateString('en-ZA', {
+  const completedDate = quote.completedDate 
+    ? new Date(quote.completedDate).toLocaleDateString('en-ZA', {
         year: 'numeric',
         month: 'long',
         day: 'numeric'
       })
     : 'Not completed';
   
-  const depositDate = quote.depositPaidAt 
-    ? new Date(quote.depositPaidAt).toLocaleDateString('en-ZA', {
+  const depositDate = quote.depositDate 
+    ? new Date(quote.depositDate).toLocaleDateString('en-ZA', {
         year: 'numeric',
         month: 'long',
         day: 'numeric'
       })
     : 'Not paid';
   
-  const finalPaymentDate = quote.paidAt 
-    ? new Date(quote.paidAt).toLocaleDateString('en-ZA', {
+  const finalPaymentDate = quote.finalPaymentDate 
+    ? new Date(quote.finalPaymentDate).toLocaleDateString('en-ZA', {
         year: 'numeric',
         month: 'long',
         day: 'numeric'
       })
     : 'Not paid';
 
-  // Calculate totals and service fees
-  const subtotal = quote.lineItems.reduce((sum, item) => sum + (item.quantity * item.price), 0);
-  const vatAmount = subtotal * (quote.vatPercentage / 100);
-  const serviceChargeAmount = subtotal * (quote.serviceChargePercentage / 100);
-  const total = subtotal + vatAmount + serviceChargeAmount;
-  
-  const depositAmount = total * (quote.depositPercentage / 100);
-  const depositServiceFee = depositAmount * 0.005; // 0.5% service fee
-  const depositNet = depositAmount - depositServiceFee;
-  
-  const finalAmount = total - depositAmount;
-  const finalServiceFee = finalAmount * 0.005; // 0.5% service fee
-  const finalNet = finalAmount - finalServiceFee;
+  // Calculate totals and service fees (in cents) using the shared pricing engine
+  const quoteTotals = calculateQuoteTotals(quote);
+  const { subtotal, serviceChargeAmount } = quoteTotals;
+  const { total, deposit, final, totalFees: totalServiceFee, totalNet } = calculatePaymentSchedule(quote);
   
-  const totalNet = depositNet + finalNet;
-  const totalServiceFee = depositServiceFee + finalServiceFee;
-  
-  // Generate invoice number from quote ID
-  const invoiceNumber = `INV-${quote.id.toString().padStart(4, '0')}`;
+  // VAT-registered businesses issue tax invoices
+  const invoiceTitle = quote.vatRegistered === false ? 'Invoice' : 'Tax Invoice';
+
+  // Tax invoices must carry the sequential number issued when the job was paid
+  const invoiceNumber = quote.invoiceNumber;
+  if (!invoiceNumber) {
+    throw new Error('This job has not been issued an invoice number yet.');
+  }
   
   // Compile HTML
   return `
@@ -155,7 +343,7 @@ const createInvoiceHTML = (quote) => {
     <html>
     <head>
       <meta charset="utf-8">
-      <title>Invoice #${invoiceNumber}</title>
+      <title>${invoiceTitle} ${invoiceNumber}</title>
       <style>
         body {
           font-family: 'Helvetica Neue', 'Helvetica', Arial, sans-serif;
@@ -292,6 +480,27 @@ const createInvoiceHTML = (quote) => {
         .payment-box .summary-row {
           margin-bottom: 5px;
         }
+        .signatures {
+          display: flex;
+          gap: 20px;
+          margin-top: 30px;
+          page-break-inside: avoid;
+        }
+        .signature {
+          flex: 1;
+          border-top: 1px solid #e1e1e1;
+          padding-top: 10px;
+        }
+        .signature img {
+          display: block;
+          max-width: 100%;
+          height: 80px;
+          margin: 5px 0;
+        }
+        .signature-details {
+          font-size: 12px;
+          color: #6b7280;
+        }
         .footer {
           margin-top: 50px;
           text-align: center;
@@ -303,8 +512,9 @@ const createInvoiceHTML = (quote) => {
     <body>
       <div class="statement-header">
         <img src="data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAIAAAACACAMAAAD04JH5AAAC9FBMVEUAAAD19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fXr8vLs8fLt8fLh6Oni6eni6enj6uri6eri6eni6eni6enj6enk6url6url6+vj6urj6urk6urk6urj6urj6urk6urj6urj6+vj6urk6urk6unk6+vk6urn7Ozn7Ozo7e3n7Ozn7Ozn7Ozp7e3p7u7n7Ozn7Ozn7Ozo7e3o7e3o7e3p7e3p7e3o7e3o7e3o7e3p7e3p7e3o7Ozo7Ozo7e3o7e3o7e3o7e3p7e3p7e3p7e3p7e3p7u7p7e3p7e3p7u7n7Ozn7Ozo7e3o7e3p7e3p7e3o7e3o7e3p7u7q7u7p7e3p7e3p7u7p7e7p7u7o7e3o7e3p7e3p7e3p7e3p7e3q7+/p7e3p7e3q7u7q7+/q7+/r7+/r8PDr8PDr8PDq7+/q7+/r8PDr8PDr8PDr8PDr8PDr8PDq7u7q7+/p7u7p7u7q7+/q7u7r7+/s8PDs8fHr7+/r8PDs8PDr8PDr8PDs8PDs8PDr8PDr8PDr8PDr8PDq7+/q7+/q7+/q7+/q7+/r8PDr8PDq7+/q7+/r8PDr8PDr8PDr8PDr8PDr8PDq7+/q7+/q7+/q7+/r8PDr7+/r8PDr8PDr8PDq7/Ds8PDs8PDs8fHs8fHs8PDs8PDu8vLu8vLt8fHt8fHt8fHu8vLv8/Pv8/Pt8fHt8fHt8fHt8fHu8vLu8vLt8fHt8fHt8fHt8fHu8vLu8vLu8vLu8vLu8vLu8vLr7/Dr7/Dr7/Ds8PDs8PDs8PDs8PDs8PDs8PDs8PDs8PDs8PDt8fHt8fHt8fHs8PDt8fHt8fHt8fHt8fHt8fHt8fHt8fHu8vLu8vLv8/Pv9PTw9PXw9fXx9fXx9vby9vby9/fy9/fz9/f09/j0+Pj0+Pj1+Pn1+fn2+fn2+vr3+vr5ibhOAAAA+nRSTlMAAQIDBAUGBwgJCgsMDQ4PEBESExQVFhcYGRobHB0eHyAhIiMkJScoKSorLC0uLzAxMjM0NTY3ODk6Ozw9P0BBQkNERUZHSElKS0xNTk9QUVJTVFVYWltcXV9gYWJkZWZnaGlqa2xtbm9wcXJzdHV2d3h5ent8fX5/gIGCg4SFhoeIiYqLjI2Oj5CRkpOUlZaYmZqcnZ6foKGio6SlpqeoqaqrrK2ur7CxsrO0tba3uLm6u7y9vr/AwcLDxMXGx8jJysvMzc7P0NHS09TV1tfY2drb3N3e3+Dh4uPk5ebn6Onq6+zt7u/w8fLz9PX29/j5+vv8/f4pvaRiAAAHmElEQVR42rWbd1hURxTFLwKCIFbQ2HuNxoIlVbFhL8ReY49GE3tPrLEbS+yJvTfsFRUVQSMgIE1QqnQEFAQEYQEp2/fOsMvusjt75s7d3fxL3/fLzLwz594zBV6S5L6+IVGpaQ9zMjPSU1MiQ3x9vF0ZqMVjUPiatPyXEkT5hfF+PV0qFyEtAkLLXqG2ejUjaHAVZQ1fjGkuftVGoQF1JQXwaJ+YBz6UEr/N1SfN4Vk/tgjS1TFVEWMaOfwQ9/f5Wn7WnOW0rnNYAb2TC8FJyo+27U4Vy9NfA2eJjXXkJEMTQU7yR1TjFTBITi6Bk6UI+HCVl5cI8tKOvsS0UzB4+pXGZvDUcNL4SyXwpnhNoTzB1CRB+xDtcxRsJCxp2p8K24jPP5Qnmro4aJqzDLaX0GbaXMYq2ExaR1GWbLrQJFiXCJuLLhp8yvtlg036JUPBSXIr27Ay2KiHS02+9OP2Ku/6dPB1rdYT1N62dDrKYLcezYcQbTHN8LwaxoBP8jRlxXVB2VQtbN+k9Yn0naqv4QHwShVmkKpg9M7z4O9PuCmGnJw7zJMa0G85DM4KJhEkJQbSLpfKz4OVXO1iW0FXwZZGbGgKRhJP2KHDeLdmXITZH8HaCvp7T/tBKw0C34oXYCeRNn/TGcTQPfVgF3mzbRb0r0QrAP7+sJcsbLAWzCXrz8qwm5CZPbJp/T2aMpD0P27pPAB9jbU5yLoPwgHyPLEu+JlXj4BjJNf/E/CsXgEOk9PBdcB3CQ6VC3XBXvRVcPQPfBdcCjhBHkSDnbRLcJI8bQY25leJcJokdwEbO+5MyXGn2NiDryHnX6KHIIWsbwa1E8wNFjMEmV2pJLgzR10WpehcQN3GbIAU8oXRCeYUJpGxR4eKUkhCNVInWIXjpKmyy2ooSK4TWcEoZIpSTbATWUiuPvUEcxXSkFR9SgrnkS3KNbgHkogsoVxidpCGSiWYJ5Kly2AQXYwskQf4hDNFuUE1wdzFdFHueQI3oYpScAbEQcA2UZ4PB0F6CbKMGkKQzSJdPwcStEMUhBNJuiOIU4AkdRZljDdImWpJUjuRJh7BiVJXlOYBTBbFSVbEMlEQ3JoiSk6YEMFNlOSKyMUyUrWvNJIrUxBcvXVF6i4ToYdEsZeUIolkKk0WzTSYTZZTshSRtMFssgzZpGIoM/eJUj6ZiKmS5kNW9HtRuhJe+WQbzxPl2Uhkk41vQu2jAM5n8mL8uVxdCb+fzzGiSDGJ2MkdZmQdxQ5R2qYQqZ5rAacoOkwSsfIKv4P//rDmI9qHmNXdX5ZBHc2r0s+mY2WJaIzDhGmL2QRVFwt2zTrBZhZ24yKSVMcvmvWLN1IYmXdlcKx1aG5fJYo9K9kH5+Aj3nT0GN4/kNZl+k45N62ug/B8Ew6lP26GTYV2J+SBNJf37K84KYBzGsJ2yJN6S2gCXNc8MoJzv0sE6c1bYLvsfWxw8Xn6DYNte26nJrD9HtM00P7gPXbGFWyj/CQKQXMX2DdR3uT4J2v19+4GRWmYXYAj+Zc1T+gE+9XPbmQWsBFKwb7BpmUGkFyj3AKdOo1mLfHKy2v5/JI16a6H3fyqPDVYG5jY/eJzI7aBg+pXBjOD3qLg4IBpHdVYRNpJi1Xkbf/6OFTjpRCPzN6V2AhXJIKDpaKyykE9V2R3a4pjOnl7kNsfjozq7lFpCOGNLvpSyVwRHlLZyV9HxYJnq9o60FYQ9UHXIu60HHw9ZtO6yFqGk3chnNRt1CsZuxndvMEjf1xCAbxk37A+9PaEvYs8WI8pF2BcbXpzyp+Vwff5NaT0tzOAqxz2Ii3gLOctTKQeqXOUOdXqk3o1YWZcsgcNiTdEz6jL8hfhZD2SrZXkG9WI6Ck6g4UYrYVUy2WpNUe1fL6rUPTnrhNTNlnX7x5YCZxnEadXgpHBQi7bHDMKZmnlEE+Y+QG0MvAKQHlmwihwniZq9QwSZrMT5YnSu/EX34O+rFrm+HkLMDYTp7YTGcqfkqV6zc8QTMUG5Z9jJwBcTOhxLw0Qo9LWXyNsL2V9LG+bKDtk4SewQXm/aWl9HK6lzh4JqWYTbXtVmmW85FBhNq/VGE3YhLcHKvNL/7I8qV9mWkB+vDfBKsWjfX4zTjJZTZstZZDamvb3g4PEvp40qvEJNnYQj7rEXAI55ZhV1bfZfVFh7+V68pGRq0VJOgGG8ldOEetjc6CbJjhWplmaBG0m5sJx4hKkwySrhm8oSHqPQMg91jA6yrXeBa5OkSzroeSZ7kHuzqm55iXftvUOnkP17sXt5+3SJNK/SxVl1WMMA6/Nn89nVJdeo87tG34XFXKwF8bXHjdvSoWHjDo9nCF9d5PeC4KS9HrDvVTrwaTn6IlzAuOSc1+KJisvKWHuhI7Ov6WgOm6eA1rVrsQ41HdqP+JfswIXrFl3fGdQ4KgPhzWtW91FmP5ZwYnh9fvk7DWuV2+gy7hZ/7X5f9c/+v8BCB7QpDe/XPoAAAAASUVORK5CYII=" class="logo">
-        <h1>INVOICE</h1>
+        <h1>${invoiceTitle.toUpperCase()}</h1>
         <p>Invoice Number: ${invoiceNumber}</p>
+        ${quote.quoteNumber ? `<p>Quote Reference: ${quote.quoteNumber}</p>` : ''}
         <p>Date: ${today}</p>
         <div class="paid-badge">PAID IN FULL</div>
       </div>
@@ -312,15 +522,15 @@ const createInvoiceHTML = (quote) => {
       <div class="metrics-grid">
         <div class="metric-card">
           <h3>GROSS AMOUNT</h3>
-          <p>R ${total.toFixed(2)}</p>
+          <p>R ${formatCents(total)}</p>
         </div>
         <div class="metric-card">
           <h3>SERVICE FEES</h3>
-          <p>R ${totalServiceFee.toFixed(2)}</p>
+          <p>R ${formatCents(totalServiceFee)}</p>
         </div>
         <div class="metric-card">
           <h3>NET AMOUNT</h3>
-          <p>R ${totalNet.toFixed(2)}</p>
+          <p>R ${formatCents(totalNet)}</p>
         </div>
       </div>
       
@@ -329,21 +539,22 @@ const createInvoiceHTML = (quote) => {
           <strong>From:</strong><br>
           ${quote.businessName ? quote.businessName : 'QuickQuote Service'}<br>
           ${quote.businessAddress ? quote.businessAddress : ''}
+          ${quote.vatNumber ? `<br>VAT No: ${quote.vatNumber}` : ''}
         </div>
         <div class="info-column">
-          <strong>To:</strong><br>
+          <strong>Bill To:</strong><br>
           ${quote.customerName}<br>
-          ${quote.clientAddress || ''}
+          ${toMultilineHTML(quote.clientAddress)}
         </div>
       </div>
       
       <div class="section">
         <h2>Service Details</h2>
         ${quote.description ? `<p><strong>Description:</strong> ${quote.description}</p>` : ''}
+        ${quote.selectedOptionId ? `<p><strong>Option:</strong> ${getSelectedOption(quote).name}</p>` : ''}
         <p><strong>Completion Date:</strong> ${completedDate}</p>
-        <p><strong>Contact:</strong> ${quote.contactType === 'phone' ? 
-          quote.phoneNumber || 'No phone provided' : 
-          quote.email || 'No email provided'}</p>
+        ${createSiteHTML(quote)}
+        <p><strong>Billing Contact:</strong><br>${createContactsHTML(quote, CONTACT_PURPOSES.BILLING)}</p>
       </div>
       
       <div class="section">
@@ -351,27 +562,25 @@ const createInvoiceHTML = (quote) => {
         <div class="summary">
           <div class="summary-row">
             <div>Subtotal:</div>
-            <div>R ${subtotal.toFixed(2)}</div>
-          </div>
-          <div class="summary-row">
-            <div>VAT (${quote.vatPercentage}%):</div>
-            <div>R ${vatAmount.toFixed(2)}</div>
+            <div>R ${formatCents(subtotal)}</div>
           </div>
+          ${createDiscountRowsHTML(quote, quoteTotals)}
+          ${createVatRowsHTML(quote, quoteTotals)}
           <div class="summary-row">
             <div>Service Charge (${quote.serviceChargePercentage}%):</div>
-            <div>R ${serviceChargeAmount.toFixed(2)}</div>
+            <div>R ${formatCents(serviceChargeAmount)}</div>
           </div>
           <div class="summary-row total">
             <div>Total Gross Amount:</div>
-            <div>R ${total.toFixed(2)}</div>
+            <div>R ${formatCents(total)}</div>
           </div>
           <div class="summary-row">
-            <div>Total Service Fees (0.5%):</div>
-            <div>R ${totalServiceFee.toFixed(2)}</div>
+            <div>Total Service Fees (${SERVICE_FEE_PERCENTAGE}%):</div>
+            <div>R ${formatCents(totalServiceFee)}</div>
           </div>
           <div class="summary-row total">
             <div>Total Net Amount:</div>
-            <div>R ${totalNet.toFixed(2)}</div>
+            <div>R ${formatCents(totalNet)}</div>
           </div>
         </div>
       </div>
@@ -387,15 +596,15 @@ const createInvoiceHTML = (quote) => {
           </div>
           <div class="summary-row">
             <div>Gross Amount:</div>
-            <div>R ${depositAmount.toFixed(2)}</div>
+            <div>R ${formatCents(deposit.gross)}</div>
           </div>
           <div class="summary-row">
-            <div>Service Fee (0.5%):</div>
-            <div>R ${depositServiceFee.toFixed(2)}</div>
+            <div>Service Fee (${SERVICE_FEE_PERCENTAGE}%):</div>
+            <div>R ${formatCents(deposit.fee)}</div>
           </div>
           <div class="summary-row">
             <div>Net Amount:</div>
-            <div>R ${depositNet.toFixed(2)}</div>
+            <div>R ${formatCents(deposit.net)}</div>
           </div>
         </div>
         
@@ -407,18 +616,20 @@ const createInvoiceHTML = (quote) => {
           </div>
           <div class="summary-row">
             <div>Gross Amount:</div>
-            <div>R ${finalAmount.toFixed(2)}</div>
+            <div>R ${formatCents(final.gross)}</div>
           </div>
           <div class="summary-row">
-            <div>Service Fee (0.5%):</div>
-            <div>R ${finalServiceFee.toFixed(2)}</div>
+            <div>Service Fee (${SERVICE_FEE_PERCENTAGE}%):</div>
+            <div>R ${formatCents(final.fee)}</div>
           </div>
           <div class="summary-row">
             <div>Net Amount:</div>
-            <div>R ${finalNet.toFixed(2)}</div>
+            <div>R ${formatCents(final.net)}</div>
           </div>
         </div>
       </div>
+
+      ${createSignaturesHTML(quote, [SIGNATURE_STAGES.ACCEPTANCE, SIGNATURE_STAGES.COMPLETION])}
       
       <div class="footer">
         <p>Thank you for your business!</p>
@@ -445,33 +656,34 @@ const createIncomeStatementHTML = (incomeData, metrics, month, year) => {
     day: 'numeric'
   });
 
-  // Calculate service fee and net amounts
-  const SERVICE_FEE_PERCENTAGE = 0.5;
-  
-  // Track total service fees
+  // Track totals (in cents)
   let totalServiceFees = 0;
   let totalGross = 0;
   
   // Format income items with service fee
   const incomeItemsHTML = incomeData
     .map((payment, index) => {
-      const grossAmount = payment.paymentAmount || 0;
-      const serviceFee = grossAmount * (SERVICE_FEE_PERCENTAGE / 100);
-      const netAmount = grossAmount - serviceFee;
+      const { gross: grossAmount, fee: serviceFee, net: netAmount } = calculatePaymentFees(toCents(payment.paymentAmount));
       
       // Update running totals
       totalServiceFees += serviceFee;
       totalGross += grossAmount;
       
+      // Final payments are listed against their invoice, deposits against the quote
+      const reference = payment.paymentType === 'Final Payment'
+        ? payment.invoiceNumber
+        : payment.quoteNumber;
+      
       return `
         <tr>
+          <td>${reference || '-'}</td>
           <td>${payment.customerName || payment.clientName || 'Client'}</td>
           <td>${payment.description || payment.service || 'No description'}</td>
           <td>${payment.paymentType}</td>
           <td class="text-right">${new Date(payment.paymentDate).toLocaleDateString()}</td>
-          <td class="text-right">R ${grossAmount.toFixed(2)}</td>
-          <td class="text-right">R ${serviceFee.toFixed(2)}</td>
-          <td class="text-right">R ${netAmount.toFixed(2)}</td>
+          <td class="text-right">R ${formatCents(grossAmount)}</td>
+          <td class="text-right">R ${formatCents(serviceFee)}</td>
+          <td class="text-right">R ${formatCents(netAmount)}</td>
         </tr>
       `;
     })
@@ -593,11 +805,11 @@ const createIncomeStatementHTML = (incomeData, metrics, month, year) => {
       <div class="metrics-grid">
         <div class="metric-card">
           <div class="metric-label">Gross Revenue</div>
-          <div class="metric-value">R ${totalGross.toFixed(2)}</div>
+          <div class="metric-value">R ${formatCents(totalGross)}</div>
         </div>
         <div class="metric-card">
           <div class="metric-label">Net Revenue (After Fees)</div>
-          <div class="metric-value">R ${netIncome.toFixed(2)}</div>
+          <div class="metric-value">R ${formatCents(netIncome)}</div>
         </div>
         <div class="metric-card">
           <div class="metric-label">Jobs Completed</div>
@@ -615,12 +827,13 @@ const createIncomeStatementHTML = (incomeData, metrics, month, year) => {
         <table>
           <thead>
             <tr>
+              <th>Reference</th>
               <th>Client</th>
               <th>Description</th>
               <th>Type</th>
               <th class="text-right">Date</th>
               <th class="text-right">Gross Amount</th>
-              <th class="text-right">Service Fee (0.5%)</th>
+              <th class="text-right">Service Fee (${SERVICE_FEE_PERCENTAGE}%)</th>
               <th class="text-right">Net Amount</th>
             </tr>
           </thead>
@@ -628,22 +841,22 @@ const createIncomeStatementHTML = (incomeData, metrics, month, year) => {
             ${incomeItemsHTML}
           </tbody>
         </table>
-        <p class="fee-note">* A 0.5% service fee is applied to all payments as per agreement.</p>` : 
+        <p class="fee-note">* A ${SERVICE_FEE_PERCENTAGE}% service fee is applied to all payments as per agreement.</p>` : 
         '<p>No income recorded for this period.</p>'}
       </div>
       
       <div class="summary">
         <div class="summary-row">
           <div>Gross Income:</div>
-          <div>R ${totalGross.toFixed(2)}</div>
+          <div>R ${formatCents(totalGross)}</div>
         </div>
         <div class="summary-row">
-          <div>Total Service Fees (0.5%):</div>
-          <div>R ${totalServiceFees.toFixed(2)}</div>
+          <div>Total Service Fees (${SERVICE_FEE_PERCENTAGE}%):</div>
+          <div>R ${formatCents(totalServiceFees)}</div>
         </div>
         <div class="summary-row total">
           <div>Net Income:</div>
-          <div>R ${netIncome.toFixed(2)}</div>
+          <div>R ${formatCents(netIncome)}</div>
         </div>
       </div>
       
@@ -658,9 +871,13 @@ const createIncomeStatementHTML = (incomeData, metrics, month, year) => {
 /**
  * Creates HTML content for the PDF document
  * @param {Object} quote - The quote data
+ * @param {Array} photos - The quote's photos with a data URI as src
  * @returns {string} - HTML content
  */
-const createQuoteHTML = (quote) => {
+const createQuoteHTML = (quote, photos = []) => {
+  // Quotes created before numbering was added only have their internal ID
+  const quoteReference = quote.quoteNumber || `#${quote.id}`;
+
   // Format date
   const today = new Date().toLocaleDateString('en-ZA', {
     year: 'numeric',
@@ -668,27 +885,81 @@ const createQuoteHTML = (quote) => {
     day: 'numeric'
   });
 
-  // Format line items
-  const lineItemsHTML = quote.lineItems
+  // Format line items, leaving out the unit price where columns are narrow
+  // Line discounts are printed on their own row under the item, so the
+  // original price stays visible
+  const formatLineItems = (items, showUnitPrice = true) => items
     .map(item => {
-      const total = (item.quantity * item.price).toFixed(2);
+      const total = formatCents(calculateLineItemTotal(item));
+      const discount = calculateLineItemDiscount(item);
       return `
         <tr>
           <td>${item.description || 'Item'}</td>
           <td class="text-center">${item.quantity}</td>
-          <td class="text-right">R ${item.price.toFixed(2)}</td>
+          ${showUnitPrice ? `<td class="text-right">R ${formatCents(toCents(item.price))}</td>` : ''}
           <td class="text-right">R ${total}</td>
         </tr>
+        ${discount > 0 ? `
+          <tr class="discount-row">
+            <td colspan="${showUnitPrice ? 3 : 2}">Discount (${formatDiscount(item.discountType, item.discountValue)})</td>
+            <td class="text-right">-R ${formatCents(discount)}</td>
+          </tr>
+        ` : ''}
       `;
     })
     .join('');
 
-  // Calculate totals
-  const subtotal = quote.lineItems.reduce((sum, item) => sum + (item.quantity * item.price), 0);
-  const vatAmount = subtotal * (quote.vatPercentage / 100);
-  const serviceChargeAmount = subtotal * (quote.serviceChargePercentage / 100);
-  const total = subtotal + vatAmount + serviceChargeAmount;
-  const depositAmount = total * (quote.depositPercentage / 100);
+  const lineItemsHTML = formatLineItems(quote.lineItems || []);
+
+  // Calculate totals (in cents) using the shared pricing engine
+  const quoteTotals = calculateQuoteTotals(quote);
+  const { subtotal, serviceChargeAmount, total, depositAmount } = quoteTotals;
+
+  // Options are shown side by side so the client can compare them
+  const options = getQuoteOptions(quote);
+  const optionsHTML = options
+    .map(option => {
+      const optionTotals = calculateOptionTotals(quote, option);
+      const isAccepted = quote.selectedOptionId === option.id;
+      return `
+        <div class="option-column${isAccepted ? ' accepted' : ''}">
+          <h3>${option.name}${isAccepted ? ' (Accepted)' : ''}</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Description</th>
+                <th class="text-center">Qty</th>
+                <th class="text-right">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${formatLineItems(option.lineItems, false)}
+            </tbody>
+          </table>
+          <div class="summary">
+            <div class="summary-row">
+              <div>Subtotal:</div>
+              <div>R ${formatCents(optionTotals.subtotal)}</div>
+            </div>
+            ${createDiscountRowsHTML(quote, optionTotals)}
+            ${createVatRowsHTML(quote, optionTotals)}
+            <div class="summary-row">
+              <div>Service Charge (${quote.serviceChargePercentage}%):</div>
+              <div>R ${formatCents(optionTotals.serviceChargeAmount)}</div>
+            </div>
+            <div class="summary-row total">
+              <div>Total:</div>
+              <div>R ${formatCents(optionTotals.total)}</div>
+            </div>
+            <div class="summary-row">
+              <div>Deposit (${quote.depositPercentage}%):</div>
+              <div>R ${formatCents(optionTotals.depositAmount)}</div>
+            </div>
+          </div>
+        </div>
+      `;
+    })
+    .join('');
 
   // Compile HTML
   return `
@@ -696,7 +967,7 @@ const createQuoteHTML = (quote) => {
     <html>
     <head>
       <meta charset="utf-8">
-      <title>Quote #${quote.id}</title>
+      <title>Quote ${quoteReference}</title>
       <style>
         body {
           font-family: 'Helvetica Neue', 'Helvetica', Arial, sans-serif;
@@ -786,13 +1057,91 @@ const createQuoteHTML = (quote) => {
           max-width: 150px;
           margin-bottom: 20px;
         }
+        .options {
+          display: flex;
+          gap: 12px;
+        }
+        .option-column {
+          flex: 1;
+          border: 1px solid #e1e1e1;
+          border-radius: 6px;
+          padding: 10px;
+          font-size: 12px;
+        }
+        .option-column.accepted {
+          border: 2px solid #3B82F6;
+        }
+        .option-column h3 {
+          margin-top: 0;
+          color: #3B82F6;
+        }
+        .option-column table th, .option-column table td {
+          padding: 6px 4px;
+        }
+        .option-column .summary {
+          margin-top: 15px;
+        }
+        tr.discount-row td {
+          color: #10B981;
+          font-size: 12px;
+          padding-top: 0;
+        }
+        .signatures {
+          display: flex;
+          gap: 20px;
+          margin-top: 30px;
+          page-break-inside: avoid;
+        }
+        .signature {
+          flex: 1;
+          border-top: 1px solid #e1e1e1;
+          padding-top: 10px;
+        }
+        .signature img {
+          display: block;
+          max-width: 100%;
+          height: 80px;
+          margin: 5px 0;
+        }
+        .signature-details {
+          font-size: 12px;
+          color: #6b7280;
+        }
+        .appendix {
+          page-break-before: always;
+        }
+        .appendix h2 {
+          color: #3B82F6;
+          border-bottom: 1px solid #e1e1e1;
+          padding-bottom: 5px;
+        }
+        .photos {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: space-between;
+        }
+        .photo {
+          width: 48%;
+          margin: 0 0 20px 0;
+          page-break-inside: avoid;
+        }
+        .photo img {
+          width: 100%;
+          border-radius: 6px;
+        }
+        .photo figcaption {
+          font-size: 12px;
+          color: #6b7280;
+          margin-top: 5px;
+        }
       </style>
     </head>
     <body>
       <div class="quote-header">
         <img src="data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAIAAAACACAMAAAD04JH5AAAC9FBMVEUAAAD19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fX19fXr8vLs8fLt8fLh6Oni6eni6enj6uri6eri6eni6eni6enj6enk6url6url6+vj6urj6urk6urk6urj6urj6urk6urj6urj6+vj6urk6urk6unk6+vk6urn7Ozn7Ozo7e3n7Ozn7Ozn7Ozp7e3p7u7n7Ozn7Ozn7Ozo7e3o7e3o7e3p7e3p7e3o7e3o7e3o7e3p7e3p7e3o7Ozo7Ozo7e3o7e3o7e3o7e3p7e3p7e3p7e3p7e3p7u7p7e3p7e3p7u7n7Ozn7Ozo7e3o7e3p7e3p7e3o7e3o7e3p7u7q7u7p7e3p7e3p7u7p7e7p7u7o7e3o7e3p7e3p7e3p7e3p7e3q7+/p7e3p7e3q7u7q7+/q7+/r7+/r8PDr8PDr8PDq7+/q7+/r8PDr8PDr8PDr8PDr8PDr8PDq7u7q7+/p7u7p7u7q7+/q7u7r7+/s8PDs8fHr7+/r8PDs8PDr8PDr8PDs8PDs8PDr8PDr8PDr8PDr8PDq7+/q7+/q7+/q7+/q7+/r8PDr8PDq7+/q7+/r8PDr8PDr8PDr8PDr8PDr8PDq7+/q7+/q7+/q7+/r8PDr7+/r8PDr8PDr8PDq7/Ds8PDs8PDs8fHs8fHs8PDs8PDu8vLu8vLt8fHt8fHt8fHu8vLv8/Pv8/Pt8fHt8fHt8fHt8fHu8vLu8vLt8fHt8fHt8fHt8fHu8vLu8vLu8vLu8vLu8vLu8vLr7/Dr7/Dr7/Ds8PDs8PDs8PDs8PDs8PDs8PDs8PDs8PDs8PDt8fHt8fHt8fHs8PDt8fHt8fHt8fHt8fHt8fHt8fHt8fHu8vLu8vLv8/Pv9PTw9PXw9fXx9fXx9vby9vby9/fy9/fz9/f09/j0+Pj0+Pj1+Pn1+fn2+fn2+vr3+vr5ibhOAAAA+nRSTlMAAQIDBAUGBwgJCgsMDQ4PEBESExQVFhcYGRobHB0eHyAhIiMkJScoKSorLC0uLzAxMjM0NTY3ODk6Ozw9P0BBQkNERUZHSElKS0xNTk9QUVJTVFVYWltcXV9gYWJkZWZnaGlqa2xtbm9wcXJzdHV2d3h5ent8fX5/gIGCg4SFhoeIiYqLjI2Oj5CRkpOUlZaYmZqcnZ6foKGio6SlpqeoqaqrrK2ur7CxsrO0tba3uLm6u7y9vr/AwcLDxMXGx8jJysvMzc7P0NHS09TV1tfY2drb3N3e3+Dh4uPk5ebn6Onq6+zt7u/w8fLz9PX29/j5+vv8/f4pvaRiAAAHmElEQVR42rWbd1hURxTFLwKCIFbQ2HuNxoIlVbFhL8ReY49GE3tPrLEbS+yJvTfsFRUVQSMgIE1QqnQEFAQEYQEp2/fOsMvusjt75s7d3fxL3/fLzLwz594zBV6S5L6+IVGpaQ9zMjPSU1MiQ3x9vF0ZqMVjUPiatPyXEkT5hfF+PV0qFyEtAkLLXqG2ejUjaHAVZQ1fjGkuftVGoQF1JQXwaJ+YBz6UEr/N1SfN4Vk/tgjS1TFVEWMaOfwQ9/f5Wn7WnOW0rnNYAb2TC8FJyo+27U4Vy9NfA2eJjXXkJEMTQU7yR1TjFTBITi6Bk6UI+HCVl5cI8tKOvsS0UzB4+pXGZvDUcNL4SyXwpnhNoTzB1CRB+xDtcxRsJCxp2p8K24jPP5Qnmro4aJqzDLaX0GbaXMYq2ExaR1GWbLrQJFiXCJuLLhp8yvtlg036JUPBSXIr27Ay2KiHS02+9OP2Ku/6dPB1rdYT1N62dDrKYLcezYcQbTHN8LwaxoBP8jRlxXVB2VQtbN+k9Yn0naqv4QHwShVmkKpg9M7z4O9PuCmGnJw7zJMa0G85DM4KJhEkJQbSLpfKz4OVXO1iW0FXwZZGbGgKRhJP2KHDeLdmXITZH8HaCvp7T/tBKw0C34oXYCeRNn/TGcTQPfVgF3mzbRb0r0QrAP7+sJcsbLAWzCXrz8qwm5CZPbJp/T2aMpD0P27pPAB9jbU5yLoPwgHyPLEu+JlXj4BjJNf/E/CsXgEOk9PBdcB3CQ6VC3XBXvRVcPQPfBdcCjhBHkSDnbRLcJI8bQY25leJcJokdwEbO+5MyXGn2NiDryHnX6KHIIWsbwa1E8wNFjMEmV2pJLgzR10WpehcQN3GbIAU8oXRCeYUJpGxR4eKUkhCNVInWIXjpKmyy2ooSK4TWcEoZIpSTbATWUiuPvUEcxXSkFR9SgrnkS3KNbgHkogsoVxidpCGSiWYJ5Kly2AQXYwskQf4hDNFuUE1wdzFdFHueQI3oYpScAbEQcA2UZ4PB0F6CbKMGkKQzSJdPwcStEMUhBNJuiOIU4AkdRZljDdImWpJUjuRJh7BiVJXlOYBTBbFSVbEMlEQ3JoiSk6YEMFNlOSKyMUyUrWvNJIrUxBcvXVF6i4ToYdEsZeUIolkKk0WzTSYTZZTshSRtMFssgzZpGIoM/eJUj6ZiKmS5kNW9HtRuhJe+WQbzxPl2Uhkk41vQu2jAM5n8mL8uVxdCb+fzzGiSDGJ2MkdZmQdxQ5R2qYQqZ5rAacoOkwSsfIKv4P//rDmI9qHmNXdX5ZBHc2r0s+mY2WJaIzDhGmL2QRVFwt2zTrBZhZ24yKSVMcvmvWLN1IYmXdlcKx1aG5fJYo9K9kH5+Aj3nT0GN4/kNZl+k45N62ug/B8Ew6lP26GTYV2J+SBNJf37K84KYBzGsJ2yJN6S2gCXNc8MoJzv0sE6c1bYLvsfWxw8Xn6DYNte26nJrD9HtM00P7gPXbGFWyj/CQKQXMX2DdR3uT4J2v19+4GRWmYXYAj+Zc1T+gE+9XPbmQWsBFKwb7BpmUGkFyj3AKdOo1mLfHKy2v5/JI16a6H3fyqPDVYG5jY/eJzI7aBg+pXBjOD3qLg4IBpHdVYRNpJi1Xkbf/6OFTjpRCPzN6V2AhXJIKDpaKyykE9V2R3a4pjOnl7kNsfjozq7lFpCOGNLvpSyVwRHlLZyV9HxYJnq9o60FYQ9UHXIu60HHw9ZtO6yFqGk3chnNRt1CsZuxndvMEjf1xCAbxk37A+9PaEvYs8WI8pF2BcbXpzyp+Vwff5NaT0tzOAqxz2Ii3gLOctTKQeqXOUOdXqk3o1YWZcsgcNiTdEz6jL8hfhZD2SrZXkG9WI6Ck6g4UYrYVUy2WpNUe1fL6rUPTnrhNTNlnX7x5YCZxnEadXgpHBQi7bHDMKZmnlEE+Y+QG0MvAKQHlmwihwniZq9QwSZrMT5YnSu/EX34O+rFrm+HkLMDYTp7YTGcqfkqV6zc8QTMUG5Z9jJwBcTOhxLw0Qo9LWXyNsL2V9LG+bKDtk4SewQXm/aWl9HK6lzh4JqWYTbXtVmmW85FBhNq/VGE3YhLcHKvNL/7I8qV9mWkB+vDfBKsWjfX4zTjJZTZstZZDamvb3g4PEvp40qvEJNnYQj7rEXAI55ZhV1bfZfVFh7+V68pGRq0VJOgGG8ldOEetjc6CbJjhWplmaBG0m5sJx4hKkwySrhm8oSHqPQMg91jA6yrXeBa5OkSzroeSZ7kHuzqm55iXftvUOnkP17sXt5+3SJNK/SxVl1WMMA6/Nn89nVJdeo87tG34XFXKwF8bXHjdvSoWHjDo9nCF9d5PeC4KS9HrDvVTrwaTn6IlzAuOSc1+KJisvKWHuhI7Ov6WgOm6eA1rVrsQ41HdqP+JfswIXrFl3fGdQ4KgPhzWtW91FmP5ZwYnh9fvk7DWuV2+gy7hZ/7X5f9c/+v8BCB7QpDe/XPoAAAAASUVORK5CYII=" class="logo">
         <h1>QUOTE</h1>
-        <p>Reference: #${quote.id}</p>
+        <p>Quote Number: ${quoteReference}</p>
+        ${quote.revision ? `<p>Revision: v${quote.revision}</p>` : ''}
         <p>Date: ${today}</p>
       </div>
       
@@ -801,64 +1150,250 @@ const createQuoteHTML = (quote) => {
           <strong>From:</strong><br>
           ${quote.businessName ? quote.businessName : 'QuickQuote Service'}<br>
           ${quote.businessAddress ? quote.businessAddress : ''}
+          ${quote.vatNumber ? `<br>VAT No: ${quote.vatNumber}` : ''}
         </div>
         <div class="quote-info-column">
-          <strong>To:</strong><br>
+          <strong>Bill To:</strong><br>
           ${quote.customerName}<br>
-          ${quote.clientAddress || ''}
+          ${toMultilineHTML(quote.clientAddress)}
         </div>
       </div>
       
       <div class="quote-details">
         <h3>Quote Details</h3>
         ${quote.description ? `<p><strong>Description:</strong> ${quote.description}</p>` : ''}
-        <p><strong>Contact:</strong> ${quote.contactType === 'phone' ? 
-          quote.phoneNumber || 'No phone provided' : 
-          quote.email || 'No email provided'}</p>
+        ${createSiteHTML(quote)}
+        <p><strong>Contact:</strong><br>${createContactsHTML(quote, CONTACT_PURPOSES.SITE)}</p>
       </div>
       
-      <table>
-        <thead>
-          <tr>
-            <th>Description</th>
-            <th class="text-center">Qty</th>
-            <th class="text-right">Unit Price</th>
-            <th class="text-right">Total</th>
-          </tr>
-        </thead>
-        <tbody>
-          ${lineItemsHTML}
-        </tbody>
-      </table>
-      
-      <div class="summary">
-        <div class="summary-row">
-          <div>Subtotal:</div>
-          <div>R ${subtotal.toFixed(2)}</div>
+      ${options.length > 0 ? `
+        <div class="options">
+          ${optionsHTML}
         </div>
-        <div class="summary-row">
-          <div>VAT (${quote.vatPercentage}%):</div>
-          <div>R ${vatAmount.toFixed(2)}</div>
+      ` : `
+        <table>
+          <thead>
+            <tr>
+              <th>Description</th>
+              <th class="text-center">Qty</th>
+              <th class="text-right">Unit Price</th>
+              <th class="text-right">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${lineItemsHTML}
+          </tbody>
+        </table>
+      
+        <div class="summary">
+          <div class="summary-row">
+            <div>Subtotal:</div>
+            <div>R ${formatCents(subtotal)}</div>
+          </div>
+          ${createDiscountRowsHTML(quote, quoteTotals)}
+          ${createVatRowsHTML(quote, quoteTotals)}
+          <div class="summary-row">
+            <div>Service Charge (${quote.serviceChargePercentage}%):</div>
+            <div>R ${formatCents(serviceChargeAmount)}</div>
+          </div>
+          <div class="summary-row total">
+            <div>Total:</div>
+            <div>R ${formatCents(total)}</div>
+          </div>
+          <div class="summary-row">
+            <div>Required Deposit (${quote.depositPercentage}%):</div>
+            <div>R ${formatCents(depositAmount)}</div>
+          </div>
         </div>
-        <div class="summary-row">
-          <div>Service Charge (${quote.serviceChargePercentage}%):</div>
-          <div>R ${serviceChargeAmount.toFixed(2)}</div>
+      `}
+
+      ${createSignaturesHTML(quote, [SIGNATURE_STAGES.ACCEPTANCE])}
+      
+      <div class="footer">
+        <p>Thank you for your business!</p>
+        ${quote.validUntil ? `<p>This quote is valid until ${new Date(quote.validUntil).toLocaleDateString('en-ZA', {
+          year: 'numeric',
+          month: 'long',
+          day: 'numeric'
+        })}.</p>` : ''}
+      </div>
+
+      ${createPhotoAppendixHTML(photos)}
+    </body>
+    </html>
+  `;
+}; 
+
+/**
+ * Creates HTML content for the job card PDF
+ * @param {Object} quote - The accepted quote
+ * @returns {string} - HTML content
+ */
+const createJobCardHTML = (quote) => {
+  const quoteReference = quote.quoteNumber || `#${quote.id}`;
+  const site = getQuoteSite(quote);
+  const selectedOption = getSelectedOption(quote);
+
+  const scheduledDate = quote.scheduledStart
+    ? `${getJobStart(quote).toLocaleDateString('en-ZA', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+      })}, ${formatTime(getJobStart(quote))}–${formatTime(getJobEnd(quote))} (${formatDuration(quote.estimatedDuration || DEFAULT_JOB_DURATION)})`
+    : 'Not booked yet';
+
+  const lineItemsHTML = getQuoteLineItems(quote)
+    .map(item => `
+      <tr>
+        <td>${item.description || 'Item'}</td>
+        <td class="text-center">${item.quantity}</td>
+        <td class="check"></td>
+      </tr>
+    `)
+    .join('');
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Job Card ${quoteReference}</title>
+      <style>
+        body {
+          font-family: 'Helvetica Neue', 'Helvetica', Arial, sans-serif;
+          font-size: 14px;
+          line-height: 1.5;
+          color: #333;
+          padding: 20px;
+          margin: 0;
+        }
+        .header {
+          text-align: center;
+          margin-bottom: 30px;
+        }
+        .header h1 {
+          font-size: 24px;
+          margin-bottom: 10px;
+          color: #3B82F6;
+        }
+        .info {
+          display: flex;
+          justify-content: space-between;
+          margin-bottom: 20px;
+        }
+        .info-column {
+          width: 48%;
+        }
+        .access-notes {
+          border: 2px solid #F59E0B;
+          border-radius: 6px;
+          padding: 10px;
+          margin-bottom: 20px;
+          background-color: #FFFBEB;
+        }
+        .section {
+          margin-bottom: 30px;
+        }
+        .section h2 {
+          font-size: 18px;
+          border-bottom: 1px solid #e1e1e1;
+          padding-bottom: 5px;
+          margin-bottom: 15px;
+        }
+        table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        table th, table td {
+          padding: 10px;
+          text-align: left;
+          border-bottom: 1px solid #e1e1e1;
+        }
+        table th {
+          background-color: #f9fafb;
+          font-weight: 600;
+        }
+        .text-center {
+          text-align: center;
+        }
+        td.check {
+          width: 60px;
+          border: 1px solid #e1e1e1;
+        }
+        .notes {
+          height: 120px;
+          border: 1px solid #e1e1e1;
+          border-radius: 6px;
+        }
+        .sign-off {
+          display: flex;
+          justify-content: space-between;
+          margin-top: 40px;
+        }
+        .sign-off div {
+          width: 45%;
+          border-top: 1px solid #333;
+          padding-top: 5px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <h1>JOB CARD</h1>
+        <p>Quote Number: ${quoteReference}</p>
+        <p>Scheduled: ${scheduledDate}</p>
+      </div>
+
+      <div class="info">
+        <div class="info-column">
+          <strong>Client:</strong><br>
+          ${quote.customerName}<br>
+          ${createContactsHTML(quote, CONTACT_PURPOSES.SITE)}
         </div>
-        <div class="summary-row total">
-          <div>Total:</div>
-          <div>R ${total.toFixed(2)}</div>
+        <div class="info-column">
+          <strong>Job Site:</strong><br>
+          ${site
+            ? `${site.name ? `${site.name}<br>` : ''}${toMultilineHTML(site.address)}`
+            : toMultilineHTML(quote.clientAddress) || 'No address provided'}
         </div>
-        <div class="summary-row">
-          <div>Required Deposit (${quote.depositPercentage}%):</div>
-          <div>R ${depositAmount.toFixed(2)}</div>
+      </div>
+
+      ${site && site.accessNotes ? `
+        <div class="access-notes">
+          <strong>Access Notes:</strong><br>
+          ${toMultilineHTML(site.accessNotes)}
         </div>
+      ` : ''}
+
+      <div class="section">
+        <h2>Work To Be Done</h2>
+        ${quote.description ? `<p><strong>Description:</strong> ${quote.description}</p>` : ''}
+        ${quote.selectedOptionId ? `<p><strong>Option:</strong> ${selectedOption.name}</p>` : ''}
+        <table>
+          <thead>
+            <tr>
+              <th>Description</th>
+              <th class="text-center">Qty</th>
+              <th class="text-center">Done</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${lineItemsHTML}
+          </tbody>
+        </table>
       </div>
-      
-      <div class="footer">
-        <p>Thank you for your business!</p>
-        <p>This quote is valid for 30 days from the date of issue.</p>
+
+      <div class="section">
+        <h2>Notes</h2>
+        <div class="notes"></div>
+      </div>
+
+      <div class="sign-off">
+        <div>Completed by</div>
+        <div>Client signature</div>
       </div>
     </body>
     </html>
   `;
-}; 
\ No newline at end of file
+};
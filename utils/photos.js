@@ -0,0 +1,188 @@
+/**
+ * Quote photos
+ *
+ * Photos attached to a quote (the leak, the old geyser) are picked from the
+ * camera roll, scaled down and compressed, then copied into the app's document
+ * directory so they survive the image picker's cache being cleared. The quote
+ * stores each photo's file URI and caption.
+ *
+ * Photo files only exist on the device that took them, so photos are left out
+ * of the quotes synced to Supabase and kept from the device's own copy when a
+ * synced version of the quote is saved. A photo's file is deleted once no
+ * version of its quote (including the revisions that were sent) uses it.
+ */
+
+import * as ImagePicker from 'expo-image-picker';
+import * as ImageManipulator from 'expo-image-manipulator';
+import * as FileSystem from 'expo-file-system';
+
+// Directory the compressed photos are kept in
+export const PHOTOS_DIRECTORY = `${FileSystem.documentDirectory}quote-photos/`;
+
+// Photos are scaled down to at most this width, in pixels
+const MAX_PHOTO_WIDTH = 1280;
+
+// JPEG quality of the saved photos, from 0 to 1
+const PHOTO_QUALITY = 0.6;
+
+/**
+ * Scales down and compresses a photo, and keeps it in the photos directory
+ * @param {Object} asset - Image asset from the image picker
+ * @returns {Promise<Object>} - Photo with id, uri and an empty caption
+ */
+export const compressPhoto = async (asset) => {
+  const actions = asset.width > MAX_PHOTO_WIDTH
+    ? [{ resize: { width: MAX_PHOTO_WIDTH } }]
+    : [];
+
+  const compressed = await ImageManipulator.manipulateAsync(asset.uri, actions, {
+    compress: PHOTO_QUALITY,
+    format: ImageManipulator.SaveFormat.JPEG
+  });
+
+  await FileSystem.makeDirectoryAsync(PHOTOS_DIRECTORY, { intermediates: true });
+
+  const id = `ph${Date.now()}${Math.floor(Math.random() * 1000)}`;
+  const uri = `${PHOTOS_DIRECTORY}${id}.jpg`;
+  await FileSystem.moveAsync({ from: compressed.uri, to: uri });
+
+  return { id, uri, caption: '' };
+};
+
+/**
+ * Lets the user choose photos from the camera roll
+ * @returns {Promise<Array>} - The compressed photos, empty if none were chosen
+ * @throws {Error} - If access to the camera roll was refused
+ */
+export const pickQuotePhotos = async () => {
+  const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+  if (status !== 'granted') {
+    throw new Error('Please allow access to your photos to attach them to the quote.');
+  }
+
+  const result = await ImagePicker.launchImageLibraryAsync({
+    mediaTypes: ImagePicker.MediaTypeOptions.Images,
+    allowsMultipleSelection: true,
+    quality: 1,
+  });
+
+  if (result.canceled) return [];
+
+  // One at a time to keep memory use down with large photos
+  const photos = [];
+  for (const asset of result.assets) {
+    photos.push(await compressPhoto(asset));
+  }
+  return photos;
+};
+
+/**
+ * Deletes the files of photos that are no longer used
+ * @param {Array} photos - Photos to delete
+ */
+export const deletePhotos = async (photos = []) => {
+  await Promise.all(photos.map(photo =>
+    FileSystem.deleteAsync(photo.uri, { idempotent: true })
+  ));
+};
+
+/**
+ * Lists the photo files a quote uses, including those in its sent revisions
+ * @param {Object} quote - The quote, or null
+ * @returns {Set} - Photo file URIs
+ */
+const getPhotoUris = (quote) => {
+  const uris = new Set();
+  if (!quote) return uris;
+
+  [quote, ...(quote.revisions || []).map(revision => revision.snapshot || {})].forEach(version => {
+    (version.photos || []).forEach(photo => uris.add(photo.uri));
+  });
+  return uris;
+};
+
+/**
+ * Deletes the files of photos a quote no longer uses after it was changed
+ * @param {Object} previousQuote - The quote before the change
+ * @param {Object} quote - The quote after the change, or null if it was discarded
+ */
+export const deleteRemovedPhotos = async (previousQuote, quote) => {
+  const usedUris = getPhotoUris(quote);
+  const removed = [...getPhotoUris(previousQuote)].filter(uri => !usedUris.has(uri));
+  await deletePhotos(removed.map(uri => ({ uri })));
+};
+
+/**
+ * Removes the photos from a quote and its revisions, before it is synced
+ * @param {Object} quote - The quote, or null
+ * @returns {Object} - The quote without photos
+ */
+export const withoutPhotos = (quote) => {
+  if (!quote) return quote;
+
+  const { photos, ...quoteFields } = quote;
+  if (!quote.revisions) return quoteFields;
+
+  return {
+    ...quoteFields,
+    revisions: quote.revisions.map(({ snapshot, ...revision }) => {
+      if (!snapshot) return revision;
+      const { photos: snapshotPhotos, ...snapshotFields } = snapshot;
+      return { ...revision, snapshot: snapshotFields };
+    })
+  };
+};
+
+/**
+ * Gives a synced version of a quote the photos of the device's own copy.
+ * Photos synced by older versions of the app point at files on another
+ * device, so they are dropped.
+ * @param {Object} quote - Synced version of the quote
+ * @param {Object} localQuote - The quote as saved on this device, or null
+ * @returns {Object} - The synced version with this device's photos
+ */
+export const withPhotosFrom = (quote, localQuote) => {
+  const syncedQuote = withoutPhotos(quote);
+  if (!localQuote) return syncedQuote;
+
+  const localSnapshots = {};
+  (localQuote.revisions || []).forEach(revision => {
+    if (revision.snapshot && revision.snapshot.photos) {
+      localSnapshots[revision.version] = revision.snapshot.photos;
+    }
+  });
+
+  return {
+    ...syncedQuote,
+    ...(localQuote.photos ? { photos: localQuote.photos } : {}),
+    ...(syncedQuote.revisions ? {
+      revisions: syncedQuote.revisions.map(revision => (
+        revision.snapshot && localSnapshots[revision.version]
+          ? { ...revision, snapshot: { ...revision.snapshot, photos: localSnapshots[revision.version] } }
+          : revision
+      ))
+    } : {})
+  };
+};
+
+/**
+ * Reads photos so they can be embedded in a PDF
+ * @param {Array} photos - Photos attached to a quote
+ * @returns {Promise<Array>} - Photos with a data URI as src. Photos whose file
+ * is missing are left out.
+ */
+export const loadPhotosForPDF = async (photos = []) => {
+  const loaded = await Promise.all(photos.map(async (photo) => {
+    try {
+      const base64 = await FileSystem.readAsStringAsync(photo.uri, {
+        encoding: FileSystem.EncodingType.Base64
+      });
+      return { ...photo, src: `data:image/jpeg;base64,${base64}` };
+    } catch (error) {
+      console.error('Error reading photo for PDF:', error);
+      return null;
+    }
+  }));
+
+  return loaded.filter(Boolean);
+};
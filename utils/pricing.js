@@ -0,0 +1,344 @@
+/**
+ * Shared pricing engine for quotes, invoices and reports
+ *
+ * All money is handled in integer cents so that a quote's total is identical
+ * on the form, on the quote/invoice PDFs and in the monthly reports.
+ *
+ * Rounding policy: every derived amount (line total, discount, VAT, service
+ * charge, deposit, payment fee) is rounded to the nearest cent, with halves rounded
+ * away from zero, at the point it is calculated. Totals are then the exact
+ * sum of those already-rounded parts.
+ */
+
+// Defaults used when a quote doesn't specify its own percentages
+export const DEFAULT_VAT_PERCENTAGE = 15;
+export const DEFAULT_DEPOSIT_PERCENTAGE = 50;
+
+// Fixed service charge added to every quote
+export const SERVICE_CHARGE_PERCENTAGE = 0.5;
+
+// Service fee deducted from every payment received
+export const SERVICE_FEE_PERCENTAGE = 0.5;
+
+// VAT treatment of an item
+export const VAT_CATEGORIES = {
+  STANDARD: 'standard',
+  ZERO_RATED: 'zero-rated',
+  EXEMPT: 'exempt',
+};
+
+// Display names for each VAT category
+export const VAT_CATEGORY_LABELS = {
+  [VAT_CATEGORIES.STANDARD]: 'Standard',
+  [VAT_CATEGORIES.ZERO_RATED]: 'Zero-rated',
+  [VAT_CATEGORIES.EXEMPT]: 'Exempt',
+};
+
+// Order VAT categories are listed in on breakdowns
+const VAT_CATEGORY_ORDER = [VAT_CATEGORIES.STANDARD, VAT_CATEGORIES.ZERO_RATED, VAT_CATEGORIES.EXEMPT];
+
+// Ways a discount can be given on a line item or a whole quote
+export const DISCOUNT_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+};
+
+/**
+ * Divides two integers and rounds the result half away from zero
+ * @param {number} numerator - Integer numerator
+ * @param {number} denominator - Positive integer denominator
+ * @returns {number} - Rounded integer quotient
+ */
+const roundedDivide = (numerator, denominator) => {
+  const sign = numerator < 0 ? -1 : 1;
+  return sign * Math.floor((Math.abs(numerator) * 2 + denominator) / (denominator * 2));
+};
+
+/**
+ * Parses a number that may arrive as a string from a form or older record
+ * @param {number|string} value - The value to parse
+ * @returns {number} - The parsed number, or 0 when invalid
+ */
+const toNumber = (value) => {
+  const number = typeof value === 'string' ? parseFloat(value) : Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+/**
+ * Reads a percentage from a quote, falling back only when it is missing
+ * (a stored 0 is a valid percentage and must not be replaced)
+ * @param {number|string} value - The stored percentage
+ * @param {number} fallback - The default percentage
+ * @returns {number} - The percentage to use
+ */
+const readPercentage = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  return toNumber(value);
+};
+
+/**
+ * Converts a rand amount to integer cents
+ * @param {number|string} amount - Amount in rand
+ * @returns {number} - Amount in cents
+ */
+export const toCents = (amount) => {
+  const number = toNumber(amount);
+  // The small offset stops values like 1.005 (stored as 1.00499...) rounding down
+  return Math.sign(number) * Math.round(Math.abs(number) * 100 + 1e-7);
+};
+
+/**
+ * Converts integer cents back to a rand amount
+ * @param {number} cents - Amount in cents
+ * @returns {number} - Amount in rand
+ */
+export const fromCents = (cents) => cents / 100;
+
+/**
+ * Formats cents as a plain two-decimal rand string (e.g. "1250.50")
+ * @param {number} cents - Amount in cents
+ * @returns {string} - The formatted amount
+ */
+export const formatCents = (cents) => fromCents(cents).toFixed(2);
+
+/**
+ * Applies a percentage to an amount in cents
+ * @param {number} cents - Amount in cents
+ * @param {number} percentage - Percentage, e.g. 15 for 15%
+ * @returns {number} - The percentage of the amount, in cents
+ */
+export const percentageOf = (cents, percentage) => {
+  // Work in basis points so that fractional percentages like 0.5% stay exact
+  const basisPoints = Math.round(toNumber(percentage) * 100);
+  return roundedDivide(cents * basisPoints, 10000);
+};
+
+/**
+ * Calculates the total of a single line item
+ * @param {Object} item - Line item with quantity and price (in rand)
+ * @returns {number} - Line total in cents
+ */
+export const calculateLineItemTotal = (item) => {
+  const priceCents = toCents(item.price);
+  // Quantities are kept to three decimals (e.g. 1.5 hours, 2.25 m)
+  const quantityThousandths = Math.round(toNumber(item.quantity) * 1000);
+  return roundedDivide(priceCents * quantityThousandths, 1000);
+};
+
+/**
+ * Calculates a percentage or fixed discount on an amount. A discount never
+ * exceeds the amount it is taken from.
+ * @param {number} cents - Amount being discounted, in cents
+ * @param {string} discountType - One of DISCOUNT_TYPES
+ * @param {number|string} discountValue - Percentage, or fixed amount in rand
+ * @returns {number} - The discount in cents
+ */
+export const calculateDiscount = (cents, discountType, discountValue) => {
+  let discount = 0;
+  if (discountType === DISCOUNT_TYPES.PERCENTAGE) {
+    discount = percentageOf(cents, discountValue);
+  } else if (discountType === DISCOUNT_TYPES.FIXED) {
+    discount = toCents(discountValue);
+  }
+  return Math.min(Math.max(discount, 0), Math.max(cents, 0));
+};
+
+/**
+ * Calculates the discount on a single line item
+ * @param {Object} item - Line item with an optional discountType and discountValue
+ * @returns {number} - Line discount in cents
+ */
+export const calculateLineItemDiscount = (item) => {
+  return calculateDiscount(calculateLineItemTotal(item), item.discountType, item.discountValue);
+};
+
+/**
+ * Describes a discount for display, e.g. "10%" or "R50.00"
+ * @param {string} discountType - One of DISCOUNT_TYPES
+ * @param {number|string} discountValue - Percentage, or fixed amount in rand
+ * @returns {string} - The description
+ */
+export const formatDiscount = (discountType, discountValue) => {
+  return discountType === DISCOUNT_TYPES.PERCENTAGE
+    ? `${toNumber(discountValue)}%`
+    : `R${formatCents(toCents(discountValue))}`;
+};
+
+/**
+ * Splits the taxable amount of a quote by VAT category. The quote discount
+ * is shared across categories in proportion to their discounted line totals.
+ * @param {Array} lineItems - Line items being priced
+ * @param {number} quoteDiscountAmount - Quote-level discount in cents
+ * @returns {Array} - Taxable amount in cents for each category that has items
+ */
+const splitTaxableByCategory = (lineItems, quoteDiscountAmount) => {
+  const netByCategory = {};
+  lineItems.forEach(item => {
+    const category = VAT_CATEGORY_ORDER.includes(item.vatCategory) ? item.vatCategory : VAT_CATEGORIES.STANDARD;
+    const net = calculateLineItemTotal(item) - calculateLineItemDiscount(item);
+    netByCategory[category] = (netByCategory[category] || 0) + net;
+  });
+
+  const categories = VAT_CATEGORY_ORDER.filter(category => netByCategory[category] !== undefined);
+  const totalNet = categories.reduce((sum, category) => sum + netByCategory[category], 0);
+
+  // The last category takes whatever is left so the shares add up exactly
+  let remainingDiscount = quoteDiscountAmount;
+  return categories.map((category, index) => {
+    const discountShare = index === categories.length - 1 || totalNet === 0
+      ? remainingDiscount
+      : roundedDivide(quoteDiscountAmount * netByCategory[category], totalNet);
+    remainingDiscount -= discountShare;
+
+    return { category, taxableAmount: netByCategory[category] - discountShare };
+  });
+};
+
+/**
+ * Gets the option groups (e.g. Good / Better / Best) offered on a quote
+ * @param {Object} quote - The quote
+ * @returns {Array} - Options with id, name and lineItems, or an empty list for single-option quotes
+ */
+export const getQuoteOptions = (quote) => quote.options || [];
+
+/**
+ * Gets the option the customer chose, or the first option until one is chosen
+ * @param {Object} quote - The quote
+ * @returns {Object|null} - The option, or null for single-option quotes
+ */
+export const getSelectedOption = (quote) => {
+  const options = getQuoteOptions(quote);
+  if (options.length === 0) return null;
+  return options.find(option => option.id === quote.selectedOptionId) || options[0];
+};
+
+/**
+ * Gets the line items that count towards a quote's totals
+ * @param {Object} quote - The quote
+ * @returns {Array} - Line items of the selected option, or the quote's own line items
+ */
+export const getQuoteLineItems = (quote) => {
+  const option = getSelectedOption(quote);
+  return option ? option.lineItems || [] : quote.lineItems || [];
+};
+
+/**
+ * Calculates all totals for a quote. Multi-option quotes are priced on the
+ * option the customer chose (or the first option until one is chosen).
+ *
+ * The subtotal is before discounts. Line discounts come off each line first,
+ * then the quote discount comes off what is left; VAT and the service charge
+ * are charged on the discounted amount.
+ *
+ * VAT is only charged on standard-rated items, and not at all when the quote
+ * was issued by a business that is not VAT-registered.
+ * @param {Object} quote - Quote with lineItems or options, discount, VAT and percentage settings
+ * @returns {Object} - Subtotal, discounts, VAT (with a breakdown by category), service charge,
+ *   total, deposit and balance in cents
+ */
+export const calculateQuoteTotals = (quote) => {
+  const lineItems = getQuoteLineItems(quote);
+
+  // Older records without line items only have the stored total
+  if (lineItems.length === 0 && getQuoteOptions(quote).length === 0 && quote.amount !== undefined) {
+    const total = toCents(quote.amount);
+    const depositAmount = percentageOf(
+      total,
+      readPercentage(quote.depositPercentage, DEFAULT_DEPOSIT_PERCENTAGE)
+    );
+
+    return {
+      subtotal: total,
+      lineDiscountAmount: 0,
+      quoteDiscountAmount: 0,
+      discountAmount: 0,
+      vatAmount: 0,
+      vatBreakdown: [],
+      serviceChargeAmount: 0,
+      total,
+      depositAmount,
+      balanceAmount: total - depositAmount
+    };
+  }
+
+  const vatPercentage = readPercentage(quote.vatPercentage, DEFAULT_VAT_PERCENTAGE);
+  const serviceChargePercentage = readPercentage(quote.serviceChargePercentage, SERVICE_CHARGE_PERCENTAGE);
+  const depositPercentage = readPercentage(quote.depositPercentage, DEFAULT_DEPOSIT_PERCENTAGE);
+
+  const subtotal = lineItems.reduce((sum, item) => sum + calculateLineItemTotal(item), 0);
+  const lineDiscountAmount = lineItems.reduce((sum, item) => sum + calculateLineItemDiscount(item), 0);
+  const quoteDiscountAmount = calculateDiscount(
+    subtotal - lineDiscountAmount,
+    quote.discountType,
+    quote.discountValue
+  );
+  const discountAmount = lineDiscountAmount + quoteDiscountAmount;
+  const netAmount = subtotal - discountAmount;
+
+  // Quotes from before VAT registration was recorded always charged VAT
+  const chargesVat = quote.vatRegistered !== false;
+  const vatBreakdown = splitTaxableByCategory(lineItems, quoteDiscountAmount).map(line => {
+    const vatRate = chargesVat && line.category === VAT_CATEGORIES.STANDARD ? vatPercentage : 0;
+    return { ...line, vatRate, vatAmount: percentageOf(line.taxableAmount, vatRate) };
+  });
+  const vatAmount = vatBreakdown.reduce((sum, line) => sum + line.vatAmount, 0);
+  const serviceChargeAmount = percentageOf(netAmount, serviceChargePercentage);
+  const total = netAmount + vatAmount + serviceChargeAmount;
+  const depositAmount = percentageOf(total, depositPercentage);
+
+  return {
+    subtotal,
+    lineDiscountAmount,
+    quoteDiscountAmount,
+    discountAmount,
+    vatAmount,
+    vatBreakdown,
+    serviceChargeAmount,
+    total,
+    depositAmount,
+    balanceAmount: total - depositAmount
+  };
+};
+
+/**
+ * Calculates the totals a quote would have if a given option were chosen
+ * @param {Object} quote - Quote with percentage settings
+ * @param {Object} option - One of the quote's options
+ * @returns {Object} - Totals in cents, as returned by calculateQuoteTotals
+ */
+export const calculateOptionTotals = (quote, option) => {
+  return calculateQuoteTotals({ ...quote, options: [option], selectedOptionId: option.id });
+};
+
+/**
+ * Splits a payment into the service fee and the net amount received
+ * @param {number} grossCents - Payment amount in cents
+ * @returns {Object} - Gross, fee and net amounts in cents
+ */
+export const calculatePaymentFees = (grossCents) => {
+  const fee = percentageOf(grossCents, SERVICE_FEE_PERCENTAGE);
+  return {
+    gross: grossCents,
+    fee,
+    net: grossCents - fee
+  };
+};
+
+/**
+ * Calculates the deposit and final payments for a quote, including fees
+ * @param {Object} quote - The quote data
+ * @returns {Object} - Deposit and final payment breakdowns in cents, plus totals
+ */
+export const calculatePaymentSchedule = (quote) => {
+  const { total, depositAmount, balanceAmount } = calculateQuoteTotals(quote);
+  const deposit = calculatePaymentFees(depositAmount);
+  const final = calculatePaymentFees(balanceAmount);
+
+  return {
+    total,
+    deposit,
+    final,
+    totalFees: deposit.fee + final.fee,
+    totalNet: deposit.net + final.net
+  };
+};
@@ -0,0 +1,536 @@
+/**
+ * Quote store and lifecycle state machine
+ *
+ * Every quote carries a `status` field. Status changes go through
+ * transitionQuote, which checks the transition table and records who made
+ * the change and when in the quote's statusHistory.
+ *
+ * Quotes are stored in the local database (utils/database.js), with a row in
+ * the payments table for each payment received. Screens load what they show
+ * with queryQuotes and queryPayments, and write back only the quotes they
+ * changed with saveQuoteRecords and deleteQuoteRecords.
+ */
+
+import { getDatabase, placeholders } from './database';
+import { queueQuoteChanges } from './outbox';
+import { calculatePaymentSchedule } from './pricing';
+
+// Key quotes were stored under in AsyncStorage before the local database
+export const QUOTES_STORAGE_KEY = 'quickquote_data';
+
+// Quote statuses
+export const QUOTE_STATUS = {
+  DRAFT: 'Draft',
+  SENT: 'Sent',
+  ACCEPTED: 'Accepted',
+  SCHEDULED: 'Scheduled Work',
+  COMPLETE: 'Complete',
+  DECLINED: 'Declined',
+  EXPIRED: 'Expired',
+  CANCELLED: 'Cancelled',
+};
+
+// Outcomes where the work was lost
+export const LOST_STATUSES = [
+  QUOTE_STATUS.DECLINED,
+  QUOTE_STATUS.EXPIRED,
+  QUOTE_STATUS.CANCELLED,
+];
+
+// Statuses each status is allowed to move to
+export const QUOTE_TRANSITIONS = {
+  [QUOTE_STATUS.DRAFT]: [QUOTE_STATUS.SENT],
+  [QUOTE_STATUS.SENT]: [QUOTE_STATUS.ACCEPTED, QUOTE_STATUS.DECLINED, QUOTE_STATUS.EXPIRED, QUOTE_STATUS.CANCELLED],
+  [QUOTE_STATUS.ACCEPTED]: [QUOTE_STATUS.SCHEDULED, QUOTE_STATUS.CANCELLED],
+  [QUOTE_STATUS.SCHEDULED]: [QUOTE_STATUS.COMPLETE, QUOTE_STATUS.CANCELLED],
+  [QUOTE_STATUS.COMPLETE]: [],
+  [QUOTE_STATUS.DECLINED]: [],
+  [QUOTE_STATUS.EXPIRED]: [],
+  [QUOTE_STATUS.CANCELLED]: [],
+};
+
+// Reasons offered when a quote is declined or cancelled
+export const LOST_REASONS = [
+  'Price too high',
+  'Went with another contractor',
+  'Job no longer needed',
+  'Timing did not suit the client',
+  'Client not responding',
+];
+
+// Reason recorded when a quote expires automatically
+export const EXPIRED_REASON = 'Quote validity period ended';
+
+// Dashboard tabs and the statuses listed under each
+export const DASHBOARD_TABS = [
+  { label: 'Draft', statuses: [QUOTE_STATUS.DRAFT] },
+  { label: 'Sent', statuses: [QUOTE_STATUS.SENT] },
+  { label: 'Accepted', statuses: [QUOTE_STATUS.ACCEPTED] },
+  { label: 'Scheduled Work', statuses: [QUOTE_STATUS.SCHEDULED] },
+  { label: 'Complete', statuses: [QUOTE_STATUS.COMPLETE] },
+  { label: 'Lost', statuses: LOST_STATUSES },
+];
+
+/**
+ * Checks whether a quote may move between two statuses
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean} - True if the transition is allowed
+ */
+export const canTransition = (fromStatus, toStatus) => {
+  return (QUOTE_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+/**
+ * Moves a quote to a new status
+ * @param {Object} quote - The quote to move
+ * @param {string} toStatus - The status to move to
+ * @param {Object} actor - The signed-in user making the change
+ * @param {Object} changes - Extra fields to set along with the status
+ * @returns {Object} - The updated quote (the original is not modified)
+ * @throws {Error} - If the transition is not allowed
+ */
+export const transitionQuote = (quote, toStatus, actor, changes = {}) => {
+  const fromStatus = quote.status;
+
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new Error(`A quote in ${fromStatus} cannot be moved to ${toStatus}.`);
+  }
+
+  const historyEntry = {
+    from: fromStatus,
+    to: toStatus,
+    at: new Date().toISOString(),
+    by: actor ? { id: actor.id || null, email: actor.email || null } : null
+  };
+
+  return {
+    ...quote,
+    ...changes,
+    status: toStatus,
+    statusHistory: [...(quote.statusHistory || []), historyEntry]
+  };
+};
+
+/**
+ * Marks a quote as lost (declined, expired or cancelled) with a reason
+ * @param {Object} quote - The quote to close
+ * @param {string} toStatus - One of the lost statuses
+ * @param {string} reason - Why the work was lost
+ * @param {Object} actor - The signed-in user making the change, or null for automatic changes
+ * @returns {Object} - The updated quote
+ * @throws {Error} - If the status is not a lost outcome or the transition is not allowed
+ */
+export const closeQuoteAsLost = (quote, toStatus, reason, actor) => {
+  if (!LOST_STATUSES.includes(toStatus)) {
+    throw new Error(`${toStatus} is not a lost quote outcome.`);
+  }
+
+  return transitionQuote(quote, toStatus, actor, {
+    lostReason: reason,
+    lostDate: new Date().toISOString().split('T')[0]
+  });
+};
+
+/**
+ * Works out the last day a quote is valid, from its sent date and validity period
+ * @param {string} sentDate - Date the quote was sent (YYYY-MM-DD)
+ * @param {number} validityDays - Number of days the quote is valid for
+ * @returns {string|null} - Last valid date (YYYY-MM-DD), or null if no validity period
+ */
+export const calculateValidUntil = (sentDate, validityDays) => {
+  const days = parseInt(validityDays, 10);
+  if (!sentDate || !days || days <= 0) return null;
+
+  const date = new Date(`${sentDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Moves sent quotes whose validity period has ended to Expired
+ * @param {Array} quotes - All quotes
+ * @param {Date} now - The current time
+ * @returns {Object} - The updated quotes and how many expired
+ */
+export const expireOverdueQuotes = (quotes, now = new Date()) => {
+  const today = now.toISOString().split('T')[0];
+  let expiredCount = 0;
+
+  const updatedQuotes = quotes.map(quote => {
+    if (quote.status !== QUOTE_STATUS.SENT || !quote.validUntil || quote.validUntil >= today) {
+      return quote;
+    }
+
+    expiredCount += 1;
+    return closeQuoteAsLost(quote, QUOTE_STATUS.EXPIRED, EXPIRED_REASON, null);
+  });
+
+  return { quotes: updatedQuotes, expiredCount };
+};
+
+/**
+ * Creates a new quote record in Draft status
+ * @param {Object} quoteData - Quote fields from the quote form
+ * @returns {Object} - The quote with its initial status
+ */
+export const createQuote = (quoteData) => ({
+  ...quoteData,
+  status: QUOTE_STATUS.DRAFT,
+  statusHistory: []
+});
+
+/**
+ * Finds the dashboard tab a status is listed under
+ * @param {string} status - Quote status
+ * @returns {string} - The tab label
+ */
+export const getTabForStatus = (status) => {
+  const tab = DASHBOARD_TABS.find(item => item.statuses.includes(status));
+  return tab ? tab.label : DASHBOARD_TABS[0].label;
+};
+
+/**
+ * Lists the quotes shown under a dashboard tab
+ * @param {Array} quotes - All quotes
+ * @param {string} tabLabel - The tab label
+ * @returns {Array} - Quotes whose status belongs to the tab
+ */
+export const getQuotesForTab = (quotes, tabLabel) => {
+  const tab = DASHBOARD_TABS.find(item => item.label === tabLabel);
+  if (!tab) return [];
+  return quotes.filter(quote => tab.statuses.includes(quote.status));
+};
+
+/**
+ * Groups quotes by status
+ * @param {Array} quotes - All quotes
+ * @returns {Object} - Arrays of quotes keyed by status
+ */
+export const groupQuotesByStatus = (quotes) => {
+  const groups = {};
+  Object.values(QUOTE_STATUS).forEach(status => {
+    groups[status] = [];
+  });
+
+  quotes.forEach(quote => {
+    if (!groups[quote.status]) {
+      groups[quote.status] = [];
+    }
+    groups[quote.status].push(quote);
+  });
+
+  return groups;
+};
+
+/**
+ * Converts the old storage shape (separate arrays keyed by status) into a
+ * flat list of quotes carrying their own status
+ * @param {Object} buckets - Quotes keyed by status
+ * @returns {Array} - Flat list of quotes
+ */
+export const flattenStatusBuckets = (buckets) => {
+  return Object.keys(buckets).reduce((list, status) => {
+    const bucket = Array.isArray(buckets[status]) ? buckets[status] : [];
+    return [
+      ...list,
+      ...bucket.map(quote => ({
+        ...quote,
+        status: quote.status || status,
+        statusHistory: quote.statusHistory || []
+      }))
+    ];
+  }, []);
+};
+
+// Date fields copied into indexed columns, so quotes can be found by date
+const DATE_COLUMNS = {
+  sent_on: 'date',
+  deposit_on: 'depositDate',
+  completed_on: 'completedDate',
+  final_payment_on: 'finalPaymentDate',
+  lost_on: 'lostDate',
+};
+
+// Position given to the last quote added or moved, so lists keep their order
+let lastPosition = 0;
+
+/**
+ * Gives the next list position. Newer positions are listed first.
+ * @returns {number} - A position higher than any given before
+ */
+const nextPosition = () => {
+  lastPosition = Math.max(Date.now(), lastPosition + 1);
+  return lastPosition;
+};
+
+/**
+ * Reads the date part of a stored date or timestamp
+ * @param {string} value - Date (YYYY-MM-DD) or ISO timestamp
+ * @returns {string|null} - The date, or null if there is none
+ */
+const toDateColumn = (value) => (value ? String(value).slice(0, 10) : null);
+
+/**
+ * Lists the payments received for a quote
+ * @param {Object} quote - The quote
+ * @returns {Array} - Deposit and final payment, each with its date and amount in cents
+ */
+const getReceivedPayments = (quote) => {
+  const { deposit, final } = calculatePaymentSchedule(quote);
+  const payments = [];
+
+  if (quote.depositDate) {
+    payments.push({ kind: 'deposit', reference: quote.quoteNumber, paidOn: quote.depositDate, amount: deposit.gross });
+  }
+  if (quote.finalPaymentDate) {
+    payments.push({ kind: 'final', reference: quote.invoiceNumber || quote.quoteNumber, paidOn: quote.finalPaymentDate, amount: final.gross });
+  }
+
+  return payments.map(payment => ({ ...payment, id: `${quote.id}-${payment.kind}` }));
+};
+
+/**
+ * Loads stored quotes with their list positions
+ * @param {Object} database - The open database
+ * @param {Array|null} quoteIds - Quotes to load, or null for all of them
+ * @returns {Promise<Object>} - Stored quote and position, keyed by quote ID
+ */
+const loadStoredRows = async (database, quoteIds) => {
+  const rows = quoteIds
+    ? await database.getAllAsync(
+      `SELECT id, position, data FROM quotes WHERE id IN (${placeholders(quoteIds)})`,
+      quoteIds
+    )
+    : await database.getAllAsync('SELECT id, position, data FROM quotes');
+
+  const storedById = {};
+  rows.forEach(row => {
+    storedById[row.id] = { position: row.position, data: row.data, quote: JSON.parse(row.data) };
+  });
+  return storedById;
+};
+
+/**
+ * Writes quotes and their payments. Call inside a transaction.
+ * @param {Object} database - The open database
+ * @param {Array} quotes - Quotes to write, newest first
+ * @param {Object} storedById - The stored versions, from loadStoredRows
+ */
+const writeQuoteRows = async (database, quotes, storedById) => {
+  // Written oldest first, so new quotes keep the order they were given in
+  for (const quote of [...quotes].reverse()) {
+    const stored = storedById[quote.id];
+    // A quote moves to the top of its list when it is added or changes status
+    const position = stored && stored.quote.status === quote.status ? stored.position : nextPosition();
+
+    await database.runAsync(
+      `INSERT OR REPLACE INTO quotes (id, status, client_id, ${Object.keys(DATE_COLUMNS).join(', ')}, position, data)
+       VALUES (?, ?, ?, ${placeholders(Object.keys(DATE_COLUMNS))}, ?, ?)`,
+      [
+        quote.id,
+        quote.status,
+        quote.clientId || null,
+        ...Object.values(DATE_COLUMNS).map(field => toDateColumn(quote[field])),
+        position,
+        JSON.stringify(quote)
+      ]
+    );
+
+    await database.runAsync('DELETE FROM payments WHERE quote_id = ?', [quote.id]);
+    for (const payment of getReceivedPayments(quote)) {
+      await database.runAsync(
+        'INSERT INTO payments (id, quote_id, client_id, kind, reference, paid_on, amount) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [payment.id, quote.id, quote.clientId || null, payment.kind, payment.reference || null, payment.paidOn, payment.amount]
+      );
+    }
+  }
+};
+
+/**
+ * Removes quotes and their payments. Call inside a transaction.
+ * @param {Object} database - The open database
+ * @param {Array} quoteIds - Quotes to remove
+ */
+const deleteQuoteRows = async (database, quoteIds) => {
+  if (quoteIds.length === 0) return;
+  await database.runAsync(`DELETE FROM payments WHERE quote_id IN (${placeholders(quoteIds)})`, quoteIds);
+  await database.runAsync(`DELETE FROM quotes WHERE id IN (${placeholders(quoteIds)})`, quoteIds);
+};
+
+/**
+ * Loads all quotes from storage
+ * @returns {Promise<Array>} - Flat list of quotes, newest first
+ */
+export const loadQuotes = async () => {
+  return queryQuotes();
+};
+
+/**
+ * Loads one quote from storage
+ * @param {string} quoteId - The quote
+ * @returns {Promise<Object|null>} - The quote, or null if it is not stored
+ */
+export const getQuote = async (quoteId) => {
+  const database = await getDatabase();
+  const row = await database.getFirstAsync('SELECT data FROM quotes WHERE id = ?', [quoteId]);
+  return row ? JSON.parse(row.data) : null;
+};
+
+/**
+ * Loads the quotes matching a filter, using the database indexes
+ * @param {Object} filter - Any of: statuses (array), clientId, and from/to
+ * dates (YYYY-MM-DD) matching quotes sent, paid, completed or lost in the range
+ * @returns {Promise<Array>} - Matching quotes, newest first
+ */
+export const queryQuotes = async ({ statuses, clientId, from, to } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (statuses) {
+    if (statuses.length === 0) return [];
+    conditions.push(`status IN (${placeholders(statuses)})`);
+    params.push(...statuses);
+  }
+  if (clientId) {
+    conditions.push('client_id = ?');
+    params.push(clientId);
+  }
+  if (from || to) {
+    const columns = Object.keys(DATE_COLUMNS);
+    conditions.push(`(${columns.map(column => `${column} BETWEEN ? AND ?`).join(' OR ')})`);
+    columns.forEach(() => params.push(from || '0000-01-01', to || '9999-12-31'));
+  }
+
+  const database = await getDatabase();
+  const rows = await database.getAllAsync(
+    `SELECT data FROM quotes
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY position DESC`,
+    params
+  );
+  return rows.map(row => JSON.parse(row.data));
+};
+
+/**
+ * Loads the payments received, using the database indexes
+ * @param {Object} filter - Any of: clientId, and from/to dates (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Payments (id, quoteId, clientId, kind, reference,
+ * paidOn, amount in cents), most recent first
+ */
+export const queryPayments = async ({ clientId, from, to } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (clientId) {
+    conditions.push('client_id = ?');
+    params.push(clientId);
+  }
+  if (from) {
+    conditions.push('paid_on >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('paid_on <= ?');
+    params.push(to);
+  }
+
+  const database = await getDatabase();
+  const rows = await database.getAllAsync(
+    `SELECT id, quote_id, client_id, kind, reference, paid_on, amount FROM payments
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY paid_on DESC`,
+    params
+  );
+  return rows.map(row => ({
+    id: row.id,
+    quoteId: row.quote_id,
+    clientId: row.client_id,
+    kind: row.kind,
+    reference: row.reference,
+    paidOn: row.paid_on,
+    amount: row.amount
+  }));
+};
+
+/**
+ * Saves some quotes, leaving the rest of the stored quotes as they are.
+ * Changes are queued in the sync outbox first, so they reach Supabase even if
+ * the app closes before the next sync.
+ * @param {Array} quotes - Quotes to add or update
+ * @param {Object} options - queueSync: false for quotes that came from Supabase
+ */
+export const saveQuoteRecords = async (quotes, { queueSync = true } = {}) => {
+  if (quotes.length === 0) return;
+
+  const database = await getDatabase();
+  const storedById = await loadStoredRows(database, quotes.map(quote => quote.id));
+
+  if (queueSync) {
+    await queueQuoteChanges(Object.values(storedById).map(row => row.quote), quotes);
+  }
+  await database.withTransactionAsync(() => writeQuoteRows(database, quotes, storedById));
+};
+
+/**
+ * Saves one quote
+ * @param {Object} quote - The quote to add or update
+ * @param {Object} options - queueSync: false for quotes that came from Supabase
+ */
+export const saveQuote = async (quote, options) => {
+  await saveQuoteRecords([quote], options);
+};
+
+/**
+ * Removes some quotes from storage
+ * @param {Array} quoteIds - Quotes to remove
+ * @param {Object} options - queueSync: false for deletions that came from Supabase
+ */
+export const deleteQuoteRecords = async (quoteIds, { queueSync = true } = {}) => {
+  if (quoteIds.length === 0) return;
+
+  const database = await getDatabase();
+  if (queueSync) {
+    const storedById = await loadStoredRows(database, quoteIds);
+    await queueQuoteChanges(Object.values(storedById).map(row => row.quote), []);
+  }
+  await database.withTransactionAsync(() => deleteQuoteRows(database, quoteIds));
+};
+
+/**
+ * Replaces all stored quotes with a new list. Only quotes that changed or
+ * were removed are written or queued to sync.
+ * @param {Array} quotes - Flat list of quotes, newest first
+ * @param {Object} options - queueSync: false for quotes that came from Supabase
+ */
+export const saveQuotes = async (quotes, { queueSync = true } = {}) => {
+  const database = await getDatabase();
+  const storedById = await loadStoredRows(database, null);
+  const quoteIds = new Set(quotes.map(quote => quote.id));
+
+  const changedQuotes = quotes.filter(quote => (
+    !storedById[quote.id] || storedById[quote.id].data !== JSON.stringify(quote)
+  ));
+  const removedIds = Object.keys(storedById).filter(id => !quoteIds.has(id));
+
+  if (queueSync) {
+    await queueQuoteChanges(
+      [...changedQuotes.map(quote => quote.id), ...removedIds]
+        .filter(id => storedById[id])
+        .map(id => storedById[id].quote),
+      changedQuotes
+    );
+  }
+  await database.withTransactionAsync(async () => {
+    await writeQuoteRows(database, changedQuotes, storedById);
+    await deleteQuoteRows(database, removedIds);
+  });
+};
+
+/**
+ * Removes every quote from this device. Nothing is queued for sync, so the
+ * business's quotes in Supabase, including teammates' jobs, are kept.
+ */
+export const clearQuotes = async () => {
+  await saveQuotes([], { queueSync: false });
+};
@@ -0,0 +1,181 @@
+/**
+ * Quote revisions
+ *
+ * Every time a quote is sent or resent, a snapshot of exactly what the client
+ * received is added to the quote's revisions (v1, v2, ...). Revisions are never
+ * changed after they are recorded, so any earlier version can be compared or
+ * reprinted if the client disputes the price.
+ */
+
+import { calculateQuoteTotals, calculateOptionTotals, getQuoteOptions } from './pricing';
+
+// Totals compared between revisions, in display order
+const COMPARED_TOTALS = [
+  { key: 'subtotal', label: 'Subtotal' },
+  { key: 'discountAmount', label: 'Discount' },
+  { key: 'vatAmount', label: 'VAT' },
+  { key: 'serviceChargeAmount', label: 'Service charge' },
+  { key: 'total', label: 'Total' },
+  { key: 'depositAmount', label: 'Deposit' },
+];
+
+// Totals of an option that does not exist in one of the revisions
+const EMPTY_TOTALS = { subtotal: 0, discountAmount: 0, vatAmount: 0, serviceChargeAmount: 0, total: 0, depositAmount: 0 };
+
+// Line item fields that count as a change
+const COMPARED_LINE_ITEM_FIELDS = ['description', 'quantity', 'price'];
+
+/**
+ * Gets the version number the quote's next revision will have
+ * @param {Object} quote - The quote, or null for a new quote
+ * @returns {number} - Next version number
+ */
+export const getNextRevisionNumber = (quote) => {
+  return ((quote && quote.revisions) || []).length + 1;
+};
+
+/**
+ * Records the quote as sent by adding a snapshot of it as a new revision
+ * @param {Object} quote - The quote as it is being sent
+ * @param {Object} actor - The signed-in user sending the quote
+ * @returns {Object} - The quote with the new revision added
+ */
+export const addRevision = (quote, actor) => {
+  const version = getNextRevisionNumber(quote);
+  const { revisions = [], statusHistory, ...quoteFields } = quote;
+
+  const revision = {
+    version,
+    sentAt: new Date().toISOString(),
+    sentBy: actor ? { id: actor.id || null, email: actor.email || null } : null,
+    // Deep copy so later edits to the quote can't change what was sent
+    snapshot: JSON.parse(JSON.stringify({ ...quoteFields, revision: version }))
+  };
+
+  return {
+    ...quote,
+    revision: version,
+    revisions: [...revisions, revision]
+  };
+};
+
+/**
+ * Gets the quote exactly as it was sent in a given revision
+ * @param {Object} quote - The quote
+ * @param {number} version - Revision version number
+ * @returns {Object} - The quote fields from that revision
+ * @throws {Error} - If the quote has no such revision
+ */
+export const getRevisionSnapshot = (quote, version) => {
+  const revision = (quote.revisions || []).find(item => item.version === version);
+  if (!revision) {
+    throw new Error(`Revision v${version} of this quote could not be found.`);
+  }
+  return revision.snapshot;
+};
+
+/**
+ * Finds the line item in a list that corresponds to another revision's item
+ * @param {Array} lineItems - Line items to search
+ * @param {Object} item - Line item to match
+ * @returns {Object|undefined} - The matching line item
+ */
+const findMatchingLineItem = (lineItems, item) => {
+  return item.id !== undefined
+    ? lineItems.find(candidate => candidate.id === item.id)
+    : lineItems.find(candidate => candidate.description === item.description);
+};
+
+/**
+ * Lists the groups of line items on a quote: one per option, or a single
+ * unnamed group for a quote without options
+ * @param {Object} quote - Quote snapshot
+ * @returns {Array} - Groups with id, name and lineItems
+ */
+const getLineItemGroups = (quote) => {
+  const options = getQuoteOptions(quote);
+  return options.length > 0
+    ? options
+    : [{ id: null, name: null, lineItems: quote.lineItems || [] }];
+};
+
+/**
+ * Calculates the totals of one group of line items
+ * @param {Object} quote - Quote snapshot the group belongs to
+ * @param {Object|undefined} group - The group, or undefined if it is not in this revision
+ * @returns {Object} - Totals in cents
+ */
+const getGroupTotals = (quote, group) => {
+  if (!group) return EMPTY_TOTALS;
+  return group.id ? calculateOptionTotals(quote, group) : calculateQuoteTotals(quote);
+};
+
+/**
+ * Compares the line items of one group across two revisions
+ * @param {Array} previousItems - Line items in the earlier revision
+ * @param {Array} currentItems - Line items in the later revision
+ * @param {string|null} option - Name of the option the items belong to
+ * @returns {Array} - Added, removed and changed line items
+ */
+const compareLineItems = (previousItems, currentItems, option) => {
+  const lineItems = [];
+
+  previousItems.forEach(before => {
+    const after = findMatchingLineItem(currentItems, before);
+    if (!after) {
+      lineItems.push({ change: 'removed', option, before, after: null });
+    } else if (COMPARED_LINE_ITEM_FIELDS.some(field => String(before[field]) !== String(after[field]))) {
+      lineItems.push({ change: 'changed', option, before, after });
+    }
+  });
+
+  currentItems.forEach(after => {
+    if (!findMatchingLineItem(previousItems, after)) {
+      lineItems.push({ change: 'added', option, before: null, after });
+    }
+  });
+
+  return lineItems;
+};
+
+/**
+ * Compares two revisions of a quote. For quotes with options, line items and
+ * totals are compared option by option.
+ * @param {Object} previous - Snapshot of the earlier revision
+ * @param {Object} current - Snapshot of the later revision
+ * @returns {Object} - Added, removed and changed line items, and changed totals (in cents)
+ */
+export const compareRevisions = (previous, current) => {
+  const previousGroups = getLineItemGroups(previous);
+  const currentGroups = getLineItemGroups(current);
+  const lineItems = [];
+  const totals = [];
+
+  // Options added or removed between revisions are compared against an empty group
+  const groupIds = [...new Set([...previousGroups, ...currentGroups].map(group => group.id))];
+
+  groupIds.forEach(groupId => {
+    const previousGroup = previousGroups.find(group => group.id === groupId);
+    const currentGroup = currentGroups.find(group => group.id === groupId);
+    const option = (currentGroup || previousGroup).name;
+
+    lineItems.push(...compareLineItems(
+      previousGroup ? previousGroup.lineItems || [] : [],
+      currentGroup ? currentGroup.lineItems || [] : [],
+      option
+    ));
+
+    const previousTotals = getGroupTotals(previous, previousGroup);
+    const currentTotals = getGroupTotals(current, currentGroup);
+
+    COMPARED_TOTALS
+      .filter(({ key }) => previousTotals[key] !== currentTotals[key])
+      .forEach(({ key, label }) => totals.push({
+        label: option ? `${option} – ${label}` : label,
+        before: previousTotals[key],
+        after: currentTotals[key]
+      }));
+  });
+
+  return { lineItems, totals };
+};
@@ -0,0 +1,275 @@
+/**
+ * Job scheduling
+ *
+ * When the deposit is paid the job is booked in: a start date and time
+ * (scheduledStart, an ISO date-time) and an estimated duration in minutes
+ * (estimatedDuration). The calendar shows booked Scheduled Work jobs and warns
+ * when two jobs for the same team member (or two unassigned jobs) overlap.
+ */
+
+import { QUOTE_STATUS } from './quoteStore';
+
+// Length of a job when no estimate is given, in minutes
+export const DEFAULT_JOB_DURATION = 120;
+
+// Hours shown on the calendar, widened for jobs booked outside them
+export const WORKDAY_START_HOUR = 6;
+export const WORKDAY_END_HOUR = 20;
+
+// Jobs are booked and moved in steps of this many minutes
+export const SLOT_MINUTES = 30;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Formats a date as YYYY-MM-DD in local time
+ * @param {Date} date - The date
+ * @returns {string} - Date key
+ */
+export const toDateKey = (date) => {
+  const month = `${date.getMonth() + 1}`.padStart(2, '0');
+  const day = `${date.getDate()}`.padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Formats the time of a date as HH:MM
+ * @param {Date} date - The date
+ * @returns {string} - Time such as 09:30
+ */
+export const formatTime = (date) => {
+  return `${`${date.getHours()}`.padStart(2, '0')}:${`${date.getMinutes()}`.padStart(2, '0')}`;
+};
+
+/**
+ * Formats a duration for display
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} - Duration such as 1h 30m
+ */
+export const formatDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const remainder = minutes % 60;
+  if (hours === 0) return `${remainder}m`;
+  return remainder ? `${hours}h ${remainder}m` : `${hours}h`;
+};
+
+/**
+ * Reads a booking entered as text
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {string} time - Start time as HH:MM
+ * @param {string} hours - Estimated duration in hours, e.g. 1.5
+ * @returns {Object} - Booking with scheduledStart and estimatedDuration
+ * @throws {Error} - If the date, time or duration is not valid
+ */
+export const parseBooking = (date, time, hours) => {
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec((date || '').trim());
+  if (!dateMatch) {
+    throw new Error('Please enter the date as YYYY-MM-DD.');
+  }
+
+  const timeMatch = /^(\d{1,2}):(\d{2})$/.exec((time || '').trim());
+  if (!timeMatch || Number(timeMatch[1]) > 23 || Number(timeMatch[2]) > 59) {
+    throw new Error('Please enter the start time as HH:MM, e.g. 08:30.');
+  }
+
+  const start = new Date(
+    Number(dateMatch[1]),
+    Number(dateMatch[2]) - 1,
+    Number(dateMatch[3]),
+    Number(timeMatch[1]),
+    Number(timeMatch[2])
+  );
+  if (toDateKey(start) !== dateMatch[0]) {
+    throw new Error(`${dateMatch[0]} is not a valid date.`);
+  }
+
+  const duration = Math.round(parseFloat(hours) * 60);
+  if (!(duration > 0)) {
+    throw new Error('Please enter how many hours the job will take.');
+  }
+
+  return { scheduledStart: start.toISOString(), estimatedDuration: duration };
+};
+
+/**
+ * Gets when a booked job starts
+ * @param {Object} quote - The quote
+ * @returns {Date|null} - Start, or null if the job has not been booked
+ */
+export const getJobStart = (quote) => {
+  return quote.scheduledStart ? new Date(quote.scheduledStart) : null;
+};
+
+/**
+ * Gets when a booked job is expected to finish
+ * @param {Object} quote - The quote
+ * @returns {Date|null} - End, or null if the job has not been booked
+ */
+export const getJobEnd = (quote) => {
+  const start = getJobStart(quote);
+  if (!start) return null;
+  return new Date(start.getTime() + (quote.estimatedDuration || DEFAULT_JOB_DURATION) * MINUTE_MS);
+};
+
+/**
+ * Describes when a job is booked for
+ * @param {Object} quote - The quote
+ * @returns {string} - Text such as "Mon, 20 Oct · 09:00–11:00", or empty if not booked
+ */
+export const describeBooking = (quote) => {
+  const start = getJobStart(quote);
+  if (!start) return '';
+
+  const day = start.toLocaleDateString('en-ZA', { weekday: 'short', day: 'numeric', month: 'short' });
+  return `${day} · ${formatTime(start)}–${formatTime(getJobEnd(quote))}`;
+};
+
+/**
+ * Lists the jobs in Scheduled Work
+ * @param {Array} quotes - All quotes
+ * @returns {Object} - booked jobs sorted by start, and unbooked jobs
+ */
+export const getScheduledJobs = (quotes) => {
+  const jobs = quotes.filter(quote => quote.status === QUOTE_STATUS.SCHEDULED);
+
+  return {
+    booked: jobs
+      .filter(quote => quote.scheduledStart)
+      .sort((a, b) => getJobStart(a) - getJobStart(b)),
+    unbooked: jobs.filter(quote => !quote.scheduledStart)
+  };
+};
+
+/**
+ * Checks whether two bookings overlap for the same person
+ * @param {Object} first - Booking or job
+ * @param {Object} second - Booking or job
+ * @returns {boolean} - True if both are assigned to the same team member (or
+ * both unassigned) and their times overlap
+ */
+const clashes = (first, second) => {
+  return (first.assignedTo || null) === (second.assignedTo || null) &&
+    getJobStart(first) < getJobEnd(second) &&
+    getJobEnd(first) > getJobStart(second);
+};
+
+/**
+ * Finds booked jobs that clash with a time slot
+ * @param {Array} quotes - All quotes
+ * @param {Object} booking - Slot with scheduledStart, estimatedDuration and assignedTo
+ * @param {string} quoteId - Job being booked, which can't clash with itself
+ * @returns {Array} - Jobs for the same person that overlap the slot
+ */
+export const findConflicts = (quotes, booking, quoteId) => {
+  return getScheduledJobs(quotes).booked.filter(job =>
+    job.id !== quoteId && clashes(job, booking)
+  );
+};
+
+/**
+ * Finds the IDs of all booked jobs that clash with another job
+ * @param {Array} jobs - Booked jobs
+ * @returns {Set} - IDs of double-booked jobs
+ */
+export const findDoubleBookings = (jobs) => {
+  const doubleBooked = new Set();
+
+  jobs.forEach((job, index) => {
+    jobs.slice(index + 1).forEach(other => {
+      if (clashes(job, other)) {
+        doubleBooked.add(job.id);
+        doubleBooked.add(other.id);
+      }
+    });
+  });
+
+  return doubleBooked;
+};
+
+/**
+ * Gets the start of the day a date falls on
+ * @param {Date} date - The date
+ * @returns {Date} - Midnight at the start of that day
+ */
+export const startOfDay = (date) => {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+/**
+ * Gets the days shown for a calendar view
+ * @param {Date} date - Day the view is on
+ * @param {string} view - 'day' or 'week'
+ * @returns {Array} - Dates at midnight; a week runs Monday to Sunday
+ */
+export const getCalendarDays = (date, view) => {
+  const day = startOfDay(date);
+  if (view === 'day') return [day];
+
+  const monday = new Date(day.getFullYear(), day.getMonth(), day.getDate() - ((day.getDay() + 6) % 7));
+  return Array.from({ length: 7 }, (_, index) =>
+    new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + index)
+  );
+};
+
+/**
+ * Lists the booked jobs that start on a day
+ * @param {Array} jobs - Booked jobs
+ * @param {Date} day - The day
+ * @returns {Array} - Jobs starting that day
+ */
+export const getJobsOnDay = (jobs, day) => {
+  const key = toDateKey(day);
+  return jobs.filter(job => toDateKey(getJobStart(job)) === key);
+};
+
+/**
+ * Gets the hours the calendar shows: the working day, widened to fit every
+ * job shown that starts earlier or finishes later
+ * @param {Array} jobs - Booked jobs shown on the calendar
+ * @returns {Object} - startHour, and endHour (up to 24) that the last hour shown ends at
+ */
+export const getCalendarHours = (jobs) => {
+  let startHour = WORKDAY_START_HOUR;
+  let endHour = WORKDAY_END_HOUR;
+
+  jobs.forEach(job => {
+    const start = getJobStart(job);
+    const end = getJobEnd(job);
+    startHour = Math.min(startHour, start.getHours());
+    // A job running past midnight is shown to the end of the day it starts on
+    endHour = Math.max(endHour, toDateKey(end) === toDateKey(start)
+      ? Math.ceil(end.getHours() + end.getMinutes() / 60)
+      : 24);
+  });
+
+  return { startHour, endHour };
+};
+
+/**
+ * Moves a booked job by whole days and slots, keeping its duration
+ * @param {Object} quote - The booked job
+ * @param {number} days - Days to move by
+ * @param {number} slots - SLOT_MINUTES steps to move by
+ * @returns {Object} - Booking with the new scheduledStart and the same estimatedDuration
+ */
+export const moveBooking = (quote, days, slots) => {
+  const start = getJobStart(quote);
+  const moved = new Date(start.getFullYear(), start.getMonth(), start.getDate() + days,
+    start.getHours(), start.getMinutes() + slots * SLOT_MINUTES);
+
+  return {
+    scheduledStart: moved.toISOString(),
+    estimatedDuration: quote.estimatedDuration || DEFAULT_JOB_DURATION
+  };
+};
+
+/**
+ * Gets the number of whole days between two dates
+ * @param {Date} from - Earlier date
+ * @param {Date} to - Later date
+ * @returns {number} - Days between the two
+ */
+export const daysBetween = (from, to) => {
+  return Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+};
@@ -0,0 +1,64 @@
+/**
+ * Customer signatures
+ *
+ * The customer signs on screen when they accept a quote and again when they
+ * sign off the finished job. Each signature records the name the customer
+ * gave, the drawn signature as a PNG data URI and when it was signed.
+ */
+
+// Points in the job where the customer signs
+export const SIGNATURE_STAGES = {
+  ACCEPTANCE: 'acceptance',
+  COMPLETION: 'completion'
+};
+
+// Quote field each stage's signature is stored in
+export const SIGNATURE_FIELDS = {
+  [SIGNATURE_STAGES.ACCEPTANCE]: 'acceptanceSignature',
+  [SIGNATURE_STAGES.COMPLETION]: 'completionSignature'
+};
+
+// Headings shown for each stage's signature
+export const SIGNATURE_LABELS = {
+  [SIGNATURE_STAGES.ACCEPTANCE]: 'Quote accepted',
+  [SIGNATURE_STAGES.COMPLETION]: 'Work signed off'
+};
+
+/**
+ * Creates a signature, stamped with the current time
+ * @param {string} name - Name of the person signing
+ * @param {string} image - Drawn signature as a PNG data URI
+ * @returns {Object} - The signature
+ * @throws {Error} - If the name or the drawn signature is missing
+ */
+export const createSignature = (name, image) => {
+  const signedBy = (name || '').trim();
+  if (!signedBy) {
+    throw new Error('Please enter the name of the person signing.');
+  }
+  if (!image) {
+    throw new Error('Please ask the customer to sign in the box.');
+  }
+
+  return {
+    name: signedBy,
+    image,
+    signedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Describes who signed and when
+ * @param {Object} signature - The signature
+ * @returns {string} - Text such as "Signed by Thandi Mokoena on 5 March 2026 at 14:05"
+ */
+export const describeSignature = (signature) => {
+  const signedAt = new Date(signature.signedAt).toLocaleString('en-ZA', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  return `Signed by ${signature.name} on ${signedAt}`;
+};
@@ -0,0 +1,54 @@
+/**
+ * Client job sites
+ *
+ * A client can have several sites (e.g. a landlord's rental properties), each
+ * with its own address and access notes such as gate codes or who holds the
+ * key. A quote keeps a copy of the site the work is at, separate from the
+ * client's billing address.
+ */
+
+/**
+ * Creates an empty site
+ * @returns {Object} - The site
+ */
+export const createSite = () => ({
+  id: `st${Date.now()}${Math.floor(Math.random() * 1000)}`,
+  name: '',
+  address: '',
+  accessNotes: ''
+});
+
+/**
+ * Trims sites and drops any without an address
+ * @param {Array} sites - Sites as entered
+ * @returns {Array} - Sites with an address
+ */
+export const cleanSites = (sites) => {
+  return sites
+    .map(site => ({
+      ...site,
+      name: (site.name || '').trim(),
+      address: (site.address || '').trim(),
+      accessNotes: (site.accessNotes || '').trim()
+    }))
+    .filter(site => site.address);
+};
+
+/**
+ * Gets the name to show for a site
+ * @param {Object} site - The site
+ * @returns {string} - The site's name, or the first line of its address
+ */
+export const getSiteLabel = (site) => {
+  if (!site) return '';
+  return site.name || site.address.split('\n')[0];
+};
+
+/**
+ * Gets the site a quote's work is at
+ * @param {Object} quote - The quote
+ * @returns {Object|null} - The site, or null if the work is at the billing address
+ */
+export const getQuoteSite = (quote) => {
+  return quote.site && quote.site.address ? quote.site : null;
+};
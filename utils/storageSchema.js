@@ -0,0 +1,216 @@
+/**
+ * Local storage schema and migrations
+ *
+ * The quotes saved on the device are written with the schema version stored
+ * under SCHEMA_VERSION_KEY. At startup migrateStorage runs every migration
+ * newer than that version over each saved quote, in order, and records the
+ * new version. Quotes and clients still saved in AsyncStorage by older
+ * versions of the app are moved into the local database (utils/database.js)
+ * at the same time. A quote that cannot be upgraded, or is still not a valid quote
+ * afterwards, is moved to the quarantine instead of being loaded, so one bad
+ * record cannot crash the dashboard or the PDFs.
+ *
+ * To change the shape of a saved quote, add a migration to the end of
+ * MIGRATIONS; never change one that has shipped. Migrations must also cope
+ * with quotes that are already up to date, as quotes synced from devices
+ * running an older version of the app go through all of them.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  QUOTES_STORAGE_KEY,
+  QUOTE_STATUS,
+  flattenStatusBuckets,
+  loadQuotes,
+  saveQuotes,
+  saveQuoteRecords
+} from './quoteStore';
+import { CLIENTS_STORAGE_KEY, saveClientRecords } from './clients';
+import { SERVICE_CHARGE_PERCENTAGE } from './pricing';
+
+// Key for storing the schema version of the saved quotes
+export const SCHEMA_VERSION_KEY = 'quickquote_schema_version';
+
+// Key for storing quotes that could not be upgraded
+export const QUARANTINE_STORAGE_KEY = 'quickquote_quarantine';
+
+/**
+ * Reads an amount saved as a number or as formatted text
+ * @param {number|string} amount - Saved amount
+ * @returns {number} - The amount, or 0 if there is none
+ */
+const toAmount = (amount) => {
+  if (typeof amount === 'number') return amount;
+  const number = parseFloat(String(amount || '0').replace(/[^0-9.-]/g, ''));
+  return isNaN(number) ? 0 : number;
+};
+
+// Migrations in order. Each takes a quote saved with the previous version and
+// returns it in the shape of its own version; throwing quarantines the quote.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Every quote has line items, a history and the charges it was priced with',
+    migrate: (quote) => ({
+      ...quote,
+      statusHistory: quote.statusHistory || [],
+      ...(quote.options
+        ? { options: quote.options.map(option => ({ ...option, lineItems: option.lineItems || [] })) }
+        : { lineItems: quote.lineItems || [] }),
+      amount: toAmount(quote.amount),
+      serviceChargePercentage: quote.serviceChargePercentage ?? SERVICE_CHARGE_PERCENTAGE
+    })
+  }
+];
+
+// Schema version written by this version of the app
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Checks that an upgraded record is a quote the app can show
+ * @param {Object} quote - The upgraded record
+ * @throws {Error} - If it has no ID or an unknown status
+ */
+const validateQuote = (quote) => {
+  if (!quote.id) {
+    throw new Error('The quote has no ID.');
+  }
+  if (!Object.values(QUOTE_STATUS).includes(quote.status)) {
+    throw new Error(`"${quote.status}" is not a quote status.`);
+  }
+};
+
+/**
+ * Upgrades one saved quote to the current schema
+ * @param {Object} record - The saved quote
+ * @param {number} fromVersion - Schema version it was saved with
+ * @returns {Object} - The upgraded quote
+ * @throws {Error} - If the record is not a quote or a migration fails
+ */
+export const upgradeQuote = (record, fromVersion = 0) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new Error('The record is not a quote.');
+  }
+
+  const quote = MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .reduce((upgraded, migration) => migration.migrate(upgraded), record);
+
+  validateQuote(quote);
+  return quote;
+};
+
+/**
+ * Loads the records that could not be upgraded
+ * @returns {Promise<Array>} - Quarantined records with the reason for each
+ */
+export const loadQuarantine = async () => {
+  const storedQuarantine = await AsyncStorage.getItem(QUARANTINE_STORAGE_KEY);
+  return storedQuarantine ? JSON.parse(storedQuarantine) : [];
+};
+
+/**
+ * Adds records to the quarantine
+ * @param {Array} records - Records, each with the record, the error and the version it was saved with
+ */
+export const quarantineRecords = async (records) => {
+  if (records.length === 0) return;
+
+  const quarantinedAt = new Date().toISOString();
+  const quarantine = await loadQuarantine();
+  await AsyncStorage.setItem(QUARANTINE_STORAGE_KEY, JSON.stringify([
+    ...quarantine,
+    ...records.map(record => ({ ...record, quarantinedAt }))
+  ]));
+};
+
+/**
+ * Reads the quotes saved in AsyncStorage by older versions of the app
+ * @param {string} storedQuotes - The saved JSON
+ * @param {number} storedVersion - Schema version they were saved with
+ * @returns {Promise<Array>} - The saved records
+ */
+const readLegacyQuotes = async (storedQuotes, storedVersion) => {
+  try {
+    const parsed = JSON.parse(storedQuotes);
+    // The oldest versions kept quotes in separate arrays keyed by status
+    return Array.isArray(parsed) ? parsed : flattenStatusBuckets(parsed || {});
+  } catch (error) {
+    // Keep the unreadable data rather than losing it
+    await quarantineRecords([{ record: storedQuotes, error: error.message, schemaVersion: storedVersion }]);
+    return [];
+  }
+};
+
+/**
+ * Moves the clients saved in AsyncStorage by older versions of the app into
+ * the local database
+ * @returns {Promise<number>} - Number of clients moved
+ */
+const moveLegacyClients = async () => {
+  const storedClients = await AsyncStorage.getItem(CLIENTS_STORAGE_KEY);
+  if (!storedClients) return 0;
+
+  const clients = JSON.parse(storedClients).filter(client => client && client.id);
+  await saveClientRecords(clients);
+  await AsyncStorage.removeItem(CLIENTS_STORAGE_KEY);
+
+  return clients.length;
+};
+
+/**
+ * Upgrades the quotes saved on the device to the current schema, moving any
+ * quotes and clients still in AsyncStorage into the local database. Run once
+ * at startup, before anything loads quotes or clients.
+ * @returns {Promise<Object>} - fromVersion, toVersion, and the number of
+ * quotes upgraded and quarantined
+ */
+export const migrateStorage = async () => {
+  const storedVersion = parseInt(await AsyncStorage.getItem(SCHEMA_VERSION_KEY), 10) || 0;
+  const result = {
+    fromVersion: storedVersion,
+    toVersion: CURRENT_SCHEMA_VERSION,
+    upgradedCount: 0,
+    quarantinedCount: 0
+  };
+
+  await moveLegacyClients();
+
+  const storedQuotes = await AsyncStorage.getItem(QUOTES_STORAGE_KEY);
+  if (!storedQuotes && storedVersion >= CURRENT_SCHEMA_VERSION) return result;
+
+  const isLegacy = Boolean(storedQuotes);
+  const records = isLegacy
+    ? await readLegacyQuotes(storedQuotes, storedVersion)
+    : await loadQuotes();
+
+  const quotes = [];
+  const failed = [];
+  records.forEach(record => {
+    try {
+      quotes.push(upgradeQuote(record, storedVersion));
+    } catch (error) {
+      failed.push({ record, error: error.message, schemaVersion: storedVersion });
+    }
+  });
+
+  // Written without queueing: upgrading the saved quotes is not a change to sync
+  await quarantineRecords(failed);
+  if (isLegacy) {
+    await saveQuoteRecords(quotes, { queueSync: false });
+    await AsyncStorage.removeItem(QUOTES_STORAGE_KEY);
+  } else {
+    await saveQuotes(quotes, { queueSync: false });
+  }
+
+  result.upgradedCount = quotes.length;
+  result.quarantinedCount = failed.length;
+
+  await AsyncStorage.setItem(SCHEMA_VERSION_KEY, String(CURRENT_SCHEMA_VERSION));
+  console.log(
+    `Storage upgraded from version ${storedVersion} to ${CURRENT_SCHEMA_VERSION}:`,
+    `${result.upgradedCount} quotes upgraded, ${result.quarantinedCount} quarantined`
+  );
+
+  return result;
+};
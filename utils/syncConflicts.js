@@ -0,0 +1,307 @@
+/**
+ * Sync conflicts
+ *
+ * When a quote has been changed both on this device and somewhere else since
+ * it was last synced, the sync service merges the two. Changes to different
+ * parts of the quote are combined automatically. Where both sides changed the
+ * same part differently, the quote is held back as a conflict until the user
+ * picks which version of each part to keep on the Sync Conflicts screen.
+ *
+ * Fields that only make sense together, such as a quote's line items and its
+ * total, are compared and chosen as one group, so a resolution never mixes
+ * half of one version with half of the other.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { formatCurrency } from './formatters';
+import { describeBooking } from './schedule';
+
+// Key for storing unresolved conflicts in AsyncStorage
+export const CONFLICTS_STORAGE_KEY = 'quickquote_sync_conflicts';
+
+// The sides of a conflict the user can keep
+export const CONFLICT_SIDES = {
+  LOCAL: 'local',
+  REMOTE: 'remote'
+};
+
+// Group used when the quote was deleted on one side and changed on the other
+export const DELETED_GROUP = 'deleted';
+
+// Parts of a quote that are merged and resolved as a whole. Payment groups are
+// shown first and flagged, so a recorded payment is never dropped unnoticed.
+export const FIELD_GROUPS = [
+  { key: 'deposit', label: 'Deposit payment', isPayment: true, fields: ['depositDate'] },
+  { key: 'finalPayment', label: 'Final payment', isPayment: true, fields: ['finalPaymentDate', 'isPaid', 'invoiceNumber', 'invoiceNumberPending', 'invoiceDate'] },
+  {
+    key: 'status',
+    label: 'Status',
+    fields: ['status', 'statusHistory', 'lostReason', 'lostDate', 'completedDate', 'creditNoteNumber', 'creditNoteNumberPending']
+  },
+  {
+    key: 'pricing',
+    label: 'Line items and price',
+    fields: [
+      'lineItems', 'options', 'selectedOptionId', 'amount', 'formattedAmount',
+      'discountType', 'discountValue', 'vatRegistered', 'vatNumber', 'vatPercentage',
+      'serviceChargePercentage', 'depositPercentage'
+    ]
+  },
+  { key: 'customer', label: 'Customer', fields: ['customerName', 'clientId', 'contacts', 'clientAddress', 'site'] },
+  { key: 'booking', label: 'Booking', fields: ['scheduledStart', 'estimatedDuration'] }
+];
+
+// Labels for fields that are not part of a group
+const FIELD_LABELS = {
+  description: 'Description',
+  service: 'Service',
+  assignedTo: 'Assigned to',
+  photos: 'Photos',
+  notes: 'Notes',
+  revisions: 'Revisions',
+  revision: 'Revision',
+  date: 'Sent date',
+  sentDates: 'Sent dates',
+  validityDays: 'Validity',
+  validUntil: 'Valid until',
+  acceptanceSignature: 'Acceptance signature',
+  completionSignature: 'Completion signature'
+};
+
+/**
+ * Checks whether two values are the same once stored
+ * @param {*} first - First value
+ * @param {*} second - Second value
+ * @returns {boolean} - True if they are equal as JSON
+ */
+const isSame = (first, second) => JSON.stringify(first) === JSON.stringify(second);
+
+/**
+ * Lists the groups a set of quotes is compared by: the fixed groups plus one
+ * group for every other field any of them has
+ * @param {Array} quotes - Quotes, any of which may be null
+ * @returns {Array} - Groups with key, label, isPayment and fields
+ */
+const getGroups = (quotes) => {
+  const groupedFields = new Set(FIELD_GROUPS.flatMap(group => group.fields));
+  const otherFields = new Set();
+
+  quotes.filter(Boolean).forEach(quote => {
+    Object.keys(quote).forEach(field => {
+      if (field !== 'id' && !groupedFields.has(field)) otherFields.add(field);
+    });
+  });
+
+  return [
+    ...FIELD_GROUPS,
+    ...[...otherFields].map(field => ({
+      key: field,
+      label: FIELD_LABELS[field] || field,
+      isPayment: false,
+      fields: [field]
+    }))
+  ];
+};
+
+/**
+ * Finds a group by key
+ * @param {string} key - Group key
+ * @param {Array} quotes - Quotes the conflict is between
+ * @returns {Object} - The group
+ */
+export const getGroup = (key, quotes) => {
+  if (key === DELETED_GROUP) {
+    return { key, label: 'Deleted', isPayment: false, fields: [] };
+  }
+  return getGroups(quotes).find(group => group.key === key) || { key, label: key, fields: [key] };
+};
+
+/**
+ * Picks a group's fields from a quote
+ * @param {Object} quote - The quote
+ * @param {Object} group - The group
+ * @returns {Object} - Just the group's fields
+ */
+const pickGroup = (quote, group) => {
+  const values = {};
+  group.fields.forEach(field => {
+    if (quote && quote[field] !== undefined) values[field] = quote[field];
+  });
+  return values;
+};
+
+/**
+ * Copies a group's fields from one quote onto another
+ * @param {Object} target - Quote to change; changed in place
+ * @param {Object} source - Quote to copy from
+ * @param {Object} group - The group
+ */
+const copyGroup = (target, source, group) => {
+  group.fields.forEach(field => {
+    if (source[field] === undefined) {
+      delete target[field];
+    } else {
+      target[field] = source[field];
+    }
+  });
+};
+
+/**
+ * Merges the changes made to a quote on this device and elsewhere since they
+ * both had the same version
+ * @param {Object|null} base - The quote when last synced, or null if it is new
+ * @param {Object|null} local - This device's version, or null if deleted here
+ * @param {Object|null} remote - The version in Supabase, or null if deleted there
+ * @returns {Object} - merged: the combined quote (null if deleted), taking the
+ * remote side for conflicting groups; conflicts: keys of the groups both sides
+ * changed differently
+ */
+export const mergeQuotes = (base, local, remote) => {
+  if (!local || !remote) {
+    const kept = local || remote;
+
+    // Deleting an unchanged quote is not a conflict; deleting a changed one is
+    if (!kept || (base && isSame(base, kept))) {
+      return { merged: null, conflicts: [] };
+    }
+    return { merged: remote, conflicts: [DELETED_GROUP] };
+  }
+
+  const merged = { ...remote };
+  const conflicts = [];
+
+  getGroups([base, local, remote]).forEach(group => {
+    const baseValues = pickGroup(base, group);
+    const localValues = pickGroup(local, group);
+    const remoteValues = pickGroup(remote, group);
+
+    if (isSame(localValues, remoteValues) || isSame(localValues, baseValues)) return;
+
+    if (isSame(remoteValues, baseValues)) {
+      copyGroup(merged, local, group);
+    } else {
+      conflicts.push(group.key);
+    }
+  });
+
+  return { merged, conflicts };
+};
+
+/**
+ * Builds the quote the user chose when resolving a conflict
+ * @param {Object} conflict - The conflict
+ * @param {Object} choices - CONFLICT_SIDES value for each conflicting group key
+ * @returns {Object|null} - The resolved quote, or null if it should be deleted
+ * @throws {Error} - If a conflicting group has no choice
+ */
+export const buildResolvedQuote = (conflict, choices) => {
+  const missing = conflict.groups.filter(key => !choices[key]);
+  if (missing.length > 0) {
+    throw new Error('Choose which version to keep for each change.');
+  }
+
+  if (conflict.groups.includes(DELETED_GROUP)) {
+    return choices[DELETED_GROUP] === CONFLICT_SIDES.LOCAL ? conflict.local : conflict.remote;
+  }
+
+  const resolved = { ...conflict.merged };
+  conflict.groups.forEach(key => {
+    const source = choices[key] === CONFLICT_SIDES.LOCAL ? conflict.local : conflict.remote;
+    copyGroup(resolved, source, getGroup(key, [conflict.local, conflict.remote]));
+  });
+  return resolved;
+};
+
+/**
+ * Formats a single value for the side-by-side comparison
+ * @param {*} value - Field value
+ * @returns {string} - Readable text
+ */
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return 'None';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return `${value.length} ${value.length === 1 ? 'entry' : 'entries'}`;
+  if (typeof value === 'object') return value.name || value.address || 'Set';
+  return String(value);
+};
+
+/**
+ * Describes one side of a conflicting group for the side-by-side comparison
+ * @param {string} key - Group key
+ * @param {Object|null} quote - That side's version of the quote
+ * @returns {Array} - Lines of text
+ */
+export const describeGroup = (key, quote) => {
+  if (!quote) return ['Deleted'];
+
+  switch (key) {
+    case DELETED_GROUP:
+      return [
+        'Kept',
+        `${quote.customerName || 'No customer'} · ${quote.status}`,
+        `R${formatCurrency(quote.amount || 0)}`
+      ];
+    case 'deposit':
+      return [quote.depositDate ? `Paid ${quote.depositDate}` : 'Not paid'];
+    case 'finalPayment':
+      return quote.finalPaymentDate
+        ? [`Paid ${quote.finalPaymentDate}`, quote.invoiceNumber ? `Invoice ${quote.invoiceNumber}` : 'No invoice']
+        : ['Not paid'];
+    case 'status':
+      return [quote.status, ...(quote.lostReason ? [quote.lostReason] : [])];
+    case 'pricing': {
+      const items = quote.options
+        ? quote.options.map(option => option.name)
+        : (quote.lineItems || []).map(item => item.description);
+      return [`R${formatCurrency(quote.amount || 0)}`, ...items.filter(Boolean)];
+    }
+    case 'customer':
+      return [quote.customerName || 'None', ...(quote.clientAddress ? [quote.clientAddress] : [])];
+    case 'booking':
+      return [describeBooking(quote) || 'Not booked'];
+    default:
+      return [formatValue(quote[key])];
+  }
+};
+
+/**
+ * Loads the conflicts waiting to be resolved
+ * @returns {Promise<Array>} - Conflicts, oldest first
+ */
+export const loadConflicts = async () => {
+  const storedConflicts = await AsyncStorage.getItem(CONFLICTS_STORAGE_KEY);
+  return storedConflicts ? JSON.parse(storedConflicts) : [];
+};
+
+/**
+ * Saves a conflict, replacing any earlier one for the same quote
+ * @param {Object} conflict - quoteId, base, local, remote, remoteVersion, merged and groups
+ * @returns {Promise<Object>} - The saved conflict
+ */
+export const saveConflict = async (conflict) => {
+  const savedConflict = {
+    id: `cf${Date.now()}`,
+    detectedAt: new Date().toISOString(),
+    ...conflict
+  };
+
+  const conflicts = await loadConflicts();
+  await AsyncStorage.setItem(CONFLICTS_STORAGE_KEY, JSON.stringify([
+    ...conflicts.filter(item => item.quoteId !== conflict.quoteId),
+    savedConflict
+  ]));
+
+  return savedConflict;
+};
+
+/**
+ * Removes a resolved conflict
+ * @param {string} conflictId - The conflict
+ */
+export const removeConflict = async (conflictId) => {
+  const conflicts = await loadConflicts();
+  await AsyncStorage.setItem(
+    CONFLICTS_STORAGE_KEY,
+    JSON.stringify(conflicts.filter(item => item.id !== conflictId))
+  );
+};
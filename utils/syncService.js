@@ -0,0 +1,679 @@
+/**
+ * Quote sync
+ *
+ * Quotes are saved on the device first and synced to Supabase under the
+ * user's business: one row per quote (with the full quote as JSON), plus its
+ * line items and payments in their own tables for reporting. Local changes
+ * wait in the outbox (utils/outbox.js) and are pushed in order; then quotes
+ * changed on other devices since the last sync are pulled down. A quote with
+ * a change still waiting in the outbox keeps the local version. Photos stay on
+ * the device that took them (utils/photos.js) and are not synced.
+ *
+ * Every quote row has a version number that Supabase increases on each write.
+ * A change is only written over the version this device last saw; if the quote
+ * has moved on since, the two versions are merged (utils/syncConflicts.js) and
+ * any true conflict is held back for the user to resolve. A change Supabase
+ * refuses outright is set aside for the user to review (utils/outbox.js).
+ * Invoices and credit notes issued offline are numbered before changes are
+ * pushed (utils/numbering.js).
+ *
+ * Syncing runs when the app starts, when it comes back to the foreground,
+ * when the device comes back online, shortly after each local change, and
+ * every few minutes.
+ */
+
+import { AppState } from 'react-native';
+import * as Network from 'expo-network';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import supabase from './supabaseClient';
+import { getBusinessId, LOCAL_BUSINESS_ID } from './business';
+import {
+  getQuote,
+  saveQuote,
+  saveQuoteRecords,
+  deleteQuoteRecords,
+  queryQuotes,
+  QUOTE_STATUS
+} from './quoteStore';
+import {
+  loadOutbox,
+  removeFromOutbox,
+  subscribeToOutbox,
+  queueQuoteChange,
+  loadRejectedChanges,
+  setAsideChange,
+  removeRejectedChanges,
+  OUTBOX_OPERATIONS
+} from './outbox';
+import {
+  mergeQuotes,
+  buildResolvedQuote,
+  loadConflicts,
+  saveConflict,
+  removeConflict
+} from './syncConflicts';
+import { getQuoteOptions, calculatePaymentSchedule, fromCents } from './pricing';
+import { upgradeQuote, quarantineRecords } from './storageSchema';
+import { withoutPhotos, withPhotosFrom } from './photos';
+import { numberPendingDocuments, PENDING_NUMBER_FIELDS } from './numbering';
+
+// Key for storing when quotes were last synced
+export const SYNC_STATUS_STORAGE_KEY = 'quickquote_sync_status';
+
+// How often to sync while the app is open, in milliseconds
+const SYNC_INTERVAL = 5 * 60 * 1000;
+
+// Wait after a local change before syncing, so a burst of edits goes together
+const CHANGE_SYNC_DELAY = 5 * 1000;
+
+// Postgres error code for a duplicate primary key
+const UNIQUE_VIOLATION = '23505';
+
+// Starts of the error codes for changes Supabase refuses however often they are
+// sent: bad data (22), broken constraints (23), permissions (42), errors raised
+// by the database (P0) and requests PostgREST cannot run (PGRST)
+const REJECTION_CODE_PREFIXES = ['22', '23', '42', 'P0', 'PGRST'];
+
+// Called after a sync has changed the quotes saved on the device, found a
+// conflict or set a refused change aside
+const quoteListeners = new Set();
+
+// The sync in progress, so overlapping requests share it
+let currentSync = null;
+
+/**
+ * Loads the sync status
+ * @returns {Promise<Object>} - lastSyncedAt, lastAttemptAt, lastError,
+ * lastPulledAt and the Supabase version number of each synced quote
+ */
+const loadSyncState = async () => {
+  const storedStatus = await AsyncStorage.getItem(SYNC_STATUS_STORAGE_KEY);
+  return {
+    lastSyncedAt: null,
+    lastAttemptAt: null,
+    lastError: null,
+    lastPulledAt: null,
+    versions: {},
+    ...(storedStatus ? JSON.parse(storedStatus) : {})
+  };
+};
+
+/**
+ * Saves the sync status
+ * @param {Object} state - Sync status
+ */
+const saveSyncState = async (state) => {
+  await AsyncStorage.setItem(SYNC_STATUS_STORAGE_KEY, JSON.stringify(state));
+};
+
+/**
+ * Gets the sync status for display
+ * @returns {Promise<Object>} - lastSyncedAt, lastAttemptAt, lastError, the
+ * number of changes waiting to be synced, the number of unresolved conflicts
+ * and the number of changes Supabase refused
+ */
+export const getSyncStatus = async () => {
+  const { lastSyncedAt, lastAttemptAt, lastError } = await loadSyncState();
+  const outbox = await loadOutbox();
+  const conflicts = await loadConflicts();
+  const rejected = await loadRejectedChanges();
+  return {
+    lastSyncedAt,
+    lastAttemptAt,
+    lastError,
+    pending: outbox.length,
+    conflicts: conflicts.length,
+    rejected: rejected.length
+  };
+};
+
+/**
+ * Lists the quotes this device has synced with Supabase
+ * @returns {Promise<Array>} - IDs of the quotes
+ */
+export const getSyncedQuoteIds = async () => {
+  const { versions } = await loadSyncState();
+  return Object.keys(versions);
+};
+
+/**
+ * Forgets which Supabase version of some quotes this device has seen, so the
+ * next change pushed for each is merged with the version in Supabase instead
+ * of written over it, and the next sync downloads every quote again. Used when
+ * quotes are replaced from a backup.
+ * @param {Array} quoteIds - IDs of the quotes
+ */
+export const forgetSyncedVersions = async (quoteIds) => {
+  // A sync in progress would save its own copy of the status over this change
+  if (currentSync) await currentSync.catch(() => {});
+
+  const state = await loadSyncState();
+  quoteIds.forEach(quoteId => {
+    delete state.versions[quoteId];
+  });
+  state.lastPulledAt = null;
+  await saveSyncState(state);
+};
+
+/**
+ * Drops changes Supabase refused. The next sync downloads the version of each
+ * quote in Supabase; a quote that never reached Supabase stays as it is on
+ * this device.
+ * @param {Array} quoteIds - Quotes whose refused changes to drop
+ */
+export const discardRejectedChanges = async (quoteIds) => {
+  await removeRejectedChanges(quoteIds);
+  await forgetSyncedVersions(quoteIds);
+  quoteListeners.forEach(listener => listener());
+};
+
+/**
+ * Checks whether Supabase refused a change itself, rather than could not be reached
+ * @param {Object} error - Error from Supabase
+ * @returns {boolean} - True if sending the change again would be refused again
+ */
+const isRejection = (error) => {
+  return typeof error.code === 'string' &&
+    REJECTION_CODE_PREFIXES.some(prefix => error.code.startsWith(prefix));
+};
+
+/**
+ * Listens for quotes changed by a sync
+ * @param {Function} listener - Called after synced quotes have been saved or a conflict found
+ * @returns {Function} - Stops listening
+ */
+export const subscribeToQuoteChanges = (listener) => {
+  quoteListeners.add(listener);
+  return () => quoteListeners.delete(listener);
+};
+
+/**
+ * Converts a quote to a row for the Supabase quotes table
+ * @param {Object} quote - The quote
+ * @param {string} businessId - ID of the user's business
+ * @returns {Object} - Row with snake_case columns
+ */
+const toQuoteRow = (quote, businessId) => ({
+  id: quote.id,
+  business_id: businessId,
+  status: quote.status,
+  assigned_to: quote.assignedTo || null,
+  quote_number: quote.quoteNumber || null,
+  customer_name: quote.customerName || '',
+  client_id: quote.clientId || null,
+  amount: quote.amount || 0,
+  // Photo files are on this device only
+  data: withoutPhotos(quote),
+  deleted: false
+});
+
+/**
+ * Lists a quote's line items as rows for the quote_line_items table
+ * @param {Object} quote - The quote
+ * @param {string} businessId - ID of the user's business
+ * @returns {Array} - One row per line item, across all options
+ */
+const toLineItemRows = (quote, businessId) => {
+  const groups = getQuoteOptions(quote).length > 0
+    ? getQuoteOptions(quote).map(option => ({ option, lineItems: option.lineItems || [] }))
+    : [{ option: null, lineItems: quote.lineItems || [] }];
+
+  return groups.flatMap(({ option, lineItems }) =>
+    lineItems.map((item, index) => ({
+      id: `${quote.id}-${option ? option.id : 'items'}-${item.id}`,
+      quote_id: quote.id,
+      business_id: businessId,
+      option_id: option ? String(option.id) : null,
+      option_name: option ? option.name : null,
+      position: index,
+      description: item.description || '',
+      quantity: Number(item.quantity) || 0,
+      unit_price: Number(item.price) || 0,
+      vat_category: item.vatCategory || null,
+      discount_type: item.discountType || null,
+      discount_value: Number(item.discountValue) || 0
+    }))
+  );
+};
+
+/**
+ * Lists the payments received for a quote as rows for the quote_payments table
+ * @param {Object} quote - The quote
+ * @param {string} businessId - ID of the user's business
+ * @returns {Array} - Deposit and final payment rows, for the payments received
+ */
+const toPaymentRows = (quote, businessId) => {
+  const { deposit, final } = calculatePaymentSchedule(quote);
+  const payments = [];
+
+  if (quote.depositDate) {
+    payments.push({ kind: 'deposit', paid_on: quote.depositDate, payment: deposit });
+  }
+  if (quote.finalPaymentDate) {
+    payments.push({ kind: 'final', paid_on: quote.finalPaymentDate, payment: final });
+  }
+
+  return payments.map(({ kind, paid_on, payment }) => ({
+    id: `${quote.id}-${kind}`,
+    quote_id: quote.id,
+    business_id: businessId,
+    kind,
+    amount: fromCents(payment.gross),
+    fee: fromCents(payment.fee),
+    paid_on
+  }));
+};
+
+/**
+ * Replaces the rows stored for a quote's line items or payments
+ * @param {string} table - quote_line_items or quote_payments
+ * @param {string} quoteId - The quote
+ * @param {Array} rows - New rows
+ */
+const replaceQuoteRows = async (table, quoteId, rows) => {
+  const { error } = await supabase
+    .from(table)
+    .delete()
+    .eq('quote_id', quoteId);
+
+  if (error) throw error;
+  if (rows.length === 0) return;
+
+  const { error: insertError } = await supabase
+    .from(table)
+    .insert(rows);
+
+  if (insertError) throw insertError;
+};
+
+/**
+ * Saves line items and payments for a quote that has been written to Supabase
+ * @param {Object} quote - The quote
+ * @param {string} businessId - ID of the user's business
+ */
+const saveQuoteDetails = async (quote, businessId) => {
+  await replaceQuoteRows('quote_line_items', quote.id, toLineItemRows(quote, businessId));
+  await replaceQuoteRows('quote_payments', quote.id, toPaymentRows(quote, businessId));
+};
+
+/**
+ * Replaces one quote saved on the device without queueing it to sync. The
+ * quote keeps the photos of the copy already on the device.
+ * @param {string} quoteId - The quote
+ * @param {Object|null} quote - The new version, or null to remove it
+ */
+const replaceLocalQuote = async (quoteId, quote) => {
+  if (quote) {
+    await saveQuote(withPhotosFrom(quote, await getQuote(quoteId)), { queueSync: false });
+  } else {
+    await deleteQuoteRecords([quoteId], { queueSync: false });
+  }
+  quoteListeners.forEach(listener => listener());
+};
+
+/**
+ * Saves a quote on the device after a sync changed it, unless it has been
+ * edited again since the change being synced
+ * @param {string} quoteId - The quote
+ * @param {Object|null} quote - The new version, or null if deleted
+ * @param {string} entryId - ID of the outbox entry being synced
+ */
+const saveSyncedQuote = async (quoteId, quote, entryId) => {
+  const outbox = await loadOutbox();
+  if (outbox.some(entry => entry.quoteId === quoteId && entry.id !== entryId)) return;
+
+  await replaceLocalQuote(quoteId, quote);
+};
+
+/**
+ * Pushes one outbox entry to Supabase, written only over the version this
+ * device last saw
+ * @param {Object} entry - Outbox entry
+ * @param {string} businessId - ID of the user's business
+ * @param {Object} state - Sync status, updated with the quote's new version
+ */
+const pushEntry = async (entry, businessId, state) => {
+  const baseVersion = state.versions[entry.quoteId];
+  const isDelete = entry.operation === OUTBOX_OPERATIONS.DELETE;
+
+  if (baseVersion === undefined) {
+    // The quote never reached Supabase, so there is nothing to delete
+    if (isDelete) return;
+
+    const { data, error } = await supabase
+      .from('quotes')
+      .insert(toQuoteRow(entry.quote, businessId));
+
+    if (!error) {
+      await saveQuoteDetails(entry.quote, businessId);
+      state.versions[entry.quoteId] = data[0].version;
+      return;
+    }
+    if (error.code !== UNIQUE_VIOLATION) throw error;
+  } else {
+    // Deleted quotes are kept with deleted = true so the removal reaches every device
+    const row = isDelete ? { deleted: true } : toQuoteRow(entry.quote, businessId);
+
+    const { data, error } = await supabase
+      .from('quotes')
+      .update(row)
+      .eq('id', entry.quoteId)
+      .eq('version', baseVersion);
+
+    if (error) throw error;
+
+    if (data.length > 0) {
+      if (!isDelete) await saveQuoteDetails(entry.quote, businessId);
+      state.versions[entry.quoteId] = data[0].version;
+      return;
+    }
+  }
+
+  // The quote has changed elsewhere since this device last saw it
+  await mergeEntry(entry, businessId, state);
+};
+
+/**
+ * Merges an outbox entry with the version of its quote now in Supabase.
+ * Independent changes are combined and pushed; true conflicts are saved for
+ * the user to resolve and nothing is written.
+ * @param {Object} entry - Outbox entry
+ * @param {string} businessId - ID of the user's business
+ * @param {Object} state - Sync status
+ */
+const mergeEntry = async (entry, businessId, state) => {
+  const { data, error } = await supabase
+    .from('quotes')
+    .select('*')
+    .eq('id', entry.quoteId);
+
+  if (error) throw error;
+
+  // A quote that is no longer visible to this user counts as deleted there
+  const remoteRow = data[0] || null;
+  const remote = remoteRow && !remoteRow.deleted ? remoteRow.data : null;
+  // Compared without photos, as the remote version never has them
+  const local = entry.operation === OUTBOX_OPERATIONS.DELETE ? null : withoutPhotos(entry.quote);
+  const { merged, conflicts } = mergeQuotes(withoutPhotos(entry.base), local, remote);
+
+  if (conflicts.length > 0) {
+    await saveConflict({
+      quoteId: entry.quoteId,
+      base: entry.base,
+      local,
+      remote,
+      remoteVersion: remoteRow ? remoteRow.version : null,
+      merged,
+      groups: conflicts
+    });
+    quoteListeners.forEach(listener => listener());
+    return;
+  }
+
+  // Deleted on both sides
+  if (!remoteRow) return;
+
+  state.versions[entry.quoteId] = remoteRow.version;
+  if (JSON.stringify(merged) !== JSON.stringify(remote)) {
+    await pushEntry({
+      ...entry,
+      operation: merged ? OUTBOX_OPERATIONS.SAVE : OUTBOX_OPERATIONS.DELETE,
+      quote: merged,
+      base: remote
+    }, businessId, state);
+  }
+  await saveSyncedQuote(entry.quoteId, merged, entry.id);
+};
+
+/**
+ * Numbers the invoices and credit notes issued while they could not be
+ * numbered, oldest first. Each quote is saved as soon as it is numbered, so a
+ * failure part way through loses no numbers.
+ * @returns {Promise<number>} - Number of quotes numbered
+ * @throws {Error} - If Supabase cannot issue a number
+ */
+const numberPendingQuotes = async () => {
+  const quotes = await queryQuotes({ statuses: [QUOTE_STATUS.COMPLETE, QUOTE_STATUS.CANCELLED] });
+  const pending = quotes
+    .filter(quote => Object.values(PENDING_NUMBER_FIELDS).some(fields => quote[fields.pending]))
+    .sort((a, b) => (a.finalPaymentDate || a.lostDate || '').localeCompare(b.finalPaymentDate || b.lostDate || ''));
+
+  for (const quote of pending) {
+    await saveQuote(await numberPendingDocuments(quote));
+  }
+  if (pending.length > 0) {
+    quoteListeners.forEach(listener => listener());
+  }
+
+  return pending.length;
+};
+
+/**
+ * Pushes the waiting changes to Supabase in the order they were made. Changes
+ * Supabase refuses are set aside so the rest can still be pushed.
+ * @param {string} businessId - ID of the user's business
+ * @param {Object} state - Sync status, updated with the new versions
+ * @returns {Promise<number>} - Number of changes pushed
+ * @throws {Error} - If Supabase cannot be reached; the change stays in the outbox
+ */
+const flushOutbox = async (businessId, state) => {
+  const outbox = await loadOutbox();
+  let pushed = 0;
+
+  for (const entry of outbox) {
+    try {
+      await pushEntry(entry, businessId, state);
+    } catch (error) {
+      if (!isRejection(error)) throw error;
+
+      console.error(`Supabase refused the change to quote ${entry.quoteId}:`, error);
+      await setAsideChange(entry.id, error.message);
+      quoteListeners.forEach(listener => listener());
+      continue;
+    }
+    await removeFromOutbox([entry.id]);
+    pushed += 1;
+  }
+
+  return pushed;
+};
+
+/**
+ * Downloads quotes changed in Supabase since the last sync and saves them on
+ * the device, except quotes with changes still waiting in the outbox, in
+ * conflict or refused
+ * @param {string} businessId - ID of the user's business
+ * @param {Object} state - Sync status, updated with the new versions
+ * @returns {Promise<number>} - Number of quotes updated on the device
+ */
+const pullQuotes = async (businessId, state) => {
+  let query = supabase
+    .from('quotes')
+    .select('*')
+    .eq('business_id', businessId)
+    .order('updated_at', { ascending: true });
+
+  if (state.lastPulledAt) {
+    query = query.gt('updated_at', state.lastPulledAt);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  if (!data || data.length === 0) return 0;
+
+  // Quotes with local changes are merged when those changes are pushed, and
+  // refused changes are kept until the user discards them
+  const waitingIds = new Set([
+    ...(await loadOutbox()).map(entry => entry.quoteId),
+    ...(await loadConflicts()).map(conflict => conflict.quoteId),
+    ...(await loadRejectedChanges()).map(change => change.quoteId)
+  ]);
+  // New version of each changed quote, or null if it was deleted
+  const changes = {};
+  const failed = [];
+  data.forEach(row => {
+    state.lastPulledAt = row.updated_at;
+    if (waitingIds.has(row.id) || state.versions[row.id] === row.version) return;
+
+    state.versions[row.id] = row.version;
+    if (row.deleted) {
+      changes[row.id] = null;
+      return;
+    }
+
+    // Quotes from devices running an older version of the app may need upgrading
+    try {
+      changes[row.id] = upgradeQuote(row.data);
+    } catch (error) {
+      failed.push({ record: row.data, error: error.message, schemaVersion: null });
+    }
+  });
+
+  await quarantineRecords(failed);
+
+  // Rows arrive oldest change first; the most recent change is listed first
+  const quotes = Object.values(changes).filter(Boolean).reverse();
+  const deletedIds = Object.keys(changes).filter(id => !changes[id]);
+  const updatedCount = quotes.length + deletedIds.length;
+
+  if (updatedCount > 0) {
+    const localQuotes = await Promise.all(quotes.map(quote => getQuote(quote.id)));
+    await saveQuoteRecords(
+      quotes.map((quote, index) => withPhotosFrom(quote, localQuotes[index])),
+      { queueSync: false }
+    );
+    await deleteQuoteRecords(deletedIds, { queueSync: false });
+    quoteListeners.forEach(listener => listener());
+  }
+
+  return updatedCount;
+};
+
+/**
+ * Resolves a conflict with the version of each part the user chose, saves the
+ * result on the device and queues it to be written over the version in Supabase
+ * @param {string} conflictId - The conflict
+ * @param {Object} choices - CONFLICT_SIDES value for each conflicting group key
+ * @returns {Promise<Object|null>} - The resolved quote, or null if it was deleted
+ * @throws {Error} - If the conflict is gone or a conflicting part has no choice
+ */
+export const resolveSyncConflict = async (conflictId, choices) => {
+  const conflict = (await loadConflicts()).find(item => item.id === conflictId);
+  if (!conflict) {
+    throw new Error('This conflict has already been resolved.');
+  }
+
+  const resolved = buildResolvedQuote(conflict, choices);
+
+  // Let a sync in progress finish so it does not overwrite the version below
+  if (currentSync) await currentSync;
+
+  const state = await loadSyncState();
+  if (conflict.remoteVersion === null) {
+    delete state.versions[conflict.quoteId];
+  } else {
+    state.versions[conflict.quoteId] = conflict.remoteVersion;
+  }
+  await saveSyncState(state);
+
+  if (JSON.stringify(resolved) !== JSON.stringify(conflict.remote)) {
+    await queueQuoteChange(conflict.quoteId, resolved, conflict.remote);
+  }
+  await removeConflict(conflictId);
+  await replaceLocalQuote(conflict.quoteId, resolved);
+
+  return resolved;
+};
+
+/**
+ * Checks whether the device can reach the internet
+ * @returns {Promise<boolean>} - False if the device is known to be offline
+ */
+const isOnline = async () => {
+  try {
+    const networkState = await Network.getNetworkStateAsync();
+    return networkState.isConnected !== false && networkState.isInternetReachable !== false;
+  } catch (error) {
+    // Let the sync try and fail on its own if the network state is unknown
+    return true;
+  }
+};
+
+/**
+ * Pushes waiting changes and pulls changes from other devices
+ * @returns {Promise<Object>} - The sync status afterwards, as from getSyncStatus
+ */
+export const syncQuotes = async () => {
+  if (!currentSync) {
+    currentSync = runSync().finally(() => {
+      currentSync = null;
+    });
+  }
+  return currentSync;
+};
+
+const runSync = async () => {
+  const businessId = await getBusinessId();
+
+  // Nothing to sync with until the business exists in Supabase; changes stay
+  // in the outbox until then
+  if (businessId === LOCAL_BUSINESS_ID || !(await isOnline())) {
+    return getSyncStatus();
+  }
+
+  const state = await loadSyncState();
+  state.lastAttemptAt = new Date().toISOString();
+
+  try {
+    const numbered = await numberPendingQuotes();
+    const pushed = await flushOutbox(businessId, state);
+    const pulled = await pullQuotes(businessId, state);
+    state.lastSyncedAt = new Date().toISOString();
+    state.lastError = null;
+    console.log(`Quote sync: ${numbered} numbered, ${pushed} pushed, ${pulled} pulled`);
+  } catch (error) {
+    console.error('Error syncing quotes:', error);
+    state.lastError = error.message;
+  }
+
+  await saveSyncState(state);
+  return getSyncStatus();
+};
+
+/**
+ * Starts syncing in the background while the app is open
+ * @returns {Function} - Stops background syncing
+ */
+export const startAutoSync = () => {
+  let changeTimer = null;
+
+  const sync = () => {
+    syncQuotes().catch(error => console.error('Error syncing quotes:', error));
+  };
+
+  const interval = setInterval(sync, SYNC_INTERVAL);
+
+  const appStateSubscription = AppState.addEventListener('change', (appState) => {
+    if (appState === 'active') sync();
+  });
+
+  const networkSubscription = Network.addNetworkStateListener((networkState) => {
+    if (networkState.isConnected && networkState.isInternetReachable !== false) sync();
+  });
+
+  const unsubscribeFromOutbox = subscribeToOutbox((pending) => {
+    if (pending === 0) return;
+    clearTimeout(changeTimer);
+    changeTimer = setTimeout(sync, CHANGE_SYNC_DELAY);
+  });
+
+  sync();
+
+  return () => {
+    clearInterval(interval);
+    clearTimeout(changeTimer);
+    appStateSubscription.remove();
+    networkSubscription.remove();
+    unsubscribeFromOutbox();
+  };
+};
@@ -0,0 +1,216 @@
+/**
+ * Team members and permissions
+ *
+ * The business owner adds team members on the Team screen and chooses what
+ * each of them may do. When a team member signs in (matched on their email)
+ * the app only shows the features their permissions allow, and only the quotes
+ * and jobs assigned to them unless they may see all jobs. The same rules are
+ * enforced in Supabase by row-level security policies.
+ *
+ * Team members are kept in Supabase's team_members table and cached here for
+ * offline use. Adding a member emails them an invite; the invite is accepted
+ * when they first sign in with that email.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Storage key for team members
+export const TEAM_STORAGE_KEY = 'quickquote_team_members';
+
+// Permission flags stored on each team member
+export const PERMISSIONS = {
+  REPORTS: 'canAccessReports',
+  TEAM: 'canManageTeam',
+  ALL_JOBS: 'canViewAllJobs'
+};
+
+// Labels shown for each permission
+export const PERMISSION_LABELS = {
+  [PERMISSIONS.REPORTS]: 'Reports Access',
+  [PERMISSIONS.TEAM]: 'Team Management',
+  [PERMISSIONS.ALL_JOBS]: 'All Jobs'
+};
+
+// Statuses of a team_members row. Only active members are on the team.
+export const MEMBER_STATUSES = {
+  INVITED: 'invited',
+  ACTIVE: 'active'
+};
+
+// Invite states shown on the Team screen
+export const INVITE_STATUSES = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  EXPIRED: 'expired'
+};
+
+// Labels shown for each invite state
+export const INVITE_STATUS_LABELS = {
+  [INVITE_STATUSES.PENDING]: 'Invite pending',
+  [INVITE_STATUSES.ACCEPTED]: 'Accepted',
+  [INVITE_STATUSES.EXPIRED]: 'Invite expired'
+};
+
+// Days an invite can be accepted in before it has to be resent
+export const INVITE_EXPIRY_DAYS = 7;
+
+// Permissions of the business owner
+export const OWNER_PERMISSIONS = {
+  isOwner: true,
+  memberId: null,
+  [PERMISSIONS.REPORTS]: true,
+  [PERMISSIONS.TEAM]: true,
+  [PERMISSIONS.ALL_JOBS]: true
+};
+
+// Permissions of anyone who is neither the owner nor on the team list, and of
+// everyone until the business and team have loaded
+export const NO_PERMISSIONS = {
+  isOwner: false,
+  memberId: null,
+  [PERMISSIONS.REPORTS]: false,
+  [PERMISSIONS.TEAM]: false,
+  [PERMISSIONS.ALL_JOBS]: false
+};
+
+/**
+ * Loads the team members from storage
+ * @returns {Promise<Array>} - Team members
+ */
+export const loadTeamMembers = async () => {
+  const storedMembers = await AsyncStorage.getItem(TEAM_STORAGE_KEY);
+  return storedMembers ? JSON.parse(storedMembers) : [];
+};
+
+/**
+ * Saves the team members to storage
+ * @param {Array} members - Team members
+ */
+export const saveTeamMembers = async (members) => {
+  await AsyncStorage.setItem(TEAM_STORAGE_KEY, JSON.stringify(members));
+};
+
+/**
+ * Converts a team member to a row for the Supabase team_members table
+ * @param {Object} member - Team member
+ * @returns {Object} - Row with snake_case columns
+ */
+export const toRow = (member) => ({
+  name: member.name,
+  email: member.email,
+  can_access_reports: !!member[PERMISSIONS.REPORTS],
+  can_manage_team: !!member[PERMISSIONS.TEAM],
+  can_view_all_jobs: !!member[PERMISSIONS.ALL_JOBS]
+});
+
+/**
+ * Converts a Supabase team_members row to a team member
+ * @param {Object} row - Row from the team_members table
+ * @returns {Object} - Team member
+ */
+export const fromRow = (row) => ({
+  id: row.id,
+  name: row.name || '',
+  email: row.email,
+  [PERMISSIONS.REPORTS]: !!row.can_access_reports,
+  [PERMISSIONS.TEAM]: !!row.can_manage_team,
+  [PERMISSIONS.ALL_JOBS]: !!row.can_view_all_jobs,
+  status: row.status,
+  invitedAt: row.invited_at || row.created_at,
+  acceptedAt: row.accepted_at || null
+});
+
+/**
+ * Works out where a team member's invite stands
+ * @param {Object} member - Team member
+ * @param {Date} now - Current time
+ * @returns {string} - One of INVITE_STATUSES
+ */
+export const getInviteStatus = (member, now = new Date()) => {
+  // Members added before invites were sent are treated as already on the team
+  if (member.status === MEMBER_STATUSES.ACTIVE || !member.invitedAt) {
+    return INVITE_STATUSES.ACCEPTED;
+  }
+
+  const expiresAt = new Date(member.invitedAt).getTime() + INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+  return now.getTime() > expiresAt ? INVITE_STATUSES.EXPIRED : INVITE_STATUSES.PENDING;
+};
+
+/**
+ * Finds the team member a signed-in user is. As in Supabase's
+ * current_team_member(), only an active member counts, so an invite that has
+ * not been accepted or has been revoked gives no access.
+ * @param {Array} members - Team members
+ * @param {Object} user - Signed-in Supabase user
+ * @returns {Object|null} - The team member, or null if the user is not on the team
+ */
+export const getMemberForUser = (members, user) => {
+  const email = (user?.email || '').trim().toLowerCase();
+  if (!email) return null;
+  return members.find(member =>
+    member.status === MEMBER_STATUSES.ACTIVE && (member.email || '').trim().toLowerCase() === email
+  ) || null;
+};
+
+/**
+ * Checks whether a signed-in user owns a business
+ * @param {Object} business - Business record from the businesses table
+ * @param {Object} user - Signed-in Supabase user
+ * @returns {boolean} - True if the business's owner_id is the user's ID
+ */
+export const isBusinessOwner = (business, user) => {
+  return !!business && !!user?.id && business.owner_id === user.id;
+};
+
+/**
+ * Works out what a signed-in user may do
+ * @param {Array} members - Team members
+ * @param {Object} user - Signed-in Supabase user
+ * @param {Object} business - The business the user works for
+ * @returns {Object} - isOwner, memberId and a flag for each permission
+ */
+export const getPermissions = (members, user, business) => {
+  if (isBusinessOwner(business, user)) return OWNER_PERMISSIONS;
+
+  const member = getMemberForUser(members, user);
+  if (!member) return NO_PERMISSIONS;
+
+  return {
+    isOwner: false,
+    memberId: member.id,
+    [PERMISSIONS.REPORTS]: !!member[PERMISSIONS.REPORTS],
+    [PERMISSIONS.TEAM]: !!member[PERMISSIONS.TEAM],
+    [PERMISSIONS.ALL_JOBS]: !!member[PERMISSIONS.ALL_JOBS]
+  };
+};
+
+/**
+ * Checks whether a quote or job is shown to the signed-in user
+ * @param {Object} quote - The quote
+ * @param {Object} permissions - Permissions from getPermissions
+ * @returns {boolean} - True if the user may see it
+ */
+export const canSeeQuote = (quote, permissions) => {
+  if (permissions[PERMISSIONS.ALL_JOBS]) return true;
+  return !!permissions.memberId && quote.assignedTo === permissions.memberId;
+};
+
+/**
+ * Checks whether the signed-in user may choose who quotes and jobs are assigned to
+ * @param {Object} permissions - Permissions from getPermissions
+ * @returns {boolean} - True for the owner and team managers
+ */
+export const canAssignJobs = (permissions) => {
+  return permissions.isOwner || permissions[PERMISSIONS.TEAM];
+};
+
+/**
+ * Gets the name of the team member a quote is assigned to
+ * @param {Array} members - Team members
+ * @param {string} memberId - ID from the quote's assignedTo
+ * @returns {string} - The member's name, or empty if unassigned or no longer on the team
+ */
+export const getMemberName = (members, memberId) => {
+  const member = members.find(item => item.id === memberId);
+  return member ? member.name || member.email : '';
+};
@@ -0,0 +1,92 @@
+/**
+ * Quote templates for recurring job types
+ *
+ * A template keeps the job side of a quote (description, line items or
+ * options, discount, VAT, service charge, deposit and validity) so a new quote
+ * can start from it with only the client details left to fill in.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Key for storing templates in AsyncStorage
+export const TEMPLATES_STORAGE_KEY = 'quickquote_templates';
+
+/**
+ * Loads all saved templates in alphabetical order
+ * @returns {Promise<Array>} - Saved templates
+ */
+export const loadTemplates = async () => {
+  const storedTemplates = await AsyncStorage.getItem(TEMPLATES_STORAGE_KEY);
+  const templates = storedTemplates ? JSON.parse(storedTemplates) : [];
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Saves the job details of a quote as a named template, replacing any
+ * template with the same name
+ * @param {string} name - Template name, e.g. "Geyser replacement"
+ * @param {Object} quote - Quote fields from the quote form
+ * @returns {Promise<Object>} - The saved template
+ * @throws {Error} - If no name is given
+ */
+export const saveTemplate = async (name, quote) => {
+  const templateName = (name || '').trim();
+  if (!templateName) {
+    throw new Error('Please enter a name for the template.');
+  }
+
+  const templates = await loadTemplates();
+  const existing = templates.find(item => item.name.toLowerCase() === templateName.toLowerCase());
+
+  const template = {
+    id: existing ? existing.id : `t${Date.now()}`,
+    name: templateName,
+    description: quote.description || '',
+    // Line item values are copied so later edits to the quote don't change the template
+    lineItems: JSON.parse(JSON.stringify(quote.lineItems || [])),
+    options: JSON.parse(JSON.stringify(quote.options || [])),
+    discountType: quote.discountType,
+    discountValue: quote.discountValue,
+    vatPercentage: quote.vatPercentage,
+    serviceChargePercentage: quote.serviceChargePercentage,
+    depositPercentage: quote.depositPercentage,
+    validityDays: quote.validityDays || null,
+    updatedAt: new Date().toISOString()
+  };
+
+  await AsyncStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify([
+    ...templates.filter(item => item.id !== template.id),
+    template
+  ]));
+
+  return template;
+};
+
+/**
+ * Removes a template
+ * @param {string} templateId - ID of the template to remove
+ */
+export const deleteTemplate = async (templateId) => {
+  const templates = await loadTemplates();
+  await AsyncStorage.setItem(
+    TEMPLATES_STORAGE_KEY,
+    JSON.stringify(templates.filter(item => item.id !== templateId))
+  );
+};
+
+/**
+ * Builds the starting values for a new quote from a template
+ * @param {Object} template - The template to start from
+ * @returns {Object} - Quote fields with the client details left empty
+ */
+export const createQuoteFromTemplate = (template) => ({
+  description: template.description,
+  lineItems: JSON.parse(JSON.stringify(template.lineItems)),
+  options: JSON.parse(JSON.stringify(template.options || [])),
+  discountType: template.discountType,
+  discountValue: template.discountValue,
+  vatPercentage: template.vatPercentage,
+  serviceChargePercentage: template.serviceChargePercentage,
+  depositPercentage: template.depositPercentage,
+  validityDays: template.validityDays
+});